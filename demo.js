@@ -8,20 +8,60 @@
  * 	defaultThickness: 0.01,
  * 	defaultColor: [ 0, 0, 0 ],
  * 	defaultAlpha: 0.8,
- * 	defaultKeepAlive: true // keeps outline material in cache even if material is removed from scene
+ * 	defaultKeepAlive: true, // keeps outline material in cache even if material is removed from scene
+ * 	mode: 'hull', // or 'edge', see below
+ * 	removeThresholdCount: 60, // frames an unused outline material stays cached unless keepAlive is true
+ * 	outlineLayers: null, // THREE.Layers or a layers mask, only objects on one of these layers get outlined
+ * 	outlineFilter: null // function ( object ) returning true for the objects that get outlined
  * } );
  *
+ * // Both work per object, so meshes sharing a material can differ. Change them at any time:
+ * effect.outlineFilter = function ( object ) { return object === highlighted; };
+ *
+ * // Outline modes
+ * //  'hull': renders the back faces of every mesh again, pushed out along their normals
+ * //  'edge': renders normals and depth to a render target and draws lines where they change
+ * //          in a full screen pass. Works on flat planes and cube corners and costs one extra
+ * //          scene pass instead of one per material, but only the default color, alpha and
+ * //          thickness apply, per material it only honors outlineParameters.visible.
+ * //          Meshes outlineLayers or outlineFilter exclude still hide the edges behind them.
+ * effect.mode = 'edge'; // can be switched at any time
+ *
  * // How to set outline parameters for each material
  * material.userData.outlineParameters = {
  * 	thickness: 0.01,
  * 	color: [ 0, 0, 0 ]
  * 	alpha: 0.8,
  * 	visible: true,
- * 	keepAlive: true
+ * 	keepAlive: true,
+ * 	perVertexThickness: true // scales thickness by the geometry's outlineThicknessRatio attribute
+ * };
+ *
+ * // thickness, color and alpha can also change over time, either as a function of effect.time
+ * // (seconds, set it before rendering) or as a THREE.KeyframeTrack that loops over its duration.
+ * // Functions can mix in anything else they can reach, like the level of an audio AnalyserNode.
+ * effect.time = clock.getElapsedTime();
+ * material.userData.outlineParameters = {
+ * 	thickness: function ( time, material ) { return 0.01 + 0.005 * Math.sin( time * 4 ); },
+ * 	color: new THREE.ColorKeyframeTrack( '.color', [ 0, 1, 2 ], [ 1, 0, 0, 0, 0, 1, 1, 0, 0 ] )
+ * };
+ *
+ * // How to taper outlines per vertex (geometries without the attribute use a ratio of 1.0)
+ * geometry.addAttribute( 'outlineThicknessRatio', new THREE.BufferAttribute( ratios, 1 ) );
+ *
+ * // Shader materials without normals are outlined by extruding along normalize( position ),
+ * // which suits convex shapes around their origin, or away from the object's center on screen
+ * material.userData.outlineParameters = {
+ * 	fallbackMode: 'position' // or 'screen'
  * };
  *
- * TODO
- *  - support shader material without objectNormal in its vertexShader
+ * // Which materials got no outline or a fallback, and why
+ * effect.getDiagnostics(); // [ { name, uuid, type, outlined, fallbackMode, reason }, ... ]
+ *
+ * // Cache introspection and cleanup
+ * effect.getStats(); // { cacheSize, materials, programs, hits, misses, evictions }
+ * effect.setRemoveThresholdCount( 120 );
+ * effect.dispose(); // frees every outline material, their programs and the edge mode render target
  */
 
 THREE.OutlineEffect = function ( renderer, parameters ) {
@@ -35,6 +75,15 @@ THREE.OutlineEffect = function ( renderer, parameters ) {
     var defaultAlpha = parameters.defaultAlpha !== undefined ? parameters.defaultAlpha : 1.0;
     var defaultKeepAlive = parameters.defaultKeepAlive !== undefined ? parameters.defaultKeepAlive : false;
 
+    var scope = this;
+
+    this.mode = parameters.mode !== undefined ? parameters.mode : 'hull';
+    this.outlineLayers = parameters.outlineLayers !== undefined ? parameters.outlineLayers : null;
+    this.outlineFilter = parameters.outlineFilter !== undefined ? parameters.outlineFilter : null;
+
+    // seconds, passed to animated outline parameters
+    this.time = 0;
+
     // object.material.uuid -> outlineMaterial or
     // object.material[ n ].uuid -> outlineMaterial
     // save at the outline material creation and release
@@ -42,7 +91,15 @@ THREE.OutlineEffect = function ( renderer, parameters ) {
     // unless keepAlive is true.
     var cache = {};
 
-    var removeThresholdCount = 60;
+    var removeThresholdCount = parameters.removeThresholdCount !== undefined ? parameters.removeThresholdCount : 60;
+
+    // hits and misses count outline material lookups,
+    // evictions count cache entries released after removeThresholdCount frames
+    var stats = {
+        hits: 0,
+        misses: 0,
+        evictions: 0
+    };
 
     // outlineMaterial.uuid -> object.material or
     // outlineMaterial.uuid -> object.material[ n ]
@@ -53,7 +110,17 @@ THREE.OutlineEffect = function ( renderer, parameters ) {
     // save before render and release after render.
     var originalOnBeforeRenders = {};
 
-    //this.cache = cache;  // for debug
+    // object.uuid -> object.material
+    // for objects outlineLayers or outlineFilter exclude,
+    // save before render and release after render.
+    var skippedMaterials = {};
+
+    // shared by every excluded object, except meshes in 'edge' mode which get a depth only occluder
+    var skipMaterial = null;
+
+    // originalMaterial.uuid -> diagnostic entry
+    // for materials without outline or with a fallback outline
+    var diagnostics = {};
 
     // copied from WebGLPrograms and removed some materials
     var shaderIDs = {
@@ -67,7 +134,8 @@ THREE.OutlineEffect = function ( renderer, parameters ) {
 
     var uniformsChunk = {
         outlineThickness: { type: "f", value: defaultThickness },
-        outlineColor: { type: "c", value: defaultColor },
+        outlineThicknessRatioEnabled: { type: "f", value: 0.0 },
+        outlineColor: { type: "c", value: defaultColor.clone() },
         outlineAlpha: { type: "f", value: defaultAlpha }
     };
 
@@ -77,13 +145,30 @@ THREE.OutlineEffect = function ( renderer, parameters ) {
 
         "uniform float outlineThickness;",
 
+        "#ifdef USE_OUTLINE_THICKNESS_RATIO",
+        "	attribute float outlineThicknessRatio;",
+        "	uniform float outlineThicknessRatioEnabled;",
+        "#endif",
+
         "vec4 calculateOutline( vec4 pos, vec3 objectNormal, vec4 skinned ) {",
 
         "	float thickness = outlineThickness;",
-        "	const float ratio = 1.0;", // TODO: support outline thickness ratio for each vertex
+        "#ifdef USE_OUTLINE_THICKNESS_RATIO",
+        // outlineThicknessRatioEnabled is 0.0 for geometries without the attribute, which would read 0.0
+        "	float ratio = mix( 1.0, outlineThicknessRatio, outlineThicknessRatioEnabled );",
+        "#else",
+        "	const float ratio = 1.0;",
+        "#endif",
+        "#ifdef OUTLINE_SCREEN_SPACE",
+        // push vertices away from the object's projected center
+        "	vec4 center = projectionMatrix * modelViewMatrix * vec4( 0.0, 0.0, 0.0, 1.0 );",
+        "	vec2 direction = pos.xy / pos.w - center.xy / center.w;",
+        "	vec4 norm = vec4( length( direction ) > 0.0 ? normalize( direction ) : vec2( 0.0 ), 0.0, 0.0 );",
+        "#else",
         "	vec4 pos2 = projectionMatrix * modelViewMatrix * vec4( skinned.xyz + objectNormal, 1.0 );",
         // NOTE: subtract pos2 from pos because BackSide objectNormal is negative
         "	vec4 norm = normalize( pos - pos2 );",
+        "#endif",
         "	return pos + norm * thickness * pos.w * ratio;",
 
         "}"
@@ -92,7 +177,11 @@ THREE.OutlineEffect = function ( renderer, parameters ) {
 
     var vertexShaderChunk2 = [
 
-        "#if ! defined( LAMBERT ) && ! defined( PHONG ) && ! defined( TOON ) && ! defined( PHYSICAL )",
+        "#if defined( OUTLINE_NORMAL_FROM_POSITION )",
+        "	vec3 objectNormal = normalize( position );",
+        "#elif defined( OUTLINE_SCREEN_SPACE ) && ! defined( OUTLINE_NORMAL_FROM_SHADER )",
+        "	vec3 objectNormal = vec3( 0.0 );",
+        "#elif ! defined( OUTLINE_NORMAL_FROM_SHADER ) && ! defined( LAMBERT ) && ! defined( PHONG ) && ! defined( TOON ) && ! defined( PHYSICAL )",
         "	#ifndef USE_ENVMAP",
         "		vec3 objectNormal = normalize( normal );",
         "	#endif",
@@ -130,17 +219,125 @@ THREE.OutlineEffect = function ( renderer, parameters ) {
 
     ].join( "\n" );
 
+    var edgeVertexShader = [
+
+        "varying vec2 vUv;",
+
+        "void main() {",
+
+        "	vUv = uv;",
+        "	gl_Position = vec4( position.xy, 0.0, 1.0 );",
+
+        "}"
+
+    ].join( "\n" );
+
+    var edgeFragmentShader = [
+
+        "#include <packing>",
+
+        "uniform sampler2D tNormal;",
+        "uniform sampler2D tDepth;",
+        "uniform float useDepth;",
+        "uniform float isOrthographic;",
+        "uniform float cameraNear;",
+        "uniform float cameraFar;",
+        "uniform vec2 texelOffset;",
+        "uniform vec3 outlineColor;",
+        "uniform float outlineAlpha;",
+
+        "varying vec2 vUv;",
+
+        "float readViewDepth( vec2 uv ) {",
+
+        "	float depth = texture2D( tDepth, uv ).x;",
+        "	float viewZ = isOrthographic > 0.5 ? orthographicDepthToViewZ( depth, cameraNear, cameraFar ) : perspectiveDepthToViewZ( depth, cameraNear, cameraFar );",
+        "	return - viewZ;",
+
+        "}",
+
+        "void main() {",
+
+        // Roberts cross, alpha is 0.0 where nothing was rendered which catches silhouettes
+        "	vec2 uv0 = vUv + texelOffset * vec2( - 1.0, - 1.0 );",
+        "	vec2 uv1 = vUv + texelOffset * vec2( 1.0, 1.0 );",
+        "	vec2 uv2 = vUv + texelOffset * vec2( 1.0, - 1.0 );",
+        "	vec2 uv3 = vUv + texelOffset * vec2( - 1.0, 1.0 );",
+
+        "	vec4 n0 = texture2D( tNormal, uv0 );",
+        "	vec4 n1 = texture2D( tNormal, uv1 );",
+        "	vec4 n2 = texture2D( tNormal, uv2 );",
+        "	vec4 n3 = texture2D( tNormal, uv3 );",
+
+        "	float normalEdge = length( n0 - n1 ) + length( n2 - n3 );",
+
+        "	float depthEdge = 0.0;",
+
+        "	if ( useDepth > 0.5 ) {",
+
+        "		float d0 = readViewDepth( uv0 );",
+        "		float d1 = readViewDepth( uv1 );",
+        "		float d2 = readViewDepth( uv2 );",
+        "		float d3 = readViewDepth( uv3 );",
+        // relative to the distance so far away surfaces don't turn into solid lines. Occluders
+        // (alpha 0.0) write depth too, steps between them and the background don't count
+        "		depthEdge = ( abs( d0 - d1 ) * max( n0.a, n1.a ) + abs( d2 - d3 ) * max( n2.a, n3.a ) ) / max( min( min( d0, d1 ), min( d2, d3 ) ), cameraNear );",
+
+        "	}",
+
+        "	float edge = max( step( 0.5, normalEdge ), step( 0.05, depthEdge ) );",
+
+        "	gl_FragColor = vec4( outlineColor, outlineAlpha * edge );",
+
+        "}"
+
+    ].join( "\n" );
+
+    // created on the first render in 'edge' mode
+    var edgeRenderTarget = null;
+    var edgeScene = null;
+    var edgeCamera = null;
+    var edgeMaterial = null;
+
     function createInvisibleMaterial() {
 
         return new THREE.ShaderMaterial( { name: 'invisible', visible: false } );
 
     }
 
+    function reportDiagnostic( originalMaterial, outlined, fallbackMode, reason ) {
+
+        var outlineParameters = originalMaterial.userData.outlineParameters;
+
+        // nobody asked for this outline
+        if ( outlineParameters !== undefined && outlineParameters.visible === false ) return;
+
+        diagnostics[ originalMaterial.uuid ] = {
+            name: originalMaterial.name,
+            uuid: originalMaterial.uuid,
+            type: originalMaterial.type,
+            outlined: outlined,
+            fallbackMode: fallbackMode,
+            reason: reason
+        };
+
+    }
+
+    function createUnsupportedMaterial( originalMaterial, reason ) {
+
+        reportDiagnostic( originalMaterial, false, undefined, reason );
+
+        return createInvisibleMaterial();
+
+    }
+
     function createMaterial( originalMaterial ) {
 
         var shaderID = shaderIDs[ originalMaterial.type ];
         var originalUniforms, originalVertexShader;
         var outlineParameters = originalMaterial.userData.outlineParameters;
+        var isRaw = originalMaterial.isRawShaderMaterial === true;
+        var defines = {};
 
         if ( shaderID !== undefined ) {
 
@@ -148,37 +345,74 @@ THREE.OutlineEffect = function ( renderer, parameters ) {
             originalUniforms = shader.uniforms;
             originalVertexShader = shader.vertexShader;
 
-        } else if ( originalMaterial.isRawShaderMaterial === true ) {
+        } else if ( originalMaterial.isShaderMaterial === true ) {
 
             originalUniforms = originalMaterial.uniforms;
             originalVertexShader = originalMaterial.vertexShader;
 
-            if ( ! /attribute\s+vec3\s+position\s*;/.test( originalVertexShader ) ||
-                ! /attribute\s+vec3\s+normal\s*;/.test( originalVertexShader ) ) {
+            if ( ! /void\s+main\s*\(\s*\)/.test( originalVertexShader ) || ! /\}\s*$/.test( originalVertexShader ) ) {
+
+                return createUnsupportedMaterial( originalMaterial, 'vertex shader does not end with void main() {...}' );
+
+            }
+
+            // RawShaderMaterial declares its own attributes, ShaderMaterial gets position and normal from the prefix
+            if ( isRaw && ! /attribute\s+vec3\s+position\s*;/.test( originalVertexShader ) ) {
 
-                console.warn( 'THREE.OutlineEffect requires both vec3 position and normal attributes in vertex shader, ' +
+                console.warn( 'THREE.OutlineEffect requires a vec3 position attribute in vertex shader, ' +
                     'does not draw outline for ' + originalMaterial.name + '(uuid:' + originalMaterial.uuid + ') material.' );
 
-                return createInvisibleMaterial();
+                return createUnsupportedMaterial( originalMaterial, 'vertex shader has no vec3 position attribute' );
 
             }
 
-        } else if ( originalMaterial.isShaderMaterial === true ) {
+            var hasNormal = ! isRaw || /attribute\s+vec3\s+normal\s*;/.test( originalVertexShader );
+            var fallbackMode = ( outlineParameters !== undefined && outlineParameters.fallbackMode === 'screen' ) ? 'screen' : 'position';
 
-            originalUniforms = originalMaterial.uniforms;
-            originalVertexShader = originalMaterial.vertexShader;
+            if ( /vec3\s+objectNormal\s*=/.test( originalVertexShader ) ||
+                /#include\s+<beginnormal_vertex>/.test( originalVertexShader ) ) {
+
+                defines.OUTLINE_NORMAL_FROM_SHADER = true;
+
+            } else if ( ! hasNormal ) {
+
+                if ( fallbackMode === 'screen' ) {
+
+                    defines.OUTLINE_SCREEN_SPACE = true;
+
+                } else {
+
+                    defines.OUTLINE_NORMAL_FROM_POSITION = true;
+
+                }
+
+                reportDiagnostic( originalMaterial, true, fallbackMode, 'vertex shader has no vec3 normal attribute' );
+
+            }
 
         } else {
 
-            return createInvisibleMaterial();
+            return createUnsupportedMaterial( originalMaterial, 'unsupported material type ' + originalMaterial.type );
 
         }
 
         var uniforms = Object.assign( {}, originalUniforms, uniformsChunk );
 
+        var chunk = vertexShaderChunk;
+
+        if ( isRaw ) {
+
+            // RawShaderMaterial gets no prefix, declare what the chunk relies on unless the shader already does
+            if ( ! /uniform\s+mat4\s+modelViewMatrix\s*;/.test( originalVertexShader ) ) chunk = 'uniform mat4 modelViewMatrix;\n' + chunk;
+            if ( ! /uniform\s+mat4\s+projectionMatrix\s*;/.test( originalVertexShader ) ) chunk = 'uniform mat4 projectionMatrix;\n' + chunk;
+
+            defines.FLIP_SIDED = true;
+
+        }
+
         var vertexShader = originalVertexShader
         // put vertexShaderChunk right before "void main() {...}"
-            .replace( /void\s+main\s*\(\s*\)/, vertexShaderChunk + '\nvoid main()' )
+            .replace( /void\s+main\s*\(\s*\)/, chunk + '\nvoid main()' )
             // put vertexShaderChunk2 the end of "void main() {...}"
             // Note: here assums originalVertexShader ends with "}" of "void main() {...}"
             .replace( /\}\s*$/, vertexShaderChunk2 + '\n}' )
@@ -187,16 +421,15 @@ THREE.OutlineEffect = function ( renderer, parameters ) {
             // TODO: consider safer way
             .replace( /#include\s+<[\w_]*light[\w_]*>/g, '' );
 
-        var defines = {};
-
         if ( ! /vec3\s+transformed\s*=/.test( originalVertexShader ) &&
             ! /#include\s+<begin_vertex>/.test( originalVertexShader ) ) defines.DECLARE_TRANSFORMED = true;
 
-        return new THREE.ShaderMaterial( {
+        // a RawShaderMaterial outline stays raw, otherwise the prefix would declare its attributes a second time
+        var outlineMaterial = new ( isRaw ? THREE.RawShaderMaterial : THREE.ShaderMaterial )( {
             defines: defines,
             uniforms: uniforms,
             vertexShader: vertexShader,
-            fragmentShader: fragmentShader,
+            fragmentShader: isRaw ? 'precision mediump float;\n' + fragmentShader : fragmentShader,
             side: THREE.BackSide,
             //wireframe: true,
             skinning: false,
@@ -205,16 +438,85 @@ THREE.OutlineEffect = function ( renderer, parameters ) {
             fog: false
         } );
 
+        // keep shader patches of the original (e.g. instancing) so the outline follows the same vertices
+        outlineMaterial.onBeforeCompile = originalMaterial.onBeforeCompile;
+
+        return outlineMaterial;
+
     }
 
-    function getOutlineMaterialFromCache( originalMaterial ) {
+    // normals for 'edge' mode, reusing the original's shader patches (e.g. instancing, which works on
+    // the built-in chunks ShaderMaterials include as well)
+    function createEdgeMaterial( originalMaterial ) {
+
+        if ( shaderIDs[ originalMaterial.type ] === undefined && originalMaterial.isShaderMaterial !== true ) {
+
+            return createInvisibleMaterial();
+
+        }
+
+        var material = new THREE.MeshNormalMaterial();
+
+        material.onBeforeCompile = originalMaterial.onBeforeCompile;
+
+        return material;
+
+    }
+
+    // depth only, for meshes without outlines in 'edge' mode so they still hide the edges behind them
+    function createOccluderMaterial( originalMaterial ) {
+
+        if ( ( shaderIDs[ originalMaterial.type ] === undefined && originalMaterial.isShaderMaterial !== true ) ||
+            originalMaterial.isShadowMaterial === true ) {
+
+            return createInvisibleMaterial();
+
+        }
+
+        var material = new THREE.MeshBasicMaterial( { colorWrite: false } );
+
+        material.onBeforeCompile = originalMaterial.onBeforeCompile;
+
+        return material;
+
+    }
+
+    function getOccluderMaterial( originalMaterial ) {
+
+        var data = getCacheData( originalMaterial );
+
+        if ( data.occluderMaterial === undefined ) data.occluderMaterial = createOccluderMaterial( originalMaterial );
+
+        var material = data.occluderMaterial;
+
+        if ( material.name !== 'invisible' ) {
+
+            material.skinning = originalMaterial.skinning;
+            material.morphTargets = originalMaterial.morphTargets;
+            material.side = originalMaterial.side;
+            material.visible = originalMaterial.visible && originalMaterial.depthWrite !== false;
+
+        }
+
+        var outlineParameters = originalMaterial.userData.outlineParameters;
+
+        if ( outlineParameters !== undefined && outlineParameters.keepAlive !== undefined ) data.keepAlive = outlineParameters.keepAlive;
+
+        return material;
+
+    }
+
+    function getCacheData( originalMaterial ) {
 
         var data = cache[ originalMaterial.uuid ];
 
         if ( data === undefined ) {
 
+            // materials are created on demand, only the ones of the current mode get compiled
             data = {
-                material: createMaterial( originalMaterial ),
+                material: undefined,
+                edgeMaterial: undefined,
+                occluderMaterial: undefined,
                 used: true,
                 keepAlive: defaultKeepAlive,
                 count: 0
@@ -226,10 +528,52 @@ THREE.OutlineEffect = function ( renderer, parameters ) {
 
         data.used = true;
 
+        return data;
+
+    }
+
+    function getOutlineMaterialFromCache( originalMaterial ) {
+
+        var data = getCacheData( originalMaterial );
+
+        if ( data.material === undefined ) {
+
+            data.material = createMaterial( originalMaterial );
+            stats.misses ++;
+
+        } else {
+
+            stats.hits ++;
+
+        }
+
         return data.material;
 
     }
 
+    function getEdgeMaterial( originalMaterial ) {
+
+        var data = getCacheData( originalMaterial );
+
+        if ( data.edgeMaterial === undefined ) {
+
+            data.edgeMaterial = createEdgeMaterial( originalMaterial );
+            stats.misses ++;
+
+        } else {
+
+            stats.hits ++;
+
+        }
+
+        originalMaterials[ data.edgeMaterial.uuid ] = originalMaterial;
+
+        updateEdgeMaterial( data.edgeMaterial, originalMaterial );
+
+        return data.edgeMaterial;
+
+    }
+
     function getOutlineMaterial( originalMaterial ) {
 
         var outlineMaterial = getOutlineMaterialFromCache( originalMaterial );
@@ -242,10 +586,45 @@ THREE.OutlineEffect = function ( renderer, parameters ) {
 
     }
 
+    function isOutlined( object ) {
+
+        if ( scope.outlineLayers !== null ) {
+
+            var mask = scope.outlineLayers.isLayers === true ? scope.outlineLayers.mask : scope.outlineLayers;
+
+            if ( ( object.layers.mask & mask ) === 0 ) return false;
+
+        }
+
+        if ( scope.outlineFilter !== null && scope.outlineFilter( object ) !== true ) return false;
+
+        return true;
+
+    }
+
+    // hides the object in the outline pass without touching its (possibly shared) material
+    function skipObject( object ) {
+
+        if ( skipMaterial === null ) skipMaterial = createInvisibleMaterial();
+
+        skippedMaterials[ object.uuid ] = object.material;
+        object.material = skipMaterial;
+
+        originalOnBeforeRenders[ object.uuid ] = object.onBeforeRender;
+
+    }
+
     function setOutlineMaterial( object ) {
 
         if ( object.material === undefined ) return;
 
+        if ( ! isOutlined( object ) ) {
+
+            skipObject( object );
+            return;
+
+        }
+
         if ( Array.isArray( object.material ) ) {
 
             for ( var i = 0, il = object.material.length; i < il; i ++ ) {
@@ -265,10 +644,66 @@ THREE.OutlineEffect = function ( renderer, parameters ) {
 
     }
 
+    // like skipObject(), but meshes keep writing depth into the edge target
+    function occludeObject( object ) {
+
+        if ( object.isMesh !== true ) {
+
+            skipObject( object );
+            return;
+
+        }
+
+        skippedMaterials[ object.uuid ] = object.material;
+        object.material = Array.isArray( object.material ) ? object.material.map( getOccluderMaterial ) : getOccluderMaterial( object.material );
+
+        originalOnBeforeRenders[ object.uuid ] = object.onBeforeRender;
+
+    }
+
+    function setEdgeMaterial( object ) {
+
+        if ( object.material === undefined ) return;
+
+        if ( ! isOutlined( object ) ) {
+
+            occludeObject( object );
+            return;
+
+        }
+
+        if ( Array.isArray( object.material ) ) {
+
+            for ( var i = 0, il = object.material.length; i < il; i ++ ) {
+
+                object.material[ i ] = getEdgeMaterial( object.material[ i ] );
+
+            }
+
+        } else {
+
+            object.material = getEdgeMaterial( object.material );
+
+        }
+
+        // restoreOriginalMaterial() puts this back
+        originalOnBeforeRenders[ object.uuid ] = object.onBeforeRender;
+
+    }
+
     function restoreOriginalMaterial( object ) {
 
         if ( object.material === undefined ) return;
 
+        if ( skippedMaterials[ object.uuid ] !== undefined ) {
+
+            object.material = skippedMaterials[ object.uuid ];
+            object.onBeforeRender = originalOnBeforeRenders[ object.uuid ];
+            delete skippedMaterials[ object.uuid ];
+            return;
+
+        }
+
         if ( Array.isArray( object.material ) ) {
 
             for ( var i = 0, il = object.material.length; i < il; i ++ ) {
@@ -294,61 +729,275 @@ THREE.OutlineEffect = function ( renderer, parameters ) {
         // just in case
         if ( originalMaterial === undefined ) return;
 
-        updateUniforms( material, originalMaterial );
+        updateUniforms( material, originalMaterial, geometry );
 
     }
 
-    function updateUniforms( material, originalMaterial ) {
+    // keyframeTrack -> interpolant, created on first use
+    var interpolants = new WeakMap();
 
-        var outlineParameters = originalMaterial.userData.outlineParameters;
+    function evaluateKeyframeTrack( track ) {
 
-        material.uniforms.outlineAlpha.value = originalMaterial.opacity;
+        var interpolant = interpolants.get( track );
 
-        if ( outlineParameters !== undefined ) {
+        if ( interpolant === undefined ) {
 
-            if ( outlineParameters.thickness !== undefined ) material.uniforms.outlineThickness.value = outlineParameters.thickness;
-            if ( outlineParameters.color !== undefined ) material.uniforms.outlineColor.value.fromArray( outlineParameters.color );
-            if ( outlineParameters.alpha !== undefined ) material.uniforms.outlineAlpha.value = outlineParameters.alpha;
+            interpolant = track.createInterpolant( new Float32Array( track.getValueSize() ) );
+            interpolants.set( track, interpolant );
 
         }
 
+        var start = track.times[ 0 ];
+        var duration = track.times[ track.times.length - 1 ] - start;
+        var time = duration > 0 ? start + ( ( ( scope.time - start ) % duration ) + duration ) % duration : start;
+
+        return interpolant.evaluate( time );
+
     }
 
-    function updateOutlineMaterial( material, originalMaterial ) {
+    // numbers and color arrays pass through, functions and keyframe tracks are evaluated at scope.time
+    function evaluateParameter( value, originalMaterial ) {
 
-        if ( material.name === 'invisible' ) return;
+        if ( typeof value === 'function' ) return value( scope.time, originalMaterial );
 
-        var outlineParameters = originalMaterial.userData.outlineParameters;
+        if ( value !== null && typeof value === 'object' && typeof value.createInterpolant === 'function' ) return evaluateKeyframeTrack( value );
 
-        material.skinning = originalMaterial.skinning;
-        material.morphTargets = originalMaterial.morphTargets;
-        material.morphNormals = originalMaterial.morphNormals;
-        material.fog = originalMaterial.fog;
+        return value;
 
-        if ( outlineParameters !== undefined ) {
+    }
 
-            if ( originalMaterial.visible === false ) {
+    function evaluateScalarParameter( value, originalMaterial ) {
 
-                material.visible = false;
+        var result = evaluateParameter( value, originalMaterial );
 
-            } else {
+        // a NumberKeyframeTrack evaluates to a one element array
+        return typeof result === 'number' ? result : result[ 0 ];
 
-                material.visible = ( outlineParameters.visible !== undefined ) ? outlineParameters.visible : true;
+    }
 
-            }
+    function updateUniforms( material, originalMaterial, geometry ) {
 
-            material.transparent = ( outlineParameters.alpha !== undefined && outlineParameters.alpha < 1.0 ) ? true : originalMaterial.transparent;
+        var outlineParameters = originalMaterial.userData.outlineParameters;
 
-            if ( outlineParameters.keepAlive !== undefined ) cache[ originalMaterial.uuid ].keepAlive = outlineParameters.keepAlive;
+        // the uniform objects are shared by every outline material, start from the defaults
+        material.uniforms.outlineThickness.value = defaultThickness;
+        material.uniforms.outlineColor.value.copy( defaultColor );
+        material.uniforms.outlineAlpha.value = originalMaterial.opacity;
 
-        } else {
+        var ratioEnabled = ( geometry && geometry.attributes && geometry.attributes.outlineThicknessRatio !== undefined ) ? 1.0 : 0.0;
 
-            material.transparent = originalMaterial.transparent;
-            material.visible = originalMaterial.visible;
+        // depends on the geometry, while meshes sharing a material only upload uniforms for the first one
+        if ( material.uniforms.outlineThicknessRatioEnabled.value !== ratioEnabled ) {
+
+            material.uniforms.outlineThicknessRatioEnabled.value = ratioEnabled;
+            material.uniformsNeedUpdate = true;
 
         }
 
-        if ( originalMaterial.wireframe === true || originalMaterial.depthTest === false ) material.visible = false;
+        if ( outlineParameters !== undefined ) {
+
+            if ( outlineParameters.thickness !== undefined ) material.uniforms.outlineThickness.value = evaluateScalarParameter( outlineParameters.thickness, originalMaterial );
+            if ( outlineParameters.alpha !== undefined ) material.uniforms.outlineAlpha.value = evaluateScalarParameter( outlineParameters.alpha, originalMaterial );
+
+            if ( outlineParameters.color !== undefined ) {
+
+                var color = evaluateParameter( outlineParameters.color, originalMaterial );
+
+                if ( color.isColor === true ) {
+
+                    material.uniforms.outlineColor.value.copy( color );
+
+                } else {
+
+                    material.uniforms.outlineColor.value.fromArray( color );
+
+                }
+
+            }
+
+        }
+
+    }
+
+    function updateOutlineMaterial( material, originalMaterial ) {
+
+        if ( material.name === 'invisible' ) return;
+
+        var outlineParameters = originalMaterial.userData.outlineParameters;
+
+        material.skinning = originalMaterial.skinning;
+        material.morphTargets = originalMaterial.morphTargets;
+        material.morphNormals = originalMaterial.morphNormals;
+        material.fog = originalMaterial.fog;
+
+        if ( outlineParameters !== undefined ) {
+
+            if ( originalMaterial.visible === false ) {
+
+                material.visible = false;
+
+            } else {
+
+                material.visible = ( outlineParameters.visible !== undefined ) ? outlineParameters.visible : true;
+
+            }
+
+            material.transparent = ( outlineParameters.alpha !== undefined && evaluateScalarParameter( outlineParameters.alpha, originalMaterial ) < 1.0 ) ? true : originalMaterial.transparent;
+
+            if ( outlineParameters.keepAlive !== undefined ) cache[ originalMaterial.uuid ].keepAlive = outlineParameters.keepAlive;
+
+            setDefine( material, 'USE_OUTLINE_THICKNESS_RATIO', outlineParameters.perVertexThickness === true );
+
+        } else {
+
+            setDefine( material, 'USE_OUTLINE_THICKNESS_RATIO', false );
+
+            material.transparent = originalMaterial.transparent;
+            material.visible = originalMaterial.visible;
+
+        }
+
+        if ( originalMaterial.wireframe === true || originalMaterial.depthTest === false ) material.visible = false;
+
+    }
+
+    function updateEdgeMaterial( material, originalMaterial ) {
+
+        if ( material.name === 'invisible' ) return;
+
+        var outlineParameters = originalMaterial.userData.outlineParameters;
+
+        material.skinning = originalMaterial.skinning;
+        material.morphTargets = originalMaterial.morphTargets;
+        material.morphNormals = originalMaterial.morphNormals;
+        material.side = originalMaterial.side;
+
+        material.visible = originalMaterial.visible;
+
+        if ( outlineParameters !== undefined ) {
+
+            if ( outlineParameters.visible === false ) material.visible = false;
+
+            if ( outlineParameters.keepAlive !== undefined ) cache[ originalMaterial.uuid ].keepAlive = outlineParameters.keepAlive;
+
+        }
+
+        if ( originalMaterial.wireframe === true || originalMaterial.depthTest === false ) material.visible = false;
+
+    }
+
+    function setupEdgeRendering( width, height ) {
+
+        if ( edgeRenderTarget === null ) {
+
+            edgeRenderTarget = new THREE.WebGLRenderTarget( width, height, {
+                minFilter: THREE.NearestFilter,
+                magFilter: THREE.NearestFilter,
+                format: THREE.RGBAFormat
+            } );
+
+            if ( renderer.capabilities.isWebGL2 || renderer.extensions.get( 'WEBGL_depth_texture' ) ) {
+
+                edgeRenderTarget.depthTexture = new THREE.DepthTexture( width, height );
+
+            }
+
+            edgeMaterial = new THREE.ShaderMaterial( {
+                uniforms: {
+                    tNormal: { value: edgeRenderTarget.texture },
+                    tDepth: { value: edgeRenderTarget.depthTexture || null },
+                    useDepth: { value: edgeRenderTarget.depthTexture ? 1.0 : 0.0 },
+                    isOrthographic: { value: 0.0 },
+                    cameraNear: { value: 0.1 },
+                    cameraFar: { value: 1000.0 },
+                    texelOffset: { value: new THREE.Vector2() },
+                    outlineColor: { value: defaultColor.clone() },
+                    outlineAlpha: { value: defaultAlpha }
+                },
+                vertexShader: edgeVertexShader,
+                fragmentShader: edgeFragmentShader,
+                transparent: true,
+                depthTest: false,
+                depthWrite: false
+            } );
+
+            var quad = new THREE.Mesh( new THREE.PlaneBufferGeometry( 2, 2 ), edgeMaterial );
+            quad.frustumCulled = false;
+
+            edgeScene = new THREE.Scene();
+            edgeScene.add( quad );
+            edgeCamera = new THREE.Camera();
+
+        }
+
+        if ( edgeRenderTarget.width !== width || edgeRenderTarget.height !== height ) {
+
+            edgeRenderTarget.setSize( width, height );
+
+        }
+
+    }
+
+    function renderEdges( scene, camera ) {
+
+        var currentRenderTarget = renderer.getRenderTarget();
+        var currentClearColor = renderer.getClearColor().clone();
+        var currentClearAlpha = renderer.getClearAlpha();
+
+        var size = currentRenderTarget !== null
+            ? { width: currentRenderTarget.width, height: currentRenderTarget.height }
+            : renderer.getDrawingBufferSize();
+
+        setupEdgeRendering( size.width, size.height );
+
+        // 2a. render normals and depth of everything that gets an outline
+        scene.traverse( setEdgeMaterial );
+
+        renderer.setRenderTarget( edgeRenderTarget );
+        renderer.setClearColor( 0x000000, 0 );
+        renderer.clear();
+        renderer.render( scene, camera );
+
+        scene.traverse( restoreOriginalMaterial );
+
+        // 2b. draw lines where they change on top of the normal rendering
+        // thickness is a fraction of the screen height like the hull's extrusion
+        var offset = Math.max( 1, defaultThickness * 0.5 * size.height );
+        var uniforms = edgeMaterial.uniforms;
+        uniforms.texelOffset.value.set( offset / size.width, offset / size.height );
+        uniforms.isOrthographic.value = camera.isOrthographicCamera ? 1.0 : 0.0;
+        uniforms.cameraNear.value = camera.near !== undefined ? camera.near : 0.1;
+        uniforms.cameraFar.value = camera.far !== undefined ? camera.far : 1000.0;
+
+        renderer.setClearColor( currentClearColor, currentClearAlpha );
+        renderer.setRenderTarget( currentRenderTarget );
+        renderer.render( edgeScene, edgeCamera );
+
+    }
+
+    function setDefine( material, name, enabled ) {
+
+        if ( ( material.defines[ name ] !== undefined ) === enabled ) return;
+
+        if ( enabled ) {
+
+            material.defines[ name ] = true;
+
+        } else {
+
+            delete material.defines[ name ];
+
+        }
+
+        material.needsUpdate = true;
+
+    }
+
+    function disposeCacheData( data ) {
+
+        if ( data.material !== undefined ) data.material.dispose();
+        if ( data.edgeMaterial !== undefined ) data.edgeMaterial.dispose();
+        if ( data.occluderMaterial !== undefined ) data.occluderMaterial.dispose();
 
     }
 
@@ -387,7 +1036,10 @@ THREE.OutlineEffect = function ( renderer, parameters ) {
 
                 if ( cache[ key ].keepAlive === false && cache[ key ].count > removeThresholdCount ) {
 
+                    disposeCacheData( cache[ key ] );
                     delete cache[ key ];
+                    delete diagnostics[ key ];
+                    stats.evictions ++;
 
                 }
 
@@ -402,9 +1054,98 @@ THREE.OutlineEffect = function ( renderer, parameters ) {
 
     }
 
+    this.getStats = function () {
+
+        var keys = Object.keys( cache );
+        var materials = 0;
+        var programs = {};
+
+        for ( var i = 0, il = keys.length; i < il; i ++ ) {
+
+            var data = cache[ keys[ i ] ];
+            var outlineMaterials = [ data.material, data.edgeMaterial, data.occluderMaterial ];
+
+            for ( var j = 0; j < outlineMaterials.length; j ++ ) {
+
+                var material = outlineMaterials[ j ];
+
+                if ( material === undefined ) continue;
+
+                materials ++;
+
+                // set by WebGLRenderer once the material got compiled
+                if ( material.program !== undefined ) programs[ material.program.id ] = true;
+
+            }
+
+        }
+
+        return {
+            cacheSize: keys.length,
+            materials: materials,
+            programs: Object.keys( programs ).length,
+            hits: stats.hits,
+            misses: stats.misses,
+            evictions: stats.evictions
+        };
+
+    };
+
+    this.setRemoveThresholdCount = function ( count ) {
+
+        removeThresholdCount = count;
+
+    };
+
+    this.dispose = function () {
+
+        var keys = Object.keys( cache );
+
+        for ( var i = 0, il = keys.length; i < il; i ++ ) {
+
+            disposeCacheData( cache[ keys[ i ] ] );
+            delete cache[ keys[ i ] ];
+
+        }
+
+        diagnostics = {};
+
+        if ( skipMaterial !== null ) {
+
+            skipMaterial.dispose();
+            skipMaterial = null;
+
+        }
+
+        if ( edgeRenderTarget !== null ) {
+
+            edgeRenderTarget.dispose();
+            if ( edgeRenderTarget.depthTexture ) edgeRenderTarget.depthTexture.dispose();
+            edgeMaterial.dispose();
+            edgeScene.children[ 0 ].geometry.dispose();
+
+            edgeRenderTarget = null;
+            edgeScene = null;
+            edgeCamera = null;
+            edgeMaterial = null;
+
+        }
+
+    };
+
+    this.getDiagnostics = function () {
+
+        return Object.keys( diagnostics ).map( function ( key ) {
+
+            return Object.assign( {}, diagnostics[ key ] );
+
+        } );
+
+    };
+
     this.render = function ( scene, camera ) {
 
-        var renderTarget = null;
+        var renderTarget;
         var forceClear = false;
 
         if ( arguments[ 2 ] !== undefined ) {
@@ -421,7 +1162,8 @@ THREE.OutlineEffect = function ( renderer, parameters ) {
 
         }
 
-        renderer.setRenderTarget( renderTarget );
+        // otherwise keep what setRenderTarget() selected
+        if ( renderTarget !== undefined ) renderer.setRenderTarget( renderTarget );
 
         if ( forceClear ) renderer.clear();
 
@@ -448,11 +1190,19 @@ THREE.OutlineEffect = function ( renderer, parameters ) {
         renderer.autoClear = false;
         renderer.shadowMap.enabled = false;
 
-        scene.traverse( setOutlineMaterial );
+        if ( this.mode === 'edge' ) {
 
-        renderer.render( scene, camera );
+            renderEdges( scene, camera );
 
-        scene.traverse( restoreOriginalMaterial );
+        } else {
+
+            scene.traverse( setOutlineMaterial );
+
+            renderer.render( scene, camera );
+
+            scene.traverse( restoreOriginalMaterial );
+
+        }
 
         cleanupCache();
 
@@ -537,291 +1287,2874 @@ THREE.OutlineEffect = function ( renderer, parameters ) {
 
 };
 
-var undefined_medium = {"glyphs":{"0":{"ha":833,"x_min":0,"x_max":694,"o":"m 139 972 l 556 972 l 556 833 l 139 833 l 139 972 m 139 278 l 139 139 l 0 139 l 0 833 l 139 833 l 139 417 l 278 417 l 278 278 l 139 278 m 694 833 l 694 139 l 556 139 l 556 556 l 417 556 l 417 694 l 556 694 l 556 833 l 694 833 m 278 556 l 417 556 l 417 417 l 278 417 l 278 556 m 556 0 l 139 0 l 139 139 l 556 139 l 556 0 z "},"1":{"ha":833,"x_min":139,"x_max":556,"o":"m 556 139 l 556 0 l 139 0 l 139 139 l 278 139 l 278 694 l 139 694 l 139 833 l 278 833 l 278 972 l 417 972 l 417 139 l 556 139 z "},"2":{"ha":833,"x_min":0,"x_max":694,"o":"m 556 833 l 139 833 l 139 972 l 556 972 l 556 833 m 0 833 l 139 833 l 139 694 l 0 694 l 0 833 m 694 833 l 694 556 l 556 556 l 556 833 l 694 833 m 417 556 l 556 556 l 556 417 l 417 417 l 417 556 m 278 417 l 417 417 l 417 278 l 278 278 l 278 417 m 139 278 l 278 278 l 278 139 l 694 139 l 694 0 l 0 0 l 0 139 l 139 139 l 139 278 z "},"3":{"ha":833,"x_min":0,"x_max":694,"o":"m 556 833 l 139 833 l 139 972 l 556 972 l 556 833 m 0 833 l 139 833 l 139 694 l 0 694 l 0 833 m 694 833 l 694 556 l 556 556 l 556 833 l 694 833 m 556 556 l 556 417 l 278 417 l 278 556 l 556 556 m 556 417 l 694 417 l 694 139 l 556 139 l 556 417 m 139 278 l 139 139 l 0 139 l 0 278 l 139 278 m 556 0 l 139 0 l 139 139 l 556 139 l 556 0 z "},"4":{"ha":833,"x_min":0,"x_max":694,"o":"m 694 417 l 694 278 l 556 278 l 556 0 l 417 0 l 417 278 l 0 278 l 0 556 l 139 556 l 139 417 l 417 417 l 417 694 l 278 694 l 278 833 l 417 833 l 417 972 l 556 972 l 556 417 l 694 417 m 278 556 l 139 556 l 139 694 l 278 694 l 278 556 z "},"5":{"ha":833,"x_min":0,"x_max":694,"o":"m 139 694 l 556 694 l 556 556 l 0 556 l 0 972 l 694 972 l 694 833 l 139 833 l 139 694 m 694 556 l 694 139 l 556 139 l 556 556 l 694 556 m 139 278 l 139 139 l 0 139 l 0 278 l 139 278 m 556 0 l 139 0 l 139 139 l 556 139 l 556 0 z "},"6":{"ha":833,"x_min":0,"x_max":694,"o":"m 139 972 l 556 972 l 556 833 l 139 833 l 139 972 m 0 139 l 0 833 l 139 833 l 139 694 l 556 694 l 556 556 l 139 556 l 139 139 l 0 139 m 694 556 l 694 139 l 556 139 l 556 556 l 694 556 m 556 0 l 139 0 l 139 139 l 556 139 l 556 0 z "},"7":{"ha":833,"x_min":0,"x_max":694,"o":"m 694 556 l 556 556 l 556 833 l 0 833 l 0 972 l 694 972 l 694 556 m 417 556 l 556 556 l 556 417 l 417 417 l 417 556 m 417 417 l 417 0 l 278 0 l 278 417 l 417 417 z "},"8":{"ha":833,"x_min":0,"x_max":694,"o":"m 139 972 l 556 972 l 556 833 l 139 833 l 139 972 m 139 556 l 0 556 l 0 833 l 139 833 l 139 556 m 694 833 l 694 556 l 556 556 l 556 833 l 694 833 m 556 417 l 139 417 l 139 556 l 556 556 l 556 417 m 139 139 l 0 139 l 0 417 l 139 417 l 139 139 m 556 417 l 694 417 l 694 139 l 556 139 l 556 417 m 556 0 l 139 0 l 139 139 l 556 139 l 556 0 z "},"9":{"ha":833,"x_min":0,"x_max":694,"o":"m 139 972 l 556 972 l 556 833 l 139 833 l 139 972 m 0 417 l 0 833 l 139 833 l 139 417 l 0 417 m 694 833 l 694 139 l 556 139 l 556 278 l 139 278 l 139 417 l 556 417 l 556 833 l 694 833 m 556 0 l 139 0 l 139 139 l 556 139 l 556 0 z "},"\r":{"ha":833,"x_min":0,"x_max":0,"o":""}," ":{"ha":833,"x_min":0,"x_max":0,"o":""},"A":{"ha":833,"x_min":0,"x_max":694,"o":"m 139 972 l 556 972 l 556 833 l 139 833 l 139 972 m 694 833 l 694 0 l 556 0 l 556 417 l 139 417 l 139 0 l 0 0 l 0 833 l 139 833 l 139 556 l 556 556 l 556 833 l 694 833 z "},"Á":{"ha":833,"x_min":0,"x_max":694,"o":"m 139 972 l 556 972 l 556 833 l 139 833 l 139 972 m 694 833 l 694 0 l 556 0 l 556 417 l 139 417 l 139 0 l 0 0 l 0 833 l 139 833 l 139 556 l 556 556 l 556 833 l 694 833 z "},"Ă":{"ha":833,"x_min":0,"x_max":694,"o":"m 139 972 l 556 972 l 556 833 l 139 833 l 139 972 m 694 833 l 694 0 l 556 0 l 556 417 l 139 417 l 139 0 l 0 0 l 0 833 l 139 833 l 139 556 l 556 556 l 556 833 l 694 833 z "},"Â":{"ha":833,"x_min":0,"x_max":694,"o":"m 139 972 l 556 972 l 556 833 l 139 833 l 139 972 m 694 833 l 694 0 l 556 0 l 556 417 l 139 417 l 139 0 l 0 0 l 0 833 l 139 833 l 139 556 l 556 556 l 556 833 l 694 833 z "},"Ä":{"ha":833,"x_min":0,"x_max":694,"o":"m 139 972 l 556 972 l 556 833 l 139 833 l 139 972 m 694 833 l 694 0 l 556 0 l 556 417 l 139 417 l 139 0 l 0 0 l 0 833 l 139 833 l 139 556 l 556 556 l 556 833 l 694 833 z "},"À":{"ha":833,"x_min":0,"x_max":694,"o":"m 139 972 l 556 972 l 556 833 l 139 833 l 139 972 m 694 833 l 694 0 l 556 0 l 556 417 l 139 417 l 139 0 l 0 0 l 0 833 l 139 833 l 139 556 l 556 556 l 556 833 l 694 833 z "},"Ā":{"ha":833,"x_min":0,"x_max":694,"o":"m 139 972 l 556 972 l 556 833 l 139 833 l 139 972 m 694 833 l 694 0 l 556 0 l 556 417 l 139 417 l 139 0 l 0 0 l 0 833 l 139 833 l 139 556 l 556 556 l 556 833 l 694 833 z "},"Ą":{"ha":833,"x_min":0,"x_max":833,"o":"m 139 972 l 556 972 l 556 833 l 139 833 l 139 972 m 556 0 l 556 417 l 139 417 l 139 0 l 0 0 l 0 833 l 139 833 l 139 556 l 556 556 l 556 833 l 694 833 l 694 0 l 556 0 m 556 0 l 556 -139 l 417 -139 l 417 0 l 556 0 m 833 -278 l 556 -278 l 556 -139 l 833 -139 l 833 -278 z "},"Å":{"ha":833,"x_min":0,"x_max":694,"o":"m 139 972 l 556 972 l 556 833 l 139 833 l 139 972 m 694 833 l 694 0 l 556 0 l 556 417 l 139 417 l 139 0 l 0 0 l 0 833 l 139 833 l 139 556 l 556 556 l 556 833 l 694 833 z "},"Ã":{"ha":833,"x_min":0,"x_max":694,"o":"m 139 972 l 556 972 l 556 833 l 139 833 l 139 972 m 694 833 l 694 0 l 556 0 l 556 417 l 139 417 l 139 0 l 0 0 l 0 833 l 139 833 l 139 556 l 556 556 l 556 833 l 694 833 z "},"Æ":{"ha":833,"x_min":0,"x_max":694,"o":"m 417 556 l 556 556 l 556 417 l 417 417 l 417 139 l 694 139 l 694 0 l 278 0 l 278 417 l 139 417 l 139 0 l 0 0 l 0 833 l 139 833 l 139 556 l 278 556 l 278 833 l 139 833 l 139 972 l 694 972 l 694 833 l 417 833 l 417 556 z "},"B":{"ha":833,"x_min":0,"x_max":694,"o":"m 556 417 l 139 417 l 139 139 l 556 139 l 556 0 l 0 0 l 0 972 l 556 972 l 556 833 l 139 833 l 139 556 l 556 556 l 556 417 m 694 833 l 694 556 l 556 556 l 556 833 l 694 833 m 556 417 l 694 417 l 694 139 l 556 139 l 556 417 z "},"C":{"ha":833,"x_min":0,"x_max":694,"o":"m 556 833 l 139 833 l 139 972 l 556 972 l 556 833 m 139 833 l 139 139 l 0 139 l 0 833 l 139 833 m 556 694 l 556 833 l 694 833 l 694 694 l 556 694 m 694 139 l 556 139 l 556 278 l 694 278 l 694 139 m 139 139 l 556 139 l 556 0 l 139 0 l 139 139 z "},"Ć":{"ha":833,"x_min":0,"x_max":694,"o":"m 556 833 l 139 833 l 139 972 l 556 972 l 556 833 m 139 833 l 139 139 l 0 139 l 0 833 l 139 833 m 556 694 l 556 833 l 694 833 l 694 694 l 556 694 m 694 139 l 556 139 l 556 278 l 694 278 l 694 139 m 139 139 l 556 139 l 556 0 l 139 0 l 139 139 z "},"Č":{"ha":833,"x_min":0,"x_max":694,"o":"m 556 833 l 139 833 l 139 972 l 556 972 l 556 833 m 139 833 l 139 139 l 0 139 l 0 833 l 139 833 m 556 694 l 556 833 l 694 833 l 694 694 l 556 694 m 694 139 l 556 139 l 556 278 l 694 278 l 694 139 m 139 139 l 556 139 l 556 0 l 139 0 l 139 139 z "},"Ç":{"ha":833,"x_min":0,"x_max":694,"o":"m 556 833 l 139 833 l 139 972 l 556 972 l 556 833 m 139 833 l 139 139 l 0 139 l 0 833 l 139 833 m 556 694 l 556 833 l 694 833 l 694 694 l 556 694 m 694 139 l 556 139 l 556 278 l 694 278 l 694 139 m 139 139 l 556 139 l 556 -139 l 417 -139 l 417 0 l 139 0 l 139 139 m 417 -139 l 417 -278 l 139 -278 l 139 -139 l 417 -139 z "},"Ċ":{"ha":833,"x_min":0,"x_max":694,"o":"m 556 833 l 139 833 l 139 972 l 556 972 l 556 833 m 139 833 l 139 139 l 0 139 l 0 833 l 139 833 m 556 694 l 556 833 l 694 833 l 694 694 l 556 694 m 694 139 l 556 139 l 556 278 l 694 278 l 694 139 m 139 139 l 556 139 l 556 0 l 139 0 l 139 139 z "},"D":{"ha":833,"x_min":0,"x_max":694,"o":"m 556 0 l 0 0 l 0 972 l 556 972 l 556 833 l 139 833 l 139 139 l 556 139 l 556 0 m 694 833 l 694 139 l 556 139 l 556 833 l 694 833 z "},"Ð":{"ha":833,"x_min":-139,"x_max":694,"o":"m 556 0 l 0 0 l 0 417 l -139 417 l -139 556 l 0 556 l 0 972 l 556 972 l 556 833 l 139 833 l 139 556 l 278 556 l 278 417 l 139 417 l 139 139 l 556 139 l 556 0 m 694 833 l 694 139 l 556 139 l 556 833 l 694 833 z "},"Ď":{"ha":833,"x_min":0,"x_max":694,"o":"m 556 0 l 0 0 l 0 972 l 556 972 l 556 833 l 139 833 l 139 139 l 556 139 l 556 0 m 694 833 l 694 139 l 556 139 l 556 833 l 694 833 z "},"Đ":{"ha":833,"x_min":-139,"x_max":694,"o":"m 556 0 l 0 0 l 0 417 l -139 417 l -139 556 l 0 556 l 0 972 l 556 972 l 556 833 l 139 833 l 139 556 l 278 556 l 278 417 l 139 417 l 139 139 l 556 139 l 556 0 m 694 833 l 694 139 l 556 139 l 556 833 l 694 833 z "},"E":{"ha":833,"x_min":0,"x_max":694,"o":"m 139 556 l 556 556 l 556 417 l 139 417 l 139 139 l 694 139 l 694 0 l 0 0 l 0 972 l 694 972 l 694 833 l 139 833 l 139 556 z "},"É":{"ha":833,"x_min":0,"x_max":694,"o":"m 139 556 l 556 556 l 556 417 l 139 417 l 139 139 l 694 139 l 694 0 l 0 0 l 0 972 l 694 972 l 694 833 l 139 833 l 139 556 z "},"Ě":{"ha":833,"x_min":0,"x_max":694,"o":"m 139 556 l 556 556 l 556 417 l 139 417 l 139 139 l 694 139 l 694 0 l 0 0 l 0 972 l 694 972 l 694 833 l 139 833 l 139 556 z "},"Ê":{"ha":833,"x_min":0,"x_max":694,"o":"m 139 556 l 556 556 l 556 417 l 139 417 l 139 139 l 694 139 l 694 0 l 0 0 l 0 972 l 694 972 l 694 833 l 139 833 l 139 556 z "},"Ë":{"ha":833,"x_min":0,"x_max":694,"o":"m 139 556 l 556 556 l 556 417 l 139 417 l 139 139 l 694 139 l 694 0 l 0 0 l 0 972 l 694 972 l 694 833 l 139 833 l 139 556 z "},"Ė":{"ha":833,"x_min":0,"x_max":694,"o":"m 139 556 l 556 556 l 556 417 l 139 417 l 139 139 l 694 139 l 694 0 l 0 0 l 0 972 l 694 972 l 694 833 l 139 833 l 139 556 z "},"È":{"ha":833,"x_min":0,"x_max":694,"o":"m 139 556 l 556 556 l 556 417 l 139 417 l 139 139 l 694 139 l 694 0 l 0 0 l 0 972 l 694 972 l 694 833 l 139 833 l 139 556 z "},"Ē":{"ha":833,"x_min":0,"x_max":694,"o":"m 139 556 l 556 556 l 556 417 l 139 417 l 139 139 l 694 139 l 694 0 l 0 0 l 0 972 l 694 972 l 694 833 l 139 833 l 139 556 z "},"Ę":{"ha":833,"x_min":0,"x_max":833,"o":"m 556 0 l 556 -139 l 417 -139 l 417 0 l 0 0 l 0 972 l 694 972 l 694 833 l 139 833 l 139 556 l 556 556 l 556 417 l 139 417 l 139 139 l 694 139 l 694 0 l 556 0 m 833 -278 l 556 -278 l 556 -139 l 833 -139 l 833 -278 z "},"F":{"ha":833,"x_min":0,"x_max":694,"o":"m 694 833 l 139 833 l 139 556 l 556 556 l 556 417 l 139 417 l 139 0 l 0 0 l 0 972 l 694 972 l 694 833 z "},"G":{"ha":833,"x_min":0,"x_max":694,"o":"m 556 833 l 139 833 l 139 972 l 556 972 l 556 833 m 139 833 l 139 139 l 0 139 l 0 833 l 139 833 m 556 694 l 556 833 l 694 833 l 694 694 l 556 694 m 556 139 l 556 417 l 417 417 l 417 556 l 694 556 l 694 139 l 556 139 m 139 139 l 556 139 l 556 0 l 139 0 l 139 139 z "},"Ğ":{"ha":833,"x_min":0,"x_max":694,"o":"m 556 833 l 139 833 l 139 972 l 556 972 l 556 833 m 139 833 l 139 139 l 0 139 l 0 833 l 139 833 m 556 694 l 556 833 l 694 833 l 694 694 l 556 694 m 556 139 l 556 417 l 417 417 l 417 556 l 694 556 l 694 139 l 556 139 m 139 139 l 556 139 l 556 0 l 139 0 l 139 139 z "},"Ģ":{"ha":833,"x_min":0,"x_max":694,"o":"m 556 833 l 139 833 l 139 972 l 556 972 l 556 833 m 139 833 l 139 139 l 0 139 l 0 833 l 139 833 m 556 694 l 556 833 l 694 833 l 694 694 l 556 694 m 556 139 l 556 417 l 417 417 l 417 556 l 694 556 l 694 139 l 556 139 m 139 139 l 556 139 l 556 0 l 139 0 l 139 139 z "},"Ġ":{"ha":833,"x_min":0,"x_max":694,"o":"m 556 833 l 139 833 l 139 972 l 556 972 l 556 833 m 139 833 l 139 139 l 0 139 l 0 833 l 139 833 m 556 694 l 556 833 l 694 833 l 694 694 l 556 694 m 556 139 l 556 417 l 417 417 l 417 556 l 694 556 l 694 139 l 556 139 m 139 139 l 556 139 l 556 0 l 139 0 l 139 139 z "},"H":{"ha":833,"x_min":0,"x_max":694,"o":"m 694 972 l 694 0 l 556 0 l 556 417 l 139 417 l 139 0 l 0 0 l 0 972 l 139 972 l 139 556 l 556 556 l 556 972 l 694 972 z "},"Ħ":{"ha":833,"x_min":-139,"x_max":833,"o":"m 833 833 l 833 694 l 694 694 l 694 0 l 556 0 l 556 417 l 139 417 l 139 0 l 0 0 l 0 694 l -139 694 l -139 833 l 0 833 l 0 972 l 139 972 l 139 833 l 556 833 l 556 972 l 694 972 l 694 833 l 833 833 m 556 694 l 139 694 l 139 556 l 556 556 l 556 694 z "},"I":{"ha":833,"x_min":139,"x_max":556,"o":"m 556 139 l 556 0 l 139 0 l 139 139 l 278 139 l 278 833 l 139 833 l 139 972 l 556 972 l 556 833 l 417 833 l 417 139 l 556 139 z "},"Ĳ":{"ha":833,"x_min":0,"x_max":694,"o":"m 0 0 l 0 139 l 139 139 l 139 833 l 0 833 l 0 972 l 417 972 l 417 833 l 278 833 l 278 139 l 417 139 l 417 0 l 0 0 m 694 972 l 694 -139 l 556 -139 l 556 972 l 694 972 m 556 -139 l 556 -278 l 278 -278 l 278 -139 l 556 -139 z "},"Í":{"ha":833,"x_min":139,"x_max":556,"o":"m 556 139 l 556 0 l 139 0 l 139 139 l 278 139 l 278 833 l 139 833 l 139 972 l 556 972 l 556 833 l 417 833 l 417 139 l 556 139 z "},"Î":{"ha":833,"x_min":139,"x_max":556,"o":"m 556 139 l 556 0 l 139 0 l 139 139 l 278 139 l 278 833 l 139 833 l 139 972 l 556 972 l 556 833 l 417 833 l 417 139 l 556 139 z "},"Ï":{"ha":833,"x_min":139,"x_max":556,"o":"m 556 139 l 556 0 l 139 0 l 139 139 l 278 139 l 278 833 l 139 833 l 139 972 l 556 972 l 556 833 l 417 833 l 417 139 l 556 139 z "},"İ":{"ha":833,"x_min":139,"x_max":556,"o":"m 556 139 l 556 0 l 139 0 l 139 139 l 278 139 l 278 833 l 139 833 l 139 972 l 556 972 l 556 833 l 417 833 l 417 139 l 556 139 z "},"Ì":{"ha":833,"x_min":139,"x_max":556,"o":"m 556 139 l 556 0 l 139 0 l 139 139 l 278 139 l 278 833 l 139 833 l 139 972 l 556 972 l 556 833 l 417 833 l 417 139 l 556 139 z "},"Ī":{"ha":833,"x_min":139,"x_max":556,"o":"m 556 139 l 556 0 l 139 0 l 139 139 l 278 139 l 278 833 l 139 833 l 139 972 l 556 972 l 556 833 l 417 833 l 417 139 l 556 139 z "},"Į":{"ha":833,"x_min":139,"x_max":694,"o":"m 417 0 l 417 -139 l 278 -139 l 278 0 l 139 0 l 139 139 l 278 139 l 278 833 l 139 833 l 139 972 l 556 972 l 556 833 l 417 833 l 417 139 l 556 139 l 556 0 l 417 0 m 694 -278 l 417 -278 l 417 -139 l 694 -139 l 694 -278 z "},"J":{"ha":833,"x_min":0,"x_max":694,"o":"m 694 972 l 694 139 l 556 139 l 556 972 l 694 972 m 139 139 l 0 139 l 0 417 l 139 417 l 139 139 m 556 0 l 139 0 l 139 139 l 556 139 l 556 0 z "},"K":{"ha":833,"x_min":0,"x_max":694,"o":"m 278 556 l 278 417 l 139 417 l 139 0 l 0 0 l 0 972 l 139 972 l 139 556 l 278 556 m 694 833 l 556 833 l 556 972 l 694 972 l 694 833 m 556 694 l 417 694 l 417 833 l 556 833 l 556 694 m 417 556 l 278 556 l 278 694 l 417 694 l 417 556 m 278 278 l 278 417 l 417 417 l 417 278 l 278 278 m 417 139 l 417 278 l 556 278 l 556 139 l 417 139 m 556 0 l 556 139 l 694 139 l 694 0 l 556 0 z "},"Ķ":{"ha":833,"x_min":0,"x_max":694,"o":"m 278 556 l 278 417 l 139 417 l 139 0 l 0 0 l 0 972 l 139 972 l 139 556 l 278 556 m 694 833 l 556 833 l 556 972 l 694 972 l 694 833 m 556 694 l 417 694 l 417 833 l 556 833 l 556 694 m 417 556 l 278 556 l 278 694 l 417 694 l 417 556 m 278 278 l 278 417 l 417 417 l 417 278 l 278 278 m 417 139 l 417 278 l 556 278 l 556 139 l 417 139 m 556 0 l 556 139 l 694 139 l 694 0 l 556 0 z "},"L":{"ha":833,"x_min":0,"x_max":694,"o":"m 694 0 l 0 0 l 0 972 l 139 972 l 139 139 l 694 139 l 694 0 z "},"Ĺ":{"ha":833,"x_min":0,"x_max":694,"o":"m 694 0 l 0 0 l 0 972 l 139 972 l 139 139 l 694 139 l 694 0 z "},"Ľ":{"ha":833,"x_min":0,"x_max":694,"o":"m 417 833 l 417 1111 l 556 1111 l 556 833 l 417 833 m 694 0 l 0 0 l 0 972 l 139 972 l 139 139 l 694 139 l 694 0 m 417 694 l 278 694 l 278 833 l 417 833 l 417 694 z "},"Ļ":{"ha":833,"x_min":0,"x_max":694,"o":"m 694 0 l 0 0 l 0 972 l 139 972 l 139 139 l 694 139 l 694 0 z "},"Ł":{"ha":833,"x_min":-139,"x_max":694,"o":"m 694 0 l 0 0 l 0 278 l -139 278 l -139 417 l 0 417 l 0 972 l 139 972 l 139 556 l 278 556 l 278 417 l 139 417 l 139 139 l 694 139 l 694 0 z "},"M":{"ha":833,"x_min":0,"x_max":694,"o":"m 278 833 l 278 694 l 139 694 l 139 0 l 0 0 l 0 972 l 139 972 l 139 833 l 278 833 m 694 972 l 694 0 l 556 0 l 556 694 l 417 694 l 417 833 l 556 833 l 556 972 l 694 972 m 278 694 l 417 694 l 417 556 l 278 556 l 278 694 z "},"N":{"ha":833,"x_min":0,"x_max":694,"o":"m 278 694 l 278 556 l 139 556 l 139 0 l 0 0 l 0 972 l 139 972 l 139 694 l 278 694 m 694 972 l 694 0 l 556 0 l 556 278 l 417 278 l 417 417 l 556 417 l 556 972 l 694 972 m 417 556 l 417 417 l 278 417 l 278 556 l 417 556 z "},"Ń":{"ha":833,"x_min":0,"x_max":694,"o":"m 278 694 l 278 556 l 139 556 l 139 0 l 0 0 l 0 972 l 139 972 l 139 694 l 278 694 m 694 972 l 694 0 l 556 0 l 556 278 l 417 278 l 417 417 l 556 417 l 556 972 l 694 972 m 417 556 l 417 417 l 278 417 l 278 556 l 417 556 z "},"Ň":{"ha":833,"x_min":0,"x_max":694,"o":"m 278 694 l 278 556 l 139 556 l 139 0 l 0 0 l 0 972 l 139 972 l 139 694 l 278 694 m 694 972 l 694 0 l 556 0 l 556 278 l 417 278 l 417 417 l 556 417 l 556 972 l 694 972 m 417 556 l 417 417 l 278 417 l 278 556 l 417 556 z "},"Ņ":{"ha":833,"x_min":0,"x_max":694,"o":"m 278 694 l 278 556 l 139 556 l 139 0 l 0 0 l 0 972 l 139 972 l 139 694 l 278 694 m 694 972 l 694 0 l 556 0 l 556 278 l 417 278 l 417 417 l 556 417 l 556 972 l 694 972 m 417 556 l 417 417 l 278 417 l 278 556 l 417 556 z "},"Ŋ":{"ha":833,"x_min":0,"x_max":694,"o":"m 278 694 l 278 556 l 139 556 l 139 0 l 0 0 l 0 972 l 139 972 l 139 694 l 278 694 m 694 972 l 694 -139 l 556 -139 l 556 278 l 417 278 l 417 417 l 556 417 l 556 972 l 694 972 m 417 556 l 417 417 l 278 417 l 278 556 l 417 556 m 556 -139 l 556 -278 l 278 -278 l 278 -139 l 556 -139 z "},"Ñ":{"ha":833,"x_min":0,"x_max":694,"o":"m 278 694 l 278 556 l 139 556 l 139 0 l 0 0 l 0 972 l 139 972 l 139 694 l 278 694 m 694 972 l 694 0 l 556 0 l 556 278 l 417 278 l 417 417 l 556 417 l 556 972 l 694 972 m 417 556 l 417 417 l 278 417 l 278 556 l 417 556 z "},"O":{"ha":833,"x_min":0,"x_max":694,"o":"m 139 972 l 556 972 l 556 833 l 139 833 l 139 972 m 0 139 l 0 833 l 139 833 l 139 139 l 0 139 m 694 833 l 694 139 l 556 139 l 556 833 l 694 833 m 556 0 l 139 0 l 139 139 l 556 139 l 556 0 z "},"Ó":{"ha":833,"x_min":0,"x_max":694,"o":"m 139 972 l 556 972 l 556 833 l 139 833 l 139 972 m 0 139 l 0 833 l 139 833 l 139 139 l 0 139 m 694 833 l 694 139 l 556 139 l 556 833 l 694 833 m 556 0 l 139 0 l 139 139 l 556 139 l 556 0 z "},"Ô":{"ha":833,"x_min":0,"x_max":694,"o":"m 139 972 l 556 972 l 556 833 l 139 833 l 139 972 m 0 139 l 0 833 l 139 833 l 139 139 l 0 139 m 694 833 l 694 139 l 556 139 l 556 833 l 694 833 m 556 0 l 139 0 l 139 139 l 556 139 l 556 0 z "},"Ö":{"ha":833,"x_min":0,"x_max":694,"o":"m 139 972 l 556 972 l 556 833 l 139 833 l 139 972 m 0 139 l 0 833 l 139 833 l 139 139 l 0 139 m 694 833 l 694 139 l 556 139 l 556 833 l 694 833 m 556 0 l 139 0 l 139 139 l 556 139 l 556 0 z "},"Ò":{"ha":833,"x_min":0,"x_max":694,"o":"m 139 972 l 556 972 l 556 833 l 139 833 l 139 972 m 0 139 l 0 833 l 139 833 l 139 139 l 0 139 m 694 833 l 694 139 l 556 139 l 556 833 l 694 833 m 556 0 l 139 0 l 139 139 l 556 139 l 556 0 z "},"Ő":{"ha":833,"x_min":0,"x_max":694,"o":"m 139 972 l 556 972 l 556 833 l 139 833 l 139 972 m 0 139 l 0 833 l 139 833 l 139 139 l 0 139 m 694 833 l 694 139 l 556 139 l 556 833 l 694 833 m 556 0 l 139 0 l 139 139 l 556 139 l 556 0 z "},"Ō":{"ha":833,"x_min":0,"x_max":694,"o":"m 139 972 l 556 972 l 556 833 l 139 833 l 139 972 m 0 139 l 0 833 l 139 833 l 139 139 l 0 139 m 694 833 l 694 139 l 556 139 l 556 833 l 694 833 m 556 0 l 139 0 l 139 139 l 556 139 l 556 0 z "},"Ø":{"ha":833,"x_min":-139,"x_max":833,"o":"m 139 972 l 556 972 l 556 833 l 139 833 l 139 972 m 833 972 l 833 833 l 694 833 l 694 972 l 833 972 m 139 278 l 139 139 l 0 139 l 0 833 l 139 833 l 139 417 l 278 417 l 278 278 l 139 278 m 556 833 l 694 833 l 694 139 l 556 139 l 556 556 l 417 556 l 417 694 l 556 694 l 556 833 m 278 556 l 417 556 l 417 417 l 278 417 l 278 556 m -139 139 l 0 139 l 0 0 l -139 0 l -139 139 m 556 0 l 139 0 l 139 139 l 556 139 l 556 0 z "},"Õ":{"ha":833,"x_min":0,"x_max":694,"o":"m 139 972 l 556 972 l 556 833 l 139 833 l 139 972 m 0 139 l 0 833 l 139 833 l 139 139 l 0 139 m 694 833 l 694 139 l 556 139 l 556 833 l 694 833 m 556 0 l 139 0 l 139 139 l 556 139 l 556 0 z "},"Œ":{"ha":833,"x_min":0,"x_max":694,"o":"m 417 556 l 556 556 l 556 417 l 417 417 l 417 139 l 694 139 l 694 0 l 139 0 l 139 139 l 278 139 l 278 833 l 139 833 l 139 972 l 694 972 l 694 833 l 417 833 l 417 556 m 0 139 l 0 833 l 139 833 l 139 139 l 0 139 z "},"P":{"ha":833,"x_min":0,"x_max":694,"o":"m 556 417 l 139 417 l 139 0 l 0 0 l 0 972 l 556 972 l 556 833 l 139 833 l 139 556 l 556 556 l 556 417 m 694 833 l 694 556 l 556 556 l 556 833 l 694 833 z "},"Þ":{"ha":833,"x_min":0,"x_max":694,"o":"m 556 139 l 139 139 l 139 0 l 0 0 l 0 972 l 139 972 l 139 833 l 556 833 l 556 694 l 139 694 l 139 278 l 556 278 l 556 139 m 694 694 l 694 278 l 556 278 l 556 694 l 694 694 z "},"Q":{"ha":833,"x_min":0,"x_max":694,"o":"m 139 972 l 556 972 l 556 833 l 139 833 l 139 972 m 0 139 l 0 833 l 139 833 l 139 139 l 0 139 m 694 833 l 694 139 l 556 139 l 556 833 l 694 833 m 556 0 l 694 0 l 694 -139 l 417 -139 l 417 0 l 139 0 l 139 139 l 556 139 l 556 0 z "},"R":{"ha":833,"x_min":0,"x_max":694,"o":"m 556 417 l 139 417 l 139 0 l 0 0 l 0 972 l 556 972 l 556 833 l 139 833 l 139 556 l 556 556 l 556 417 m 694 833 l 694 556 l 556 556 l 556 833 l 694 833 m 694 417 l 694 0 l 556 0 l 556 417 l 694 417 z "},"Ŕ":{"ha":833,"x_min":0,"x_max":694,"o":"m 556 417 l 139 417 l 139 0 l 0 0 l 0 972 l 556 972 l 556 833 l 139 833 l 139 556 l 556 556 l 556 417 m 694 833 l 694 556 l 556 556 l 556 833 l 694 833 m 694 417 l 694 0 l 556 0 l 556 417 l 694 417 z "},"Ř":{"ha":833,"x_min":0,"x_max":694,"o":"m 556 417 l 139 417 l 139 0 l 0 0 l 0 972 l 556 972 l 556 833 l 139 833 l 139 556 l 556 556 l 556 417 m 694 833 l 694 556 l 556 556 l 556 833 l 694 833 m 694 417 l 694 0 l 556 0 l 556 417 l 694 417 z "},"Ŗ":{"ha":833,"x_min":0,"x_max":694,"o":"m 556 417 l 139 417 l 139 0 l 0 0 l 0 972 l 556 972 l 556 833 l 139 833 l 139 556 l 556 556 l 556 417 m 694 833 l 694 556 l 556 556 l 556 833 l 694 833 m 694 417 l 694 0 l 556 0 l 556 417 l 694 417 z "},"S":{"ha":833,"x_min":0,"x_max":694,"o":"m 556 833 l 139 833 l 139 972 l 556 972 l 556 833 m 139 833 l 139 556 l 0 556 l 0 833 l 139 833 m 556 694 l 556 833 l 694 833 l 694 694 l 556 694 m 139 556 l 556 556 l 556 417 l 139 417 l 139 556 m 556 417 l 694 417 l 694 139 l 556 139 l 556 417 m 139 278 l 139 139 l 0 139 l 0 278 l 139 278 m 556 0 l 139 0 l 139 139 l 556 139 l 556 0 z "},"Ś":{"ha":833,"x_min":0,"x_max":694,"o":"m 556 833 l 139 833 l 139 972 l 556 972 l 556 833 m 139 833 l 139 556 l 0 556 l 0 833 l 139 833 m 556 694 l 556 833 l 694 833 l 694 694 l 556 694 m 139 556 l 556 556 l 556 417 l 139 417 l 139 556 m 556 417 l 694 417 l 694 139 l 556 139 l 556 417 m 139 278 l 139 139 l 0 139 l 0 278 l 139 278 m 556 0 l 139 0 l 139 139 l 556 139 l 556 0 z "},"Š":{"ha":833,"x_min":0,"x_max":694,"o":"m 556 833 l 139 833 l 139 972 l 556 972 l 556 833 m 139 833 l 139 556 l 0 556 l 0 833 l 139 833 m 556 694 l 556 833 l 694 833 l 694 694 l 556 694 m 139 556 l 556 556 l 556 417 l 139 417 l 139 556 m 556 417 l 694 417 l 694 139 l 556 139 l 556 417 m 139 278 l 139 139 l 0 139 l 0 278 l 139 278 m 556 0 l 139 0 l 139 139 l 556 139 l 556 0 z "},"Ş":{"ha":833,"x_min":0,"x_max":694,"o":"m 556 833 l 139 833 l 139 972 l 556 972 l 556 833 m 139 833 l 139 556 l 0 556 l 0 833 l 139 833 m 556 694 l 556 833 l 694 833 l 694 694 l 556 694 m 139 556 l 556 556 l 556 417 l 139 417 l 139 556 m 556 417 l 694 417 l 694 139 l 556 139 l 556 417 m 139 278 l 139 139 l 0 139 l 0 278 l 139 278 m 556 -139 l 417 -139 l 417 0 l 139 0 l 139 139 l 556 139 l 556 -139 m 417 -139 l 417 -278 l 139 -278 l 139 -139 l 417 -139 z "},"Ș":{"ha":833,"x_min":0,"x_max":694,"o":"m 556 833 l 139 833 l 139 972 l 556 972 l 556 833 m 139 833 l 139 556 l 0 556 l 0 833 l 139 833 m 556 694 l 556 833 l 694 833 l 694 694 l 556 694 m 139 556 l 556 556 l 556 417 l 139 417 l 139 556 m 556 417 l 694 417 l 694 139 l 556 139 l 556 417 m 139 278 l 139 139 l 0 139 l 0 278 l 139 278 m 556 0 l 139 0 l 139 139 l 556 139 l 556 0 z "},"ẞ":{"ha":833,"x_min":0,"x_max":694,"o":"m 556 833 l 139 833 l 139 972 l 556 972 l 556 833 m 139 833 l 139 0 l 0 0 l 0 833 l 139 833 m 694 694 l 556 694 l 556 833 l 694 833 l 694 694 m 556 417 l 417 417 l 417 694 l 556 694 l 556 417 m 556 417 l 694 417 l 694 139 l 556 139 l 556 417 m 556 139 l 556 0 l 278 0 l 278 139 l 556 139 z "},"T":{"ha":833,"x_min":0,"x_max":694,"o":"m 694 833 l 417 833 l 417 0 l 278 0 l 278 833 l 0 833 l 0 972 l 694 972 l 694 833 z "},"Ŧ":{"ha":833,"x_min":0,"x_max":694,"o":"m 694 833 l 417 833 l 417 556 l 556 556 l 556 417 l 417 417 l 417 0 l 278 0 l 278 417 l 139 417 l 139 556 l 278 556 l 278 833 l 0 833 l 0 972 l 694 972 l 694 833 z "},"Ť":{"ha":833,"x_min":0,"x_max":694,"o":"m 694 833 l 417 833 l 417 0 l 278 0 l 278 833 l 0 833 l 0 972 l 694 972 l 694 833 z "},"Ţ":{"ha":833,"x_min":0,"x_max":694,"o":"m 694 833 l 417 833 l 417 0 l 278 0 l 278 833 l 0 833 l 0 972 l 694 972 l 694 833 m 417 -139 l 417 0 l 556 0 l 556 -139 l 417 -139 m 417 -139 l 417 -278 l 139 -278 l 139 -139 l 417 -139 z "},"Ț":{"ha":833,"x_min":0,"x_max":694,"o":"m 694 833 l 417 833 l 417 0 l 278 0 l 278 833 l 0 833 l 0 972 l 694 972 l 694 833 z "},"U":{"ha":833,"x_min":0,"x_max":694,"o":"m 0 139 l 0 972 l 139 972 l 139 139 l 0 139 m 694 972 l 694 0 l 139 0 l 139 139 l 556 139 l 556 972 l 694 972 z "},"Ú":{"ha":833,"x_min":0,"x_max":694,"o":"m 0 139 l 0 972 l 139 972 l 139 139 l 0 139 m 694 972 l 694 0 l 139 0 l 139 139 l 556 139 l 556 972 l 694 972 z "},"Û":{"ha":833,"x_min":0,"x_max":694,"o":"m 0 139 l 0 972 l 139 972 l 139 139 l 0 139 m 694 972 l 694 0 l 139 0 l 139 139 l 556 139 l 556 972 l 694 972 z "},"Ü":{"ha":833,"x_min":0,"x_max":694,"o":"m 0 139 l 0 972 l 139 972 l 139 139 l 0 139 m 694 972 l 694 0 l 139 0 l 139 139 l 556 139 l 556 972 l 694 972 z "},"Ù":{"ha":833,"x_min":0,"x_max":694,"o":"m 0 139 l 0 972 l 139 972 l 139 139 l 0 139 m 694 972 l 694 0 l 139 0 l 139 139 l 556 139 l 556 972 l 694 972 z "},"Ű":{"ha":833,"x_min":0,"x_max":694,"o":"m 0 139 l 0 972 l 139 972 l 139 139 l 0 139 m 694 972 l 694 0 l 139 0 l 139 139 l 556 139 l 556 972 l 694 972 z "},"Ū":{"ha":833,"x_min":0,"x_max":694,"o":"m 0 139 l 0 972 l 139 972 l 139 139 l 0 139 m 694 972 l 694 0 l 139 0 l 139 139 l 556 139 l 556 972 l 694 972 z "},"Ų":{"ha":833,"x_min":0,"x_max":833,"o":"m 0 139 l 0 972 l 139 972 l 139 139 l 0 139 m 556 0 l 556 -139 l 417 -139 l 417 0 l 139 0 l 139 139 l 556 139 l 556 972 l 694 972 l 694 0 l 556 0 m 833 -278 l 556 -278 l 556 -139 l 833 -139 l 833 -278 z "},"Ů":{"ha":833,"x_min":0,"x_max":694,"o":"m 0 139 l 0 972 l 139 972 l 139 139 l 0 139 m 694 972 l 694 0 l 139 0 l 139 139 l 556 139 l 556 972 l 694 972 z "},"V":{"ha":833,"x_min":0,"x_max":694,"o":"m 0 556 l 0 972 l 139 972 l 139 556 l 0 556 m 694 972 l 694 556 l 556 556 l 556 972 l 694 972 m 278 278 l 139 278 l 139 556 l 278 556 l 278 278 m 556 556 l 556 278 l 417 278 l 417 556 l 556 556 m 417 278 l 417 0 l 278 0 l 278 278 l 417 278 z "},"W":{"ha":833,"x_min":0,"x_max":694,"o":"m 278 278 l 278 139 l 139 139 l 139 0 l 0 0 l 0 972 l 139 972 l 139 278 l 278 278 m 694 972 l 694 0 l 556 0 l 556 139 l 417 139 l 417 278 l 556 278 l 556 972 l 694 972 m 417 417 l 417 278 l 278 278 l 278 417 l 417 417 z "},"Ẃ":{"ha":833,"x_min":0,"x_max":694,"o":"m 278 278 l 278 139 l 139 139 l 139 0 l 0 0 l 0 972 l 139 972 l 139 278 l 278 278 m 694 972 l 694 0 l 556 0 l 556 139 l 417 139 l 417 278 l 556 278 l 556 972 l 694 972 m 417 417 l 417 278 l 278 278 l 278 417 l 417 417 z "},"Ŵ":{"ha":833,"x_min":0,"x_max":694,"o":"m 278 278 l 278 139 l 139 139 l 139 0 l 0 0 l 0 972 l 139 972 l 139 278 l 278 278 m 694 972 l 694 0 l 556 0 l 556 139 l 417 139 l 417 278 l 556 278 l 556 972 l 694 972 m 417 417 l 417 278 l 278 278 l 278 417 l 417 417 z "},"Ẅ":{"ha":833,"x_min":0,"x_max":694,"o":"m 278 278 l 278 139 l 139 139 l 139 0 l 0 0 l 0 972 l 139 972 l 139 278 l 278 278 m 694 972 l 694 0 l 556 0 l 556 139 l 417 139 l 417 278 l 556 278 l 556 972 l 694 972 m 417 417 l 417 278 l 278 278 l 278 417 l 417 417 z "},"Ẁ":{"ha":833,"x_min":0,"x_max":694,"o":"m 278 278 l 278 139 l 139 139 l 139 0 l 0 0 l 0 972 l 139 972 l 139 278 l 278 278 m 694 972 l 694 0 l 556 0 l 556 139 l 417 139 l 417 278 l 556 278 l 556 972 l 694 972 m 417 417 l 417 278 l 278 278 l 278 417 l 417 417 z "},"X":{"ha":833,"x_min":0,"x_max":694,"o":"m 139 694 l 0 694 l 0 972 l 139 972 l 139 694 m 694 972 l 694 694 l 556 694 l 556 972 l 694 972 m 278 694 l 278 556 l 139 556 l 139 694 l 278 694 m 417 694 l 556 694 l 556 556 l 417 556 l 417 694 m 278 556 l 417 556 l 417 417 l 278 417 l 278 556 m 139 417 l 278 417 l 278 278 l 139 278 l 139 417 m 417 278 l 417 417 l 556 417 l 556 278 l 417 278 m 139 278 l 139 0 l 0 0 l 0 278 l 139 278 m 556 278 l 694 278 l 694 0 l 556 0 l 556 278 z "},"Y":{"ha":833,"x_min":0,"x_max":694,"o":"m 0 556 l 0 972 l 139 972 l 139 556 l 0 556 m 694 972 l 694 556 l 556 556 l 556 972 l 694 972 m 278 556 l 278 417 l 139 417 l 139 556 l 278 556 m 417 556 l 556 556 l 556 417 l 417 417 l 417 556 m 417 417 l 417 0 l 278 0 l 278 417 l 417 417 z "},"Ý":{"ha":833,"x_min":0,"x_max":694,"o":"m 0 556 l 0 972 l 139 972 l 139 556 l 0 556 m 694 972 l 694 556 l 556 556 l 556 972 l 694 972 m 278 556 l 278 417 l 139 417 l 139 556 l 278 556 m 417 556 l 556 556 l 556 417 l 417 417 l 417 556 m 417 417 l 417 0 l 278 0 l 278 417 l 417 417 z "},"Ŷ":{"ha":833,"x_min":0,"x_max":694,"o":"m 0 556 l 0 972 l 139 972 l 139 556 l 0 556 m 694 972 l 694 556 l 556 556 l 556 972 l 694 972 m 278 556 l 278 417 l 139 417 l 139 556 l 278 556 m 417 556 l 556 556 l 556 417 l 417 417 l 417 556 m 417 417 l 417 0 l 278 0 l 278 417 l 417 417 z "},"Ÿ":{"ha":833,"x_min":0,"x_max":694,"o":"m 0 556 l 0 972 l 139 972 l 139 556 l 0 556 m 694 972 l 694 556 l 556 556 l 556 972 l 694 972 m 278 556 l 278 417 l 139 417 l 139 556 l 278 556 m 417 556 l 556 556 l 556 417 l 417 417 l 417 556 m 417 417 l 417 0 l 278 0 l 278 417 l 417 417 z "},"Ỳ":{"ha":833,"x_min":0,"x_max":694,"o":"m 0 556 l 0 972 l 139 972 l 139 556 l 0 556 m 694 972 l 694 556 l 556 556 l 556 972 l 694 972 m 278 556 l 278 417 l 139 417 l 139 556 l 278 556 m 417 556 l 556 556 l 556 417 l 417 417 l 417 556 m 417 417 l 417 0 l 278 0 l 278 417 l 417 417 z "},"Z":{"ha":833,"x_min":0,"x_max":694,"o":"m 694 694 l 556 694 l 556 833 l 0 833 l 0 972 l 694 972 l 694 694 m 417 694 l 556 694 l 556 556 l 417 556 l 417 694 m 278 556 l 417 556 l 417 417 l 278 417 l 278 556 m 139 417 l 278 417 l 278 278 l 139 278 l 139 417 m 139 278 l 139 139 l 694 139 l 694 0 l 0 0 l 0 278 l 139 278 z "},"Ź":{"ha":833,"x_min":0,"x_max":694,"o":"m 694 694 l 556 694 l 556 833 l 0 833 l 0 972 l 694 972 l 694 694 m 417 694 l 556 694 l 556 556 l 417 556 l 417 694 m 278 556 l 417 556 l 417 417 l 278 417 l 278 556 m 139 417 l 278 417 l 278 278 l 139 278 l 139 417 m 139 278 l 139 139 l 694 139 l 694 0 l 0 0 l 0 278 l 139 278 z "},"Ž":{"ha":833,"x_min":0,"x_max":694,"o":"m 694 694 l 556 694 l 556 833 l 0 833 l 0 972 l 694 972 l 694 694 m 417 694 l 556 694 l 556 556 l 417 556 l 417 694 m 278 556 l 417 556 l 417 417 l 278 417 l 278 556 m 139 417 l 278 417 l 278 278 l 139 278 l 139 417 m 139 278 l 139 139 l 694 139 l 694 0 l 0 0 l 0 278 l 139 278 z "},"Ż":{"ha":833,"x_min":0,"x_max":694,"o":"m 694 694 l 556 694 l 556 833 l 0 833 l 0 972 l 694 972 l 694 694 m 417 694 l 556 694 l 556 556 l 417 556 l 417 694 m 278 556 l 417 556 l 417 417 l 278 417 l 278 556 m 139 417 l 278 417 l 278 278 l 139 278 l 139 417 m 139 278 l 139 139 l 694 139 l 694 0 l 0 0 l 0 278 l 139 278 z "},"a":{"ha":833,"x_min":0,"x_max":694,"o":"m 694 0 l 139 0 l 139 139 l 556 139 l 556 556 l 139 556 l 139 694 l 694 694 l 694 0 m 0 139 l 0 556 l 139 556 l 139 139 l 0 139 z "},"á":{"ha":833,"x_min":0,"x_max":694,"o":"m 694 0 l 139 0 l 139 139 l 556 139 l 556 556 l 139 556 l 139 694 l 694 694 l 694 0 m 0 139 l 0 556 l 139 556 l 139 139 l 0 139 m 417 1111 l 556 1111 l 556 972 l 417 972 l 417 1111 m 278 972 l 417 972 l 417 833 l 278 833 l 278 972 z "},"ă":{"ha":833,"x_min":0,"x_max":694,"o":"m 694 0 l 139 0 l 139 139 l 556 139 l 556 556 l 139 556 l 139 694 l 694 694 l 694 0 m 0 139 l 0 556 l 139 556 l 139 139 l 0 139 m 278 1111 l 278 972 l 139 972 l 139 1111 l 278 1111 m 694 1111 l 694 972 l 556 972 l 556 1111 l 694 1111 m 556 972 l 556 833 l 278 833 l 278 972 l 556 972 z "},"â":{"ha":833,"x_min":0,"x_max":694,"o":"m 694 0 l 139 0 l 139 139 l 556 139 l 556 556 l 139 556 l 139 694 l 694 694 l 694 0 m 0 139 l 0 556 l 139 556 l 139 139 l 0 139 m 278 1111 l 417 1111 l 417 972 l 278 972 l 278 1111 m 139 972 l 278 972 l 278 833 l 139 833 l 139 972 m 417 972 l 556 972 l 556 833 l 417 833 l 417 972 z "},"ä":{"ha":833,"x_min":0,"x_max":694,"o":"m 694 0 l 139 0 l 139 139 l 556 139 l 556 556 l 139 556 l 139 694 l 694 694 l 694 0 m 0 139 l 0 556 l 139 556 l 139 139 l 0 139 m 139 972 l 278 972 l 278 833 l 139 833 l 139 972 m 417 972 l 556 972 l 556 833 l 417 833 l 417 972 z "},"à":{"ha":833,"x_min":0,"x_max":694,"o":"m 694 0 l 139 0 l 139 139 l 556 139 l 556 556 l 139 556 l 139 694 l 694 694 l 694 0 m 0 139 l 0 556 l 139 556 l 139 139 l 0 139 m 139 1111 l 278 1111 l 278 972 l 139 972 l 139 1111 m 278 972 l 417 972 l 417 833 l 278 833 l 278 972 z "},"ā":{"ha":833,"x_min":0,"x_max":694,"o":"m 694 0 l 139 0 l 139 139 l 556 139 l 556 556 l 139 556 l 139 694 l 694 694 l 694 0 m 0 139 l 0 556 l 139 556 l 139 139 l 0 139 m 556 833 l 139 833 l 139 972 l 556 972 l 556 833 z "},"ą":{"ha":833,"x_min":0,"x_max":833,"o":"m 556 0 l 556 -139 l 417 -139 l 417 0 l 139 0 l 139 139 l 556 139 l 556 556 l 139 556 l 139 694 l 694 694 l 694 0 l 556 0 m 0 139 l 0 556 l 139 556 l 139 139 l 0 139 m 833 -278 l 556 -278 l 556 -139 l 833 -139 l 833 -278 z "},"å":{"ha":833,"x_min":0,"x_max":694,"o":"m 694 0 l 139 0 l 139 139 l 556 139 l 556 556 l 139 556 l 139 694 l 694 694 l 694 0 m 0 139 l 0 556 l 139 556 l 139 139 l 0 139 m 278 1250 l 417 1250 l 417 1111 l 278 1111 l 278 1250 m 139 1111 l 278 1111 l 278 972 l 139 972 l 139 1111 m 417 1111 l 556 1111 l 556 972 l 417 972 l 417 1111 m 278 972 l 417 972 l 417 833 l 278 833 l 278 972 z "},"ã":{"ha":833,"x_min":0,"x_max":694,"o":"m 694 0 l 139 0 l 139 139 l 556 139 l 556 556 l 139 556 l 139 694 l 694 694 l 694 0 m 0 139 l 0 556 l 139 556 l 139 139 l 0 139 m 139 1111 l 347 1111 l 347 972 l 139 972 l 139 1111 m 556 1111 l 694 1111 l 694 972 l 556 972 l 556 1111 m 0 972 l 139 972 l 139 833 l 0 833 l 0 972 m 347 972 l 556 972 l 556 833 l 347 833 l 347 972 z "},"æ":{"ha":833,"x_min":0,"x_max":694,"o":"m 278 556 l 0 556 l 0 694 l 278 694 l 278 556 m 556 556 l 417 556 l 417 694 l 556 694 l 556 556 m 694 556 l 694 278 l 417 278 l 417 139 l 278 139 l 278 278 l 139 278 l 139 139 l 0 139 l 0 417 l 278 417 l 278 556 l 417 556 l 417 417 l 556 417 l 556 556 l 694 556 m 139 139 l 278 139 l 278 0 l 139 0 l 139 139 m 417 139 l 694 139 l 694 0 l 417 0 l 417 139 z "},"b":{"ha":833,"x_min":0,"x_max":694,"o":"m 556 0 l 0 0 l 0 972 l 139 972 l 139 694 l 556 694 l 556 556 l 139 556 l 139 139 l 556 139 l 556 0 m 694 556 l 694 139 l 556 139 l 556 556 l 694 556 z "},"c":{"ha":833,"x_min":0,"x_max":694,"o":"m 556 556 l 139 556 l 139 694 l 556 694 l 556 556 m 139 556 l 139 139 l 0 139 l 0 556 l 139 556 m 556 417 l 556 556 l 694 556 l 694 417 l 556 417 m 694 139 l 556 139 l 556 278 l 694 278 l 694 139 m 139 139 l 556 139 l 556 0 l 139 0 l 139 139 z "},"ć":{"ha":833,"x_min":0,"x_max":694,"o":"m 556 556 l 139 556 l 139 694 l 556 694 l 556 556 m 139 556 l 139 139 l 0 139 l 0 556 l 139 556 m 556 417 l 556 556 l 694 556 l 694 417 l 556 417 m 694 139 l 556 139 l 556 278 l 694 278 l 694 139 m 139 139 l 556 139 l 556 0 l 139 0 l 139 139 m 417 1111 l 556 1111 l 556 972 l 417 972 l 417 1111 m 278 972 l 417 972 l 417 833 l 278 833 l 278 972 z "},"č":{"ha":833,"x_min":0,"x_max":694,"o":"m 556 556 l 139 556 l 139 694 l 556 694 l 556 556 m 139 556 l 139 139 l 0 139 l 0 556 l 139 556 m 556 417 l 556 556 l 694 556 l 694 417 l 556 417 m 694 139 l 556 139 l 556 278 l 694 278 l 694 139 m 139 139 l 556 139 l 556 0 l 139 0 l 139 139 m 139 1111 l 278 1111 l 278 972 l 139 972 l 139 1111 m 417 1111 l 556 1111 l 556 972 l 417 972 l 417 1111 m 278 972 l 417 972 l 417 833 l 278 833 l 278 972 z "},"ç":{"ha":833,"x_min":0,"x_max":694,"o":"m 556 556 l 139 556 l 139 694 l 556 694 l 556 556 m 139 556 l 139 139 l 0 139 l 0 556 l 139 556 m 556 417 l 556 556 l 694 556 l 694 417 l 556 417 m 694 139 l 556 139 l 556 278 l 694 278 l 694 139 m 139 139 l 556 139 l 556 -139 l 417 -139 l 417 0 l 139 0 l 139 139 m 417 -139 l 417 -278 l 139 -278 l 139 -139 l 417 -139 z "},"ċ":{"ha":833,"x_min":0,"x_max":694,"o":"m 556 556 l 139 556 l 139 694 l 556 694 l 556 556 m 139 556 l 139 139 l 0 139 l 0 556 l 139 556 m 556 417 l 556 556 l 694 556 l 694 417 l 556 417 m 694 139 l 556 139 l 556 278 l 694 278 l 694 139 m 139 139 l 556 139 l 556 0 l 139 0 l 139 139 m 278 972 l 417 972 l 417 833 l 278 833 l 278 972 z "},"d":{"ha":833,"x_min":0,"x_max":694,"o":"m 694 972 l 694 0 l 139 0 l 139 139 l 556 139 l 556 556 l 139 556 l 139 694 l 556 694 l 556 972 l 694 972 m 0 139 l 0 556 l 139 556 l 139 139 l 0 139 z "},"ð":{"ha":833,"x_min":0,"x_max":833,"o":"m 833 694 l 694 694 l 694 139 l 556 139 l 556 417 l 139 417 l 139 556 l 556 556 l 556 694 l 278 694 l 278 833 l 417 833 l 417 972 l 556 972 l 556 833 l 833 833 l 833 694 m 139 139 l 0 139 l 0 417 l 139 417 l 139 139 m 556 0 l 139 0 l 139 139 l 556 139 l 556 0 z "},"ď":{"ha":833,"x_min":0,"x_max":764,"o":"m 764 1111 l 764 833 l 625 833 l 625 1111 l 764 1111 m 556 972 l 556 0 l 139 0 l 139 139 l 417 139 l 417 556 l 139 556 l 139 694 l 417 694 l 417 972 l 556 972 m 0 139 l 0 556 l 139 556 l 139 139 l 0 139 z "},"đ":{"ha":833,"x_min":0,"x_max":833,"o":"m 833 833 l 833 694 l 694 694 l 694 0 l 139 0 l 139 139 l 556 139 l 556 417 l 139 417 l 139 556 l 556 556 l 556 694 l 278 694 l 278 833 l 556 833 l 556 972 l 694 972 l 694 833 l 833 833 m 139 139 l 0 139 l 0 417 l 139 417 l 139 139 z "},"e":{"ha":833,"x_min":0,"x_max":694,"o":"m 139 694 l 556 694 l 556 556 l 139 556 l 139 694 m 694 556 l 694 278 l 139 278 l 139 139 l 0 139 l 0 556 l 139 556 l 139 417 l 556 417 l 556 556 l 694 556 m 139 139 l 556 139 l 556 0 l 139 0 l 139 139 z "},"é":{"ha":833,"x_min":0,"x_max":694,"o":"m 139 694 l 556 694 l 556 556 l 139 556 l 139 694 m 694 556 l 694 278 l 139 278 l 139 139 l 0 139 l 0 556 l 139 556 l 139 417 l 556 417 l 556 556 l 694 556 m 139 139 l 556 139 l 556 0 l 139 0 l 139 139 m 417 1111 l 556 1111 l 556 972 l 417 972 l 417 1111 m 278 972 l 417 972 l 417 833 l 278 833 l 278 972 z "},"ě":{"ha":833,"x_min":0,"x_max":694,"o":"m 139 694 l 556 694 l 556 556 l 139 556 l 139 694 m 694 556 l 694 278 l 139 278 l 139 139 l 0 139 l 0 556 l 139 556 l 139 417 l 556 417 l 556 556 l 694 556 m 139 139 l 556 139 l 556 0 l 139 0 l 139 139 m 139 1111 l 278 1111 l 278 972 l 139 972 l 139 1111 m 417 1111 l 556 1111 l 556 972 l 417 972 l 417 1111 m 278 972 l 417 972 l 417 833 l 278 833 l 278 972 z "},"ê":{"ha":833,"x_min":0,"x_max":694,"o":"m 139 694 l 556 694 l 556 556 l 139 556 l 139 694 m 694 556 l 694 278 l 139 278 l 139 139 l 0 139 l 0 556 l 139 556 l 139 417 l 556 417 l 556 556 l 694 556 m 139 139 l 556 139 l 556 0 l 139 0 l 139 139 m 278 1111 l 417 1111 l 417 972 l 278 972 l 278 1111 m 139 972 l 278 972 l 278 833 l 139 833 l 139 972 m 417 972 l 556 972 l 556 833 l 417 833 l 417 972 z "},"ë":{"ha":833,"x_min":0,"x_max":694,"o":"m 139 694 l 556 694 l 556 556 l 139 556 l 139 694 m 694 556 l 694 278 l 139 278 l 139 139 l 0 139 l 0 556 l 139 556 l 139 417 l 556 417 l 556 556 l 694 556 m 139 139 l 556 139 l 556 0 l 139 0 l 139 139 m 139 972 l 278 972 l 278 833 l 139 833 l 139 972 m 417 972 l 556 972 l 556 833 l 417 833 l 417 972 z "},"ė":{"ha":833,"x_min":0,"x_max":694,"o":"m 139 694 l 556 694 l 556 556 l 139 556 l 139 694 m 694 556 l 694 278 l 139 278 l 139 139 l 0 139 l 0 556 l 139 556 l 139 417 l 556 417 l 556 556 l 694 556 m 139 139 l 556 139 l 556 0 l 139 0 l 139 139 m 278 972 l 417 972 l 417 833 l 278 833 l 278 972 z "},"è":{"ha":833,"x_min":0,"x_max":694,"o":"m 139 694 l 556 694 l 556 556 l 139 556 l 139 694 m 694 556 l 694 278 l 139 278 l 139 139 l 0 139 l 0 556 l 139 556 l 139 417 l 556 417 l 556 556 l 694 556 m 139 139 l 556 139 l 556 0 l 139 0 l 139 139 m 139 1111 l 278 1111 l 278 972 l 139 972 l 139 1111 m 278 972 l 417 972 l 417 833 l 278 833 l 278 972 z "},"ē":{"ha":833,"x_min":0,"x_max":694,"o":"m 139 694 l 556 694 l 556 556 l 139 556 l 139 694 m 694 556 l 694 278 l 139 278 l 139 139 l 0 139 l 0 556 l 139 556 l 139 417 l 556 417 l 556 556 l 694 556 m 139 139 l 556 139 l 556 0 l 139 0 l 139 139 m 556 833 l 139 833 l 139 972 l 556 972 l 556 833 z "},"ę":{"ha":833,"x_min":0,"x_max":833,"o":"m 139 694 l 556 694 l 556 556 l 139 556 l 139 694 m 139 139 l 0 139 l 0 556 l 139 556 l 139 417 l 556 417 l 556 556 l 694 556 l 694 278 l 139 278 l 139 139 m 556 0 l 556 -139 l 417 -139 l 417 0 l 139 0 l 139 139 l 694 139 l 694 0 l 556 0 m 833 -278 l 556 -278 l 556 -139 l 833 -139 l 833 -278 z "},"f":{"ha":833,"x_min":139,"x_max":556,"o":"m 278 833 l 278 972 l 556 972 l 556 833 l 278 833 m 278 556 l 556 556 l 556 417 l 278 417 l 278 0 l 139 0 l 139 833 l 278 833 l 278 556 z "},"g":{"ha":833,"x_min":0,"x_max":694,"o":"m 694 -139 l 556 -139 l 556 0 l 139 0 l 139 139 l 556 139 l 556 556 l 139 556 l 139 694 l 694 694 l 694 -139 m 0 139 l 0 556 l 139 556 l 139 139 l 0 139 m 556 -278 l 139 -278 l 139 -139 l 556 -139 l 556 -278 z "},"ğ":{"ha":833,"x_min":0,"x_max":694,"o":"m 694 -139 l 556 -139 l 556 0 l 139 0 l 139 139 l 556 139 l 556 556 l 139 556 l 139 694 l 694 694 l 694 -139 m 0 139 l 0 556 l 139 556 l 139 139 l 0 139 m 556 -278 l 139 -278 l 139 -139 l 556 -139 l 556 -278 m 278 1111 l 278 972 l 139 972 l 139 1111 l 278 1111 m 694 1111 l 694 972 l 556 972 l 556 1111 l 694 1111 m 556 972 l 556 833 l 278 833 l 278 972 l 556 972 z "},"ģ":{"ha":833,"x_min":0,"x_max":694,"o":"m 694 -139 l 556 -139 l 556 0 l 139 0 l 139 139 l 556 139 l 556 556 l 139 556 l 139 694 l 694 694 l 694 -139 m 0 139 l 0 556 l 139 556 l 139 139 l 0 139 m 556 -278 l 139 -278 l 139 -139 l 556 -139 l 556 -278 m 417 1111 l 556 1111 l 556 972 l 417 972 l 417 1111 m 278 972 l 417 972 l 417 833 l 278 833 l 278 972 z "},"ġ":{"ha":833,"x_min":0,"x_max":694,"o":"m 694 -139 l 556 -139 l 556 0 l 139 0 l 139 139 l 556 139 l 556 556 l 139 556 l 139 694 l 694 694 l 694 -139 m 0 139 l 0 556 l 139 556 l 139 139 l 0 139 m 556 -278 l 139 -278 l 139 -139 l 556 -139 l 556 -278 m 278 972 l 417 972 l 417 833 l 278 833 l 278 972 z "},"h":{"ha":833,"x_min":0,"x_max":694,"o":"m 556 556 l 139 556 l 139 0 l 0 0 l 0 972 l 139 972 l 139 694 l 556 694 l 556 556 m 694 556 l 694 0 l 556 0 l 556 556 l 694 556 z "},"ħ":{"ha":833,"x_min":-139,"x_max":694,"o":"m 556 417 l 139 417 l 139 0 l 0 0 l 0 694 l -139 694 l -139 833 l 0 833 l 0 972 l 139 972 l 139 833 l 417 833 l 417 694 l 139 694 l 139 556 l 556 556 l 556 417 m 694 417 l 694 0 l 556 0 l 556 417 l 694 417 z "},"i":{"ha":833,"x_min":139,"x_max":556,"o":"m 417 833 l 278 833 l 278 972 l 417 972 l 417 833 m 556 139 l 556 0 l 139 0 l 139 139 l 278 139 l 278 556 l 139 556 l 139 694 l 417 694 l 417 139 l 556 139 z "},"ı":{"ha":833,"x_min":139,"x_max":556,"o":"m 556 139 l 556 0 l 139 0 l 139 139 l 278 139 l 278 556 l 139 556 l 139 694 l 417 694 l 417 139 l 556 139 z "},"í":{"ha":833,"x_min":139,"x_max":556,"o":"m 556 139 l 556 0 l 139 0 l 139 139 l 278 139 l 278 556 l 139 556 l 139 694 l 417 694 l 417 139 l 556 139 m 417 1111 l 556 1111 l 556 972 l 417 972 l 417 1111 m 278 972 l 417 972 l 417 833 l 278 833 l 278 972 z "},"î":{"ha":833,"x_min":139,"x_max":556,"o":"m 556 139 l 556 0 l 139 0 l 139 139 l 278 139 l 278 556 l 139 556 l 139 694 l 417 694 l 417 139 l 556 139 m 278 1111 l 417 1111 l 417 972 l 278 972 l 278 1111 m 139 972 l 278 972 l 278 833 l 139 833 l 139 972 m 417 972 l 556 972 l 556 833 l 417 833 l 417 972 z "},"ï":{"ha":833,"x_min":139,"x_max":556,"o":"m 556 139 l 556 0 l 139 0 l 139 139 l 278 139 l 278 556 l 139 556 l 139 694 l 417 694 l 417 139 l 556 139 m 139 972 l 278 972 l 278 833 l 139 833 l 139 972 m 417 972 l 556 972 l 556 833 l 417 833 l 417 972 z "},"ì":{"ha":833,"x_min":139,"x_max":556,"o":"m 556 139 l 556 0 l 139 0 l 139 139 l 278 139 l 278 556 l 139 556 l 139 694 l 417 694 l 417 139 l 556 139 m 139 1111 l 278 1111 l 278 972 l 139 972 l 139 1111 m 278 972 l 417 972 l 417 833 l 278 833 l 278 972 z "},"ĳ":{"ha":833,"x_min":0,"x_max":694,"o":"m 278 833 l 139 833 l 139 972 l 278 972 l 278 833 m 417 139 l 417 0 l 0 0 l 0 139 l 139 139 l 139 556 l 0 556 l 0 694 l 278 694 l 278 139 l 417 139 m 694 972 l 694 833 l 556 833 l 556 972 l 694 972 m 694 694 l 694 -139 l 556 -139 l 556 556 l 417 556 l 417 694 l 694 694 m 556 -139 l 556 -278 l 278 -278 l 278 -139 l 556 -139 z "},"ī":{"ha":833,"x_min":139,"x_max":556,"o":"m 556 139 l 556 0 l 139 0 l 139 139 l 278 139 l 278 556 l 139 556 l 139 694 l 417 694 l 417 139 l 556 139 m 556 833 l 139 833 l 139 972 l 556 972 l 556 833 z "},"į":{"ha":833,"x_min":139,"x_max":694,"o":"m 417 833 l 278 833 l 278 972 l 417 972 l 417 833 m 417 0 l 417 -139 l 278 -139 l 278 0 l 139 0 l 139 139 l 278 139 l 278 556 l 139 556 l 139 694 l 417 694 l 417 139 l 556 139 l 556 0 l 417 0 m 694 -278 l 417 -278 l 417 -139 l 694 -139 l 694 -278 z "},"j":{"ha":833,"x_min":0,"x_max":417,"o":"m 417 972 l 417 833 l 278 833 l 278 972 l 417 972 m 417 694 l 417 -139 l 278 -139 l 278 556 l 139 556 l 139 694 l 417 694 m 278 -139 l 278 -278 l 0 -278 l 0 -139 l 278 -139 z "},"ȷ":{"ha":833,"x_min":0,"x_max":417,"o":"m 417 -139 l 278 -139 l 278 556 l 139 556 l 139 694 l 417 694 l 417 -139 m 278 -139 l 278 -278 l 0 -278 l 0 -139 l 278 -139 z "},"k":{"ha":833,"x_min":0,"x_max":694,"o":"m 417 278 l 139 278 l 139 0 l 0 0 l 0 972 l 139 972 l 139 417 l 278 417 l 278 556 l 417 556 l 417 278 m 556 556 l 417 556 l 417 694 l 556 694 l 556 556 m 556 278 l 556 139 l 417 139 l 417 278 l 556 278 m 694 139 l 694 0 l 556 0 l 556 139 l 694 139 z "},"ķ":{"ha":833,"x_min":0,"x_max":694,"o":"m 417 278 l 139 278 l 139 0 l 0 0 l 0 972 l 139 972 l 139 417 l 278 417 l 278 556 l 417 556 l 417 278 m 556 556 l 417 556 l 417 694 l 556 694 l 556 556 m 556 278 l 556 139 l 417 139 l 417 278 l 556 278 m 694 139 l 694 0 l 556 0 l 556 139 l 694 139 m 278 -139 l 417 -139 l 417 -278 l 278 -278 l 278 -139 m 139 -278 l 278 -278 l 278 -417 l 139 -417 l 139 -278 z "},"l":{"ha":833,"x_min":139,"x_max":556,"o":"m 139 139 l 139 972 l 278 972 l 278 139 l 139 139 m 556 0 l 278 0 l 278 139 l 556 139 l 556 0 z "},"ĺ":{"ha":833,"x_min":139,"x_max":556,"o":"m 139 139 l 139 972 l 278 972 l 278 139 l 139 139 m 556 0 l 278 0 l 278 139 l 556 139 l 556 0 m 278 1389 l 417 1389 l 417 1250 l 278 1250 l 278 1389 m 139 1250 l 278 1250 l 278 1111 l 139 1111 l 139 1250 z "},"ľ":{"ha":833,"x_min":139,"x_max":694,"o":"m 694 1111 l 694 833 l 556 833 l 556 1111 l 694 1111 m 139 139 l 139 972 l 278 972 l 278 139 l 139 139 m 417 833 l 556 833 l 556 694 l 417 694 l 417 833 m 556 139 l 556 0 l 278 0 l 278 139 l 556 139 z "},"ļ":{"ha":833,"x_min":139,"x_max":556,"o":"m 139 139 l 139 972 l 278 972 l 278 139 l 139 139 m 556 0 l 278 0 l 278 139 l 556 139 l 556 0 m 278 -139 l 417 -139 l 417 -278 l 278 -278 l 278 -139 m 139 -278 l 278 -278 l 278 -417 l 139 -417 l 139 -278 z "},"ł":{"ha":833,"x_min":0,"x_max":556,"o":"m 278 139 l 139 139 l 139 278 l 0 278 l 0 417 l 139 417 l 139 972 l 278 972 l 278 556 l 417 556 l 417 417 l 278 417 l 278 139 m 556 0 l 278 0 l 278 139 l 556 139 l 556 0 z "},"m":{"ha":833,"x_min":0,"x_max":694,"o":"m 556 556 l 417 556 l 417 0 l 278 0 l 278 556 l 139 556 l 139 0 l 0 0 l 0 694 l 556 694 l 556 556 m 694 556 l 694 0 l 556 0 l 556 556 l 694 556 z "},"n":{"ha":833,"x_min":0,"x_max":694,"o":"m 556 556 l 139 556 l 139 0 l 0 0 l 0 694 l 556 694 l 556 556 m 694 556 l 694 0 l 556 0 l 556 556 l 694 556 z "},"ń":{"ha":833,"x_min":0,"x_max":694,"o":"m 556 556 l 139 556 l 139 0 l 0 0 l 0 694 l 556 694 l 556 556 m 694 556 l 694 0 l 556 0 l 556 556 l 694 556 m 417 1111 l 556 1111 l 556 972 l 417 972 l 417 1111 m 278 972 l 417 972 l 417 833 l 278 833 l 278 972 z "},"ň":{"ha":833,"x_min":0,"x_max":694,"o":"m 556 556 l 139 556 l 139 0 l 0 0 l 0 694 l 556 694 l 556 556 m 694 556 l 694 0 l 556 0 l 556 556 l 694 556 m 139 1111 l 278 1111 l 278 972 l 139 972 l 139 1111 m 417 1111 l 556 1111 l 556 972 l 417 972 l 417 1111 m 278 972 l 417 972 l 417 833 l 278 833 l 278 972 z "},"ņ":{"ha":833,"x_min":0,"x_max":694,"o":"m 556 556 l 139 556 l 139 0 l 0 0 l 0 694 l 556 694 l 556 556 m 694 556 l 694 0 l 556 0 l 556 556 l 694 556 m 278 -139 l 417 -139 l 417 -278 l 278 -278 l 278 -139 m 139 -278 l 278 -278 l 278 -417 l 139 -417 l 139 -278 z "},"ŋ":{"ha":833,"x_min":0,"x_max":694,"o":"m 556 556 l 139 556 l 139 0 l 0 0 l 0 694 l 556 694 l 556 556 m 694 556 l 694 -139 l 556 -139 l 556 556 l 694 556 m 556 -139 l 556 -278 l 278 -278 l 278 -139 l 556 -139 z "},"ñ":{"ha":833,"x_min":0,"x_max":694,"o":"m 556 556 l 139 556 l 139 0 l 0 0 l 0 694 l 556 694 l 556 556 m 694 556 l 694 0 l 556 0 l 556 556 l 694 556 m 139 1111 l 347 1111 l 347 972 l 139 972 l 139 1111 m 556 1111 l 694 1111 l 694 972 l 556 972 l 556 1111 m 0 972 l 139 972 l 139 833 l 0 833 l 0 972 m 347 972 l 556 972 l 556 833 l 347 833 l 347 972 z "},"o":{"ha":833,"x_min":0,"x_max":694,"o":"m 139 694 l 556 694 l 556 556 l 139 556 l 139 694 m 0 139 l 0 556 l 139 556 l 139 139 l 0 139 m 694 556 l 694 139 l 556 139 l 556 556 l 694 556 m 556 0 l 139 0 l 139 139 l 556 139 l 556 0 z "},"ó":{"ha":833,"x_min":0,"x_max":694,"o":"m 139 694 l 556 694 l 556 556 l 139 556 l 139 694 m 0 139 l 0 556 l 139 556 l 139 139 l 0 139 m 694 556 l 694 139 l 556 139 l 556 556 l 694 556 m 556 0 l 139 0 l 139 139 l 556 139 l 556 0 m 417 1111 l 556 1111 l 556 972 l 417 972 l 417 1111 m 278 972 l 417 972 l 417 833 l 278 833 l 278 972 z "},"ô":{"ha":833,"x_min":0,"x_max":694,"o":"m 139 694 l 556 694 l 556 556 l 139 556 l 139 694 m 0 139 l 0 556 l 139 556 l 139 139 l 0 139 m 694 556 l 694 139 l 556 139 l 556 556 l 694 556 m 556 0 l 139 0 l 139 139 l 556 139 l 556 0 m 278 1111 l 417 1111 l 417 972 l 278 972 l 278 1111 m 139 972 l 278 972 l 278 833 l 139 833 l 139 972 m 417 972 l 556 972 l 556 833 l 417 833 l 417 972 z "},"ö":{"ha":833,"x_min":0,"x_max":694,"o":"m 139 694 l 556 694 l 556 556 l 139 556 l 139 694 m 0 139 l 0 556 l 139 556 l 139 139 l 0 139 m 694 556 l 694 139 l 556 139 l 556 556 l 694 556 m 556 0 l 139 0 l 139 139 l 556 139 l 556 0 m 139 972 l 278 972 l 278 833 l 139 833 l 139 972 m 417 972 l 556 972 l 556 833 l 417 833 l 417 972 z "},"ò":{"ha":833,"x_min":0,"x_max":694,"o":"m 139 694 l 556 694 l 556 556 l 139 556 l 139 694 m 0 139 l 0 556 l 139 556 l 139 139 l 0 139 m 694 556 l 694 139 l 556 139 l 556 556 l 694 556 m 556 0 l 139 0 l 139 139 l 556 139 l 556 0 m 139 1111 l 278 1111 l 278 972 l 139 972 l 139 1111 m 278 972 l 417 972 l 417 833 l 278 833 l 278 972 z "},"ő":{"ha":833,"x_min":0,"x_max":694,"o":"m 139 694 l 556 694 l 556 556 l 139 556 l 139 694 m 0 139 l 0 556 l 139 556 l 139 139 l 0 139 m 694 556 l 694 139 l 556 139 l 556 556 l 694 556 m 556 0 l 139 0 l 139 139 l 556 139 l 556 0 m 278 1111 l 417 1111 l 417 972 l 278 972 l 278 1111 m 556 1111 l 694 1111 l 694 972 l 556 972 l 556 1111 m 139 972 l 278 972 l 278 833 l 139 833 l 139 972 m 417 972 l 556 972 l 556 833 l 417 833 l 417 972 z "},"ō":{"ha":833,"x_min":0,"x_max":694,"o":"m 139 694 l 556 694 l 556 556 l 139 556 l 139 694 m 0 139 l 0 556 l 139 556 l 139 139 l 0 139 m 694 556 l 694 139 l 556 139 l 556 556 l 694 556 m 556 0 l 139 0 l 139 139 l 556 139 l 556 0 m 556 833 l 139 833 l 139 972 l 556 972 l 556 833 z "},"ø":{"ha":833,"x_min":0,"x_max":694,"o":"m 694 556 l 694 139 l 556 139 l 556 417 l 417 417 l 417 556 l 139 556 l 139 694 l 556 694 l 556 556 l 694 556 m 556 139 l 556 0 l 139 0 l 139 139 l 0 139 l 0 556 l 139 556 l 139 278 l 278 278 l 278 139 l 556 139 m 278 417 l 417 417 l 417 278 l 278 278 l 278 417 z "},"õ":{"ha":833,"x_min":0,"x_max":694,"o":"m 139 694 l 556 694 l 556 556 l 139 556 l 139 694 m 0 139 l 0 556 l 139 556 l 139 139 l 0 139 m 694 556 l 694 139 l 556 139 l 556 556 l 694 556 m 556 0 l 139 0 l 139 139 l 556 139 l 556 0 m 139 1111 l 347 1111 l 347 972 l 139 972 l 139 1111 m 556 1111 l 694 1111 l 694 972 l 556 972 l 556 1111 m 0 972 l 139 972 l 139 833 l 0 833 l 0 972 m 347 972 l 556 972 l 556 833 l 347 833 l 347 972 z "},"œ":{"ha":833,"x_min":0,"x_max":694,"o":"m 278 556 l 139 556 l 139 694 l 278 694 l 278 556 m 556 556 l 417 556 l 417 694 l 556 694 l 556 556 m 0 139 l 0 556 l 139 556 l 139 139 l 0 139 m 694 556 l 694 278 l 417 278 l 417 139 l 278 139 l 278 556 l 417 556 l 417 417 l 556 417 l 556 556 l 694 556 m 139 139 l 278 139 l 278 0 l 139 0 l 139 139 m 417 139 l 694 139 l 694 0 l 417 0 l 417 139 z "},"p":{"ha":833,"x_min":0,"x_max":694,"o":"m 556 0 l 139 0 l 139 -278 l 0 -278 l 0 694 l 556 694 l 556 556 l 139 556 l 139 139 l 556 139 l 556 0 m 694 556 l 694 139 l 556 139 l 556 556 l 694 556 z "},"þ":{"ha":833,"x_min":0,"x_max":694,"o":"m 556 0 l 139 0 l 139 -278 l 0 -278 l 0 972 l 139 972 l 139 694 l 556 694 l 556 556 l 139 556 l 139 139 l 556 139 l 556 0 m 694 556 l 694 139 l 556 139 l 556 556 l 694 556 z "},"q":{"ha":833,"x_min":0,"x_max":694,"o":"m 694 -278 l 556 -278 l 556 0 l 139 0 l 139 139 l 556 139 l 556 556 l 139 556 l 139 694 l 694 694 l 694 -278 m 0 139 l 0 556 l 139 556 l 139 139 l 0 139 z "},"r":{"ha":833,"x_min":0,"x_max":694,"o":"m 139 556 l 278 556 l 278 417 l 139 417 l 139 0 l 0 0 l 0 694 l 139 694 l 139 556 m 556 556 l 278 556 l 278 694 l 556 694 l 556 556 m 694 556 l 694 417 l 556 417 l 556 556 l 694 556 z "},"ŕ":{"ha":833,"x_min":0,"x_max":694,"o":"m 139 556 l 278 556 l 278 417 l 139 417 l 139 0 l 0 0 l 0 694 l 139 694 l 139 556 m 556 556 l 278 556 l 278 694 l 556 694 l 556 556 m 694 556 l 694 417 l 556 417 l 556 556 l 694 556 m 417 1111 l 556 1111 l 556 972 l 417 972 l 417 1111 m 278 972 l 417 972 l 417 833 l 278 833 l 278 972 z "},"ř":{"ha":833,"x_min":0,"x_max":694,"o":"m 139 556 l 278 556 l 278 417 l 139 417 l 139 0 l 0 0 l 0 694 l 139 694 l 139 556 m 556 556 l 278 556 l 278 694 l 556 694 l 556 556 m 694 556 l 694 417 l 556 417 l 556 556 l 694 556 m 139 1111 l 278 1111 l 278 972 l 139 972 l 139 1111 m 417 1111 l 556 1111 l 556 972 l 417 972 l 417 1111 m 278 972 l 417 972 l 417 833 l 278 833 l 278 972 z "},"ŗ":{"ha":833,"x_min":0,"x_max":694,"o":"m 139 556 l 278 556 l 278 417 l 139 417 l 139 0 l 0 0 l 0 694 l 139 694 l 139 556 m 556 556 l 278 556 l 278 694 l 556 694 l 556 556 m 694 556 l 694 417 l 556 417 l 556 556 l 694 556 m 139 -139 l 278 -139 l 278 -278 l 139 -278 l 139 -139 m 0 -278 l 139 -278 l 139 -417 l 0 -417 l 0 -278 z "},"s":{"ha":833,"x_min":0,"x_max":694,"o":"m 139 694 l 694 694 l 694 556 l 139 556 l 139 694 m 139 556 l 139 417 l 0 417 l 0 556 l 139 556 m 139 417 l 556 417 l 556 278 l 139 278 l 139 417 m 556 139 l 556 278 l 694 278 l 694 139 l 556 139 m 556 0 l 0 0 l 0 139 l 556 139 l 556 0 z "},"ś":{"ha":833,"x_min":0,"x_max":694,"o":"m 139 694 l 694 694 l 694 556 l 139 556 l 139 694 m 139 556 l 139 417 l 0 417 l 0 556 l 139 556 m 139 417 l 556 417 l 556 278 l 139 278 l 139 417 m 556 139 l 556 278 l 694 278 l 694 139 l 556 139 m 556 0 l 0 0 l 0 139 l 556 139 l 556 0 m 417 1111 l 556 1111 l 556 972 l 417 972 l 417 1111 m 278 972 l 417 972 l 417 833 l 278 833 l 278 972 z "},"š":{"ha":833,"x_min":0,"x_max":694,"o":"m 139 694 l 694 694 l 694 556 l 139 556 l 139 694 m 139 556 l 139 417 l 0 417 l 0 556 l 139 556 m 139 417 l 556 417 l 556 278 l 139 278 l 139 417 m 556 139 l 556 278 l 694 278 l 694 139 l 556 139 m 556 0 l 0 0 l 0 139 l 556 139 l 556 0 m 139 1111 l 278 1111 l 278 972 l 139 972 l 139 1111 m 417 1111 l 556 1111 l 556 972 l 417 972 l 417 1111 m 278 972 l 417 972 l 417 833 l 278 833 l 278 972 z "},"ş":{"ha":833,"x_min":0,"x_max":694,"o":"m 139 694 l 694 694 l 694 556 l 139 556 l 139 694 m 139 556 l 139 417 l 0 417 l 0 556 l 139 556 m 139 417 l 556 417 l 556 278 l 139 278 l 139 417 m 556 139 l 556 278 l 694 278 l 694 139 l 556 139 m 556 -139 l 417 -139 l 417 0 l 0 0 l 0 139 l 556 139 l 556 -139 m 417 -139 l 417 -278 l 139 -278 l 139 -139 l 417 -139 z "},"ș":{"ha":833,"x_min":0,"x_max":694,"o":"m 139 694 l 694 694 l 694 556 l 139 556 l 139 694 m 139 556 l 139 417 l 0 417 l 0 556 l 139 556 m 139 417 l 556 417 l 556 278 l 139 278 l 139 417 m 556 139 l 556 278 l 694 278 l 694 139 l 556 139 m 556 0 l 0 0 l 0 139 l 556 139 l 556 0 m 278 -139 l 417 -139 l 417 -278 l 278 -278 l 278 -139 m 139 -278 l 278 -278 l 278 -417 l 139 -417 l 139 -278 z "},"ß":{"ha":833,"x_min":0,"x_max":694,"o":"m 417 833 l 139 833 l 139 972 l 417 972 l 417 833 m 139 833 l 139 0 l 0 0 l 0 833 l 139 833 m 278 417 l 278 556 l 417 556 l 417 833 l 556 833 l 556 417 l 278 417 m 694 417 l 694 139 l 556 139 l 556 417 l 694 417 m 556 139 l 556 0 l 278 0 l 278 139 l 556 139 z "},"ſ":{"ha":833,"x_min":139,"x_max":694,"o":"m 694 833 l 417 833 l 417 972 l 694 972 l 694 833 m 417 833 l 417 0 l 278 0 l 278 417 l 139 417 l 139 556 l 278 556 l 278 833 l 417 833 z "},"t":{"ha":833,"x_min":0,"x_max":556,"o":"m 139 139 l 139 556 l 0 556 l 0 694 l 139 694 l 139 972 l 278 972 l 278 694 l 556 694 l 556 556 l 278 556 l 278 139 l 139 139 m 278 139 l 556 139 l 556 0 l 278 0 l 278 139 z "},"ŧ":{"ha":833,"x_min":0,"x_max":556,"o":"m 278 556 l 556 556 l 556 417 l 278 417 l 278 139 l 139 139 l 139 417 l 0 417 l 0 556 l 139 556 l 139 694 l 0 694 l 0 833 l 139 833 l 139 972 l 278 972 l 278 833 l 556 833 l 556 694 l 278 694 l 278 556 m 278 139 l 556 139 l 556 0 l 278 0 l 278 139 z "},"ť":{"ha":833,"x_min":0,"x_max":694,"o":"m 694 1111 l 694 833 l 556 833 l 556 1111 l 694 1111 m 556 694 l 556 556 l 278 556 l 278 139 l 139 139 l 139 556 l 0 556 l 0 694 l 139 694 l 139 972 l 278 972 l 278 694 l 556 694 m 278 139 l 556 139 l 556 0 l 278 0 l 278 139 z "},"ţ":{"ha":833,"x_min":0,"x_max":556,"o":"m 139 139 l 139 556 l 0 556 l 0 694 l 139 694 l 139 972 l 278 972 l 278 694 l 556 694 l 556 556 l 278 556 l 278 139 l 139 139 m 278 0 l 278 139 l 556 139 l 556 -139 l 417 -139 l 417 0 l 278 0 m 417 -139 l 417 -278 l 139 -278 l 139 -139 l 417 -139 z "},"ț":{"ha":833,"x_min":0,"x_max":556,"o":"m 139 139 l 139 556 l 0 556 l 0 694 l 139 694 l 139 972 l 278 972 l 278 694 l 556 694 l 556 556 l 278 556 l 278 139 l 139 139 m 278 139 l 556 139 l 556 0 l 278 0 l 278 139 m 278 -139 l 417 -139 l 417 -278 l 278 -278 l 278 -139 m 139 -278 l 278 -278 l 278 -417 l 139 -417 l 139 -278 z "},"u":{"ha":833,"x_min":0,"x_max":694,"o":"m 0 139 l 0 694 l 139 694 l 139 139 l 0 139 m 694 694 l 694 0 l 139 0 l 139 139 l 556 139 l 556 694 l 694 694 z "},"ú":{"ha":833,"x_min":0,"x_max":694,"o":"m 0 139 l 0 694 l 139 694 l 139 139 l 0 139 m 694 694 l 694 0 l 139 0 l 139 139 l 556 139 l 556 694 l 694 694 m 417 1111 l 556 1111 l 556 972 l 417 972 l 417 1111 m 278 972 l 417 972 l 417 833 l 278 833 l 278 972 z "},"û":{"ha":833,"x_min":0,"x_max":694,"o":"m 0 139 l 0 694 l 139 694 l 139 139 l 0 139 m 694 694 l 694 0 l 139 0 l 139 139 l 556 139 l 556 694 l 694 694 m 278 1111 l 417 1111 l 417 972 l 278 972 l 278 1111 m 139 972 l 278 972 l 278 833 l 139 833 l 139 972 m 417 972 l 556 972 l 556 833 l 417 833 l 417 972 z "},"ü":{"ha":833,"x_min":0,"x_max":694,"o":"m 0 139 l 0 694 l 139 694 l 139 139 l 0 139 m 694 694 l 694 0 l 139 0 l 139 139 l 556 139 l 556 694 l 694 694 m 139 972 l 278 972 l 278 833 l 139 833 l 139 972 m 417 972 l 556 972 l 556 833 l 417 833 l 417 972 z "},"ù":{"ha":833,"x_min":0,"x_max":694,"o":"m 0 139 l 0 694 l 139 694 l 139 139 l 0 139 m 694 694 l 694 0 l 139 0 l 139 139 l 556 139 l 556 694 l 694 694 m 139 1111 l 278 1111 l 278 972 l 139 972 l 139 1111 m 278 972 l 417 972 l 417 833 l 278 833 l 278 972 z "},"ű":{"ha":833,"x_min":0,"x_max":694,"o":"m 0 139 l 0 694 l 139 694 l 139 139 l 0 139 m 694 694 l 694 0 l 139 0 l 139 139 l 556 139 l 556 694 l 694 694 m 278 1111 l 417 1111 l 417 972 l 278 972 l 278 1111 m 556 1111 l 694 1111 l 694 972 l 556 972 l 556 1111 m 139 972 l 278 972 l 278 833 l 139 833 l 139 972 m 417 972 l 556 972 l 556 833 l 417 833 l 417 972 z "},"ū":{"ha":833,"x_min":0,"x_max":694,"o":"m 0 139 l 0 694 l 139 694 l 139 139 l 0 139 m 694 694 l 694 0 l 139 0 l 139 139 l 556 139 l 556 694 l 694 694 m 556 833 l 139 833 l 139 972 l 556 972 l 556 833 z "},"ų":{"ha":833,"x_min":0,"x_max":833,"o":"m 0 139 l 0 694 l 139 694 l 139 139 l 0 139 m 556 0 l 556 -139 l 417 -139 l 417 0 l 139 0 l 139 139 l 556 139 l 556 694 l 694 694 l 694 0 l 556 0 m 833 -278 l 556 -278 l 556 -139 l 833 -139 l 833 -278 z "},"ů":{"ha":833,"x_min":0,"x_max":694,"o":"m 0 139 l 0 694 l 139 694 l 139 139 l 0 139 m 694 694 l 694 0 l 139 0 l 139 139 l 556 139 l 556 694 l 694 694 m 278 1250 l 417 1250 l 417 1111 l 278 1111 l 278 1250 m 139 1111 l 278 1111 l 278 972 l 139 972 l 139 1111 m 417 1111 l 556 1111 l 556 972 l 417 972 l 417 1111 m 278 972 l 417 972 l 417 833 l 278 833 l 278 972 z "},"v":{"ha":833,"x_min":0,"x_max":694,"o":"m 139 417 l 0 417 l 0 694 l 139 694 l 139 417 m 694 694 l 694 417 l 556 417 l 556 694 l 694 694 m 278 139 l 139 139 l 139 417 l 278 417 l 278 139 m 556 417 l 556 139 l 417 139 l 417 417 l 556 417 m 278 139 l 417 139 l 417 0 l 278 0 l 278 139 z "},"w":{"ha":833,"x_min":0,"x_max":694,"o":"m 0 139 l 0 694 l 139 694 l 139 139 l 0 139 m 694 694 l 694 139 l 556 139 l 556 694 l 694 694 m 417 139 l 278 139 l 278 417 l 417 417 l 417 139 m 139 139 l 278 139 l 278 0 l 139 0 l 139 139 m 417 139 l 556 139 l 556 0 l 417 0 l 417 139 z "},"ẃ":{"ha":833,"x_min":0,"x_max":694,"o":"m 0 139 l 0 694 l 139 694 l 139 139 l 0 139 m 694 694 l 694 139 l 556 139 l 556 694 l 694 694 m 417 139 l 278 139 l 278 417 l 417 417 l 417 139 m 139 139 l 278 139 l 278 0 l 139 0 l 139 139 m 417 139 l 556 139 l 556 0 l 417 0 l 417 139 m 417 1111 l 556 1111 l 556 972 l 417 972 l 417 1111 m 278 972 l 417 972 l 417 833 l 278 833 l 278 972 z "},"ŵ":{"ha":833,"x_min":0,"x_max":694,"o":"m 0 139 l 0 694 l 139 694 l 139 139 l 0 139 m 694 694 l 694 139 l 556 139 l 556 694 l 694 694 m 417 139 l 278 139 l 278 417 l 417 417 l 417 139 m 139 139 l 278 139 l 278 0 l 139 0 l 139 139 m 417 139 l 556 139 l 556 0 l 417 0 l 417 139 m 278 1111 l 417 1111 l 417 972 l 278 972 l 278 1111 m 139 972 l 278 972 l 278 833 l 139 833 l 139 972 m 417 972 l 556 972 l 556 833 l 417 833 l 417 972 z "},"ẅ":{"ha":833,"x_min":0,"x_max":694,"o":"m 0 139 l 0 694 l 139 694 l 139 139 l 0 139 m 694 694 l 694 139 l 556 139 l 556 694 l 694 694 m 417 139 l 278 139 l 278 417 l 417 417 l 417 139 m 139 139 l 278 139 l 278 0 l 139 0 l 139 139 m 417 139 l 556 139 l 556 0 l 417 0 l 417 139 m 139 972 l 278 972 l 278 833 l 139 833 l 139 972 m 417 972 l 556 972 l 556 833 l 417 833 l 417 972 z "},"ẁ":{"ha":833,"x_min":0,"x_max":694,"o":"m 0 139 l 0 694 l 139 694 l 139 139 l 0 139 m 694 694 l 694 139 l 556 139 l 556 694 l 694 694 m 417 139 l 278 139 l 278 417 l 417 417 l 417 139 m 139 139 l 278 139 l 278 0 l 139 0 l 139 139 m 417 139 l 556 139 l 556 0 l 417 0 l 417 139 m 139 1111 l 278 1111 l 278 972 l 139 972 l 139 1111 m 278 972 l 417 972 l 417 833 l 278 833 l 278 972 z "},"x":{"ha":833,"x_min":0,"x_max":694,"o":"m 0 694 l 139 694 l 139 556 l 0 556 l 0 694 m 556 694 l 694 694 l 694 556 l 556 556 l 556 694 m 139 556 l 278 556 l 278 417 l 139 417 l 139 556 m 417 556 l 556 556 l 556 417 l 417 417 l 417 556 m 278 417 l 417 417 l 417 278 l 278 278 l 278 417 m 139 278 l 278 278 l 278 139 l 139 139 l 139 278 m 417 278 l 556 278 l 556 139 l 417 139 l 417 278 m 0 139 l 139 139 l 139 0 l 0 0 l 0 139 m 556 139 l 694 139 l 694 0 l 556 0 l 556 139 z "},"y":{"ha":833,"x_min":0,"x_max":694,"o":"m 0 139 l 0 694 l 139 694 l 139 139 l 0 139 m 694 694 l 694 -139 l 556 -139 l 556 0 l 139 0 l 139 139 l 556 139 l 556 694 l 694 694 m 556 -278 l 139 -278 l 139 -139 l 556 -139 l 556 -278 z "},"ý":{"ha":833,"x_min":0,"x_max":694,"o":"m 0 139 l 0 694 l 139 694 l 139 139 l 0 139 m 694 694 l 694 -139 l 556 -139 l 556 0 l 139 0 l 139 139 l 556 139 l 556 694 l 694 694 m 556 -278 l 139 -278 l 139 -139 l 556 -139 l 556 -278 m 417 1111 l 556 1111 l 556 972 l 417 972 l 417 1111 m 278 972 l 417 972 l 417 833 l 278 833 l 278 972 z "},"ŷ":{"ha":833,"x_min":0,"x_max":694,"o":"m 0 139 l 0 694 l 139 694 l 139 139 l 0 139 m 694 694 l 694 -139 l 556 -139 l 556 0 l 139 0 l 139 139 l 556 139 l 556 694 l 694 694 m 556 -278 l 139 -278 l 139 -139 l 556 -139 l 556 -278 m 278 1111 l 417 1111 l 417 972 l 278 972 l 278 1111 m 139 972 l 278 972 l 278 833 l 139 833 l 139 972 m 417 972 l 556 972 l 556 833 l 417 833 l 417 972 z "},"ÿ":{"ha":833,"x_min":0,"x_max":694,"o":"m 0 139 l 0 694 l 139 694 l 139 139 l 0 139 m 694 694 l 694 -139 l 556 -139 l 556 0 l 139 0 l 139 139 l 556 139 l 556 694 l 694 694 m 556 -278 l 139 -278 l 139 -139 l 556 -139 l 556 -278 m 139 972 l 278 972 l 278 833 l 139 833 l 139 972 m 417 972 l 556 972 l 556 833 l 417 833 l 417 972 z "},"ỳ":{"ha":833,"x_min":0,"x_max":694,"o":"m 0 139 l 0 694 l 139 694 l 139 139 l 0 139 m 694 694 l 694 -139 l 556 -139 l 556 0 l 139 0 l 139 139 l 556 139 l 556 694 l 694 694 m 556 -278 l 139 -278 l 139 -139 l 556 -139 l 556 -278 m 139 1111 l 278 1111 l 278 972 l 139 972 l 139 1111 m 278 972 l 417 972 l 417 833 l 278 833 l 278 972 z "},"z":{"ha":833,"x_min":0,"x_max":694,"o":"m 556 417 l 417 417 l 417 556 l 0 556 l 0 694 l 694 694 l 694 556 l 556 556 l 556 417 m 417 278 l 278 278 l 278 417 l 417 417 l 417 278 m 278 278 l 278 139 l 694 139 l 694 0 l 0 0 l 0 139 l 139 139 l 139 278 l 278 278 z "},"ź":{"ha":833,"x_min":0,"x_max":694,"o":"m 556 417 l 417 417 l 417 556 l 0 556 l 0 694 l 694 694 l 694 556 l 556 556 l 556 417 m 417 278 l 278 278 l 278 417 l 417 417 l 417 278 m 278 278 l 278 139 l 694 139 l 694 0 l 0 0 l 0 139 l 139 139 l 139 278 l 278 278 m 417 1111 l 556 1111 l 556 972 l 417 972 l 417 1111 m 278 972 l 417 972 l 417 833 l 278 833 l 278 972 z "},"ž":{"ha":833,"x_min":0,"x_max":694,"o":"m 556 417 l 417 417 l 417 556 l 0 556 l 0 694 l 694 694 l 694 556 l 556 556 l 556 417 m 417 278 l 278 278 l 278 417 l 417 417 l 417 278 m 278 278 l 278 139 l 694 139 l 694 0 l 0 0 l 0 139 l 139 139 l 139 278 l 278 278 m 139 1111 l 278 1111 l 278 972 l 139 972 l 139 1111 m 417 1111 l 556 1111 l 556 972 l 417 972 l 417 1111 m 278 972 l 417 972 l 417 833 l 278 833 l 278 972 z "},"ż":{"ha":833,"x_min":0,"x_max":694,"o":"m 556 417 l 417 417 l 417 556 l 0 556 l 0 694 l 694 694 l 694 556 l 556 556 l 556 417 m 417 278 l 278 278 l 278 417 l 417 417 l 417 278 m 278 278 l 278 139 l 694 139 l 694 0 l 0 0 l 0 139 l 139 139 l 139 278 l 278 278 m 278 972 l 417 972 l 417 833 l 278 833 l 278 972 z "},"ﬁ":{"ha":833,"x_min":0,"x_max":694,"o":"m 139 833 l 139 972 l 417 972 l 417 833 l 139 833 m 694 972 l 694 833 l 556 833 l 556 972 l 694 972 m 139 556 l 278 556 l 278 417 l 139 417 l 139 0 l 0 0 l 0 833 l 139 833 l 139 556 m 694 694 l 694 0 l 556 0 l 556 556 l 417 556 l 417 694 l 694 694 z "},"ﬂ":{"ha":833,"x_min":0,"x_max":694,"o":"m 417 139 l 417 833 l 139 833 l 139 972 l 556 972 l 556 139 l 417 139 m 139 833 l 139 556 l 278 556 l 278 417 l 139 417 l 139 0 l 0 0 l 0 833 l 139 833 m 694 139 l 694 0 l 556 0 l 556 139 l 694 139 z "},"ª":{"ha":833,"x_min":0,"x_max":556,"o":"m 556 556 l 139 556 l 139 694 l 417 694 l 417 972 l 139 972 l 139 1111 l 556 1111 l 556 556 m 139 694 l 0 694 l 0 972 l 139 972 l 139 694 z "},"º":{"ha":833,"x_min":0,"x_max":556,"o":"m 139 972 l 139 1111 l 417 1111 l 417 972 l 139 972 m 139 694 l 0 694 l 0 972 l 139 972 l 139 694 m 556 972 l 556 694 l 417 694 l 417 972 l 556 972 m 417 694 l 417 556 l 139 556 l 139 694 l 417 694 z "},"ⁿ":{"ha":833,"x_min":0,"x_max":556,"o":"m 417 972 l 139 972 l 139 556 l 0 556 l 0 1111 l 417 1111 l 417 972 m 556 972 l 556 556 l 417 556 l 417 972 l 556 972 z "},"Δ":{"ha":833,"x_min":0,"x_max":694,"o":"m 278 694 l 278 972 l 417 972 l 417 694 l 278 694 m 139 417 l 139 694 l 278 694 l 278 417 l 139 417 m 417 694 l 556 694 l 556 417 l 417 417 l 417 694 m 694 417 l 694 0 l 0 0 l 0 417 l 139 417 l 139 139 l 556 139 l 556 417 l 694 417 z "},"Ω":{"ha":833,"x_min":0,"x_max":694,"o":"m 556 833 l 139 833 l 139 972 l 556 972 l 556 833 m 139 833 l 139 278 l 0 278 l 0 833 l 139 833 m 694 833 l 694 278 l 556 278 l 556 833 l 694 833 m 139 139 l 139 278 l 278 278 l 278 0 l 0 0 l 0 139 l 139 139 m 556 278 l 556 139 l 694 139 l 694 0 l 417 0 l 417 278 l 556 278 z "},"μ":{"ha":833,"x_min":0,"x_max":694,"o":"m 556 0 l 139 0 l 139 -278 l 0 -278 l 0 694 l 139 694 l 139 139 l 556 139 l 556 0 m 694 694 l 694 139 l 556 139 l 556 694 l 694 694 z "},"π":{"ha":833,"x_min":0,"x_max":694,"o":"m 694 139 l 694 0 l 417 0 l 417 556 l 278 556 l 278 0 l 139 0 l 139 556 l 0 556 l 0 694 l 694 694 l 694 556 l 556 556 l 556 139 l 694 139 z "},"⁰":{"ha":833,"x_min":0,"x_max":556,"o":"m 139 1111 l 139 1250 l 417 1250 l 417 1111 l 139 1111 m 0 694 l 0 1111 l 139 1111 l 139 694 l 0 694 m 556 1111 l 556 694 l 417 694 l 417 1111 l 556 1111 m 417 694 l 417 556 l 139 556 l 139 694 l 417 694 z "},"¹":{"ha":833,"x_min":0,"x_max":417,"o":"m 417 694 l 417 556 l 0 556 l 0 694 l 139 694 l 139 972 l 0 972 l 0 1111 l 139 1111 l 139 1250 l 278 1250 l 278 694 l 417 694 z "},"²":{"ha":833,"x_min":0,"x_max":556,"o":"m 417 1111 l 139 1111 l 139 1250 l 417 1250 l 417 1111 m 0 1111 l 139 1111 l 139 972 l 0 972 l 0 1111 m 556 972 l 417 972 l 417 1111 l 556 1111 l 556 972 m 417 833 l 278 833 l 278 972 l 417 972 l 417 833 m 278 833 l 278 694 l 556 694 l 556 556 l 0 556 l 0 694 l 139 694 l 139 833 l 278 833 z "},"³":{"ha":833,"x_min":0,"x_max":556,"o":"m 417 1111 l 139 1111 l 139 1250 l 417 1250 l 417 1111 m 0 1111 l 139 1111 l 139 972 l 0 972 l 0 1111 m 556 972 l 417 972 l 417 1111 l 556 1111 l 556 972 m 417 972 l 417 833 l 278 833 l 278 972 l 417 972 m 139 833 l 139 694 l 0 694 l 0 833 l 139 833 m 417 694 l 417 833 l 556 833 l 556 694 l 417 694 m 417 694 l 417 556 l 139 556 l 139 694 l 417 694 z "},"⁴":{"ha":833,"x_min":0,"x_max":556,"o":"m 556 833 l 556 694 l 417 694 l 417 556 l 278 556 l 278 694 l 0 694 l 0 972 l 139 972 l 139 833 l 278 833 l 278 972 l 139 972 l 139 1111 l 278 1111 l 278 1250 l 417 1250 l 417 833 l 556 833 z "},"⁵":{"ha":833,"x_min":0,"x_max":556,"o":"m 139 972 l 556 972 l 556 694 l 417 694 l 417 833 l 0 833 l 0 1250 l 556 1250 l 556 1111 l 139 1111 l 139 972 m 417 556 l 0 556 l 0 694 l 417 694 l 417 556 z "},"⁶":{"ha":833,"x_min":0,"x_max":556,"o":"m 139 1111 l 139 1250 l 417 1250 l 417 1111 l 139 1111 m 139 694 l 0 694 l 0 1111 l 139 1111 l 139 972 l 417 972 l 417 833 l 139 833 l 139 694 m 556 833 l 556 694 l 417 694 l 417 833 l 556 833 m 417 694 l 417 556 l 139 556 l 139 694 l 417 694 z "},"⁷":{"ha":833,"x_min":0,"x_max":556,"o":"m 556 972 l 417 972 l 417 1111 l 0 1111 l 0 1250 l 556 1250 l 556 972 m 278 972 l 417 972 l 417 833 l 278 833 l 278 972 m 278 833 l 278 556 l 139 556 l 139 833 l 278 833 z "},"⁸":{"ha":833,"x_min":0,"x_max":556,"o":"m 139 1111 l 139 1250 l 417 1250 l 417 1111 l 139 1111 m 139 1111 l 139 972 l 0 972 l 0 1111 l 139 1111 m 417 972 l 417 1111 l 556 1111 l 556 972 l 417 972 m 417 833 l 139 833 l 139 972 l 417 972 l 417 833 m 139 833 l 139 694 l 0 694 l 0 833 l 139 833 m 417 694 l 417 833 l 556 833 l 556 694 l 417 694 m 417 694 l 417 556 l 139 556 l 139 694 l 417 694 z "},"⁹":{"ha":833,"x_min":0,"x_max":556,"o":"m 139 1111 l 139 1250 l 417 1250 l 417 1111 l 139 1111 m 139 1111 l 139 972 l 0 972 l 0 1111 l 139 1111 m 556 1111 l 556 694 l 417 694 l 417 833 l 139 833 l 139 972 l 417 972 l 417 1111 l 556 1111 m 417 694 l 417 556 l 139 556 l 139 694 l 417 694 z "},"⁄":{"ha":833,"x_min":0,"x_max":694,"o":"m 694 1111 l 694 833 l 556 833 l 556 1111 l 694 1111 m 556 833 l 556 556 l 417 556 l 417 833 l 556 833 m 417 556 l 417 278 l 278 278 l 278 556 l 417 556 m 278 278 l 278 0 l 139 0 l 139 278 l 278 278 m 139 0 l 139 -278 l 0 -278 l 0 0 l 139 0 z "},"½":{"ha":1667,"x_min":0,"x_max":1528,"o":"m 417 417 l 417 278 l 0 278 l 0 417 l 139 417 l 139 694 l 0 694 l 0 833 l 139 833 l 139 972 l 278 972 l 278 417 l 417 417 m 1111 1111 l 1111 833 l 972 833 l 972 1111 l 1111 1111 m 972 833 l 972 556 l 833 556 l 833 833 l 972 833 m 833 556 l 833 278 l 694 278 l 694 556 l 833 556 m 694 278 l 694 0 l 556 0 l 556 278 l 694 278 m 556 0 l 556 -278 l 417 -278 l 417 0 l 556 0 m 1389 417 l 1111 417 l 1111 556 l 1389 556 l 1389 417 m 972 417 l 1111 417 l 1111 278 l 972 278 l 972 417 m 1528 278 l 1389 278 l 1389 417 l 1528 417 l 1528 278 m 1389 139 l 1250 139 l 1250 278 l 1389 278 l 1389 139 m 1250 139 l 1250 0 l 1528 0 l 1528 -139 l 972 -139 l 972 0 l 1111 0 l 1111 139 l 1250 139 z "},"⅓":{"ha":1667,"x_min":0,"x_max":1528,"o":"m 417 417 l 417 278 l 0 278 l 0 417 l 139 417 l 139 694 l 0 694 l 0 833 l 139 833 l 139 972 l 278 972 l 278 417 l 417 417 m 1111 1111 l 1111 833 l 972 833 l 972 1111 l 1111 1111 m 972 833 l 972 556 l 833 556 l 833 833 l 972 833 m 833 556 l 833 278 l 694 278 l 694 556 l 833 556 m 694 278 l 694 0 l 556 0 l 556 278 l 694 278 m 556 0 l 556 -278 l 417 -278 l 417 0 l 556 0 m 1389 278 l 1111 278 l 1111 417 l 1389 417 l 1389 278 m 972 278 l 1111 278 l 1111 139 l 972 139 l 972 278 m 1528 139 l 1389 139 l 1389 278 l 1528 278 l 1528 139 m 1389 139 l 1389 0 l 1250 0 l 1250 139 l 1389 139 m 1111 0 l 1111 -139 l 972 -139 l 972 0 l 1111 0 m 1389 -139 l 1389 0 l 1528 0 l 1528 -139 l 1389 -139 m 1389 -139 l 1389 -278 l 1111 -278 l 1111 -139 l 1389 -139 z "},"⅔":{"ha":1667,"x_min":0,"x_max":1528,"o":"m 972 833 l 972 1111 l 1111 1111 l 1111 833 l 972 833 m 417 833 l 139 833 l 139 972 l 417 972 l 417 833 m 0 833 l 139 833 l 139 694 l 0 694 l 0 833 m 556 694 l 417 694 l 417 833 l 556 833 l 556 694 m 833 556 l 833 833 l 972 833 l 972 556 l 833 556 m 417 556 l 278 556 l 278 694 l 417 694 l 417 556 m 556 278 l 0 278 l 0 417 l 139 417 l 139 556 l 278 556 l 278 417 l 556 417 l 556 278 m 833 556 l 833 278 l 694 278 l 694 556 l 833 556 m 1389 278 l 1111 278 l 1111 417 l 1389 417 l 1389 278 m 694 278 l 694 0 l 556 0 l 556 278 l 694 278 m 972 278 l 1111 278 l 1111 139 l 972 139 l 972 278 m 1528 139 l 1389 139 l 1389 278 l 1528 278 l 1528 139 m 1389 139 l 1389 0 l 1250 0 l 1250 139 l 1389 139 m 556 0 l 556 -278 l 417 -278 l 417 0 l 556 0 m 1111 0 l 1111 -139 l 972 -139 l 972 0 l 1111 0 m 1389 -139 l 1389 0 l 1528 0 l 1528 -139 l 1389 -139 m 1389 -139 l 1389 -278 l 1111 -278 l 1111 -139 l 1389 -139 z "},"¼":{"ha":1667,"x_min":0,"x_max":1528,"o":"m 417 417 l 417 278 l 0 278 l 0 417 l 139 417 l 139 694 l 0 694 l 0 833 l 139 833 l 139 972 l 278 972 l 278 417 l 417 417 m 1111 1111 l 1111 833 l 972 833 l 972 1111 l 1111 1111 m 972 833 l 972 556 l 833 556 l 833 833 l 972 833 m 833 556 l 833 278 l 694 278 l 694 556 l 833 556 m 694 278 l 694 0 l 556 0 l 556 278 l 694 278 m 556 0 l 556 -278 l 417 -278 l 417 0 l 556 0 m 1528 139 l 1528 0 l 1389 0 l 1389 -139 l 1250 -139 l 1250 0 l 972 0 l 972 278 l 1111 278 l 1111 139 l 1250 139 l 1250 278 l 1111 278 l 1111 417 l 1250 417 l 1250 556 l 1389 556 l 1389 139 l 1528 139 z "},"¾":{"ha":1667,"x_min":0,"x_max":1528,"o":"m 1111 1111 l 1111 833 l 972 833 l 972 1111 l 1111 1111 m 972 833 l 972 556 l 833 556 l 833 833 l 972 833 m 833 556 l 833 278 l 694 278 l 694 556 l 833 556 m 694 278 l 694 0 l 556 0 l 556 278 l 694 278 m 556 0 l 556 -278 l 417 -278 l 417 0 l 556 0 m 1528 139 l 1528 0 l 1389 0 l 1389 -139 l 1250 -139 l 1250 0 l 972 0 l 972 278 l 1111 278 l 1111 139 l 1250 139 l 1250 278 l 1111 278 l 1111 417 l 1250 417 l 1250 556 l 1389 556 l 1389 139 l 1528 139 m 417 833 l 139 833 l 139 972 l 417 972 l 417 833 m 0 833 l 139 833 l 139 694 l 0 694 l 0 833 m 556 694 l 417 694 l 417 833 l 556 833 l 556 694 m 417 694 l 417 556 l 278 556 l 278 694 l 417 694 m 139 556 l 139 417 l 0 417 l 0 556 l 139 556 m 417 417 l 417 556 l 556 556 l 556 417 l 417 417 m 417 417 l 417 278 l 139 278 l 139 417 l 417 417 z "},"⅕":{"ha":1667,"x_min":0,"x_max":1528,"o":"m 972 833 l 972 1111 l 1111 1111 l 1111 833 l 972 833 m 417 278 l 0 278 l 0 417 l 139 417 l 139 694 l 0 694 l 0 833 l 139 833 l 139 972 l 278 972 l 278 417 l 417 417 l 417 278 m 972 556 l 833 556 l 833 833 l 972 833 l 972 556 m 833 556 l 833 278 l 694 278 l 694 556 l 833 556 m 1111 278 l 1528 278 l 1528 0 l 1389 0 l 1389 139 l 972 139 l 972 556 l 1528 556 l 1528 417 l 1111 417 l 1111 278 m 694 278 l 694 0 l 556 0 l 556 278 l 694 278 m 556 0 l 556 -278 l 417 -278 l 417 0 l 556 0 m 1389 -139 l 972 -139 l 972 0 l 1389 0 l 1389 -139 z "},"⅖":{"ha":1667,"x_min":0,"x_max":1528,"o":"m 972 833 l 972 1111 l 1111 1111 l 1111 833 l 972 833 m 417 833 l 139 833 l 139 972 l 417 972 l 417 833 m 0 833 l 139 833 l 139 694 l 0 694 l 0 833 m 556 694 l 417 694 l 417 833 l 556 833 l 556 694 m 972 556 l 833 556 l 833 833 l 972 833 l 972 556 m 417 556 l 278 556 l 278 694 l 417 694 l 417 556 m 556 278 l 0 278 l 0 417 l 139 417 l 139 556 l 278 556 l 278 417 l 556 417 l 556 278 m 833 556 l 833 278 l 694 278 l 694 556 l 833 556 m 1111 278 l 1528 278 l 1528 0 l 1389 0 l 1389 139 l 972 139 l 972 556 l 1528 556 l 1528 417 l 1111 417 l 1111 278 m 694 278 l 694 0 l 556 0 l 556 278 l 694 278 m 556 0 l 556 -278 l 417 -278 l 417 0 l 556 0 m 1389 -139 l 972 -139 l 972 0 l 1389 0 l 1389 -139 z "},"⅗":{"ha":1667,"x_min":0,"x_max":1528,"o":"m 972 833 l 972 1111 l 1111 1111 l 1111 833 l 972 833 m 417 833 l 139 833 l 139 972 l 417 972 l 417 833 m 0 833 l 139 833 l 139 694 l 0 694 l 0 833 m 556 694 l 417 694 l 417 833 l 556 833 l 556 694 m 972 556 l 833 556 l 833 833 l 972 833 l 972 556 m 417 694 l 417 556 l 278 556 l 278 694 l 417 694 m 139 556 l 139 417 l 0 417 l 0 556 l 139 556 m 556 417 l 417 417 l 417 556 l 556 556 l 556 417 m 833 556 l 833 278 l 694 278 l 694 556 l 833 556 m 1111 278 l 1528 278 l 1528 0 l 1389 0 l 1389 139 l 972 139 l 972 556 l 1528 556 l 1528 417 l 1111 417 l 1111 278 m 417 278 l 139 278 l 139 417 l 417 417 l 417 278 m 694 278 l 694 0 l 556 0 l 556 278 l 694 278 m 556 0 l 556 -278 l 417 -278 l 417 0 l 556 0 m 1389 -139 l 972 -139 l 972 0 l 1389 0 l 1389 -139 z "},"⅘":{"ha":1667,"x_min":0,"x_max":1528,"o":"m 972 833 l 972 1111 l 1111 1111 l 1111 833 l 972 833 m 278 278 l 278 417 l 0 417 l 0 694 l 139 694 l 139 556 l 278 556 l 278 694 l 139 694 l 139 833 l 278 833 l 278 972 l 417 972 l 417 556 l 556 556 l 556 417 l 417 417 l 417 278 l 278 278 m 972 556 l 833 556 l 833 833 l 972 833 l 972 556 m 833 556 l 833 278 l 694 278 l 694 556 l 833 556 m 1111 278 l 1528 278 l 1528 0 l 1389 0 l 1389 139 l 972 139 l 972 556 l 1528 556 l 1528 417 l 1111 417 l 1111 278 m 694 278 l 694 0 l 556 0 l 556 278 l 694 278 m 556 0 l 556 -278 l 417 -278 l 417 0 l 556 0 m 1389 -139 l 972 -139 l 972 0 l 1389 0 l 1389 -139 z "},"⅙":{"ha":1667,"x_min":0,"x_max":1528,"o":"m 417 417 l 417 278 l 0 278 l 0 417 l 139 417 l 139 694 l 0 694 l 0 833 l 139 833 l 139 972 l 278 972 l 278 417 l 417 417 m 1111 1111 l 1111 833 l 972 833 l 972 1111 l 1111 1111 m 972 833 l 972 556 l 833 556 l 833 833 l 972 833 m 833 556 l 833 278 l 694 278 l 694 556 l 833 556 m 694 278 l 694 0 l 556 0 l 556 278 l 694 278 m 556 0 l 556 -278 l 417 -278 l 417 0 l 556 0 m 1111 417 l 1111 556 l 1389 556 l 1389 417 l 1111 417 m 1111 0 l 972 0 l 972 417 l 1111 417 l 1111 278 l 1389 278 l 1389 139 l 1111 139 l 1111 0 m 1528 139 l 1528 0 l 1389 0 l 1389 139 l 1528 139 m 1389 0 l 1389 -139 l 1111 -139 l 1111 0 l 1389 0 z "},"⅚":{"ha":1667,"x_min":0,"x_max":1528,"o":"m 1111 1111 l 1111 833 l 972 833 l 972 1111 l 1111 1111 m 972 833 l 972 556 l 833 556 l 833 833 l 972 833 m 833 556 l 833 278 l 694 278 l 694 556 l 833 556 m 694 278 l 694 0 l 556 0 l 556 278 l 694 278 m 556 0 l 556 -278 l 417 -278 l 417 0 l 556 0 m 1111 417 l 1111 556 l 1389 556 l 1389 417 l 1111 417 m 1111 0 l 972 0 l 972 417 l 1111 417 l 1111 278 l 1389 278 l 1389 139 l 1111 139 l 1111 0 m 1528 139 l 1528 0 l 1389 0 l 1389 139 l 1528 139 m 1389 0 l 1389 -139 l 1111 -139 l 1111 0 l 1389 0 m 139 694 l 556 694 l 556 417 l 417 417 l 417 556 l 0 556 l 0 972 l 556 972 l 556 833 l 139 833 l 139 694 m 417 278 l 0 278 l 0 417 l 417 417 l 417 278 z "},"⅐":{"ha":1667,"x_min":0,"x_max":1528,"o":"m 972 833 l 972 1111 l 1111 1111 l 1111 833 l 972 833 m 417 278 l 0 278 l 0 417 l 139 417 l 139 694 l 0 694 l 0 833 l 139 833 l 139 972 l 278 972 l 278 417 l 417 417 l 417 278 m 972 556 l 833 556 l 833 833 l 972 833 l 972 556 m 833 556 l 833 278 l 694 278 l 694 556 l 833 556 m 1528 278 l 1389 278 l 1389 417 l 972 417 l 972 556 l 1528 556 l 1528 278 m 694 278 l 694 0 l 556 0 l 556 278 l 694 278 m 1250 278 l 1389 278 l 1389 139 l 1250 139 l 1250 278 m 1250 139 l 1250 -139 l 1111 -139 l 1111 139 l 1250 139 m 556 0 l 556 -278 l 417 -278 l 417 0 l 556 0 z "},"⅛":{"ha":1667,"x_min":0,"x_max":1528,"o":"m 417 417 l 417 278 l 0 278 l 0 417 l 139 417 l 139 694 l 0 694 l 0 833 l 139 833 l 139 972 l 278 972 l 278 417 l 417 417 m 1111 1111 l 1111 833 l 972 833 l 972 1111 l 1111 1111 m 972 833 l 972 556 l 833 556 l 833 833 l 972 833 m 833 556 l 833 278 l 694 278 l 694 556 l 833 556 m 694 278 l 694 0 l 556 0 l 556 278 l 694 278 m 556 0 l 556 -278 l 417 -278 l 417 0 l 556 0 m 1111 417 l 1111 556 l 1389 556 l 1389 417 l 1111 417 m 1111 417 l 1111 278 l 972 278 l 972 417 l 1111 417 m 1389 278 l 1389 417 l 1528 417 l 1528 278 l 1389 278 m 1389 139 l 1111 139 l 1111 278 l 1389 278 l 1389 139 m 1111 139 l 1111 0 l 972 0 l 972 139 l 1111 139 m 1389 0 l 1389 139 l 1528 139 l 1528 0 l 1389 0 m 1389 0 l 1389 -139 l 1111 -139 l 1111 0 l 1389 0 z "},"⅜":{"ha":1667,"x_min":0,"x_max":1528,"o":"m 1111 1111 l 1111 833 l 972 833 l 972 1111 l 1111 1111 m 972 833 l 972 556 l 833 556 l 833 833 l 972 833 m 833 556 l 833 278 l 694 278 l 694 556 l 833 556 m 694 278 l 694 0 l 556 0 l 556 278 l 694 278 m 556 0 l 556 -278 l 417 -278 l 417 0 l 556 0 m 1111 417 l 1111 556 l 1389 556 l 1389 417 l 1111 417 m 1111 417 l 1111 278 l 972 278 l 972 417 l 1111 417 m 1389 278 l 1389 417 l 1528 417 l 1528 278 l 1389 278 m 1389 139 l 1111 139 l 1111 278 l 1389 278 l 1389 139 m 1111 139 l 1111 0 l 972 0 l 972 139 l 1111 139 m 1389 0 l 1389 139 l 1528 139 l 1528 0 l 1389 0 m 1389 0 l 1389 -139 l 1111 -139 l 1111 0 l 1389 0 m 417 833 l 139 833 l 139 972 l 417 972 l 417 833 m 0 833 l 139 833 l 139 694 l 0 694 l 0 833 m 556 694 l 417 694 l 417 833 l 556 833 l 556 694 m 417 694 l 417 556 l 278 556 l 278 694 l 417 694 m 139 556 l 139 417 l 0 417 l 0 556 l 139 556 m 417 417 l 417 556 l 556 556 l 556 417 l 417 417 m 417 417 l 417 278 l 139 278 l 139 417 l 417 417 z "},"⅝":{"ha":1667,"x_min":0,"x_max":1528,"o":"m 1111 1111 l 1111 833 l 972 833 l 972 1111 l 1111 1111 m 972 833 l 972 556 l 833 556 l 833 833 l 972 833 m 833 556 l 833 278 l 694 278 l 694 556 l 833 556 m 694 278 l 694 0 l 556 0 l 556 278 l 694 278 m 556 0 l 556 -278 l 417 -278 l 417 0 l 556 0 m 1111 417 l 1111 556 l 1389 556 l 1389 417 l 1111 417 m 1111 417 l 1111 278 l 972 278 l 972 417 l 1111 417 m 1389 278 l 1389 417 l 1528 417 l 1528 278 l 1389 278 m 1389 139 l 1111 139 l 1111 278 l 1389 278 l 1389 139 m 1111 139 l 1111 0 l 972 0 l 972 139 l 1111 139 m 1389 0 l 1389 139 l 1528 139 l 1528 0 l 1389 0 m 1389 0 l 1389 -139 l 1111 -139 l 1111 0 l 1389 0 m 139 694 l 556 694 l 556 417 l 417 417 l 417 556 l 0 556 l 0 972 l 556 972 l 556 833 l 139 833 l 139 694 m 417 278 l 0 278 l 0 417 l 417 417 l 417 278 z "},"⅞":{"ha":1667,"x_min":0,"x_max":1528,"o":"m 1111 1111 l 1111 833 l 972 833 l 972 1111 l 1111 1111 m 972 833 l 972 556 l 833 556 l 833 833 l 972 833 m 833 556 l 833 278 l 694 278 l 694 556 l 833 556 m 694 278 l 694 0 l 556 0 l 556 278 l 694 278 m 556 0 l 556 -278 l 417 -278 l 417 0 l 556 0 m 1111 417 l 1111 556 l 1389 556 l 1389 417 l 1111 417 m 1111 417 l 1111 278 l 972 278 l 972 417 l 1111 417 m 1389 278 l 1389 417 l 1528 417 l 1528 278 l 1389 278 m 1389 139 l 1111 139 l 1111 278 l 1389 278 l 1389 139 m 1111 139 l 1111 0 l 972 0 l 972 139 l 1111 139 m 1389 0 l 1389 139 l 1528 139 l 1528 0 l 1389 0 m 1389 0 l 1389 -139 l 1111 -139 l 1111 0 l 1389 0 m 556 694 l 417 694 l 417 833 l 0 833 l 0 972 l 556 972 l 556 694 m 278 694 l 417 694 l 417 556 l 278 556 l 278 694 m 278 556 l 278 278 l 139 278 l 139 556 l 278 556 z "},"⅑":{"ha":1667,"x_min":0,"x_max":1528,"o":"m 417 417 l 417 278 l 0 278 l 0 417 l 139 417 l 139 694 l 0 694 l 0 833 l 139 833 l 139 972 l 278 972 l 278 417 l 417 417 m 1111 1111 l 1111 833 l 972 833 l 972 1111 l 1111 1111 m 972 833 l 972 556 l 833 556 l 833 833 l 972 833 m 833 556 l 833 278 l 694 278 l 694 556 l 833 556 m 694 278 l 694 0 l 556 0 l 556 278 l 694 278 m 556 0 l 556 -278 l 417 -278 l 417 0 l 556 0 m 1111 417 l 1111 556 l 1389 556 l 1389 417 l 1111 417 m 1111 417 l 1111 278 l 972 278 l 972 417 l 1111 417 m 1528 417 l 1528 0 l 1389 0 l 1389 139 l 1111 139 l 1111 278 l 1389 278 l 1389 417 l 1528 417 m 1389 0 l 1389 -139 l 1111 -139 l 1111 0 l 1389 0 z "},".":{"ha":833,"x_min":139,"x_max":417,"o":"m 417 0 l 139 0 l 139 278 l 417 278 l 417 0 z "},",":{"ha":833,"x_min":139,"x_max":417,"o":"m 417 -139 l 278 -139 l 278 0 l 139 0 l 139 278 l 417 278 l 417 -139 m 139 -139 l 278 -139 l 278 -278 l 139 -278 l 139 -139 z "},":":{"ha":833,"x_min":139,"x_max":417,"o":"m 417 0 l 139 0 l 139 278 l 417 278 l 417 0 m 417 417 l 139 417 l 139 694 l 417 694 l 417 417 z "},";":{"ha":833,"x_min":139,"x_max":417,"o":"m 417 417 l 139 417 l 139 694 l 417 694 l 417 417 m 417 -139 l 278 -139 l 278 0 l 139 0 l 139 278 l 417 278 l 417 -139 m 139 -139 l 278 -139 l 278 -278 l 139 -278 l 139 -139 z "},"…":{"ha":833,"x_min":0,"x_max":694,"o":"m 0 139 l 139 139 l 139 0 l 0 0 l 0 139 m 278 139 l 417 139 l 417 0 l 278 0 l 278 139 m 556 139 l 694 139 l 694 0 l 556 0 l 556 139 z "},"!":{"ha":833,"x_min":278,"x_max":417,"o":"m 417 972 l 417 278 l 278 278 l 278 972 l 417 972 m 278 139 l 417 139 l 417 0 l 278 0 l 278 139 z "},"¡":{"ha":833,"x_min":278,"x_max":417,"o":"m 417 972 l 417 833 l 278 833 l 278 972 l 417 972 m 417 694 l 417 0 l 278 0 l 278 694 l 417 694 z "},"?":{"ha":833,"x_min":0,"x_max":694,"o":"m 556 833 l 139 833 l 139 972 l 556 972 l 556 833 m 0 833 l 139 833 l 139 694 l 0 694 l 0 833 m 694 833 l 694 556 l 556 556 l 556 833 l 694 833 m 417 556 l 556 556 l 556 417 l 417 417 l 417 556 m 278 417 l 417 417 l 417 278 l 278 278 l 278 417 m 278 139 l 417 139 l 417 0 l 278 0 l 278 139 z "},"¿":{"ha":833,"x_min":0,"x_max":694,"o":"m 417 833 l 278 833 l 278 972 l 417 972 l 417 833 m 417 556 l 278 556 l 278 694 l 417 694 l 417 556 m 278 417 l 139 417 l 139 556 l 278 556 l 278 417 m 139 139 l 0 139 l 0 417 l 139 417 l 139 139 m 694 278 l 694 139 l 556 139 l 556 278 l 694 278 m 556 0 l 139 0 l 139 139 l 556 139 l 556 0 z "},"·":{"ha":833,"x_min":139,"x_max":417,"o":"m 417 417 l 139 417 l 139 694 l 417 694 l 417 417 z "},"•":{"ha":833,"x_min":139,"x_max":417,"o":"m 417 417 l 139 417 l 139 694 l 417 694 l 417 417 z "},"*":{"ha":833,"x_min":0,"x_max":694,"o":"m 556 556 l 556 417 l 417 417 l 417 139 l 278 139 l 278 417 l 139 417 l 139 556 l 278 556 l 278 833 l 417 833 l 417 556 l 556 556 m 139 694 l 139 556 l 0 556 l 0 694 l 139 694 m 694 556 l 556 556 l 556 694 l 694 694 l 694 556 m 0 417 l 139 417 l 139 278 l 0 278 l 0 417 m 556 278 l 556 417 l 694 417 l 694 278 l 556 278 z "},"#":{"ha":833,"x_min":0,"x_max":694,"o":"m 556 556 l 556 417 l 694 417 l 694 278 l 556 278 l 556 139 l 417 139 l 417 278 l 278 278 l 278 139 l 139 139 l 139 278 l 0 278 l 0 417 l 139 417 l 139 556 l 0 556 l 0 694 l 139 694 l 139 833 l 278 833 l 278 694 l 417 694 l 417 833 l 556 833 l 556 694 l 694 694 l 694 556 l 556 556 m 417 556 l 278 556 l 278 417 l 417 417 l 417 556 z "},"/":{"ha":833,"x_min":0,"x_max":694,"o":"m 694 1111 l 694 833 l 556 833 l 556 1111 l 694 1111 m 556 833 l 556 556 l 417 556 l 417 833 l 556 833 m 417 556 l 417 278 l 278 278 l 278 556 l 417 556 m 278 278 l 278 0 l 139 0 l 139 278 l 278 278 m 139 0 l 139 -278 l 0 -278 l 0 0 l 139 0 z "},"\\":{"ha":833,"x_min":0,"x_max":694,"o":"m 139 833 l 0 833 l 0 1111 l 139 1111 l 139 833 m 278 556 l 139 556 l 139 833 l 278 833 l 278 556 m 417 278 l 278 278 l 278 556 l 417 556 l 417 278 m 556 0 l 417 0 l 417 278 l 556 278 l 556 0 m 694 0 l 694 -278 l 556 -278 l 556 0 l 694 0 z "},"(":{"ha":833,"x_min":139,"x_max":556,"o":"m 556 972 l 417 972 l 417 1111 l 556 1111 l 556 972 m 278 694 l 278 972 l 417 972 l 417 694 l 278 694 m 139 278 l 139 694 l 278 694 l 278 278 l 139 278 m 278 278 l 417 278 l 417 0 l 278 0 l 278 278 m 417 -139 l 417 0 l 556 0 l 556 -139 l 417 -139 z "},")":{"ha":833,"x_min":139,"x_max":556,"o":"m 278 1111 l 278 972 l 139 972 l 139 1111 l 278 1111 m 417 694 l 278 694 l 278 972 l 417 972 l 417 694 m 556 694 l 556 278 l 417 278 l 417 694 l 556 694 m 417 278 l 417 0 l 278 0 l 278 278 l 417 278 m 139 0 l 278 0 l 278 -139 l 139 -139 l 139 0 z "},"{":{"ha":833,"x_min":139,"x_max":556,"o":"m 556 972 l 417 972 l 417 1111 l 556 1111 l 556 972 m 278 556 l 278 972 l 417 972 l 417 556 l 278 556 m 278 556 l 278 417 l 139 417 l 139 556 l 278 556 m 417 417 l 417 0 l 278 0 l 278 417 l 417 417 m 417 -139 l 417 0 l 556 0 l 556 -139 l 417 -139 z "},"}":{"ha":833,"x_min":139,"x_max":556,"o":"m 278 1111 l 278 972 l 139 972 l 139 1111 l 278 1111 m 278 556 l 278 972 l 417 972 l 417 556 l 278 556 m 556 556 l 556 417 l 417 417 l 417 556 l 556 556 m 417 417 l 417 0 l 278 0 l 278 417 l 417 417 m 139 0 l 278 0 l 278 -139 l 139 -139 l 139 0 z "},"[":{"ha":833,"x_min":278,"x_max":556,"o":"m 556 0 l 556 -139 l 278 -139 l 278 1111 l 556 1111 l 556 972 l 417 972 l 417 0 l 556 0 z "},"]":{"ha":833,"x_min":139,"x_max":417,"o":"m 417 -139 l 139 -139 l 139 0 l 278 0 l 278 972 l 139 972 l 139 1111 l 417 1111 l 417 -139 z "},"-":{"ha":833,"x_min":139,"x_max":556,"o":"m 556 417 l 139 417 l 139 556 l 556 556 l 556 417 z "},"­":{"ha":833,"x_min":0,"x_max":0,"o":""},"–":{"ha":833,"x_min":0,"x_max":694,"o":"m 694 417 l 0 417 l 0 556 l 694 556 l 694 417 z "},"—":{"ha":833,"x_min":-139,"x_max":833,"o":"m 833 417 l -139 417 l -139 556 l 833 556 l 833 417 z "},"_":{"ha":833,"x_min":0,"x_max":694,"o":"m 694 0 l 0 0 l 0 139 l 694 139 l 694 0 z "},"‚":{"ha":833,"x_min":278,"x_max":556,"o":"m 556 -139 l 417 -139 l 417 0 l 278 0 l 278 278 l 556 278 l 556 -139 m 278 -139 l 417 -139 l 417 -278 l 278 -278 l 278 -139 z "},"„":{"ha":833,"x_min":0,"x_max":694,"o":"m 278 -139 l 139 -139 l 139 0 l 0 0 l 0 278 l 278 278 l 278 -139 m 0 -139 l 139 -139 l 139 -278 l 0 -278 l 0 -139 m 694 -139 l 556 -139 l 556 0 l 417 0 l 417 278 l 694 278 l 694 -139 m 417 -139 l 556 -139 l 556 -278 l 417 -278 l 417 -139 z "},"“":{"ha":833,"x_min":0,"x_max":694,"o":"m 278 972 l 139 972 l 139 1111 l 278 1111 l 278 972 m 139 972 l 139 833 l 278 833 l 278 556 l 0 556 l 0 972 l 139 972 m 694 972 l 556 972 l 556 1111 l 694 1111 l 694 972 m 556 972 l 556 833 l 694 833 l 694 556 l 417 556 l 417 972 l 556 972 z "},"”":{"ha":833,"x_min":0,"x_max":694,"o":"m 278 694 l 139 694 l 139 833 l 0 833 l 0 1111 l 278 1111 l 278 694 m 0 694 l 139 694 l 139 556 l 0 556 l 0 694 m 694 694 l 556 694 l 556 833 l 417 833 l 417 1111 l 694 1111 l 694 694 m 417 694 l 556 694 l 556 556 l 417 556 l 417 694 z "},"‘":{"ha":833,"x_min":278,"x_max":556,"o":"m 556 972 l 417 972 l 417 1111 l 556 1111 l 556 972 m 417 972 l 417 833 l 556 833 l 556 556 l 278 556 l 278 972 l 417 972 z "},"’":{"ha":833,"x_min":139,"x_max":417,"o":"m 417 694 l 278 694 l 278 833 l 139 833 l 139 1111 l 417 1111 l 417 694 m 139 694 l 278 694 l 278 556 l 139 556 l 139 694 z "},"«":{"ha":833,"x_min":0,"x_max":694,"o":"m 278 833 l 417 833 l 417 694 l 278 694 l 278 833 m 556 833 l 694 833 l 694 694 l 556 694 l 556 833 m 139 694 l 278 694 l 278 556 l 139 556 l 139 694 m 417 694 l 556 694 l 556 556 l 417 556 l 417 694 m 0 556 l 139 556 l 139 417 l 0 417 l 0 556 m 278 556 l 417 556 l 417 417 l 278 417 l 278 556 m 139 417 l 278 417 l 278 278 l 139 278 l 139 417 m 417 417 l 556 417 l 556 278 l 417 278 l 417 417 m 278 278 l 417 278 l 417 139 l 278 139 l 278 278 m 556 278 l 694 278 l 694 139 l 556 139 l 556 278 z "},"»":{"ha":833,"x_min":0,"x_max":694,"o":"m 0 833 l 139 833 l 139 694 l 0 694 l 0 833 m 278 833 l 417 833 l 417 694 l 278 694 l 278 833 m 139 694 l 278 694 l 278 556 l 139 556 l 139 694 m 417 694 l 556 694 l 556 556 l 417 556 l 417 694 m 278 556 l 417 556 l 417 417 l 278 417 l 278 556 m 556 556 l 694 556 l 694 417 l 556 417 l 556 556 m 139 417 l 278 417 l 278 278 l 139 278 l 139 417 m 417 417 l 556 417 l 556 278 l 417 278 l 417 417 m 0 278 l 139 278 l 139 139 l 0 139 l 0 278 m 278 278 l 417 278 l 417 139 l 278 139 l 278 278 z "},"‹":{"ha":833,"x_min":139,"x_max":556,"o":"m 417 833 l 556 833 l 556 694 l 417 694 l 417 833 m 278 694 l 417 694 l 417 556 l 278 556 l 278 694 m 139 556 l 278 556 l 278 417 l 139 417 l 139 556 m 278 417 l 417 417 l 417 278 l 278 278 l 278 417 m 417 278 l 556 278 l 556 139 l 417 139 l 417 278 z "},"›":{"ha":833,"x_min":139,"x_max":556,"o":"m 139 833 l 278 833 l 278 694 l 139 694 l 139 833 m 278 694 l 417 694 l 417 556 l 278 556 l 278 694 m 417 556 l 556 556 l 556 417 l 417 417 l 417 556 m 278 417 l 417 417 l 417 278 l 278 278 l 278 417 m 139 278 l 278 278 l 278 139 l 139 139 l 139 278 z "},"\"":{"ha":833,"x_min":139,"x_max":556,"o":"m 278 1111 l 278 694 l 139 694 l 139 1111 l 278 1111 m 556 1111 l 556 694 l 417 694 l 417 1111 l 556 1111 z "},"'":{"ha":833,"x_min":278,"x_max":417,"o":"m 417 1111 l 417 694 l 278 694 l 278 1111 l 417 1111 z "}," ":{"ha":833,"x_min":0,"x_max":0,"o":""},"¢":{"ha":833,"x_min":0,"x_max":694,"o":"m 556 833 l 556 694 l 417 694 l 417 278 l 556 278 l 556 139 l 417 139 l 417 0 l 278 0 l 278 139 l 139 139 l 139 278 l 278 278 l 278 694 l 139 694 l 139 833 l 278 833 l 278 972 l 417 972 l 417 833 l 556 833 m 0 278 l 0 694 l 139 694 l 139 278 l 0 278 m 556 556 l 556 694 l 694 694 l 694 556 l 556 556 m 694 278 l 556 278 l 556 417 l 694 417 l 694 278 z "},"¤":{"ha":833,"x_min":0,"x_max":694,"o":"m 139 833 l 139 694 l 0 694 l 0 833 l 139 833 m 694 694 l 556 694 l 556 833 l 694 833 l 694 694 m 139 278 l 139 694 l 556 694 l 556 278 l 139 278 m 417 417 l 417 556 l 278 556 l 278 417 l 417 417 m 0 278 l 139 278 l 139 139 l 0 139 l 0 278 m 556 139 l 556 278 l 694 278 l 694 139 l 556 139 z "},"$":{"ha":833,"x_min":0,"x_max":694,"o":"m 556 972 l 556 833 l 417 833 l 417 556 l 556 556 l 556 417 l 417 417 l 417 139 l 556 139 l 556 0 l 417 0 l 417 -139 l 278 -139 l 278 0 l 139 0 l 139 139 l 278 139 l 278 417 l 139 417 l 139 556 l 278 556 l 278 833 l 139 833 l 139 972 l 278 972 l 278 1111 l 417 1111 l 417 972 l 556 972 m 139 556 l 0 556 l 0 833 l 139 833 l 139 556 m 556 694 l 556 833 l 694 833 l 694 694 l 556 694 m 556 417 l 694 417 l 694 139 l 556 139 l 556 417 m 139 278 l 139 139 l 0 139 l 0 278 l 139 278 z "},"€":{"ha":833,"x_min":0,"x_max":694,"o":"m 556 833 l 278 833 l 278 972 l 556 972 l 556 833 m 139 833 l 278 833 l 278 694 l 417 694 l 417 556 l 278 556 l 278 417 l 417 417 l 417 278 l 278 278 l 278 139 l 139 139 l 139 278 l 0 278 l 0 417 l 139 417 l 139 556 l 0 556 l 0 694 l 139 694 l 139 833 m 556 694 l 556 833 l 694 833 l 694 694 l 556 694 m 694 139 l 556 139 l 556 278 l 694 278 l 694 139 m 278 139 l 556 139 l 556 0 l 278 0 l 278 139 z "},"ƒ":{"ha":833,"x_min":0,"x_max":694,"o":"m 694 972 l 417 972 l 417 1111 l 694 1111 l 694 972 m 417 972 l 417 556 l 556 556 l 556 417 l 417 417 l 417 -139 l 278 -139 l 278 417 l 139 417 l 139 556 l 278 556 l 278 972 l 417 972 m 278 -139 l 278 -278 l 0 -278 l 0 -139 l 278 -139 z "},"£":{"ha":833,"x_min":0,"x_max":694,"o":"m 556 833 l 278 833 l 278 972 l 556 972 l 556 833 m 278 833 l 278 556 l 556 556 l 556 417 l 278 417 l 278 139 l 694 139 l 694 0 l 0 0 l 0 139 l 139 139 l 139 417 l 0 417 l 0 556 l 139 556 l 139 833 l 278 833 m 556 694 l 556 833 l 694 833 l 694 694 l 556 694 z "},"¥":{"ha":833,"x_min":0,"x_max":694,"o":"m 139 972 l 139 833 l 0 833 l 0 972 l 139 972 m 694 833 l 556 833 l 556 972 l 694 972 l 694 833 m 278 833 l 278 694 l 139 694 l 139 833 l 278 833 m 556 694 l 417 694 l 417 833 l 556 833 l 556 694 m 417 694 l 417 556 l 694 556 l 694 417 l 417 417 l 417 278 l 694 278 l 694 139 l 417 139 l 417 0 l 278 0 l 278 139 l 0 139 l 0 278 l 278 278 l 278 417 l 0 417 l 0 556 l 278 556 l 278 694 l 417 694 z "},"+":{"ha":833,"x_min":0,"x_max":694,"o":"m 694 417 l 417 417 l 417 139 l 278 139 l 278 417 l 0 417 l 0 556 l 278 556 l 278 833 l 417 833 l 417 556 l 694 556 l 694 417 z "},"−":{"ha":833,"x_min":0,"x_max":694,"o":"m 694 417 l 0 417 l 0 556 l 694 556 l 694 417 z "},"×":{"ha":833,"x_min":0,"x_max":694,"o":"m 0 833 l 139 833 l 139 694 l 0 694 l 0 833 m 556 833 l 694 833 l 694 694 l 556 694 l 556 833 m 139 694 l 278 694 l 278 556 l 139 556 l 139 694 m 417 694 l 556 694 l 556 556 l 417 556 l 417 694 m 278 556 l 417 556 l 417 417 l 278 417 l 278 556 m 139 417 l 278 417 l 278 278 l 139 278 l 139 417 m 417 417 l 556 417 l 556 278 l 417 278 l 417 417 m 0 278 l 139 278 l 139 139 l 0 139 l 0 278 m 556 278 l 694 278 l 694 139 l 556 139 l 556 278 z "},"÷":{"ha":833,"x_min":0,"x_max":694,"o":"m 417 694 l 278 694 l 278 833 l 417 833 l 417 694 m 694 417 l 0 417 l 0 556 l 694 556 l 694 417 m 278 278 l 417 278 l 417 139 l 278 139 l 278 278 z "},"=":{"ha":833,"x_min":0,"x_max":694,"o":"m 694 556 l 0 556 l 0 694 l 694 694 l 694 556 m 694 278 l 0 278 l 0 417 l 694 417 l 694 278 z "},"≠":{"ha":833,"x_min":0,"x_max":694,"o":"m 417 417 l 694 417 l 694 278 l 278 278 l 278 139 l 139 139 l 139 278 l 0 278 l 0 417 l 278 417 l 278 556 l 0 556 l 0 694 l 417 694 l 417 833 l 556 833 l 556 694 l 694 694 l 694 556 l 417 556 l 417 417 z "},">":{"ha":833,"x_min":139,"x_max":556,"o":"m 139 833 l 278 833 l 278 694 l 139 694 l 139 833 m 278 694 l 417 694 l 417 556 l 278 556 l 278 694 m 417 556 l 556 556 l 556 417 l 417 417 l 417 556 m 278 417 l 417 417 l 417 278 l 278 278 l 278 417 m 139 278 l 278 278 l 278 139 l 139 139 l 139 278 z "},"<":{"ha":833,"x_min":139,"x_max":556,"o":"m 417 833 l 556 833 l 556 694 l 417 694 l 417 833 m 278 694 l 417 694 l 417 556 l 278 556 l 278 694 m 139 556 l 278 556 l 278 417 l 139 417 l 139 556 m 278 417 l 417 417 l 417 278 l 278 278 l 278 417 m 417 278 l 556 278 l 556 139 l 417 139 l 417 278 z "},"≥":{"ha":833,"x_min":0,"x_max":694,"o":"m 278 972 l 278 833 l 139 833 l 139 972 l 278 972 m 417 833 l 417 694 l 278 694 l 278 833 l 417 833 m 556 556 l 417 556 l 417 694 l 556 694 l 556 556 m 417 417 l 278 417 l 278 556 l 417 556 l 417 417 m 278 278 l 139 278 l 139 417 l 278 417 l 278 278 m 694 0 l 0 0 l 0 139 l 694 139 l 694 0 z "},"≤":{"ha":833,"x_min":0,"x_max":694,"o":"m 556 833 l 417 833 l 417 972 l 556 972 l 556 833 m 417 694 l 278 694 l 278 833 l 417 833 l 417 694 m 278 556 l 139 556 l 139 694 l 278 694 l 278 556 m 278 417 l 278 556 l 417 556 l 417 417 l 278 417 m 417 278 l 417 417 l 556 417 l 556 278 l 417 278 m 694 0 l 0 0 l 0 139 l 694 139 l 694 0 z "},"±":{"ha":833,"x_min":0,"x_max":694,"o":"m 694 556 l 417 556 l 417 278 l 278 278 l 278 556 l 0 556 l 0 694 l 278 694 l 278 972 l 417 972 l 417 694 l 694 694 l 694 556 m 694 0 l 0 0 l 0 139 l 694 139 l 694 0 z "},"≈":{"ha":833,"x_min":0,"x_max":694,"o":"z "},"¬":{"ha":833,"x_min":0,"x_max":694,"o":"m 694 278 l 556 278 l 556 417 l 0 417 l 0 556 l 694 556 l 694 278 z "},"~":{"ha":833,"x_min":0,"x_max":694,"o":"m 139 556 l 347 556 l 347 417 l 139 417 l 139 556 m 556 556 l 694 556 l 694 417 l 556 417 l 556 556 m 0 417 l 139 417 l 139 278 l 0 278 l 0 417 m 347 417 l 556 417 l 556 278 l 347 278 l 347 417 z "},"^":{"ha":833,"x_min":0,"x_max":694,"o":"m 278 1111 l 417 1111 l 417 972 l 278 972 l 278 1111 m 139 972 l 278 972 l 278 833 l 139 833 l 139 972 m 417 972 l 556 972 l 556 833 l 417 833 l 417 972 m 0 833 l 139 833 l 139 694 l 0 694 l 0 833 m 556 833 l 694 833 l 694 694 l 556 694 l 556 833 z "},"∞":{"ha":833,"x_min":-139,"x_max":833,"o":"m 0 694 l 0 833 l 278 833 l 278 694 l 0 694 m 417 694 l 417 833 l 694 833 l 694 694 l 417 694 m 0 417 l -139 417 l -139 694 l 0 694 l 0 417 m 417 417 l 278 417 l 278 694 l 417 694 l 417 417 m 833 694 l 833 417 l 694 417 l 694 694 l 833 694 m 278 417 l 278 278 l 0 278 l 0 417 l 278 417 m 694 417 l 694 278 l 417 278 l 417 417 l 694 417 z "},"∫":{"ha":833,"x_min":0,"x_max":694,"o":"m 694 972 l 417 972 l 417 1111 l 694 1111 l 694 972 m 417 972 l 417 -139 l 278 -139 l 278 972 l 417 972 m 278 -139 l 278 -278 l 0 -278 l 0 -139 l 278 -139 z "},"∏":{"ha":833,"x_min":0,"x_max":694,"o":"m 694 972 l 556 972 l 556 -139 l 417 -139 l 417 972 l 278 972 l 278 -139 l 139 -139 l 139 972 l 0 972 l 0 1111 l 694 1111 l 694 972 z "},"∑":{"ha":833,"x_min":0,"x_max":694,"o":"m 139 833 l 0 833 l 0 1111 l 694 1111 l 694 972 l 139 972 l 139 833 m 139 694 l 139 833 l 278 833 l 278 694 l 139 694 m 278 556 l 278 694 l 417 694 l 417 556 l 278 556 m 417 417 l 417 556 l 556 556 l 556 417 l 417 417 m 278 417 l 417 417 l 417 278 l 278 278 l 278 417 m 139 278 l 278 278 l 278 139 l 139 139 l 139 278 m 139 139 l 139 0 l 694 0 l 694 -139 l 0 -139 l 0 139 l 139 139 z "},"√":{"ha":833,"x_min":0,"x_max":694,"o":"m 694 1111 l 694 694 l 556 694 l 556 1111 l 694 1111 m 556 694 l 556 278 l 417 278 l 417 694 l 556 694 m 417 278 l 417 -139 l 278 -139 l 278 278 l 417 278 m 139 0 l 139 -139 l 0 -139 l 0 0 l 139 0 m 139 -139 l 278 -139 l 278 -278 l 139 -278 l 139 -139 z "},"µ":{"ha":833,"x_min":0,"x_max":694,"o":"m 556 0 l 139 0 l 139 -278 l 0 -278 l 0 694 l 139 694 l 139 139 l 556 139 l 556 0 m 694 694 l 694 139 l 556 139 l 556 694 l 694 694 z "},"∂":{"ha":833,"x_min":0,"x_max":694,"o":"m 556 972 l 556 833 l 417 833 l 417 972 l 556 972 m 694 833 l 694 139 l 556 139 l 556 417 l 139 417 l 139 556 l 556 556 l 556 833 l 694 833 m 139 139 l 0 139 l 0 417 l 139 417 l 139 139 m 556 0 l 139 0 l 139 139 l 556 139 l 556 0 z "},"%":{"ha":833,"x_min":0,"x_max":694,"o":"m 278 833 l 139 833 l 139 972 l 417 972 l 417 694 l 278 694 l 278 833 m 694 972 l 694 694 l 556 694 l 556 972 l 694 972 m 278 694 l 278 556 l 0 556 l 0 833 l 139 833 l 139 694 l 278 694 m 417 694 l 556 694 l 556 556 l 417 556 l 417 694 m 278 556 l 417 556 l 417 417 l 278 417 l 278 556 m 278 417 l 278 278 l 139 278 l 139 417 l 278 417 m 417 278 l 417 417 l 694 417 l 694 139 l 556 139 l 556 278 l 417 278 m 139 278 l 139 0 l 0 0 l 0 278 l 139 278 m 417 139 l 556 139 l 556 0 l 278 0 l 278 278 l 417 278 l 417 139 z "},"‰":{"ha":833,"x_min":0,"x_max":1111,"o":"m 278 833 l 139 833 l 139 972 l 417 972 l 417 694 l 278 694 l 278 833 m 556 694 l 556 972 l 694 972 l 694 694 l 556 694 m 278 694 l 278 556 l 0 556 l 0 833 l 139 833 l 139 694 l 278 694 m 417 556 l 417 694 l 556 694 l 556 556 l 417 556 m 417 417 l 278 417 l 278 556 l 417 556 l 417 417 m 278 417 l 278 278 l 139 278 l 139 417 l 278 417 m 833 139 l 972 139 l 972 0 l 694 0 l 694 139 l 556 139 l 556 278 l 417 278 l 417 417 l 694 417 l 694 278 l 833 278 l 833 139 m 1111 139 l 972 139 l 972 278 l 833 278 l 833 417 l 1111 417 l 1111 139 m 139 278 l 139 0 l 0 0 l 0 278 l 139 278 m 417 139 l 556 139 l 556 0 l 278 0 l 278 278 l 417 278 l 417 139 z "},"↑":{"ha":833,"x_min":0,"x_max":694,"o":"m 556 833 l 556 694 l 417 694 l 417 0 l 278 0 l 278 694 l 139 694 l 139 833 l 278 833 l 278 972 l 417 972 l 417 833 l 556 833 m 0 694 l 139 694 l 139 556 l 0 556 l 0 694 m 694 694 l 694 556 l 556 556 l 556 694 l 694 694 z "},"↗":{"ha":833,"x_min":0,"x_max":694,"o":"m 694 278 l 556 278 l 556 556 l 417 556 l 417 694 l 139 694 l 139 833 l 694 833 l 694 278 m 278 556 l 417 556 l 417 417 l 278 417 l 278 556 m 139 417 l 278 417 l 278 278 l 139 278 l 139 417 m 0 278 l 139 278 l 139 139 l 0 139 l 0 278 z "},"→":{"ha":833,"x_min":-139,"x_max":833,"o":"m 556 833 l 556 694 l 417 694 l 417 833 l 556 833 m 833 556 l 833 417 l 694 417 l 694 278 l 556 278 l 556 417 l -139 417 l -139 556 l 556 556 l 556 694 l 694 694 l 694 556 l 833 556 m 417 278 l 556 278 l 556 139 l 417 139 l 417 278 z "},"↘":{"ha":833,"x_min":0,"x_max":694,"o":"m 139 833 l 139 694 l 0 694 l 0 833 l 139 833 m 694 694 l 694 139 l 139 139 l 139 278 l 417 278 l 417 417 l 556 417 l 556 694 l 694 694 m 278 694 l 278 556 l 139 556 l 139 694 l 278 694 m 417 556 l 417 417 l 278 417 l 278 556 l 417 556 z "},"↓":{"ha":833,"x_min":0,"x_max":694,"o":"m 556 278 l 556 139 l 417 139 l 417 0 l 278 0 l 278 139 l 139 139 l 139 278 l 278 278 l 278 972 l 417 972 l 417 278 l 556 278 m 139 417 l 139 278 l 0 278 l 0 417 l 139 417 m 694 417 l 694 278 l 556 278 l 556 417 l 694 417 z "},"↙":{"ha":833,"x_min":0,"x_max":694,"o":"m 694 833 l 694 694 l 556 694 l 556 833 l 694 833 m 278 417 l 278 278 l 556 278 l 556 139 l 0 139 l 0 694 l 139 694 l 139 417 l 278 417 m 417 694 l 556 694 l 556 556 l 417 556 l 417 694 m 278 556 l 417 556 l 417 417 l 278 417 l 278 556 z "},"←":{"ha":833,"x_min":-139,"x_max":833,"o":"m 278 694 l 139 694 l 139 833 l 278 833 l 278 694 m 833 417 l 139 417 l 139 278 l 0 278 l 0 417 l -139 417 l -139 556 l 0 556 l 0 694 l 139 694 l 139 556 l 833 556 l 833 417 m 139 139 l 139 278 l 278 278 l 278 139 l 139 139 z "},"↖":{"ha":833,"x_min":0,"x_max":694,"o":"m 278 556 l 139 556 l 139 278 l 0 278 l 0 833 l 556 833 l 556 694 l 278 694 l 278 556 m 417 556 l 417 417 l 278 417 l 278 556 l 417 556 m 556 417 l 556 278 l 417 278 l 417 417 l 556 417 m 694 278 l 694 139 l 556 139 l 556 278 l 694 278 z "},"↔":{"ha":833,"x_min":-139,"x_max":833,"o":"m 278 694 l 139 694 l 139 833 l 278 833 l 278 694 m 556 833 l 556 694 l 417 694 l 417 833 l 556 833 m 833 556 l 833 417 l 694 417 l 694 278 l 556 278 l 556 417 l 139 417 l 139 278 l 0 278 l 0 417 l -139 417 l -139 556 l 0 556 l 0 694 l 139 694 l 139 556 l 556 556 l 556 694 l 694 694 l 694 556 l 833 556 m 139 139 l 139 278 l 278 278 l 278 139 l 139 139 m 417 278 l 556 278 l 556 139 l 417 139 l 417 278 z "},"↕":{"ha":833,"x_min":0,"x_max":694,"o":"m 556 833 l 556 694 l 417 694 l 417 278 l 556 278 l 556 139 l 417 139 l 417 0 l 278 0 l 278 139 l 139 139 l 139 278 l 278 278 l 278 694 l 139 694 l 139 833 l 278 833 l 278 972 l 417 972 l 417 833 l 556 833 m 0 694 l 139 694 l 139 556 l 0 556 l 0 694 m 556 556 l 556 694 l 694 694 l 694 556 l 556 556 m 139 417 l 139 278 l 0 278 l 0 417 l 139 417 m 694 278 l 556 278 l 556 417 l 694 417 l 694 278 z "},"◊":{"ha":833,"x_min":0,"x_max":694,"o":"m 417 833 l 278 833 l 278 972 l 417 972 l 417 833 m 278 694 l 139 694 l 139 833 l 278 833 l 278 694 m 417 694 l 417 833 l 556 833 l 556 694 l 417 694 m 0 278 l 0 694 l 139 694 l 139 278 l 0 278 m 694 694 l 694 278 l 556 278 l 556 694 l 694 694 m 278 278 l 278 139 l 139 139 l 139 278 l 278 278 m 417 278 l 556 278 l 556 139 l 417 139 l 417 278 m 278 139 l 417 139 l 417 0 l 278 0 l 278 139 z "},"@":{"ha":833,"x_min":0,"x_max":694,"o":"m 556 833 l 139 833 l 139 972 l 556 972 l 556 833 m 139 833 l 139 139 l 0 139 l 0 833 l 139 833 m 694 833 l 694 278 l 278 278 l 278 694 l 556 694 l 556 833 l 694 833 m 556 556 l 417 556 l 417 417 l 556 417 l 556 556 m 139 139 l 694 139 l 694 0 l 139 0 l 139 139 z "},"&":{"ha":833,"x_min":0,"x_max":694,"o":"m 139 833 l 139 972 l 417 972 l 417 833 l 139 833 m 139 556 l 0 556 l 0 833 l 139 833 l 139 556 m 417 694 l 417 833 l 556 833 l 556 694 l 417 694 m 278 694 l 417 694 l 417 556 l 278 556 l 278 694 m 278 417 l 139 417 l 139 556 l 278 556 l 278 417 m 139 139 l 0 139 l 0 417 l 139 417 l 139 139 m 278 278 l 278 417 l 417 417 l 417 278 l 278 278 m 694 278 l 556 278 l 556 417 l 694 417 l 694 278 m 556 278 l 556 139 l 417 139 l 417 278 l 556 278 m 417 139 l 417 0 l 139 0 l 139 139 l 417 139 m 556 0 l 556 139 l 694 139 l 694 0 l 556 0 z "},"¶":{"ha":833,"x_min":0,"x_max":694,"o":"m 694 0 l 556 0 l 556 833 l 417 833 l 417 0 l 278 0 l 278 278 l 139 278 l 139 417 l 0 417 l 0 833 l 139 833 l 139 972 l 694 972 l 694 0 z "},"§":{"ha":833,"x_min":0,"x_max":694,"o":"m 139 972 l 694 972 l 694 833 l 139 833 l 139 972 m 139 833 l 139 694 l 0 694 l 0 833 l 139 833 m 139 694 l 556 694 l 556 556 l 139 556 l 139 694 m 139 556 l 139 417 l 0 417 l 0 556 l 139 556 m 556 417 l 556 556 l 694 556 l 694 417 l 556 417 m 556 278 l 139 278 l 139 417 l 556 417 l 556 278 m 556 139 l 556 278 l 694 278 l 694 139 l 556 139 m 556 0 l 0 0 l 0 139 l 556 139 l 556 0 z "},"©":{"ha":833,"x_min":0,"x_max":833,"o":"m 833 833 l 833 139 l 694 139 l 694 0 l 139 0 l 139 139 l 0 139 l 0 833 l 139 833 l 139 972 l 694 972 l 694 833 l 833 833 m 694 694 l 556 694 l 556 833 l 278 833 l 278 694 l 139 694 l 139 278 l 278 278 l 278 139 l 556 139 l 556 278 l 694 278 l 694 417 l 556 417 l 556 278 l 278 278 l 278 694 l 556 694 l 556 556 l 694 556 l 694 694 z "},"®":{"ha":833,"x_min":0,"x_max":833,"o":"m 833 833 l 833 139 l 694 139 l 694 278 l 556 278 l 556 417 l 694 417 l 694 694 l 556 694 l 556 833 l 139 833 l 139 972 l 694 972 l 694 833 l 833 833 m 0 139 l 0 833 l 139 833 l 139 139 l 0 139 m 556 694 l 556 417 l 278 417 l 278 694 l 556 694 m 556 139 l 694 139 l 694 0 l 139 0 l 139 139 l 278 139 l 278 278 l 556 278 l 556 139 z "},"℗":{"ha":833,"x_min":0,"x_max":833,"o":"m 833 833 l 833 139 l 694 139 l 694 0 l 139 0 l 139 139 l 278 139 l 278 278 l 556 278 l 556 417 l 694 417 l 694 694 l 556 694 l 556 833 l 139 833 l 139 972 l 694 972 l 694 833 l 833 833 m 0 139 l 0 833 l 139 833 l 139 139 l 0 139 m 556 694 l 556 417 l 278 417 l 278 694 l 556 694 z "},"™":{"ha":833,"x_min":0,"x_max":833,"o":"m 833 972 l 833 556 l 694 556 l 694 694 l 556 694 l 556 556 l 417 556 l 417 833 l 278 833 l 278 556 l 139 556 l 139 833 l 0 833 l 0 972 l 556 972 l 556 833 l 694 833 l 694 972 l 833 972 z "},"°":{"ha":833,"x_min":0,"x_max":556,"o":"m 139 972 l 139 1111 l 417 1111 l 417 972 l 139 972 m 139 694 l 0 694 l 0 972 l 139 972 l 139 694 m 556 972 l 556 694 l 417 694 l 417 972 l 556 972 m 417 694 l 417 556 l 139 556 l 139 694 l 417 694 z "},"|":{"ha":833,"x_min":278,"x_max":417,"o":"m 417 1111 l 417 -139 l 278 -139 l 278 1111 l 417 1111 z "},"¦":{"ha":833,"x_min":278,"x_max":417,"o":"m 417 1111 l 417 556 l 278 556 l 278 1111 l 417 1111 m 417 417 l 417 -139 l 278 -139 l 278 417 l 417 417 z "},"†":{"ha":833,"x_min":0,"x_max":694,"o":"m 694 694 l 417 694 l 417 -139 l 278 -139 l 278 694 l 0 694 l 0 833 l 278 833 l 278 1111 l 417 1111 l 417 833 l 694 833 l 694 694 z "},"‡":{"ha":833,"x_min":0,"x_max":694,"o":"m 694 278 l 694 139 l 417 139 l 417 -139 l 278 -139 l 278 139 l 0 139 l 0 278 l 278 278 l 278 694 l 0 694 l 0 833 l 278 833 l 278 1111 l 417 1111 l 417 833 l 694 833 l 694 694 l 417 694 l 417 278 l 694 278 z "},"̈":{"ha":0,"x_min":-694,"x_max":-278,"o":"m -694 972 l -556 972 l -556 833 l -694 833 l -694 972 m -417 972 l -278 972 l -278 833 l -417 833 l -417 972 z "},"̇":{"ha":0,"x_min":-556,"x_max":-417,"o":"m -556 972 l -417 972 l -417 833 l -556 833 l -556 972 z "},"̀":{"ha":0,"x_min":-694,"x_max":-417,"o":"m -694 1111 l -556 1111 l -556 972 l -694 972 l -694 1111 m -556 972 l -417 972 l -417 833 l -556 833 l -556 972 z "},"́":{"ha":0,"x_min":-556,"x_max":-278,"o":"m -417 1111 l -278 1111 l -278 972 l -417 972 l -417 1111 m -556 972 l -417 972 l -417 833 l -556 833 l -556 972 z "},"̋":{"ha":0,"x_min":-694,"x_max":-139,"o":"m -556 1111 l -417 1111 l -417 972 l -556 972 l -556 1111 m -278 1111 l -139 1111 l -139 972 l -278 972 l -278 1111 m -694 972 l -556 972 l -556 833 l -694 833 l -694 972 m -417 972 l -278 972 l -278 833 l -417 833 l -417 972 z "},"̂":{"ha":0,"x_min":-694,"x_max":-278,"o":"m -556 1111 l -417 1111 l -417 972 l -556 972 l -556 1111 m -694 972 l -556 972 l -556 833 l -694 833 l -694 972 m -417 972 l -278 972 l -278 833 l -417 833 l -417 972 z "},"̌":{"ha":0,"x_min":-694,"x_max":-278,"o":"m -694 1111 l -556 1111 l -556 972 l -694 972 l -694 1111 m -417 1111 l -278 1111 l -278 972 l -417 972 l -417 1111 m -556 972 l -417 972 l -417 833 l -556 833 l -556 972 z "},"̆":{"ha":0,"x_min":-694,"x_max":-139,"o":"m -556 1111 l -556 972 l -694 972 l -694 1111 l -556 1111 m -139 1111 l -139 972 l -278 972 l -278 1111 l -139 1111 m -278 972 l -278 833 l -556 833 l -556 972 l -278 972 z "},"̊":{"ha":0,"x_min":-694,"x_max":-278,"o":"m -556 1250 l -417 1250 l -417 1111 l -556 1111 l -556 1250 m -694 1111 l -556 1111 l -556 972 l -694 972 l -694 1111 m -417 1111 l -278 1111 l -278 972 l -417 972 l -417 1111 m -556 972 l -417 972 l -417 833 l -556 833 l -556 972 z "},"̃":{"ha":0,"x_min":-833,"x_max":-139,"o":"m -694 1111 l -486 1111 l -486 972 l -694 972 l -694 1111 m -278 1111 l -139 1111 l -139 972 l -278 972 l -278 1111 m -833 972 l -694 972 l -694 833 l -833 833 l -833 972 m -486 972 l -278 972 l -278 833 l -486 833 l -486 972 z "},"̄":{"ha":0,"x_min":-694,"x_max":-278,"o":"m -278 833 l -694 833 l -694 972 l -278 972 l -278 833 z "},"̒":{"ha":0,"x_min":-556,"x_max":-278,"o":"m -417 1111 l -278 1111 l -278 972 l -417 972 l -417 1111 m -556 972 l -417 972 l -417 833 l -556 833 l -556 972 z "},"̦":{"ha":0,"x_min":-694,"x_max":-417,"o":"m -556 -139 l -417 -139 l -417 -278 l -556 -278 l -556 -139 m -694 -278 l -556 -278 l -556 -417 l -694 -417 l -694 -278 z "},"̧":{"ha":0,"x_min":-694,"x_max":-278,"o":"m -417 139 l -417 0 l -556 0 l -556 139 l -417 139 m -278 0 l -278 -139 l -417 -139 l -417 0 l -278 0 m -417 -139 l -417 -278 l -694 -278 l -694 -139 l -417 -139 z "},"̨":{"ha":0,"x_min":-417,"x_max":0,"o":"m -139 0 l -278 0 l -278 139 l -139 139 l -139 0 m -278 0 l -278 -139 l -417 -139 l -417 0 l -278 0 m 0 -278 l -278 -278 l -278 -139 l 0 -139 l 0 -278 z "},"̵":{"ha":0,"x_min":-556,"x_max":0,"o":"m 0 694 l -556 694 l -556 833 l 0 833 l 0 694 z "},"̶":{"ha":0,"x_min":-972,"x_max":0,"o":"m 0 694 l -972 694 l -972 833 l 0 833 l 0 694 z "},"̷":{"ha":0,"x_min":-833,"x_max":-417,"o":"m -417 417 l -556 417 l -556 278 l -833 278 l -833 417 l -694 417 l -694 556 l -417 556 l -417 417 z "},"̸":{"ha":0,"x_min":-833,"x_max":-139,"o":"m -278 694 l -139 694 l -139 556 l -278 556 l -278 694 m -417 556 l -278 556 l -278 417 l -417 417 l -417 556 m -556 417 l -417 417 l -417 278 l -556 278 l -556 417 m -694 278 l -556 278 l -556 139 l -694 139 l -694 278 m -833 139 l -694 139 l -694 0 l -833 0 l -833 139 z "},"´":{"ha":833,"x_min":139,"x_max":556,"o":"m 417 1111 l 556 1111 l 556 972 l 417 972 l 417 1111 m 278 972 l 417 972 l 417 833 l 278 833 l 278 972 m 139 833 l 278 833 l 278 694 l 139 694 l 139 833 z "},"˘":{"ha":833,"x_min":139,"x_max":694,"o":"m 278 1111 l 278 972 l 139 972 l 139 1111 l 278 1111 m 694 1111 l 694 972 l 556 972 l 556 1111 l 694 1111 m 556 972 l 556 833 l 278 833 l 278 972 l 556 972 z "},"ˇ":{"ha":833,"x_min":139,"x_max":556,"o":"m 139 1111 l 278 1111 l 278 972 l 139 972 l 139 1111 m 417 1111 l 556 1111 l 556 972 l 417 972 l 417 1111 m 278 972 l 417 972 l 417 833 l 278 833 l 278 972 z "},"¸":{"ha":833,"x_min":139,"x_max":556,"o":"m 417 139 l 417 0 l 278 0 l 278 139 l 417 139 m 556 0 l 556 -139 l 417 -139 l 417 0 l 556 0 m 417 -139 l 417 -278 l 139 -278 l 139 -139 l 417 -139 z "},"ˆ":{"ha":833,"x_min":139,"x_max":556,"o":"m 278 1111 l 417 1111 l 417 972 l 278 972 l 278 1111 m 139 972 l 278 972 l 278 833 l 139 833 l 139 972 m 417 972 l 556 972 l 556 833 l 417 833 l 417 972 z "},"¨":{"ha":833,"x_min":139,"x_max":556,"o":"m 139 972 l 278 972 l 278 833 l 139 833 l 139 972 m 417 972 l 556 972 l 556 833 l 417 833 l 417 972 z "},"˙":{"ha":833,"x_min":278,"x_max":417,"o":"m 278 972 l 417 972 l 417 833 l 278 833 l 278 972 z "},"`":{"ha":833,"x_min":139,"x_max":556,"o":"m 139 1111 l 278 1111 l 278 972 l 139 972 l 139 1111 m 278 972 l 417 972 l 417 833 l 278 833 l 278 972 m 417 833 l 556 833 l 556 694 l 417 694 l 417 833 z "},"˝":{"ha":833,"x_min":139,"x_max":694,"o":"m 278 1111 l 417 1111 l 417 972 l 278 972 l 278 1111 m 556 1111 l 694 1111 l 694 972 l 556 972 l 556 1111 m 139 972 l 278 972 l 278 833 l 139 833 l 139 972 m 417 972 l 556 972 l 556 833 l 417 833 l 417 972 z "},"¯":{"ha":833,"x_min":0,"x_max":694,"o":"m 694 833 l 0 833 l 0 972 l 694 972 l 694 833 z "},"˛":{"ha":833,"x_min":417,"x_max":833,"o":"m 694 0 l 556 0 l 556 139 l 694 139 l 694 0 m 556 0 l 556 -139 l 417 -139 l 417 0 l 556 0 m 833 -278 l 556 -278 l 556 -139 l 833 -139 l 833 -278 z "},"˚":{"ha":833,"x_min":139,"x_max":556,"o":"m 278 1250 l 417 1250 l 417 1111 l 278 1111 l 278 1250 m 139 1111 l 278 1111 l 278 972 l 139 972 l 139 1111 m 417 1111 l 556 1111 l 556 972 l 417 972 l 417 1111 m 278 972 l 417 972 l 417 833 l 278 833 l 278 972 z "},"˜":{"ha":833,"x_min":0,"x_max":694,"o":"m 139 1111 l 347 1111 l 347 972 l 139 972 l 139 1111 m 556 1111 l 694 1111 l 694 972 l 556 972 l 556 1111 m 0 972 l 139 972 l 139 833 l 0 833 l 0 972 m 347 972 l 556 972 l 556 833 l 347 833 l 347 972 z "}},"familyName":"undefined medium","ascender":1111,"descender":-278,"underlinePosition":-104,"underlineThickness":69,"boundingBox":{"yMin":-417,"xMin":-972,"yMax":1528,"xMax":1528},"resolution":1000,"original_font_information":{"format":0,"copyright":"Copyright (c) 2018-2019 by Andi Rueckel. All rights reserved.","fontFamily":"undefined medium","fontSubfamily":"Regular","uniqueID":"1.000;UKWN;undefined-medium","fullName":"undefined medium","version":"Version 1.000","postScriptName":"undefined-medium","manufacturer":"Andi Rueckel","designer":"Andi Rueckel","manufacturerURL":"https://andirueckel.com","designerURL":"https://andirueckel.com","licence":"SIL Open Font License v1.1","licenceURL":"https://scripts.sil.org/OFL","preferredFamily":"undefined","preferredSubfamily":"medium"},"cssFontWeight":"normal","cssFontStyle":"normal"};
-var names = [
-    "Alan Bouzek",
-    "Corbin Carter",
-    "Thomas Coladonato",
-    "Matt Helgren",
-    "Vance Henize",
-    "Volodymyr Ilchenko",
-    "Taras Kontsur",
-    "Bohdan Kovalchuk",
-    "Kateryna Kravchyshyn",
-    "Yevgen Kruglyk",
-    "Jonathan Lopez",
-    "Derek Mikish",
-    "Raul Murguia",
-    "Anastasiia Novosad",
-    "Oleksandr Pavlyna",
-    "Roman Petrukhiv",
-    "Roman Kozak",
-    "Petro Rovenskyy",
-    "Andriy Sapryka",
-    "Charles Schad",
-    "Daria Shekhovtsova",
-    "Carl Smoot",
-    "Artur Synhalevych",
-    "Clyde Tarver",
-    "Tetiana Pavlius",
-    "Andriy Tkachuk",
-    "Volodymyr Tsaryk",
-    "Volodymyr Tymoshchuk",
-    "Oleksandr Vol",
-    "Yuriy Voytovych",
-    "John Waycuilis",
-    "Adrian Weisberg",
-    "Damon E. Williams",
-    "John Wisneski",
-    "Zack Yao",
-    "Dave Youmans",
-    "Oleh Zimokha"
-];
-var UP = false;
-var DOWN = false;
-var LEFT = false;
-var RIGHT = false;
+/**
+ * Runs the scene through an ordered list of passes. The 'outline' pass draws the scene
+ * with the wrapped sceneRenderer (usually a THREE.OutlineEffect), every other pass is a
+ * full screen shader working on the previous pass' output.
+ *
+ * var pipeline = new THREE.EffectPipeline( renderer, {
+ * 	sceneRenderer: new THREE.OutlineEffect( renderer ),
+ * 	passes: [ 'outline', 'bloom', 'vignette' ] // enabled passes, in this order
+ * } );
+ *
+ * pipeline.setPassEnabled( 'crtScanlines', true );
+ * pipeline.setPassOrder( [ 'outline', 'crtScanlines', 'bloom' ] ); // unlisted passes keep their order after these
+ * pipeline.getPass( 'bloom' ).uniforms.strength.value = 1.5;
+ * pipeline.time = clock.getElapsedTime(); // animates film grain
+ *
+ * Built-in passes: outline, bloom, vignette, filmGrain, crtScanlines.
+ * The outline pass is the one drawing the scene, so it always runs first. Disabling it
+ * renders the scene without outlines.
+ *
+ * Like THREE.OutlineEffect it mirrors the renderer methods other *Effects call, so it can
+ * stand in for the renderer.
+ */
 
-var R;
-var G;
-var B;
+THREE.EffectPipeline = function ( renderer, parameters ) {
 
-var RKey = 82;
-var GKey = 71;
-var BKey = 66;
+    parameters = parameters || {};
 
-{ // Bind key handlers
-    var leftKeys = ["37", "65"];
-    var upKeys = ["38", "87"];
-    var rightKeys = ["39", "68"];
-    var downKeys = ["40", "83"];
-
-    var keyHandlerBlob = {};
-
-    [
-        [(val) => LEFT = val, leftKeys],
-        [(val) => UP = val, upKeys],
-        [(val) => RIGHT = val, rightKeys],
-        [(val) => DOWN = val, downKeys]
-    ]
-        .forEach(
-            ([stateVarUpdater, keyCodes]) => {
-                keyCodes.forEach(
-                    keyCode => {
-                        keyHandlerBlob[keyCode] = {
-                            state: false,
-                            updater: () => {
-                                stateVarUpdater(keyCodes.map(kc => keyHandlerBlob[kc].state).reduce((acc, val) => acc || val, false));
-                            }
-                        }
-                    }
-                )
-            }
-        );
+    var sceneRenderer = parameters.sceneRenderer !== undefined ? parameters.sceneRenderer : renderer;
 
-    document.addEventListener('keydown', function (e) {
-        if(e.which === RKey && R){
-            R.visible = !R.visible;
-        } else if (e.which === GKey && G){
-            G.visible = !G.visible;
-        } else if (e.which === BKey && B){
-            B.visible = !B.visible;
-        }
-
-        Object.keys(keyHandlerBlob).some(
-            kc => {
-                if ("" + e.which === kc) {
-                    keyHandlerBlob[kc].state = true;
-                    keyHandlerBlob[kc].updater();
-                    return true;
-                }
-                return false;
-            }
-        );
-    });
+    // seconds, for animated passes
+    this.time = 0;
 
-    document.addEventListener('keyup', function (e) {
-        Object.keys(keyHandlerBlob).some(
-            kc => {
-                if ("" + e.which === kc) {
-                    keyHandlerBlob[kc].state = false;
-                    keyHandlerBlob[kc].updater();
-                    return true;
-                }
-                return false;
-            }
-        );
-    });
-}
+    // where the last pass ends up, null for the screen
+    var outputTarget = null;
 
-var scene = new THREE.Scene();
+    // ping-pong buffers, created on the first render with an enabled shader pass
+    var readTarget = null;
+    var writeTarget = null;
 
-var camera = new THREE.PerspectiveCamera(45, window.innerWidth / window.innerHeight, 0.1, 1000);
-{ // SETUP CAMERA
-    camera.position.x = 3.9 / 2;
-    camera.position.y = 12 / 2;
-    camera.position.z = 20 / 2;
-    camera.up = new THREE.Vector3(1, 0, 0);
-}
+    var quadCamera = new THREE.OrthographicCamera( - 1, 1, 1, - 1, 0, 1 );
+    var quadScene = new THREE.Scene();
+    var quad = new THREE.Mesh( new THREE.PlaneBufferGeometry( 2, 2 ) );
+    quad.frustumCulled = false;
+    quadScene.add( quad );
 
-var canvas = document.createElement('canvas');
+    var vertexShader = [
 
-var renderer = new THREE.WebGLRenderer( {alpha: true, canvas });
-canvas.style.width = '100vw';
-canvas.style.height = '100vh';
-canvas.style.top = '0';
-canvas.style.left = '0';
-canvas.style.pointerEvents = 'none';
-canvas.style.position = 'absolute';
-renderer.setClearColor(0x000000, 0);
+        "varying vec2 vUv;",
 
-var effect = new THREE.OutlineEffect(renderer, {
-    defaultThickness: 0.0075,
-    defaultColor: [0,0,0],
-    defaultAlpha: 0.8,
-    defaultKeepAlive: true
-});
+        "void main() {",
+
+        "	vUv = uv;",
+        "	gl_Position = projectionMatrix * modelViewMatrix * vec4( position, 1.0 );",
+
+        "}"
+
+    ].join( "\n" );
+
+    function createShaderMaterial( uniforms, fragmentShader ) {
+
+        return new THREE.ShaderMaterial( {
+            uniforms: uniforms,
+            vertexShader: vertexShader,
+            fragmentShader: fragmentShader,
+            depthTest: false,
+            depthWrite: false
+        } );
+
+    }
+
+    function renderQuad( material, target ) {
+
+        quad.material = material;
+        renderer.setRenderTarget( target );
+        renderer.render( quadScene, quadCamera );
+
+    }
+
+    function createRenderTarget( width, height, depthBuffer ) {
+
+        return new THREE.WebGLRenderTarget( width, height, {
+            minFilter: THREE.LinearFilter,
+            magFilter: THREE.LinearFilter,
+            format: THREE.RGBAFormat,
+            depthBuffer: depthBuffer,
+            stencilBuffer: false
+        } );
+
+    }
+
+    // a pass with a single full screen shader reading tDiffuse
+    function createShaderPass( name, uniforms, fragmentShader ) {
+
+        var material = createShaderMaterial( Object.assign( { tDiffuse: { value: null } }, uniforms ), fragmentShader );
+
+        return {
+            name: name,
+            enabled: false,
+            uniforms: material.uniforms,
+            render: function ( read, write ) {
+
+                material.uniforms.tDiffuse.value = read.texture;
+                renderQuad( material, write );
+
+            },
+            setSize: function () {},
+            dispose: function () {
+
+                material.dispose();
+
+            }
+        };
+
+    }
+
+    function createOutlinePass() {
+
+        return {
+            name: 'outline',
+            enabled: true,
+            isScenePass: true,
+            render: function ( scene, camera, target ) {
+
+                if ( sceneRenderer.enabled !== undefined ) sceneRenderer.enabled = this.enabled;
+
+                sceneRenderer.setRenderTarget( target );
+                sceneRenderer.render( scene, camera );
+
+            },
+            setSize: function () {},
+            dispose: function () {}
+        };
+
+    }
+
+    // bright parts are blurred at half resolution and added back on top
+    function createBloomPass() {
+
+        var brightMaterial = createShaderMaterial( {
+            tDiffuse: { value: null },
+            threshold: { value: 0.6 }
+        }, [
+
+            "uniform sampler2D tDiffuse;",
+            "uniform float threshold;",
+
+            "varying vec2 vUv;",
+
+            "void main() {",
+
+            "	vec4 texel = texture2D( tDiffuse, vUv );",
+            "	float luminance = dot( texel.rgb, vec3( 0.299, 0.587, 0.114 ) );",
+            "	gl_FragColor = vec4( texel.rgb * smoothstep( threshold, threshold + 0.1, luminance ), 1.0 );",
+
+            "}"
+
+        ].join( "\n" ) );
+
+        var blurMaterial = createShaderMaterial( {
+            tDiffuse: { value: null },
+            direction: { value: new THREE.Vector2() }
+        }, [
+
+            "uniform sampler2D tDiffuse;",
+            "uniform vec2 direction;",
+
+            "varying vec2 vUv;",
+
+            "void main() {",
+
+            // 9 tap gaussian in 5 fetches, using linear filtering between texels
+            "	vec3 sum = texture2D( tDiffuse, vUv ).rgb * 0.2270270270;",
+            "	sum += texture2D( tDiffuse, vUv + direction * 1.3846153846 ).rgb * 0.3162162162;",
+            "	sum += texture2D( tDiffuse, vUv - direction * 1.3846153846 ).rgb * 0.3162162162;",
+            "	sum += texture2D( tDiffuse, vUv + direction * 3.2307692308 ).rgb * 0.0702702703;",
+            "	sum += texture2D( tDiffuse, vUv - direction * 3.2307692308 ).rgb * 0.0702702703;",
+            "	gl_FragColor = vec4( sum, 1.0 );",
+
+            "}"
+
+        ].join( "\n" ) );
+
+        var compositeMaterial = createShaderMaterial( {
+            tDiffuse: { value: null },
+            tBloom: { value: null },
+            strength: { value: 1.0 }
+        }, [
+
+            "uniform sampler2D tDiffuse;",
+            "uniform sampler2D tBloom;",
+            "uniform float strength;",
+
+            "varying vec2 vUv;",
+
+            "void main() {",
+
+            "	vec4 base = texture2D( tDiffuse, vUv );",
+            "	vec3 bloom = texture2D( tBloom, vUv ).rgb * strength;",
+            // the glow has to show on a transparent canvas as well
+            "	float glow = clamp( max( max( bloom.r, bloom.g ), bloom.b ), 0.0, 1.0 );",
+            "	gl_FragColor = vec4( base.rgb + bloom, max( base.a, glow ) );",
+
+            "}"
+
+        ].join( "\n" ) );
+
+        var targetA = null;
+        var targetB = null;
+
+        return {
+            name: 'bloom',
+            enabled: false,
+            // threshold, strength and radius (in half resolution texels)
+            uniforms: {
+                threshold: brightMaterial.uniforms.threshold,
+                strength: compositeMaterial.uniforms.strength,
+                radius: { value: 1.0 }
+            },
+            render: function ( read, write ) {
+
+                brightMaterial.uniforms.tDiffuse.value = read.texture;
+                renderQuad( brightMaterial, targetA );
+
+                var radius = this.uniforms.radius.value;
+
+                blurMaterial.uniforms.tDiffuse.value = targetA.texture;
+                blurMaterial.uniforms.direction.value.set( radius / targetA.width, 0 );
+                renderQuad( blurMaterial, targetB );
+
+                blurMaterial.uniforms.tDiffuse.value = targetB.texture;
+                blurMaterial.uniforms.direction.value.set( 0, radius / targetA.height );
+                renderQuad( blurMaterial, targetA );
+
+                compositeMaterial.uniforms.tDiffuse.value = read.texture;
+                compositeMaterial.uniforms.tBloom.value = targetA.texture;
+                renderQuad( compositeMaterial, write );
+
+            },
+            setSize: function ( width, height ) {
+
+                width = Math.max( 1, Math.floor( width / 2 ) );
+                height = Math.max( 1, Math.floor( height / 2 ) );
+
+                if ( targetA === null ) {
+
+                    targetA = createRenderTarget( width, height, false );
+                    targetB = createRenderTarget( width, height, false );
+
+                } else {
+
+                    targetA.setSize( width, height );
+                    targetB.setSize( width, height );
+
+                }
+
+            },
+            dispose: function () {
+
+                brightMaterial.dispose();
+                blurMaterial.dispose();
+                compositeMaterial.dispose();
+
+                if ( targetA !== null ) {
+
+                    targetA.dispose();
+                    targetB.dispose();
+                    targetA = targetB = null;
+
+                }
+
+            }
+        };
+
+    }
+
+    function createVignettePass() {
+
+        return createShaderPass( 'vignette', {
+            offset: { value: 1.0 },
+            darkness: { value: 1.2 }
+        }, [
+
+            "uniform sampler2D tDiffuse;",
+            "uniform float offset;",
+            "uniform float darkness;",
+
+            "varying vec2 vUv;",
+
+            "void main() {",
+
+            "	vec4 texel = texture2D( tDiffuse, vUv );",
+            "	vec2 uv = ( vUv - 0.5 ) * offset;",
+            "	float vignette = clamp( 1.0 - dot( uv, uv ) * darkness, 0.0, 1.0 );",
+            // black laid over the (premultiplied) texel, so corners darken on a transparent canvas too
+            "	gl_FragColor = vec4( texel.rgb * vignette, texel.a * vignette + ( 1.0 - vignette ) );",
+
+            "}"
+
+        ].join( "\n" ) );
+
+    }
+
+    function createFilmGrainPass() {
+
+        return createShaderPass( 'filmGrain', {
+            time: { value: 0.0 },
+            intensity: { value: 0.15 }
+        }, [
+
+            "#include <common>",
+
+            "uniform sampler2D tDiffuse;",
+            "uniform float time;",
+            "uniform float intensity;",
+
+            "varying vec2 vUv;",
+
+            "void main() {",
+
+            "	vec4 texel = texture2D( tDiffuse, vUv );",
+            "	float noise = rand( vUv + fract( time ) ) - 0.5;",
+            "	gl_FragColor = vec4( texel.rgb + noise * intensity * texel.a, texel.a );",
+
+            "}"
+
+        ].join( "\n" ) );
+
+    }
+
+    function createCrtScanlinesPass() {
+
+        return createShaderPass( 'crtScanlines', {
+            lineCount: { value: 480.0 },
+            intensity: { value: 0.3 },
+            curvature: { value: 0.0 }
+        }, [
+
+            "#include <common>",
+
+            "uniform sampler2D tDiffuse;",
+            "uniform float lineCount;",
+            "uniform float intensity;",
+            "uniform float curvature;",
+
+            "varying vec2 vUv;",
+
+            "void main() {",
+
+            "	vec2 uv = vUv - 0.5;",
+            "	uv = uv * ( 1.0 + curvature * dot( uv, uv ) ) + 0.5;",
+
+            "	if ( uv.x < 0.0 || uv.x > 1.0 || uv.y < 0.0 || uv.y > 1.0 ) {",
+
+            "		gl_FragColor = vec4( 0.0, 0.0, 0.0, 1.0 );",
+            "		return;",
+
+            "	}",
+
+            "	vec4 texel = texture2D( tDiffuse, uv );",
+            "	float line = 0.5 + 0.5 * sin( uv.y * lineCount * PI2 );",
+            "	gl_FragColor = vec4( texel.rgb * ( 1.0 - intensity * line ), texel.a );",
+
+            "}"
+
+        ].join( "\n" ) );
+
+    }
+
+    this.passes = [
+        createOutlinePass(),
+        createBloomPass(),
+        createVignettePass(),
+        createFilmGrainPass(),
+        createCrtScanlinesPass()
+    ];
+
+    this.getPass = function ( name ) {
+
+        for ( var i = 0, il = this.passes.length; i < il; i ++ ) {
+
+            if ( this.passes[ i ].name === name ) return this.passes[ i ];
+
+        }
+
+        return undefined;
+
+    };
+
+    this.setPassEnabled = function ( name, enabled ) {
+
+        var pass = this.getPass( name );
+
+        if ( pass === undefined ) {
+
+            console.warn( 'THREE.EffectPipeline: unknown pass ' + name );
+            return;
+
+        }
+
+        pass.enabled = enabled;
+
+    };
+
+    this.setPassOrder = function ( names ) {
+
+        var ordered = [];
+
+        for ( var i = 0, il = names.length; i < il; i ++ ) {
+
+            var pass = this.getPass( names[ i ] );
+
+            if ( pass !== undefined && ordered.indexOf( pass ) === -1 ) ordered.push( pass );
+
+        }
+
+        var rest = this.passes.filter( function ( pass ) {
+
+            return ordered.indexOf( pass ) === -1;
+
+        } );
+
+        // the scene pass has to come first, everything else works on its output
+        this.passes = ordered.concat( rest ).sort( function ( a, b ) {
+
+            return ( b.isScenePass === true ) - ( a.isScenePass === true );
+
+        } );
+
+    };
+
+    if ( parameters.passes !== undefined ) {
+
+        for ( var i = 0, il = this.passes.length; i < il; i ++ ) {
+
+            this.passes[ i ].enabled = parameters.passes.indexOf( this.passes[ i ].name ) !== - 1;
+
+        }
+
+        this.setPassOrder( parameters.passes );
+
+    }
+
+    function setupTargets( width, height, passes ) {
+
+        if ( readTarget === null ) {
+
+            readTarget = createRenderTarget( width, height, true );
+            writeTarget = createRenderTarget( width, height, true );
+
+        }
+
+        if ( readTarget.width !== width || readTarget.height !== height ) {
+
+            readTarget.setSize( width, height );
+            writeTarget.setSize( width, height );
+
+        }
+
+        for ( var i = 0, il = passes.length; i < il; i ++ ) {
+
+            passes[ i ].setSize( width, height );
+
+        }
+
+    }
+
+    this.render = function ( scene, camera ) {
+
+        var scenePass = this.passes[ 0 ];
+
+        var shaderPasses = this.passes.filter( function ( pass ) {
+
+            return pass.enabled && pass.isScenePass !== true;
+
+        } );
+
+        if ( shaderPasses.length === 0 ) {
+
+            scenePass.render( scene, camera, outputTarget );
+            return;
+
+        }
+
+        var size = outputTarget !== null
+            ? { width: outputTarget.width, height: outputTarget.height }
+            : renderer.getDrawingBufferSize();
+
+        setupTargets( size.width, size.height, shaderPasses );
+
+        var filmGrain = this.getPass( 'filmGrain' );
+        filmGrain.uniforms.time.value = this.time;
+
+        scenePass.render( scene, camera, readTarget );
+
+        for ( var i = 0, il = shaderPasses.length; i < il; i ++ ) {
+
+            var last = i === il - 1;
+
+            shaderPasses[ i ].render( readTarget, last ? outputTarget : writeTarget );
+
+            if ( ! last ) {
+
+                var swap = readTarget;
+                readTarget = writeTarget;
+                writeTarget = swap;
+
+            }
+
+        }
+
+    };
+
+    this.dispose = function () {
+
+        for ( var i = 0, il = this.passes.length; i < il; i ++ ) {
+
+            this.passes[ i ].dispose();
+
+        }
+
+        if ( readTarget !== null ) {
+
+            readTarget.dispose();
+            writeTarget.dispose();
+            readTarget = writeTarget = null;
+
+        }
+
+        quad.geometry.dispose();
+
+    };
+
+    /*
+     * The same property copies and wrapper methods as THREE.OutlineEffect, forwarded to
+     * the scene renderer so a wrapped effect sees them too.
+     */
+    this.autoClear = renderer.autoClear;
+    this.domElement = renderer.domElement;
+    this.shadowMap = renderer.shadowMap;
+
+    this.clear = function ( color, depth, stencil ) {
+
+        sceneRenderer.clear( color, depth, stencil );
+
+    };
+
+    this.getPixelRatio = function () {
+
+        return sceneRenderer.getPixelRatio();
+
+    };
+
+    this.setPixelRatio = function ( value ) {
+
+        sceneRenderer.setPixelRatio( value );
+
+    };
+
+    this.getSize = function ( target ) {
+
+        return sceneRenderer.getSize( target );
+
+    };
+
+    this.setSize = function ( width, height, updateStyle ) {
+
+        sceneRenderer.setSize( width, height, updateStyle );
+
+    };
+
+    this.setViewport = function ( x, y, width, height ) {
+
+        sceneRenderer.setViewport( x, y, width, height );
+
+    };
+
+    this.setScissor = function ( x, y, width, height ) {
+
+        sceneRenderer.setScissor( x, y, width, height );
+
+    };
+
+    this.setScissorTest = function ( boolean ) {
+
+        sceneRenderer.setScissorTest( boolean );
+
+    };
+
+    this.setRenderTarget = function ( renderTarget ) {
+
+        outputTarget = renderTarget;
+
+    };
+
+};
+
+/**
+ * Stereo viewing modes around another effect, so outlines survive:
+ *
+ * var stereo = new THREE.StereoViewEffect( renderer, {
+ * 	sceneRenderer: new THREE.OutlineEffect( renderer ), // draws each eye, defaults to the renderer
+ * 	mode: 'anaglyph', // 'mono', 'sideBySide', 'anaglyph' or 'parallaxBarrier'
+ * 	eyeSeparation: 0.064
+ * } );
+ *
+ * stereo.setMode( 'sideBySide' );
+ * stereo.setEyeSeparation( 0.1 );
+ *
+ * sideBySide draws each eye into one half of the view (half-width side-by-side, for 3D TVs and headsets),
+ * anaglyph mixes both eyes for red/cyan glasses and parallaxBarrier interleaves them column by column.
+ */
+
+THREE.StereoViewEffect = function ( renderer, parameters ) {
+
+    parameters = parameters || {};
+
+    var sceneRenderer = parameters.sceneRenderer !== undefined ? parameters.sceneRenderer : renderer;
+
+    var MODES = [ 'mono', 'sideBySide', 'anaglyph', 'parallaxBarrier' ];
+
+    this.mode = 'mono';
+
+    var stereo = new THREE.StereoCamera();
+    stereo.aspect = 0.5;
+    stereo.eyeSep = parameters.eyeSeparation !== undefined ? parameters.eyeSeparation : 0.064;
+
+    // where the eyes end up, null for the screen
+    var outputTarget = null;
+
+    // per eye images for the modes that combine them, created on first use
+    var leftTarget = null;
+    var rightTarget = null;
+
+    var quadCamera = new THREE.OrthographicCamera( - 1, 1, 1, - 1, 0, 1 );
+    var quadScene = new THREE.Scene();
+    var quad = new THREE.Mesh( new THREE.PlaneBufferGeometry( 2, 2 ) );
+    quad.frustumCulled = false;
+    quadScene.add( quad );
+
+    var vertexShader = [
+
+        "varying vec2 vUv;",
+
+        "void main() {",
+
+        "	vUv = uv;",
+        "	gl_Position = projectionMatrix * modelViewMatrix * vec4( position, 1.0 );",
+
+        "}"
+
+    ].join( "\n" );
+
+    // Dubois matrices for red/cyan glasses, as in THREE.AnaglyphEffect
+    var anaglyphMaterial = new THREE.ShaderMaterial( {
+        uniforms: {
+            tLeft: { value: null },
+            tRight: { value: null },
+            colorMatrixLeft: { value: new THREE.Matrix3().fromArray( [
+                0.456100, - 0.0400822, - 0.0152161,
+                0.500484, - 0.0378246, - 0.0205971,
+                0.176381, - 0.0157589, - 0.00546856
+            ] ) },
+            colorMatrixRight: { value: new THREE.Matrix3().fromArray( [
+                - 0.0434706, 0.378476, - 0.0721527,
+                - 0.0879388, 0.73364, - 0.112961,
+                - 0.00155529, - 0.0184503, 1.2264
+            ] ) }
+        },
+        vertexShader: vertexShader,
+        fragmentShader: [
+
+            "uniform sampler2D tLeft;",
+            "uniform sampler2D tRight;",
+            "uniform mat3 colorMatrixLeft;",
+            "uniform mat3 colorMatrixRight;",
+
+            "varying vec2 vUv;",
+
+            "void main() {",
+
+            "	vec4 colorL = texture2D( tLeft, vUv );",
+            "	vec4 colorR = texture2D( tRight, vUv );",
+            "	vec3 color = clamp( colorMatrixLeft * colorL.rgb + colorMatrixRight * colorR.rgb, 0.0, 1.0 );",
+            "	gl_FragColor = vec4( color, max( colorL.a, colorR.a ) );",
+
+            "}"
+
+        ].join( "\n" ),
+        depthTest: false,
+        depthWrite: false
+    } );
+
+    var parallaxBarrierMaterial = new THREE.ShaderMaterial( {
+        uniforms: {
+            tLeft: { value: null },
+            tRight: { value: null }
+        },
+        vertexShader: vertexShader,
+        fragmentShader: [
+
+            "uniform sampler2D tLeft;",
+            "uniform sampler2D tRight;",
+
+            "varying vec2 vUv;",
+
+            "void main() {",
+
+            // even columns for the left eye, odd ones for the right
+            "	if ( mod( gl_FragCoord.x, 2.0 ) < 1.0 ) {",
+
+            "		gl_FragColor = texture2D( tLeft, vUv );",
+
+            "	} else {",
+
+            "		gl_FragColor = texture2D( tRight, vUv );",
+
+            "	}",
+
+            "}"
+
+        ].join( "\n" ),
+        depthTest: false,
+        depthWrite: false
+    } );
+
+    this.setMode = function ( mode ) {
+
+        if ( MODES.indexOf( mode ) === - 1 ) {
+
+            console.warn( 'THREE.StereoViewEffect: unknown mode ' + mode );
+            return;
+
+        }
+
+        this.mode = mode;
+
+    };
+
+    // switches to the next mode, returns it
+    this.nextMode = function () {
+
+        this.setMode( MODES[ ( MODES.indexOf( this.mode ) + 1 ) % MODES.length ] );
+
+        return this.mode;
+
+    };
+
+    this.getEyeSeparation = function () {
+
+        return stereo.eyeSep;
+
+    };
+
+    this.setEyeSeparation = function ( eyeSeparation ) {
+
+        stereo.eyeSep = eyeSeparation;
+
+    };
+
+    if ( parameters.mode !== undefined ) this.setMode( parameters.mode );
+
+    function getTargetSize( target ) {
+
+        return target !== null
+            ? { width: target.width, height: target.height }
+            : renderer.getSize();
+
+    }
+
+    // viewport and scissor in the units of the target: pixels for render targets, CSS pixels for the screen
+    function setEyeRect( target, x, y, width, height, scissorTest ) {
+
+        if ( target !== null ) {
+
+            target.viewport.set( x, y, width, height );
+            target.scissor.set( x, y, width, height );
+            target.scissorTest = scissorTest;
+
+        } else {
+
+            renderer.setViewport( x, y, width, height );
+            renderer.setScissor( x, y, width, height );
+            renderer.setScissorTest( scissorTest );
+
+        }
+
+        sceneRenderer.setRenderTarget( target );
+
+    }
+
+    function setupEyeTargets( width, height ) {
+
+        if ( leftTarget === null ) {
+
+            var options = {
+                minFilter: THREE.LinearFilter,
+                magFilter: THREE.NearestFilter,
+                format: THREE.RGBAFormat
+            };
+
+            leftTarget = new THREE.WebGLRenderTarget( width, height, options );
+            rightTarget = new THREE.WebGLRenderTarget( width, height, options );
+
+        }
+
+        if ( leftTarget.width !== width || leftTarget.height !== height ) {
+
+            leftTarget.setSize( width, height );
+            rightTarget.setSize( width, height );
+
+        }
+
+    }
+
+    function renderSideBySide( scene, camera ) {
+
+        var size = getTargetSize( outputTarget );
+        var halfWidth = Math.floor( size.width / 2 );
+
+        var currentAutoClear = sceneRenderer.autoClear;
+
+        // clear once for both halves, the eyes then only draw inside their own scissor
+        sceneRenderer.setRenderTarget( outputTarget );
+        if ( currentAutoClear ) renderer.clear();
+        sceneRenderer.autoClear = false;
+
+        setEyeRect( outputTarget, 0, 0, halfWidth, size.height, true );
+        sceneRenderer.render( scene, stereo.cameraL );
+
+        setEyeRect( outputTarget, halfWidth, 0, size.width - halfWidth, size.height, true );
+        sceneRenderer.render( scene, stereo.cameraR );
+
+        setEyeRect( outputTarget, 0, 0, size.width, size.height, false );
+
+        sceneRenderer.autoClear = currentAutoClear;
+
+    }
+
+    function renderCombined( scene, camera, material ) {
+
+        var size = outputTarget !== null
+            ? { width: outputTarget.width, height: outputTarget.height }
+            : renderer.getDrawingBufferSize();
+
+        setupEyeTargets( size.width, size.height );
+
+        sceneRenderer.setRenderTarget( leftTarget );
+        sceneRenderer.render( scene, stereo.cameraL );
+
+        sceneRenderer.setRenderTarget( rightTarget );
+        sceneRenderer.render( scene, stereo.cameraR );
+
+        material.uniforms.tLeft.value = leftTarget.texture;
+        material.uniforms.tRight.value = rightTarget.texture;
+        quad.material = material;
+
+        sceneRenderer.setRenderTarget( outputTarget );
+        renderer.render( quadScene, quadCamera );
+
+    }
+
+    this.render = function ( scene, camera ) {
+
+        if ( this.mode === 'mono' ) {
+
+            sceneRenderer.setRenderTarget( outputTarget );
+            sceneRenderer.render( scene, camera );
+            return;
+
+        }
+
+        scene.updateMatrixWorld();
+
+        if ( camera.parent === null ) camera.updateMatrixWorld();
+
+        // side by side squeezes each eye into half the width, the others keep the full view
+        stereo.aspect = this.mode === 'sideBySide' ? 0.5 : 1;
+        stereo.update( camera );
+
+        if ( this.mode === 'sideBySide' ) {
+
+            renderSideBySide( scene, camera );
+
+        } else {
+
+            renderCombined( scene, camera, this.mode === 'anaglyph' ? anaglyphMaterial : parallaxBarrierMaterial );
+
+        }
+
+    };
+
+    this.dispose = function () {
+
+        anaglyphMaterial.dispose();
+        parallaxBarrierMaterial.dispose();
+        quad.geometry.dispose();
+
+        if ( leftTarget !== null ) {
+
+            leftTarget.dispose();
+            rightTarget.dispose();
+            leftTarget = rightTarget = null;
+
+        }
+
+    };
+
+    /*
+     * Mirrors the renderer methods like THREE.OutlineEffect does, forwarding to the wrapped
+     * effect so it can go inside a THREE.EffectPipeline or another *Effect.
+     */
+    this.autoClear = renderer.autoClear;
+    this.domElement = renderer.domElement;
+    this.shadowMap = renderer.shadowMap;
+
+    // lets a pipeline switch the wrapped effect (e.g. the outlines) on and off
+    Object.defineProperty( this, 'enabled', {
+        get: function () {
+
+            return sceneRenderer.enabled;
+
+        },
+        set: function ( value ) {
+
+            if ( sceneRenderer.enabled !== undefined ) sceneRenderer.enabled = value;
+
+        }
+    } );
+
+    this.clear = function ( color, depth, stencil ) {
+
+        sceneRenderer.clear( color, depth, stencil );
+
+    };
+
+    this.getPixelRatio = function () {
+
+        return sceneRenderer.getPixelRatio();
+
+    };
+
+    this.setPixelRatio = function ( value ) {
+
+        sceneRenderer.setPixelRatio( value );
+
+    };
+
+    this.getSize = function ( target ) {
+
+        return sceneRenderer.getSize( target );
+
+    };
+
+    this.setSize = function ( width, height, updateStyle ) {
+
+        sceneRenderer.setSize( width, height, updateStyle );
+
+    };
+
+    this.setViewport = function ( x, y, width, height ) {
+
+        sceneRenderer.setViewport( x, y, width, height );
+
+    };
+
+    this.setScissor = function ( x, y, width, height ) {
+
+        sceneRenderer.setScissor( x, y, width, height );
+
+    };
+
+    this.setScissorTest = function ( boolean ) {
+
+        sceneRenderer.setScissorTest( boolean );
+
+    };
+
+    this.setRenderTarget = function ( renderTarget ) {
+
+        outputTarget = renderTarget;
+
+    };
+
+};
+
+var undefined_medium = {"glyphs":{"0":{"ha":833,"x_min":0,"x_max":694,"o":"m 139 972 l 556 972 l 556 833 l 139 833 l 139 972 m 139 278 l 139 139 l 0 139 l 0 833 l 139 833 l 139 417 l 278 417 l 278 278 l 139 278 m 694 833 l 694 139 l 556 139 l 556 556 l 417 556 l 417 694 l 556 694 l 556 833 l 694 833 m 278 556 l 417 556 l 417 417 l 278 417 l 278 556 m 556 0 l 139 0 l 139 139 l 556 139 l 556 0 z "},"1":{"ha":833,"x_min":139,"x_max":556,"o":"m 556 139 l 556 0 l 139 0 l 139 139 l 278 139 l 278 694 l 139 694 l 139 833 l 278 833 l 278 972 l 417 972 l 417 139 l 556 139 z "},"2":{"ha":833,"x_min":0,"x_max":694,"o":"m 556 833 l 139 833 l 139 972 l 556 972 l 556 833 m 0 833 l 139 833 l 139 694 l 0 694 l 0 833 m 694 833 l 694 556 l 556 556 l 556 833 l 694 833 m 417 556 l 556 556 l 556 417 l 417 417 l 417 556 m 278 417 l 417 417 l 417 278 l 278 278 l 278 417 m 139 278 l 278 278 l 278 139 l 694 139 l 694 0 l 0 0 l 0 139 l 139 139 l 139 278 z "},"3":{"ha":833,"x_min":0,"x_max":694,"o":"m 556 833 l 139 833 l 139 972 l 556 972 l 556 833 m 0 833 l 139 833 l 139 694 l 0 694 l 0 833 m 694 833 l 694 556 l 556 556 l 556 833 l 694 833 m 556 556 l 556 417 l 278 417 l 278 556 l 556 556 m 556 417 l 694 417 l 694 139 l 556 139 l 556 417 m 139 278 l 139 139 l 0 139 l 0 278 l 139 278 m 556 0 l 139 0 l 139 139 l 556 139 l 556 0 z "},"4":{"ha":833,"x_min":0,"x_max":694,"o":"m 694 417 l 694 278 l 556 278 l 556 0 l 417 0 l 417 278 l 0 278 l 0 556 l 139 556 l 139 417 l 417 417 l 417 694 l 278 694 l 278 833 l 417 833 l 417 972 l 556 972 l 556 417 l 694 417 m 278 556 l 139 556 l 139 694 l 278 694 l 278 556 z "},"5":{"ha":833,"x_min":0,"x_max":694,"o":"m 139 694 l 556 694 l 556 556 l 0 556 l 0 972 l 694 972 l 694 833 l 139 833 l 139 694 m 694 556 l 694 139 l 556 139 l 556 556 l 694 556 m 139 278 l 139 139 l 0 139 l 0 278 l 139 278 m 556 0 l 139 0 l 139 139 l 556 139 l 556 0 z "},"6":{"ha":833,"x_min":0,"x_max":694,"o":"m 139 972 l 556 972 l 556 833 l 139 833 l 139 972 m 0 139 l 0 833 l 139 833 l 139 694 l 556 694 l 556 556 l 139 556 l 139 139 l 0 139 m 694 556 l 694 139 l 556 139 l 556 556 l 694 556 m 556 0 l 139 0 l 139 139 l 556 139 l 556 0 z "},"7":{"ha":833,"x_min":0,"x_max":694,"o":"m 694 556 l 556 556 l 556 833 l 0 833 l 0 972 l 694 972 l 694 556 m 417 556 l 556 556 l 556 417 l 417 417 l 417 556 m 417 417 l 417 0 l 278 0 l 278 417 l 417 417 z "},"8":{"ha":833,"x_min":0,"x_max":694,"o":"m 139 972 l 556 972 l 556 833 l 139 833 l 139 972 m 139 556 l 0 556 l 0 833 l 139 833 l 139 556 m 694 833 l 694 556 l 556 556 l 556 833 l 694 833 m 556 417 l 139 417 l 139 556 l 556 556 l 556 417 m 139 139 l 0 139 l 0 417 l 139 417 l 139 139 m 556 417 l 694 417 l 694 139 l 556 139 l 556 417 m 556 0 l 139 0 l 139 139 l 556 139 l 556 0 z "},"9":{"ha":833,"x_min":0,"x_max":694,"o":"m 139 972 l 556 972 l 556 833 l 139 833 l 139 972 m 0 417 l 0 833 l 139 833 l 139 417 l 0 417 m 694 833 l 694 139 l 556 139 l 556 278 l 139 278 l 139 417 l 556 417 l 556 833 l 694 833 m 556 0 l 139 0 l 139 139 l 556 139 l 556 0 z "},"\r":{"ha":833,"x_min":0,"x_max":0,"o":""}," ":{"ha":833,"x_min":0,"x_max":0,"o":""},"A":{"ha":833,"x_min":0,"x_max":694,"o":"m 139 972 l 556 972 l 556 833 l 139 833 l 139 972 m 694 833 l 694 0 l 556 0 l 556 417 l 139 417 l 139 0 l 0 0 l 0 833 l 139 833 l 139 556 l 556 556 l 556 833 l 694 833 z "},"Á":{"ha":833,"x_min":0,"x_max":694,"o":"m 139 972 l 556 972 l 556 833 l 139 833 l 139 972 m 694 833 l 694 0 l 556 0 l 556 417 l 139 417 l 139 0 l 0 0 l 0 833 l 139 833 l 139 556 l 556 556 l 556 833 l 694 833 z "},"Ă":{"ha":833,"x_min":0,"x_max":694,"o":"m 139 972 l 556 972 l 556 833 l 139 833 l 139 972 m 694 833 l 694 0 l 556 0 l 556 417 l 139 417 l 139 0 l 0 0 l 0 833 l 139 833 l 139 556 l 556 556 l 556 833 l 694 833 z "},"Â":{"ha":833,"x_min":0,"x_max":694,"o":"m 139 972 l 556 972 l 556 833 l 139 833 l 139 972 m 694 833 l 694 0 l 556 0 l 556 417 l 139 417 l 139 0 l 0 0 l 0 833 l 139 833 l 139 556 l 556 556 l 556 833 l 694 833 z "},"Ä":{"ha":833,"x_min":0,"x_max":694,"o":"m 139 972 l 556 972 l 556 833 l 139 833 l 139 972 m 694 833 l 694 0 l 556 0 l 556 417 l 139 417 l 139 0 l 0 0 l 0 833 l 139 833 l 139 556 l 556 556 l 556 833 l 694 833 z "},"À":{"ha":833,"x_min":0,"x_max":694,"o":"m 139 972 l 556 972 l 556 833 l 139 833 l 139 972 m 694 833 l 694 0 l 556 0 l 556 417 l 139 417 l 139 0 l 0 0 l 0 833 l 139 833 l 139 556 l 556 556 l 556 833 l 694 833 z "},"Ā":{"ha":833,"x_min":0,"x_max":694,"o":"m 139 972 l 556 972 l 556 833 l 139 833 l 139 972 m 694 833 l 694 0 l 556 0 l 556 417 l 139 417 l 139 0 l 0 0 l 0 833 l 139 833 l 139 556 l 556 556 l 556 833 l 694 833 z "},"Ą":{"ha":833,"x_min":0,"x_max":833,"o":"m 139 972 l 556 972 l 556 833 l 139 833 l 139 972 m 556 0 l 556 417 l 139 417 l 139 0 l 0 0 l 0 833 l 139 833 l 139 556 l 556 556 l 556 833 l 694 833 l 694 0 l 556 0 m 556 0 l 556 -139 l 417 -139 l 417 0 l 556 0 m 833 -278 l 556 -278 l 556 -139 l 833 -139 l 833 -278 z "},"Å":{"ha":833,"x_min":0,"x_max":694,"o":"m 139 972 l 556 972 l 556 833 l 139 833 l 139 972 m 694 833 l 694 0 l 556 0 l 556 417 l 139 417 l 139 0 l 0 0 l 0 833 l 139 833 l 139 556 l 556 556 l 556 833 l 694 833 z "},"Ã":{"ha":833,"x_min":0,"x_max":694,"o":"m 139 972 l 556 972 l 556 833 l 139 833 l 139 972 m 694 833 l 694 0 l 556 0 l 556 417 l 139 417 l 139 0 l 0 0 l 0 833 l 139 833 l 139 556 l 556 556 l 556 833 l 694 833 z "},"Æ":{"ha":833,"x_min":0,"x_max":694,"o":"m 417 556 l 556 556 l 556 417 l 417 417 l 417 139 l 694 139 l 694 0 l 278 0 l 278 417 l 139 417 l 139 0 l 0 0 l 0 833 l 139 833 l 139 556 l 278 556 l 278 833 l 139 833 l 139 972 l 694 972 l 694 833 l 417 833 l 417 556 z "},"B":{"ha":833,"x_min":0,"x_max":694,"o":"m 556 417 l 139 417 l 139 139 l 556 139 l 556 0 l 0 0 l 0 972 l 556 972 l 556 833 l 139 833 l 139 556 l 556 556 l 556 417 m 694 833 l 694 556 l 556 556 l 556 833 l 694 833 m 556 417 l 694 417 l 694 139 l 556 139 l 556 417 z "},"C":{"ha":833,"x_min":0,"x_max":694,"o":"m 556 833 l 139 833 l 139 972 l 556 972 l 556 833 m 139 833 l 139 139 l 0 139 l 0 833 l 139 833 m 556 694 l 556 833 l 694 833 l 694 694 l 556 694 m 694 139 l 556 139 l 556 278 l 694 278 l 694 139 m 139 139 l 556 139 l 556 0 l 139 0 l 139 139 z "},"Ć":{"ha":833,"x_min":0,"x_max":694,"o":"m 556 833 l 139 833 l 139 972 l 556 972 l 556 833 m 139 833 l 139 139 l 0 139 l 0 833 l 139 833 m 556 694 l 556 833 l 694 833 l 694 694 l 556 694 m 694 139 l 556 139 l 556 278 l 694 278 l 694 139 m 139 139 l 556 139 l 556 0 l 139 0 l 139 139 z "},"Č":{"ha":833,"x_min":0,"x_max":694,"o":"m 556 833 l 139 833 l 139 972 l 556 972 l 556 833 m 139 833 l 139 139 l 0 139 l 0 833 l 139 833 m 556 694 l 556 833 l 694 833 l 694 694 l 556 694 m 694 139 l 556 139 l 556 278 l 694 278 l 694 139 m 139 139 l 556 139 l 556 0 l 139 0 l 139 139 z "},"Ç":{"ha":833,"x_min":0,"x_max":694,"o":"m 556 833 l 139 833 l 139 972 l 556 972 l 556 833 m 139 833 l 139 139 l 0 139 l 0 833 l 139 833 m 556 694 l 556 833 l 694 833 l 694 694 l 556 694 m 694 139 l 556 139 l 556 278 l 694 278 l 694 139 m 139 139 l 556 139 l 556 -139 l 417 -139 l 417 0 l 139 0 l 139 139 m 417 -139 l 417 -278 l 139 -278 l 139 -139 l 417 -139 z "},"Ċ":{"ha":833,"x_min":0,"x_max":694,"o":"m 556 833 l 139 833 l 139 972 l 556 972 l 556 833 m 139 833 l 139 139 l 0 139 l 0 833 l 139 833 m 556 694 l 556 833 l 694 833 l 694 694 l 556 694 m 694 139 l 556 139 l 556 278 l 694 278 l 694 139 m 139 139 l 556 139 l 556 0 l 139 0 l 139 139 z "},"D":{"ha":833,"x_min":0,"x_max":694,"o":"m 556 0 l 0 0 l 0 972 l 556 972 l 556 833 l 139 833 l 139 139 l 556 139 l 556 0 m 694 833 l 694 139 l 556 139 l 556 833 l 694 833 z "},"Ð":{"ha":833,"x_min":-139,"x_max":694,"o":"m 556 0 l 0 0 l 0 417 l -139 417 l -139 556 l 0 556 l 0 972 l 556 972 l 556 833 l 139 833 l 139 556 l 278 556 l 278 417 l 139 417 l 139 139 l 556 139 l 556 0 m 694 833 l 694 139 l 556 139 l 556 833 l 694 833 z "},"Ď":{"ha":833,"x_min":0,"x_max":694,"o":"m 556 0 l 0 0 l 0 972 l 556 972 l 556 833 l 139 833 l 139 139 l 556 139 l 556 0 m 694 833 l 694 139 l 556 139 l 556 833 l 694 833 z "},"Đ":{"ha":833,"x_min":-139,"x_max":694,"o":"m 556 0 l 0 0 l 0 417 l -139 417 l -139 556 l 0 556 l 0 972 l 556 972 l 556 833 l 139 833 l 139 556 l 278 556 l 278 417 l 139 417 l 139 139 l 556 139 l 556 0 m 694 833 l 694 139 l 556 139 l 556 833 l 694 833 z "},"E":{"ha":833,"x_min":0,"x_max":694,"o":"m 139 556 l 556 556 l 556 417 l 139 417 l 139 139 l 694 139 l 694 0 l 0 0 l 0 972 l 694 972 l 694 833 l 139 833 l 139 556 z "},"É":{"ha":833,"x_min":0,"x_max":694,"o":"m 139 556 l 556 556 l 556 417 l 139 417 l 139 139 l 694 139 l 694 0 l 0 0 l 0 972 l 694 972 l 694 833 l 139 833 l 139 556 z "},"Ě":{"ha":833,"x_min":0,"x_max":694,"o":"m 139 556 l 556 556 l 556 417 l 139 417 l 139 139 l 694 139 l 694 0 l 0 0 l 0 972 l 694 972 l 694 833 l 139 833 l 139 556 z "},"Ê":{"ha":833,"x_min":0,"x_max":694,"o":"m 139 556 l 556 556 l 556 417 l 139 417 l 139 139 l 694 139 l 694 0 l 0 0 l 0 972 l 694 972 l 694 833 l 139 833 l 139 556 z "},"Ë":{"ha":833,"x_min":0,"x_max":694,"o":"m 139 556 l 556 556 l 556 417 l 139 417 l 139 139 l 694 139 l 694 0 l 0 0 l 0 972 l 694 972 l 694 833 l 139 833 l 139 556 z "},"Ė":{"ha":833,"x_min":0,"x_max":694,"o":"m 139 556 l 556 556 l 556 417 l 139 417 l 139 139 l 694 139 l 694 0 l 0 0 l 0 972 l 694 972 l 694 833 l 139 833 l 139 556 z "},"È":{"ha":833,"x_min":0,"x_max":694,"o":"m 139 556 l 556 556 l 556 417 l 139 417 l 139 139 l 694 139 l 694 0 l 0 0 l 0 972 l 694 972 l 694 833 l 139 833 l 139 556 z "},"Ē":{"ha":833,"x_min":0,"x_max":694,"o":"m 139 556 l 556 556 l 556 417 l 139 417 l 139 139 l 694 139 l 694 0 l 0 0 l 0 972 l 694 972 l 694 833 l 139 833 l 139 556 z "},"Ę":{"ha":833,"x_min":0,"x_max":833,"o":"m 556 0 l 556 -139 l 417 -139 l 417 0 l 0 0 l 0 972 l 694 972 l 694 833 l 139 833 l 139 556 l 556 556 l 556 417 l 139 417 l 139 139 l 694 139 l 694 0 l 556 0 m 833 -278 l 556 -278 l 556 -139 l 833 -139 l 833 -278 z "},"F":{"ha":833,"x_min":0,"x_max":694,"o":"m 694 833 l 139 833 l 139 556 l 556 556 l 556 417 l 139 417 l 139 0 l 0 0 l 0 972 l 694 972 l 694 833 z "},"G":{"ha":833,"x_min":0,"x_max":694,"o":"m 556 833 l 139 833 l 139 972 l 556 972 l 556 833 m 139 833 l 139 139 l 0 139 l 0 833 l 139 833 m 556 694 l 556 833 l 694 833 l 694 694 l 556 694 m 556 139 l 556 417 l 417 417 l 417 556 l 694 556 l 694 139 l 556 139 m 139 139 l 556 139 l 556 0 l 139 0 l 139 139 z "},"Ğ":{"ha":833,"x_min":0,"x_max":694,"o":"m 556 833 l 139 833 l 139 972 l 556 972 l 556 833 m 139 833 l 139 139 l 0 139 l 0 833 l 139 833 m 556 694 l 556 833 l 694 833 l 694 694 l 556 694 m 556 139 l 556 417 l 417 417 l 417 556 l 694 556 l 694 139 l 556 139 m 139 139 l 556 139 l 556 0 l 139 0 l 139 139 z "},"Ģ":{"ha":833,"x_min":0,"x_max":694,"o":"m 556 833 l 139 833 l 139 972 l 556 972 l 556 833 m 139 833 l 139 139 l 0 139 l 0 833 l 139 833 m 556 694 l 556 833 l 694 833 l 694 694 l 556 694 m 556 139 l 556 417 l 417 417 l 417 556 l 694 556 l 694 139 l 556 139 m 139 139 l 556 139 l 556 0 l 139 0 l 139 139 z "},"Ġ":{"ha":833,"x_min":0,"x_max":694,"o":"m 556 833 l 139 833 l 139 972 l 556 972 l 556 833 m 139 833 l 139 139 l 0 139 l 0 833 l 139 833 m 556 694 l 556 833 l 694 833 l 694 694 l 556 694 m 556 139 l 556 417 l 417 417 l 417 556 l 694 556 l 694 139 l 556 139 m 139 139 l 556 139 l 556 0 l 139 0 l 139 139 z "},"H":{"ha":833,"x_min":0,"x_max":694,"o":"m 694 972 l 694 0 l 556 0 l 556 417 l 139 417 l 139 0 l 0 0 l 0 972 l 139 972 l 139 556 l 556 556 l 556 972 l 694 972 z "},"Ħ":{"ha":833,"x_min":-139,"x_max":833,"o":"m 833 833 l 833 694 l 694 694 l 694 0 l 556 0 l 556 417 l 139 417 l 139 0 l 0 0 l 0 694 l -139 694 l -139 833 l 0 833 l 0 972 l 139 972 l 139 833 l 556 833 l 556 972 l 694 972 l 694 833 l 833 833 m 556 694 l 139 694 l 139 556 l 556 556 l 556 694 z "},"I":{"ha":833,"x_min":139,"x_max":556,"o":"m 556 139 l 556 0 l 139 0 l 139 139 l 278 139 l 278 833 l 139 833 l 139 972 l 556 972 l 556 833 l 417 833 l 417 139 l 556 139 z "},"Ĳ":{"ha":833,"x_min":0,"x_max":694,"o":"m 0 0 l 0 139 l 139 139 l 139 833 l 0 833 l 0 972 l 417 972 l 417 833 l 278 833 l 278 139 l 417 139 l 417 0 l 0 0 m 694 972 l 694 -139 l 556 -139 l 556 972 l 694 972 m 556 -139 l 556 -278 l 278 -278 l 278 -139 l 556 -139 z "},"Í":{"ha":833,"x_min":139,"x_max":556,"o":"m 556 139 l 556 0 l 139 0 l 139 139 l 278 139 l 278 833 l 139 833 l 139 972 l 556 972 l 556 833 l 417 833 l 417 139 l 556 139 z "},"Î":{"ha":833,"x_min":139,"x_max":556,"o":"m 556 139 l 556 0 l 139 0 l 139 139 l 278 139 l 278 833 l 139 833 l 139 972 l 556 972 l 556 833 l 417 833 l 417 139 l 556 139 z "},"Ï":{"ha":833,"x_min":139,"x_max":556,"o":"m 556 139 l 556 0 l 139 0 l 139 139 l 278 139 l 278 833 l 139 833 l 139 972 l 556 972 l 556 833 l 417 833 l 417 139 l 556 139 z "},"İ":{"ha":833,"x_min":139,"x_max":556,"o":"m 556 139 l 556 0 l 139 0 l 139 139 l 278 139 l 278 833 l 139 833 l 139 972 l 556 972 l 556 833 l 417 833 l 417 139 l 556 139 z "},"Ì":{"ha":833,"x_min":139,"x_max":556,"o":"m 556 139 l 556 0 l 139 0 l 139 139 l 278 139 l 278 833 l 139 833 l 139 972 l 556 972 l 556 833 l 417 833 l 417 139 l 556 139 z "},"Ī":{"ha":833,"x_min":139,"x_max":556,"o":"m 556 139 l 556 0 l 139 0 l 139 139 l 278 139 l 278 833 l 139 833 l 139 972 l 556 972 l 556 833 l 417 833 l 417 139 l 556 139 z "},"Į":{"ha":833,"x_min":139,"x_max":694,"o":"m 417 0 l 417 -139 l 278 -139 l 278 0 l 139 0 l 139 139 l 278 139 l 278 833 l 139 833 l 139 972 l 556 972 l 556 833 l 417 833 l 417 139 l 556 139 l 556 0 l 417 0 m 694 -278 l 417 -278 l 417 -139 l 694 -139 l 694 -278 z "},"J":{"ha":833,"x_min":0,"x_max":694,"o":"m 694 972 l 694 139 l 556 139 l 556 972 l 694 972 m 139 139 l 0 139 l 0 417 l 139 417 l 139 139 m 556 0 l 139 0 l 139 139 l 556 139 l 556 0 z "},"K":{"ha":833,"x_min":0,"x_max":694,"o":"m 278 556 l 278 417 l 139 417 l 139 0 l 0 0 l 0 972 l 139 972 l 139 556 l 278 556 m 694 833 l 556 833 l 556 972 l 694 972 l 694 833 m 556 694 l 417 694 l 417 833 l 556 833 l 556 694 m 417 556 l 278 556 l 278 694 l 417 694 l 417 556 m 278 278 l 278 417 l 417 417 l 417 278 l 278 278 m 417 139 l 417 278 l 556 278 l 556 139 l 417 139 m 556 0 l 556 139 l 694 139 l 694 0 l 556 0 z "},"Ķ":{"ha":833,"x_min":0,"x_max":694,"o":"m 278 556 l 278 417 l 139 417 l 139 0 l 0 0 l 0 972 l 139 972 l 139 556 l 278 556 m 694 833 l 556 833 l 556 972 l 694 972 l 694 833 m 556 694 l 417 694 l 417 833 l 556 833 l 556 694 m 417 556 l 278 556 l 278 694 l 417 694 l 417 556 m 278 278 l 278 417 l 417 417 l 417 278 l 278 278 m 417 139 l 417 278 l 556 278 l 556 139 l 417 139 m 556 0 l 556 139 l 694 139 l 694 0 l 556 0 z "},"L":{"ha":833,"x_min":0,"x_max":694,"o":"m 694 0 l 0 0 l 0 972 l 139 972 l 139 139 l 694 139 l 694 0 z "},"Ĺ":{"ha":833,"x_min":0,"x_max":694,"o":"m 694 0 l 0 0 l 0 972 l 139 972 l 139 139 l 694 139 l 694 0 z "},"Ľ":{"ha":833,"x_min":0,"x_max":694,"o":"m 417 833 l 417 1111 l 556 1111 l 556 833 l 417 833 m 694 0 l 0 0 l 0 972 l 139 972 l 139 139 l 694 139 l 694 0 m 417 694 l 278 694 l 278 833 l 417 833 l 417 694 z "},"Ļ":{"ha":833,"x_min":0,"x_max":694,"o":"m 694 0 l 0 0 l 0 972 l 139 972 l 139 139 l 694 139 l 694 0 z "},"Ł":{"ha":833,"x_min":-139,"x_max":694,"o":"m 694 0 l 0 0 l 0 278 l -139 278 l -139 417 l 0 417 l 0 972 l 139 972 l 139 556 l 278 556 l 278 417 l 139 417 l 139 139 l 694 139 l 694 0 z "},"M":{"ha":833,"x_min":0,"x_max":694,"o":"m 278 833 l 278 694 l 139 694 l 139 0 l 0 0 l 0 972 l 139 972 l 139 833 l 278 833 m 694 972 l 694 0 l 556 0 l 556 694 l 417 694 l 417 833 l 556 833 l 556 972 l 694 972 m 278 694 l 417 694 l 417 556 l 278 556 l 278 694 z "},"N":{"ha":833,"x_min":0,"x_max":694,"o":"m 278 694 l 278 556 l 139 556 l 139 0 l 0 0 l 0 972 l 139 972 l 139 694 l 278 694 m 694 972 l 694 0 l 556 0 l 556 278 l 417 278 l 417 417 l 556 417 l 556 972 l 694 972 m 417 556 l 417 417 l 278 417 l 278 556 l 417 556 z "},"Ń":{"ha":833,"x_min":0,"x_max":694,"o":"m 278 694 l 278 556 l 139 556 l 139 0 l 0 0 l 0 972 l 139 972 l 139 694 l 278 694 m 694 972 l 694 0 l 556 0 l 556 278 l 417 278 l 417 417 l 556 417 l 556 972 l 694 972 m 417 556 l 417 417 l 278 417 l 278 556 l 417 556 z "},"Ň":{"ha":833,"x_min":0,"x_max":694,"o":"m 278 694 l 278 556 l 139 556 l 139 0 l 0 0 l 0 972 l 139 972 l 139 694 l 278 694 m 694 972 l 694 0 l 556 0 l 556 278 l 417 278 l 417 417 l 556 417 l 556 972 l 694 972 m 417 556 l 417 417 l 278 417 l 278 556 l 417 556 z "},"Ņ":{"ha":833,"x_min":0,"x_max":694,"o":"m 278 694 l 278 556 l 139 556 l 139 0 l 0 0 l 0 972 l 139 972 l 139 694 l 278 694 m 694 972 l 694 0 l 556 0 l 556 278 l 417 278 l 417 417 l 556 417 l 556 972 l 694 972 m 417 556 l 417 417 l 278 417 l 278 556 l 417 556 z "},"Ŋ":{"ha":833,"x_min":0,"x_max":694,"o":"m 278 694 l 278 556 l 139 556 l 139 0 l 0 0 l 0 972 l 139 972 l 139 694 l 278 694 m 694 972 l 694 -139 l 556 -139 l 556 278 l 417 278 l 417 417 l 556 417 l 556 972 l 694 972 m 417 556 l 417 417 l 278 417 l 278 556 l 417 556 m 556 -139 l 556 -278 l 278 -278 l 278 -139 l 556 -139 z "},"Ñ":{"ha":833,"x_min":0,"x_max":694,"o":"m 278 694 l 278 556 l 139 556 l 139 0 l 0 0 l 0 972 l 139 972 l 139 694 l 278 694 m 694 972 l 694 0 l 556 0 l 556 278 l 417 278 l 417 417 l 556 417 l 556 972 l 694 972 m 417 556 l 417 417 l 278 417 l 278 556 l 417 556 z "},"O":{"ha":833,"x_min":0,"x_max":694,"o":"m 139 972 l 556 972 l 556 833 l 139 833 l 139 972 m 0 139 l 0 833 l 139 833 l 139 139 l 0 139 m 694 833 l 694 139 l 556 139 l 556 833 l 694 833 m 556 0 l 139 0 l 139 139 l 556 139 l 556 0 z "},"Ó":{"ha":833,"x_min":0,"x_max":694,"o":"m 139 972 l 556 972 l 556 833 l 139 833 l 139 972 m 0 139 l 0 833 l 139 833 l 139 139 l 0 139 m 694 833 l 694 139 l 556 139 l 556 833 l 694 833 m 556 0 l 139 0 l 139 139 l 556 139 l 556 0 z "},"Ô":{"ha":833,"x_min":0,"x_max":694,"o":"m 139 972 l 556 972 l 556 833 l 139 833 l 139 972 m 0 139 l 0 833 l 139 833 l 139 139 l 0 139 m 694 833 l 694 139 l 556 139 l 556 833 l 694 833 m 556 0 l 139 0 l 139 139 l 556 139 l 556 0 z "},"Ö":{"ha":833,"x_min":0,"x_max":694,"o":"m 139 972 l 556 972 l 556 833 l 139 833 l 139 972 m 0 139 l 0 833 l 139 833 l 139 139 l 0 139 m 694 833 l 694 139 l 556 139 l 556 833 l 694 833 m 556 0 l 139 0 l 139 139 l 556 139 l 556 0 z "},"Ò":{"ha":833,"x_min":0,"x_max":694,"o":"m 139 972 l 556 972 l 556 833 l 139 833 l 139 972 m 0 139 l 0 833 l 139 833 l 139 139 l 0 139 m 694 833 l 694 139 l 556 139 l 556 833 l 694 833 m 556 0 l 139 0 l 139 139 l 556 139 l 556 0 z "},"Ő":{"ha":833,"x_min":0,"x_max":694,"o":"m 139 972 l 556 972 l 556 833 l 139 833 l 139 972 m 0 139 l 0 833 l 139 833 l 139 139 l 0 139 m 694 833 l 694 139 l 556 139 l 556 833 l 694 833 m 556 0 l 139 0 l 139 139 l 556 139 l 556 0 z "},"Ō":{"ha":833,"x_min":0,"x_max":694,"o":"m 139 972 l 556 972 l 556 833 l 139 833 l 139 972 m 0 139 l 0 833 l 139 833 l 139 139 l 0 139 m 694 833 l 694 139 l 556 139 l 556 833 l 694 833 m 556 0 l 139 0 l 139 139 l 556 139 l 556 0 z "},"Ø":{"ha":833,"x_min":-139,"x_max":833,"o":"m 139 972 l 556 972 l 556 833 l 139 833 l 139 972 m 833 972 l 833 833 l 694 833 l 694 972 l 833 972 m 139 278 l 139 139 l 0 139 l 0 833 l 139 833 l 139 417 l 278 417 l 278 278 l 139 278 m 556 833 l 694 833 l 694 139 l 556 139 l 556 556 l 417 556 l 417 694 l 556 694 l 556 833 m 278 556 l 417 556 l 417 417 l 278 417 l 278 556 m -139 139 l 0 139 l 0 0 l -139 0 l -139 139 m 556 0 l 139 0 l 139 139 l 556 139 l 556 0 z "},"Õ":{"ha":833,"x_min":0,"x_max":694,"o":"m 139 972 l 556 972 l 556 833 l 139 833 l 139 972 m 0 139 l 0 833 l 139 833 l 139 139 l 0 139 m 694 833 l 694 139 l 556 139 l 556 833 l 694 833 m 556 0 l 139 0 l 139 139 l 556 139 l 556 0 z "},"Œ":{"ha":833,"x_min":0,"x_max":694,"o":"m 417 556 l 556 556 l 556 417 l 417 417 l 417 139 l 694 139 l 694 0 l 139 0 l 139 139 l 278 139 l 278 833 l 139 833 l 139 972 l 694 972 l 694 833 l 417 833 l 417 556 m 0 139 l 0 833 l 139 833 l 139 139 l 0 139 z "},"P":{"ha":833,"x_min":0,"x_max":694,"o":"m 556 417 l 139 417 l 139 0 l 0 0 l 0 972 l 556 972 l 556 833 l 139 833 l 139 556 l 556 556 l 556 417 m 694 833 l 694 556 l 556 556 l 556 833 l 694 833 z "},"Þ":{"ha":833,"x_min":0,"x_max":694,"o":"m 556 139 l 139 139 l 139 0 l 0 0 l 0 972 l 139 972 l 139 833 l 556 833 l 556 694 l 139 694 l 139 278 l 556 278 l 556 139 m 694 694 l 694 278 l 556 278 l 556 694 l 694 694 z "},"Q":{"ha":833,"x_min":0,"x_max":694,"o":"m 139 972 l 556 972 l 556 833 l 139 833 l 139 972 m 0 139 l 0 833 l 139 833 l 139 139 l 0 139 m 694 833 l 694 139 l 556 139 l 556 833 l 694 833 m 556 0 l 694 0 l 694 -139 l 417 -139 l 417 0 l 139 0 l 139 139 l 556 139 l 556 0 z "},"R":{"ha":833,"x_min":0,"x_max":694,"o":"m 556 417 l 139 417 l 139 0 l 0 0 l 0 972 l 556 972 l 556 833 l 139 833 l 139 556 l 556 556 l 556 417 m 694 833 l 694 556 l 556 556 l 556 833 l 694 833 m 694 417 l 694 0 l 556 0 l 556 417 l 694 417 z "},"Ŕ":{"ha":833,"x_min":0,"x_max":694,"o":"m 556 417 l 139 417 l 139 0 l 0 0 l 0 972 l 556 972 l 556 833 l 139 833 l 139 556 l 556 556 l 556 417 m 694 833 l 694 556 l 556 556 l 556 833 l 694 833 m 694 417 l 694 0 l 556 0 l 556 417 l 694 417 z "},"Ř":{"ha":833,"x_min":0,"x_max":694,"o":"m 556 417 l 139 417 l 139 0 l 0 0 l 0 972 l 556 972 l 556 833 l 139 833 l 139 556 l 556 556 l 556 417 m 694 833 l 694 556 l 556 556 l 556 833 l 694 833 m 694 417 l 694 0 l 556 0 l 556 417 l 694 417 z "},"Ŗ":{"ha":833,"x_min":0,"x_max":694,"o":"m 556 417 l 139 417 l 139 0 l 0 0 l 0 972 l 556 972 l 556 833 l 139 833 l 139 556 l 556 556 l 556 417 m 694 833 l 694 556 l 556 556 l 556 833 l 694 833 m 694 417 l 694 0 l 556 0 l 556 417 l 694 417 z "},"S":{"ha":833,"x_min":0,"x_max":694,"o":"m 556 833 l 139 833 l 139 972 l 556 972 l 556 833 m 139 833 l 139 556 l 0 556 l 0 833 l 139 833 m 556 694 l 556 833 l 694 833 l 694 694 l 556 694 m 139 556 l 556 556 l 556 417 l 139 417 l 139 556 m 556 417 l 694 417 l 694 139 l 556 139 l 556 417 m 139 278 l 139 139 l 0 139 l 0 278 l 139 278 m 556 0 l 139 0 l 139 139 l 556 139 l 556 0 z "},"Ś":{"ha":833,"x_min":0,"x_max":694,"o":"m 556 833 l 139 833 l 139 972 l 556 972 l 556 833 m 139 833 l 139 556 l 0 556 l 0 833 l 139 833 m 556 694 l 556 833 l 694 833 l 694 694 l 556 694 m 139 556 l 556 556 l 556 417 l 139 417 l 139 556 m 556 417 l 694 417 l 694 139 l 556 139 l 556 417 m 139 278 l 139 139 l 0 139 l 0 278 l 139 278 m 556 0 l 139 0 l 139 139 l 556 139 l 556 0 z "},"Š":{"ha":833,"x_min":0,"x_max":694,"o":"m 556 833 l 139 833 l 139 972 l 556 972 l 556 833 m 139 833 l 139 556 l 0 556 l 0 833 l 139 833 m 556 694 l 556 833 l 694 833 l 694 694 l 556 694 m 139 556 l 556 556 l 556 417 l 139 417 l 139 556 m 556 417 l 694 417 l 694 139 l 556 139 l 556 417 m 139 278 l 139 139 l 0 139 l 0 278 l 139 278 m 556 0 l 139 0 l 139 139 l 556 139 l 556 0 z "},"Ş":{"ha":833,"x_min":0,"x_max":694,"o":"m 556 833 l 139 833 l 139 972 l 556 972 l 556 833 m 139 833 l 139 556 l 0 556 l 0 833 l 139 833 m 556 694 l 556 833 l 694 833 l 694 694 l 556 694 m 139 556 l 556 556 l 556 417 l 139 417 l 139 556 m 556 417 l 694 417 l 694 139 l 556 139 l 556 417 m 139 278 l 139 139 l 0 139 l 0 278 l 139 278 m 556 -139 l 417 -139 l 417 0 l 139 0 l 139 139 l 556 139 l 556 -139 m 417 -139 l 417 -278 l 139 -278 l 139 -139 l 417 -139 z "},"Ș":{"ha":833,"x_min":0,"x_max":694,"o":"m 556 833 l 139 833 l 139 972 l 556 972 l 556 833 m 139 833 l 139 556 l 0 556 l 0 833 l 139 833 m 556 694 l 556 833 l 694 833 l 694 694 l 556 694 m 139 556 l 556 556 l 556 417 l 139 417 l 139 556 m 556 417 l 694 417 l 694 139 l 556 139 l 556 417 m 139 278 l 139 139 l 0 139 l 0 278 l 139 278 m 556 0 l 139 0 l 139 139 l 556 139 l 556 0 z "},"ẞ":{"ha":833,"x_min":0,"x_max":694,"o":"m 556 833 l 139 833 l 139 972 l 556 972 l 556 833 m 139 833 l 139 0 l 0 0 l 0 833 l 139 833 m 694 694 l 556 694 l 556 833 l 694 833 l 694 694 m 556 417 l 417 417 l 417 694 l 556 694 l 556 417 m 556 417 l 694 417 l 694 139 l 556 139 l 556 417 m 556 139 l 556 0 l 278 0 l 278 139 l 556 139 z "},"T":{"ha":833,"x_min":0,"x_max":694,"o":"m 694 833 l 417 833 l 417 0 l 278 0 l 278 833 l 0 833 l 0 972 l 694 972 l 694 833 z "},"Ŧ":{"ha":833,"x_min":0,"x_max":694,"o":"m 694 833 l 417 833 l 417 556 l 556 556 l 556 417 l 417 417 l 417 0 l 278 0 l 278 417 l 139 417 l 139 556 l 278 556 l 278 833 l 0 833 l 0 972 l 694 972 l 694 833 z "},"Ť":{"ha":833,"x_min":0,"x_max":694,"o":"m 694 833 l 417 833 l 417 0 l 278 0 l 278 833 l 0 833 l 0 972 l 694 972 l 694 833 z "},"Ţ":{"ha":833,"x_min":0,"x_max":694,"o":"m 694 833 l 417 833 l 417 0 l 278 0 l 278 833 l 0 833 l 0 972 l 694 972 l 694 833 m 417 -139 l 417 0 l 556 0 l 556 -139 l 417 -139 m 417 -139 l 417 -278 l 139 -278 l 139 -139 l 417 -139 z "},"Ț":{"ha":833,"x_min":0,"x_max":694,"o":"m 694 833 l 417 833 l 417 0 l 278 0 l 278 833 l 0 833 l 0 972 l 694 972 l 694 833 z "},"U":{"ha":833,"x_min":0,"x_max":694,"o":"m 0 139 l 0 972 l 139 972 l 139 139 l 0 139 m 694 972 l 694 0 l 139 0 l 139 139 l 556 139 l 556 972 l 694 972 z "},"Ú":{"ha":833,"x_min":0,"x_max":694,"o":"m 0 139 l 0 972 l 139 972 l 139 139 l 0 139 m 694 972 l 694 0 l 139 0 l 139 139 l 556 139 l 556 972 l 694 972 z "},"Û":{"ha":833,"x_min":0,"x_max":694,"o":"m 0 139 l 0 972 l 139 972 l 139 139 l 0 139 m 694 972 l 694 0 l 139 0 l 139 139 l 556 139 l 556 972 l 694 972 z "},"Ü":{"ha":833,"x_min":0,"x_max":694,"o":"m 0 139 l 0 972 l 139 972 l 139 139 l 0 139 m 694 972 l 694 0 l 139 0 l 139 139 l 556 139 l 556 972 l 694 972 z "},"Ù":{"ha":833,"x_min":0,"x_max":694,"o":"m 0 139 l 0 972 l 139 972 l 139 139 l 0 139 m 694 972 l 694 0 l 139 0 l 139 139 l 556 139 l 556 972 l 694 972 z "},"Ű":{"ha":833,"x_min":0,"x_max":694,"o":"m 0 139 l 0 972 l 139 972 l 139 139 l 0 139 m 694 972 l 694 0 l 139 0 l 139 139 l 556 139 l 556 972 l 694 972 z "},"Ū":{"ha":833,"x_min":0,"x_max":694,"o":"m 0 139 l 0 972 l 139 972 l 139 139 l 0 139 m 694 972 l 694 0 l 139 0 l 139 139 l 556 139 l 556 972 l 694 972 z "},"Ų":{"ha":833,"x_min":0,"x_max":833,"o":"m 0 139 l 0 972 l 139 972 l 139 139 l 0 139 m 556 0 l 556 -139 l 417 -139 l 417 0 l 139 0 l 139 139 l 556 139 l 556 972 l 694 972 l 694 0 l 556 0 m 833 -278 l 556 -278 l 556 -139 l 833 -139 l 833 -278 z "},"Ů":{"ha":833,"x_min":0,"x_max":694,"o":"m 0 139 l 0 972 l 139 972 l 139 139 l 0 139 m 694 972 l 694 0 l 139 0 l 139 139 l 556 139 l 556 972 l 694 972 z "},"V":{"ha":833,"x_min":0,"x_max":694,"o":"m 0 556 l 0 972 l 139 972 l 139 556 l 0 556 m 694 972 l 694 556 l 556 556 l 556 972 l 694 972 m 278 278 l 139 278 l 139 556 l 278 556 l 278 278 m 556 556 l 556 278 l 417 278 l 417 556 l 556 556 m 417 278 l 417 0 l 278 0 l 278 278 l 417 278 z "},"W":{"ha":833,"x_min":0,"x_max":694,"o":"m 278 278 l 278 139 l 139 139 l 139 0 l 0 0 l 0 972 l 139 972 l 139 278 l 278 278 m 694 972 l 694 0 l 556 0 l 556 139 l 417 139 l 417 278 l 556 278 l 556 972 l 694 972 m 417 417 l 417 278 l 278 278 l 278 417 l 417 417 z "},"Ẃ":{"ha":833,"x_min":0,"x_max":694,"o":"m 278 278 l 278 139 l 139 139 l 139 0 l 0 0 l 0 972 l 139 972 l 139 278 l 278 278 m 694 972 l 694 0 l 556 0 l 556 139 l 417 139 l 417 278 l 556 278 l 556 972 l 694 972 m 417 417 l 417 278 l 278 278 l 278 417 l 417 417 z "},"Ŵ":{"ha":833,"x_min":0,"x_max":694,"o":"m 278 278 l 278 139 l 139 139 l 139 0 l 0 0 l 0 972 l 139 972 l 139 278 l 278 278 m 694 972 l 694 0 l 556 0 l 556 139 l 417 139 l 417 278 l 556 278 l 556 972 l 694 972 m 417 417 l 417 278 l 278 278 l 278 417 l 417 417 z "},"Ẅ":{"ha":833,"x_min":0,"x_max":694,"o":"m 278 278 l 278 139 l 139 139 l 139 0 l 0 0 l 0 972 l 139 972 l 139 278 l 278 278 m 694 972 l 694 0 l 556 0 l 556 139 l 417 139 l 417 278 l 556 278 l 556 972 l 694 972 m 417 417 l 417 278 l 278 278 l 278 417 l 417 417 z "},"Ẁ":{"ha":833,"x_min":0,"x_max":694,"o":"m 278 278 l 278 139 l 139 139 l 139 0 l 0 0 l 0 972 l 139 972 l 139 278 l 278 278 m 694 972 l 694 0 l 556 0 l 556 139 l 417 139 l 417 278 l 556 278 l 556 972 l 694 972 m 417 417 l 417 278 l 278 278 l 278 417 l 417 417 z "},"X":{"ha":833,"x_min":0,"x_max":694,"o":"m 139 694 l 0 694 l 0 972 l 139 972 l 139 694 m 694 972 l 694 694 l 556 694 l 556 972 l 694 972 m 278 694 l 278 556 l 139 556 l 139 694 l 278 694 m 417 694 l 556 694 l 556 556 l 417 556 l 417 694 m 278 556 l 417 556 l 417 417 l 278 417 l 278 556 m 139 417 l 278 417 l 278 278 l 139 278 l 139 417 m 417 278 l 417 417 l 556 417 l 556 278 l 417 278 m 139 278 l 139 0 l 0 0 l 0 278 l 139 278 m 556 278 l 694 278 l 694 0 l 556 0 l 556 278 z "},"Y":{"ha":833,"x_min":0,"x_max":694,"o":"m 0 556 l 0 972 l 139 972 l 139 556 l 0 556 m 694 972 l 694 556 l 556 556 l 556 972 l 694 972 m 278 556 l 278 417 l 139 417 l 139 556 l 278 556 m 417 556 l 556 556 l 556 417 l 417 417 l 417 556 m 417 417 l 417 0 l 278 0 l 278 417 l 417 417 z "},"Ý":{"ha":833,"x_min":0,"x_max":694,"o":"m 0 556 l 0 972 l 139 972 l 139 556 l 0 556 m 694 972 l 694 556 l 556 556 l 556 972 l 694 972 m 278 556 l 278 417 l 139 417 l 139 556 l 278 556 m 417 556 l 556 556 l 556 417 l 417 417 l 417 556 m 417 417 l 417 0 l 278 0 l 278 417 l 417 417 z "},"Ŷ":{"ha":833,"x_min":0,"x_max":694,"o":"m 0 556 l 0 972 l 139 972 l 139 556 l 0 556 m 694 972 l 694 556 l 556 556 l 556 972 l 694 972 m 278 556 l 278 417 l 139 417 l 139 556 l 278 556 m 417 556 l 556 556 l 556 417 l 417 417 l 417 556 m 417 417 l 417 0 l 278 0 l 278 417 l 417 417 z "},"Ÿ":{"ha":833,"x_min":0,"x_max":694,"o":"m 0 556 l 0 972 l 139 972 l 139 556 l 0 556 m 694 972 l 694 556 l 556 556 l 556 972 l 694 972 m 278 556 l 278 417 l 139 417 l 139 556 l 278 556 m 417 556 l 556 556 l 556 417 l 417 417 l 417 556 m 417 417 l 417 0 l 278 0 l 278 417 l 417 417 z "},"Ỳ":{"ha":833,"x_min":0,"x_max":694,"o":"m 0 556 l 0 972 l 139 972 l 139 556 l 0 556 m 694 972 l 694 556 l 556 556 l 556 972 l 694 972 m 278 556 l 278 417 l 139 417 l 139 556 l 278 556 m 417 556 l 556 556 l 556 417 l 417 417 l 417 556 m 417 417 l 417 0 l 278 0 l 278 417 l 417 417 z "},"Z":{"ha":833,"x_min":0,"x_max":694,"o":"m 694 694 l 556 694 l 556 833 l 0 833 l 0 972 l 694 972 l 694 694 m 417 694 l 556 694 l 556 556 l 417 556 l 417 694 m 278 556 l 417 556 l 417 417 l 278 417 l 278 556 m 139 417 l 278 417 l 278 278 l 139 278 l 139 417 m 139 278 l 139 139 l 694 139 l 694 0 l 0 0 l 0 278 l 139 278 z "},"Ź":{"ha":833,"x_min":0,"x_max":694,"o":"m 694 694 l 556 694 l 556 833 l 0 833 l 0 972 l 694 972 l 694 694 m 417 694 l 556 694 l 556 556 l 417 556 l 417 694 m 278 556 l 417 556 l 417 417 l 278 417 l 278 556 m 139 417 l 278 417 l 278 278 l 139 278 l 139 417 m 139 278 l 139 139 l 694 139 l 694 0 l 0 0 l 0 278 l 139 278 z "},"Ž":{"ha":833,"x_min":0,"x_max":694,"o":"m 694 694 l 556 694 l 556 833 l 0 833 l 0 972 l 694 972 l 694 694 m 417 694 l 556 694 l 556 556 l 417 556 l 417 694 m 278 556 l 417 556 l 417 417 l 278 417 l 278 556 m 139 417 l 278 417 l 278 278 l 139 278 l 139 417 m 139 278 l 139 139 l 694 139 l 694 0 l 0 0 l 0 278 l 139 278 z "},"Ż":{"ha":833,"x_min":0,"x_max":694,"o":"m 694 694 l 556 694 l 556 833 l 0 833 l 0 972 l 694 972 l 694 694 m 417 694 l 556 694 l 556 556 l 417 556 l 417 694 m 278 556 l 417 556 l 417 417 l 278 417 l 278 556 m 139 417 l 278 417 l 278 278 l 139 278 l 139 417 m 139 278 l 139 139 l 694 139 l 694 0 l 0 0 l 0 278 l 139 278 z "},"a":{"ha":833,"x_min":0,"x_max":694,"o":"m 694 0 l 139 0 l 139 139 l 556 139 l 556 556 l 139 556 l 139 694 l 694 694 l 694 0 m 0 139 l 0 556 l 139 556 l 139 139 l 0 139 z "},"á":{"ha":833,"x_min":0,"x_max":694,"o":"m 694 0 l 139 0 l 139 139 l 556 139 l 556 556 l 139 556 l 139 694 l 694 694 l 694 0 m 0 139 l 0 556 l 139 556 l 139 139 l 0 139 m 417 1111 l 556 1111 l 556 972 l 417 972 l 417 1111 m 278 972 l 417 972 l 417 833 l 278 833 l 278 972 z "},"ă":{"ha":833,"x_min":0,"x_max":694,"o":"m 694 0 l 139 0 l 139 139 l 556 139 l 556 556 l 139 556 l 139 694 l 694 694 l 694 0 m 0 139 l 0 556 l 139 556 l 139 139 l 0 139 m 278 1111 l 278 972 l 139 972 l 139 1111 l 278 1111 m 694 1111 l 694 972 l 556 972 l 556 1111 l 694 1111 m 556 972 l 556 833 l 278 833 l 278 972 l 556 972 z "},"â":{"ha":833,"x_min":0,"x_max":694,"o":"m 694 0 l 139 0 l 139 139 l 556 139 l 556 556 l 139 556 l 139 694 l 694 694 l 694 0 m 0 139 l 0 556 l 139 556 l 139 139 l 0 139 m 278 1111 l 417 1111 l 417 972 l 278 972 l 278 1111 m 139 972 l 278 972 l 278 833 l 139 833 l 139 972 m 417 972 l 556 972 l 556 833 l 417 833 l 417 972 z "},"ä":{"ha":833,"x_min":0,"x_max":694,"o":"m 694 0 l 139 0 l 139 139 l 556 139 l 556 556 l 139 556 l 139 694 l 694 694 l 694 0 m 0 139 l 0 556 l 139 556 l 139 139 l 0 139 m 139 972 l 278 972 l 278 833 l 139 833 l 139 972 m 417 972 l 556 972 l 556 833 l 417 833 l 417 972 z "},"à":{"ha":833,"x_min":0,"x_max":694,"o":"m 694 0 l 139 0 l 139 139 l 556 139 l 556 556 l 139 556 l 139 694 l 694 694 l 694 0 m 0 139 l 0 556 l 139 556 l 139 139 l 0 139 m 139 1111 l 278 1111 l 278 972 l 139 972 l 139 1111 m 278 972 l 417 972 l 417 833 l 278 833 l 278 972 z "},"ā":{"ha":833,"x_min":0,"x_max":694,"o":"m 694 0 l 139 0 l 139 139 l 556 139 l 556 556 l 139 556 l 139 694 l 694 694 l 694 0 m 0 139 l 0 556 l 139 556 l 139 139 l 0 139 m 556 833 l 139 833 l 139 972 l 556 972 l 556 833 z "},"ą":{"ha":833,"x_min":0,"x_max":833,"o":"m 556 0 l 556 -139 l 417 -139 l 417 0 l 139 0 l 139 139 l 556 139 l 556 556 l 139 556 l 139 694 l 694 694 l 694 0 l 556 0 m 0 139 l 0 556 l 139 556 l 139 139 l 0 139 m 833 -278 l 556 -278 l 556 -139 l 833 -139 l 833 -278 z "},"å":{"ha":833,"x_min":0,"x_max":694,"o":"m 694 0 l 139 0 l 139 139 l 556 139 l 556 556 l 139 556 l 139 694 l 694 694 l 694 0 m 0 139 l 0 556 l 139 556 l 139 139 l 0 139 m 278 1250 l 417 1250 l 417 1111 l 278 1111 l 278 1250 m 139 1111 l 278 1111 l 278 972 l 139 972 l 139 1111 m 417 1111 l 556 1111 l 556 972 l 417 972 l 417 1111 m 278 972 l 417 972 l 417 833 l 278 833 l 278 972 z "},"ã":{"ha":833,"x_min":0,"x_max":694,"o":"m 694 0 l 139 0 l 139 139 l 556 139 l 556 556 l 139 556 l 139 694 l 694 694 l 694 0 m 0 139 l 0 556 l 139 556 l 139 139 l 0 139 m 139 1111 l 347 1111 l 347 972 l 139 972 l 139 1111 m 556 1111 l 694 1111 l 694 972 l 556 972 l 556 1111 m 0 972 l 139 972 l 139 833 l 0 833 l 0 972 m 347 972 l 556 972 l 556 833 l 347 833 l 347 972 z "},"æ":{"ha":833,"x_min":0,"x_max":694,"o":"m 278 556 l 0 556 l 0 694 l 278 694 l 278 556 m 556 556 l 417 556 l 417 694 l 556 694 l 556 556 m 694 556 l 694 278 l 417 278 l 417 139 l 278 139 l 278 278 l 139 278 l 139 139 l 0 139 l 0 417 l 278 417 l 278 556 l 417 556 l 417 417 l 556 417 l 556 556 l 694 556 m 139 139 l 278 139 l 278 0 l 139 0 l 139 139 m 417 139 l 694 139 l 694 0 l 417 0 l 417 139 z "},"b":{"ha":833,"x_min":0,"x_max":694,"o":"m 556 0 l 0 0 l 0 972 l 139 972 l 139 694 l 556 694 l 556 556 l 139 556 l 139 139 l 556 139 l 556 0 m 694 556 l 694 139 l 556 139 l 556 556 l 694 556 z "},"c":{"ha":833,"x_min":0,"x_max":694,"o":"m 556 556 l 139 556 l 139 694 l 556 694 l 556 556 m 139 556 l 139 139 l 0 139 l 0 556 l 139 556 m 556 417 l 556 556 l 694 556 l 694 417 l 556 417 m 694 139 l 556 139 l 556 278 l 694 278 l 694 139 m 139 139 l 556 139 l 556 0 l 139 0 l 139 139 z "},"ć":{"ha":833,"x_min":0,"x_max":694,"o":"m 556 556 l 139 556 l 139 694 l 556 694 l 556 556 m 139 556 l 139 139 l 0 139 l 0 556 l 139 556 m 556 417 l 556 556 l 694 556 l 694 417 l 556 417 m 694 139 l 556 139 l 556 278 l 694 278 l 694 139 m 139 139 l 556 139 l 556 0 l 139 0 l 139 139 m 417 1111 l 556 1111 l 556 972 l 417 972 l 417 1111 m 278 972 l 417 972 l 417 833 l 278 833 l 278 972 z "},"č":{"ha":833,"x_min":0,"x_max":694,"o":"m 556 556 l 139 556 l 139 694 l 556 694 l 556 556 m 139 556 l 139 139 l 0 139 l 0 556 l 139 556 m 556 417 l 556 556 l 694 556 l 694 417 l 556 417 m 694 139 l 556 139 l 556 278 l 694 278 l 694 139 m 139 139 l 556 139 l 556 0 l 139 0 l 139 139 m 139 1111 l 278 1111 l 278 972 l 139 972 l 139 1111 m 417 1111 l 556 1111 l 556 972 l 417 972 l 417 1111 m 278 972 l 417 972 l 417 833 l 278 833 l 278 972 z "},"ç":{"ha":833,"x_min":0,"x_max":694,"o":"m 556 556 l 139 556 l 139 694 l 556 694 l 556 556 m 139 556 l 139 139 l 0 139 l 0 556 l 139 556 m 556 417 l 556 556 l 694 556 l 694 417 l 556 417 m 694 139 l 556 139 l 556 278 l 694 278 l 694 139 m 139 139 l 556 139 l 556 -139 l 417 -139 l 417 0 l 139 0 l 139 139 m 417 -139 l 417 -278 l 139 -278 l 139 -139 l 417 -139 z "},"ċ":{"ha":833,"x_min":0,"x_max":694,"o":"m 556 556 l 139 556 l 139 694 l 556 694 l 556 556 m 139 556 l 139 139 l 0 139 l 0 556 l 139 556 m 556 417 l 556 556 l 694 556 l 694 417 l 556 417 m 694 139 l 556 139 l 556 278 l 694 278 l 694 139 m 139 139 l 556 139 l 556 0 l 139 0 l 139 139 m 278 972 l 417 972 l 417 833 l 278 833 l 278 972 z "},"d":{"ha":833,"x_min":0,"x_max":694,"o":"m 694 972 l 694 0 l 139 0 l 139 139 l 556 139 l 556 556 l 139 556 l 139 694 l 556 694 l 556 972 l 694 972 m 0 139 l 0 556 l 139 556 l 139 139 l 0 139 z "},"ð":{"ha":833,"x_min":0,"x_max":833,"o":"m 833 694 l 694 694 l 694 139 l 556 139 l 556 417 l 139 417 l 139 556 l 556 556 l 556 694 l 278 694 l 278 833 l 417 833 l 417 972 l 556 972 l 556 833 l 833 833 l 833 694 m 139 139 l 0 139 l 0 417 l 139 417 l 139 139 m 556 0 l 139 0 l 139 139 l 556 139 l 556 0 z "},"ď":{"ha":833,"x_min":0,"x_max":764,"o":"m 764 1111 l 764 833 l 625 833 l 625 1111 l 764 1111 m 556 972 l 556 0 l 139 0 l 139 139 l 417 139 l 417 556 l 139 556 l 139 694 l 417 694 l 417 972 l 556 972 m 0 139 l 0 556 l 139 556 l 139 139 l 0 139 z "},"đ":{"ha":833,"x_min":0,"x_max":833,"o":"m 833 833 l 833 694 l 694 694 l 694 0 l 139 0 l 139 139 l 556 139 l 556 417 l 139 417 l 139 556 l 556 556 l 556 694 l 278 694 l 278 833 l 556 833 l 556 972 l 694 972 l 694 833 l 833 833 m 139 139 l 0 139 l 0 417 l 139 417 l 139 139 z "},"e":{"ha":833,"x_min":0,"x_max":694,"o":"m 139 694 l 556 694 l 556 556 l 139 556 l 139 694 m 694 556 l 694 278 l 139 278 l 139 139 l 0 139 l 0 556 l 139 556 l 139 417 l 556 417 l 556 556 l 694 556 m 139 139 l 556 139 l 556 0 l 139 0 l 139 139 z "},"é":{"ha":833,"x_min":0,"x_max":694,"o":"m 139 694 l 556 694 l 556 556 l 139 556 l 139 694 m 694 556 l 694 278 l 139 278 l 139 139 l 0 139 l 0 556 l 139 556 l 139 417 l 556 417 l 556 556 l 694 556 m 139 139 l 556 139 l 556 0 l 139 0 l 139 139 m 417 1111 l 556 1111 l 556 972 l 417 972 l 417 1111 m 278 972 l 417 972 l 417 833 l 278 833 l 278 972 z "},"ě":{"ha":833,"x_min":0,"x_max":694,"o":"m 139 694 l 556 694 l 556 556 l 139 556 l 139 694 m 694 556 l 694 278 l 139 278 l 139 139 l 0 139 l 0 556 l 139 556 l 139 417 l 556 417 l 556 556 l 694 556 m 139 139 l 556 139 l 556 0 l 139 0 l 139 139 m 139 1111 l 278 1111 l 278 972 l 139 972 l 139 1111 m 417 1111 l 556 1111 l 556 972 l 417 972 l 417 1111 m 278 972 l 417 972 l 417 833 l 278 833 l 278 972 z "},"ê":{"ha":833,"x_min":0,"x_max":694,"o":"m 139 694 l 556 694 l 556 556 l 139 556 l 139 694 m 694 556 l 694 278 l 139 278 l 139 139 l 0 139 l 0 556 l 139 556 l 139 417 l 556 417 l 556 556 l 694 556 m 139 139 l 556 139 l 556 0 l 139 0 l 139 139 m 278 1111 l 417 1111 l 417 972 l 278 972 l 278 1111 m 139 972 l 278 972 l 278 833 l 139 833 l 139 972 m 417 972 l 556 972 l 556 833 l 417 833 l 417 972 z "},"ë":{"ha":833,"x_min":0,"x_max":694,"o":"m 139 694 l 556 694 l 556 556 l 139 556 l 139 694 m 694 556 l 694 278 l 139 278 l 139 139 l 0 139 l 0 556 l 139 556 l 139 417 l 556 417 l 556 556 l 694 556 m 139 139 l 556 139 l 556 0 l 139 0 l 139 139 m 139 972 l 278 972 l 278 833 l 139 833 l 139 972 m 417 972 l 556 972 l 556 833 l 417 833 l 417 972 z "},"ė":{"ha":833,"x_min":0,"x_max":694,"o":"m 139 694 l 556 694 l 556 556 l 139 556 l 139 694 m 694 556 l 694 278 l 139 278 l 139 139 l 0 139 l 0 556 l 139 556 l 139 417 l 556 417 l 556 556 l 694 556 m 139 139 l 556 139 l 556 0 l 139 0 l 139 139 m 278 972 l 417 972 l 417 833 l 278 833 l 278 972 z "},"è":{"ha":833,"x_min":0,"x_max":694,"o":"m 139 694 l 556 694 l 556 556 l 139 556 l 139 694 m 694 556 l 694 278 l 139 278 l 139 139 l 0 139 l 0 556 l 139 556 l 139 417 l 556 417 l 556 556 l 694 556 m 139 139 l 556 139 l 556 0 l 139 0 l 139 139 m 139 1111 l 278 1111 l 278 972 l 139 972 l 139 1111 m 278 972 l 417 972 l 417 833 l 278 833 l 278 972 z "},"ē":{"ha":833,"x_min":0,"x_max":694,"o":"m 139 694 l 556 694 l 556 556 l 139 556 l 139 694 m 694 556 l 694 278 l 139 278 l 139 139 l 0 139 l 0 556 l 139 556 l 139 417 l 556 417 l 556 556 l 694 556 m 139 139 l 556 139 l 556 0 l 139 0 l 139 139 m 556 833 l 139 833 l 139 972 l 556 972 l 556 833 z "},"ę":{"ha":833,"x_min":0,"x_max":833,"o":"m 139 694 l 556 694 l 556 556 l 139 556 l 139 694 m 139 139 l 0 139 l 0 556 l 139 556 l 139 417 l 556 417 l 556 556 l 694 556 l 694 278 l 139 278 l 139 139 m 556 0 l 556 -139 l 417 -139 l 417 0 l 139 0 l 139 139 l 694 139 l 694 0 l 556 0 m 833 -278 l 556 -278 l 556 -139 l 833 -139 l 833 -278 z "},"f":{"ha":833,"x_min":139,"x_max":556,"o":"m 278 833 l 278 972 l 556 972 l 556 833 l 278 833 m 278 556 l 556 556 l 556 417 l 278 417 l 278 0 l 139 0 l 139 833 l 278 833 l 278 556 z "},"g":{"ha":833,"x_min":0,"x_max":694,"o":"m 694 -139 l 556 -139 l 556 0 l 139 0 l 139 139 l 556 139 l 556 556 l 139 556 l 139 694 l 694 694 l 694 -139 m 0 139 l 0 556 l 139 556 l 139 139 l 0 139 m 556 -278 l 139 -278 l 139 -139 l 556 -139 l 556 -278 z "},"ğ":{"ha":833,"x_min":0,"x_max":694,"o":"m 694 -139 l 556 -139 l 556 0 l 139 0 l 139 139 l 556 139 l 556 556 l 139 556 l 139 694 l 694 694 l 694 -139 m 0 139 l 0 556 l 139 556 l 139 139 l 0 139 m 556 -278 l 139 -278 l 139 -139 l 556 -139 l 556 -278 m 278 1111 l 278 972 l 139 972 l 139 1111 l 278 1111 m 694 1111 l 694 972 l 556 972 l 556 1111 l 694 1111 m 556 972 l 556 833 l 278 833 l 278 972 l 556 972 z "},"ģ":{"ha":833,"x_min":0,"x_max":694,"o":"m 694 -139 l 556 -139 l 556 0 l 139 0 l 139 139 l 556 139 l 556 556 l 139 556 l 139 694 l 694 694 l 694 -139 m 0 139 l 0 556 l 139 556 l 139 139 l 0 139 m 556 -278 l 139 -278 l 139 -139 l 556 -139 l 556 -278 m 417 1111 l 556 1111 l 556 972 l 417 972 l 417 1111 m 278 972 l 417 972 l 417 833 l 278 833 l 278 972 z "},"ġ":{"ha":833,"x_min":0,"x_max":694,"o":"m 694 -139 l 556 -139 l 556 0 l 139 0 l 139 139 l 556 139 l 556 556 l 139 556 l 139 694 l 694 694 l 694 -139 m 0 139 l 0 556 l 139 556 l 139 139 l 0 139 m 556 -278 l 139 -278 l 139 -139 l 556 -139 l 556 -278 m 278 972 l 417 972 l 417 833 l 278 833 l 278 972 z "},"h":{"ha":833,"x_min":0,"x_max":694,"o":"m 556 556 l 139 556 l 139 0 l 0 0 l 0 972 l 139 972 l 139 694 l 556 694 l 556 556 m 694 556 l 694 0 l 556 0 l 556 556 l 694 556 z "},"ħ":{"ha":833,"x_min":-139,"x_max":694,"o":"m 556 417 l 139 417 l 139 0 l 0 0 l 0 694 l -139 694 l -139 833 l 0 833 l 0 972 l 139 972 l 139 833 l 417 833 l 417 694 l 139 694 l 139 556 l 556 556 l 556 417 m 694 417 l 694 0 l 556 0 l 556 417 l 694 417 z "},"i":{"ha":833,"x_min":139,"x_max":556,"o":"m 417 833 l 278 833 l 278 972 l 417 972 l 417 833 m 556 139 l 556 0 l 139 0 l 139 139 l 278 139 l 278 556 l 139 556 l 139 694 l 417 694 l 417 139 l 556 139 z "},"ı":{"ha":833,"x_min":139,"x_max":556,"o":"m 556 139 l 556 0 l 139 0 l 139 139 l 278 139 l 278 556 l 139 556 l 139 694 l 417 694 l 417 139 l 556 139 z "},"í":{"ha":833,"x_min":139,"x_max":556,"o":"m 556 139 l 556 0 l 139 0 l 139 139 l 278 139 l 278 556 l 139 556 l 139 694 l 417 694 l 417 139 l 556 139 m 417 1111 l 556 1111 l 556 972 l 417 972 l 417 1111 m 278 972 l 417 972 l 417 833 l 278 833 l 278 972 z "},"î":{"ha":833,"x_min":139,"x_max":556,"o":"m 556 139 l 556 0 l 139 0 l 139 139 l 278 139 l 278 556 l 139 556 l 139 694 l 417 694 l 417 139 l 556 139 m 278 1111 l 417 1111 l 417 972 l 278 972 l 278 1111 m 139 972 l 278 972 l 278 833 l 139 833 l 139 972 m 417 972 l 556 972 l 556 833 l 417 833 l 417 972 z "},"ï":{"ha":833,"x_min":139,"x_max":556,"o":"m 556 139 l 556 0 l 139 0 l 139 139 l 278 139 l 278 556 l 139 556 l 139 694 l 417 694 l 417 139 l 556 139 m 139 972 l 278 972 l 278 833 l 139 833 l 139 972 m 417 972 l 556 972 l 556 833 l 417 833 l 417 972 z "},"ì":{"ha":833,"x_min":139,"x_max":556,"o":"m 556 139 l 556 0 l 139 0 l 139 139 l 278 139 l 278 556 l 139 556 l 139 694 l 417 694 l 417 139 l 556 139 m 139 1111 l 278 1111 l 278 972 l 139 972 l 139 1111 m 278 972 l 417 972 l 417 833 l 278 833 l 278 972 z "},"ĳ":{"ha":833,"x_min":0,"x_max":694,"o":"m 278 833 l 139 833 l 139 972 l 278 972 l 278 833 m 417 139 l 417 0 l 0 0 l 0 139 l 139 139 l 139 556 l 0 556 l 0 694 l 278 694 l 278 139 l 417 139 m 694 972 l 694 833 l 556 833 l 556 972 l 694 972 m 694 694 l 694 -139 l 556 -139 l 556 556 l 417 556 l 417 694 l 694 694 m 556 -139 l 556 -278 l 278 -278 l 278 -139 l 556 -139 z "},"ī":{"ha":833,"x_min":139,"x_max":556,"o":"m 556 139 l 556 0 l 139 0 l 139 139 l 278 139 l 278 556 l 139 556 l 139 694 l 417 694 l 417 139 l 556 139 m 556 833 l 139 833 l 139 972 l 556 972 l 556 833 z "},"į":{"ha":833,"x_min":139,"x_max":694,"o":"m 417 833 l 278 833 l 278 972 l 417 972 l 417 833 m 417 0 l 417 -139 l 278 -139 l 278 0 l 139 0 l 139 139 l 278 139 l 278 556 l 139 556 l 139 694 l 417 694 l 417 139 l 556 139 l 556 0 l 417 0 m 694 -278 l 417 -278 l 417 -139 l 694 -139 l 694 -278 z "},"j":{"ha":833,"x_min":0,"x_max":417,"o":"m 417 972 l 417 833 l 278 833 l 278 972 l 417 972 m 417 694 l 417 -139 l 278 -139 l 278 556 l 139 556 l 139 694 l 417 694 m 278 -139 l 278 -278 l 0 -278 l 0 -139 l 278 -139 z "},"ȷ":{"ha":833,"x_min":0,"x_max":417,"o":"m 417 -139 l 278 -139 l 278 556 l 139 556 l 139 694 l 417 694 l 417 -139 m 278 -139 l 278 -278 l 0 -278 l 0 -139 l 278 -139 z "},"k":{"ha":833,"x_min":0,"x_max":694,"o":"m 417 278 l 139 278 l 139 0 l 0 0 l 0 972 l 139 972 l 139 417 l 278 417 l 278 556 l 417 556 l 417 278 m 556 556 l 417 556 l 417 694 l 556 694 l 556 556 m 556 278 l 556 139 l 417 139 l 417 278 l 556 278 m 694 139 l 694 0 l 556 0 l 556 139 l 694 139 z "},"ķ":{"ha":833,"x_min":0,"x_max":694,"o":"m 417 278 l 139 278 l 139 0 l 0 0 l 0 972 l 139 972 l 139 417 l 278 417 l 278 556 l 417 556 l 417 278 m 556 556 l 417 556 l 417 694 l 556 694 l 556 556 m 556 278 l 556 139 l 417 139 l 417 278 l 556 278 m 694 139 l 694 0 l 556 0 l 556 139 l 694 139 m 278 -139 l 417 -139 l 417 -278 l 278 -278 l 278 -139 m 139 -278 l 278 -278 l 278 -417 l 139 -417 l 139 -278 z "},"l":{"ha":833,"x_min":139,"x_max":556,"o":"m 139 139 l 139 972 l 278 972 l 278 139 l 139 139 m 556 0 l 278 0 l 278 139 l 556 139 l 556 0 z "},"ĺ":{"ha":833,"x_min":139,"x_max":556,"o":"m 139 139 l 139 972 l 278 972 l 278 139 l 139 139 m 556 0 l 278 0 l 278 139 l 556 139 l 556 0 m 278 1389 l 417 1389 l 417 1250 l 278 1250 l 278 1389 m 139 1250 l 278 1250 l 278 1111 l 139 1111 l 139 1250 z "},"ľ":{"ha":833,"x_min":139,"x_max":694,"o":"m 694 1111 l 694 833 l 556 833 l 556 1111 l 694 1111 m 139 139 l 139 972 l 278 972 l 278 139 l 139 139 m 417 833 l 556 833 l 556 694 l 417 694 l 417 833 m 556 139 l 556 0 l 278 0 l 278 139 l 556 139 z "},"ļ":{"ha":833,"x_min":139,"x_max":556,"o":"m 139 139 l 139 972 l 278 972 l 278 139 l 139 139 m 556 0 l 278 0 l 278 139 l 556 139 l 556 0 m 278 -139 l 417 -139 l 417 -278 l 278 -278 l 278 -139 m 139 -278 l 278 -278 l 278 -417 l 139 -417 l 139 -278 z "},"ł":{"ha":833,"x_min":0,"x_max":556,"o":"m 278 139 l 139 139 l 139 278 l 0 278 l 0 417 l 139 417 l 139 972 l 278 972 l 278 556 l 417 556 l 417 417 l 278 417 l 278 139 m 556 0 l 278 0 l 278 139 l 556 139 l 556 0 z "},"m":{"ha":833,"x_min":0,"x_max":694,"o":"m 556 556 l 417 556 l 417 0 l 278 0 l 278 556 l 139 556 l 139 0 l 0 0 l 0 694 l 556 694 l 556 556 m 694 556 l 694 0 l 556 0 l 556 556 l 694 556 z "},"n":{"ha":833,"x_min":0,"x_max":694,"o":"m 556 556 l 139 556 l 139 0 l 0 0 l 0 694 l 556 694 l 556 556 m 694 556 l 694 0 l 556 0 l 556 556 l 694 556 z "},"ń":{"ha":833,"x_min":0,"x_max":694,"o":"m 556 556 l 139 556 l 139 0 l 0 0 l 0 694 l 556 694 l 556 556 m 694 556 l 694 0 l 556 0 l 556 556 l 694 556 m 417 1111 l 556 1111 l 556 972 l 417 972 l 417 1111 m 278 972 l 417 972 l 417 833 l 278 833 l 278 972 z "},"ň":{"ha":833,"x_min":0,"x_max":694,"o":"m 556 556 l 139 556 l 139 0 l 0 0 l 0 694 l 556 694 l 556 556 m 694 556 l 694 0 l 556 0 l 556 556 l 694 556 m 139 1111 l 278 1111 l 278 972 l 139 972 l 139 1111 m 417 1111 l 556 1111 l 556 972 l 417 972 l 417 1111 m 278 972 l 417 972 l 417 833 l 278 833 l 278 972 z "},"ņ":{"ha":833,"x_min":0,"x_max":694,"o":"m 556 556 l 139 556 l 139 0 l 0 0 l 0 694 l 556 694 l 556 556 m 694 556 l 694 0 l 556 0 l 556 556 l 694 556 m 278 -139 l 417 -139 l 417 -278 l 278 -278 l 278 -139 m 139 -278 l 278 -278 l 278 -417 l 139 -417 l 139 -278 z "},"ŋ":{"ha":833,"x_min":0,"x_max":694,"o":"m 556 556 l 139 556 l 139 0 l 0 0 l 0 694 l 556 694 l 556 556 m 694 556 l 694 -139 l 556 -139 l 556 556 l 694 556 m 556 -139 l 556 -278 l 278 -278 l 278 -139 l 556 -139 z "},"ñ":{"ha":833,"x_min":0,"x_max":694,"o":"m 556 556 l 139 556 l 139 0 l 0 0 l 0 694 l 556 694 l 556 556 m 694 556 l 694 0 l 556 0 l 556 556 l 694 556 m 139 1111 l 347 1111 l 347 972 l 139 972 l 139 1111 m 556 1111 l 694 1111 l 694 972 l 556 972 l 556 1111 m 0 972 l 139 972 l 139 833 l 0 833 l 0 972 m 347 972 l 556 972 l 556 833 l 347 833 l 347 972 z "},"o":{"ha":833,"x_min":0,"x_max":694,"o":"m 139 694 l 556 694 l 556 556 l 139 556 l 139 694 m 0 139 l 0 556 l 139 556 l 139 139 l 0 139 m 694 556 l 694 139 l 556 139 l 556 556 l 694 556 m 556 0 l 139 0 l 139 139 l 556 139 l 556 0 z "},"ó":{"ha":833,"x_min":0,"x_max":694,"o":"m 139 694 l 556 694 l 556 556 l 139 556 l 139 694 m 0 139 l 0 556 l 139 556 l 139 139 l 0 139 m 694 556 l 694 139 l 556 139 l 556 556 l 694 556 m 556 0 l 139 0 l 139 139 l 556 139 l 556 0 m 417 1111 l 556 1111 l 556 972 l 417 972 l 417 1111 m 278 972 l 417 972 l 417 833 l 278 833 l 278 972 z "},"ô":{"ha":833,"x_min":0,"x_max":694,"o":"m 139 694 l 556 694 l 556 556 l 139 556 l 139 694 m 0 139 l 0 556 l 139 556 l 139 139 l 0 139 m 694 556 l 694 139 l 556 139 l 556 556 l 694 556 m 556 0 l 139 0 l 139 139 l 556 139 l 556 0 m 278 1111 l 417 1111 l 417 972 l 278 972 l 278 1111 m 139 972 l 278 972 l 278 833 l 139 833 l 139 972 m 417 972 l 556 972 l 556 833 l 417 833 l 417 972 z "},"ö":{"ha":833,"x_min":0,"x_max":694,"o":"m 139 694 l 556 694 l 556 556 l 139 556 l 139 694 m 0 139 l 0 556 l 139 556 l 139 139 l 0 139 m 694 556 l 694 139 l 556 139 l 556 556 l 694 556 m 556 0 l 139 0 l 139 139 l 556 139 l 556 0 m 139 972 l 278 972 l 278 833 l 139 833 l 139 972 m 417 972 l 556 972 l 556 833 l 417 833 l 417 972 z "},"ò":{"ha":833,"x_min":0,"x_max":694,"o":"m 139 694 l 556 694 l 556 556 l 139 556 l 139 694 m 0 139 l 0 556 l 139 556 l 139 139 l 0 139 m 694 556 l 694 139 l 556 139 l 556 556 l 694 556 m 556 0 l 139 0 l 139 139 l 556 139 l 556 0 m 139 1111 l 278 1111 l 278 972 l 139 972 l 139 1111 m 278 972 l 417 972 l 417 833 l 278 833 l 278 972 z "},"ő":{"ha":833,"x_min":0,"x_max":694,"o":"m 139 694 l 556 694 l 556 556 l 139 556 l 139 694 m 0 139 l 0 556 l 139 556 l 139 139 l 0 139 m 694 556 l 694 139 l 556 139 l 556 556 l 694 556 m 556 0 l 139 0 l 139 139 l 556 139 l 556 0 m 278 1111 l 417 1111 l 417 972 l 278 972 l 278 1111 m 556 1111 l 694 1111 l 694 972 l 556 972 l 556 1111 m 139 972 l 278 972 l 278 833 l 139 833 l 139 972 m 417 972 l 556 972 l 556 833 l 417 833 l 417 972 z "},"ō":{"ha":833,"x_min":0,"x_max":694,"o":"m 139 694 l 556 694 l 556 556 l 139 556 l 139 694 m 0 139 l 0 556 l 139 556 l 139 139 l 0 139 m 694 556 l 694 139 l 556 139 l 556 556 l 694 556 m 556 0 l 139 0 l 139 139 l 556 139 l 556 0 m 556 833 l 139 833 l 139 972 l 556 972 l 556 833 z "},"ø":{"ha":833,"x_min":0,"x_max":694,"o":"m 694 556 l 694 139 l 556 139 l 556 417 l 417 417 l 417 556 l 139 556 l 139 694 l 556 694 l 556 556 l 694 556 m 556 139 l 556 0 l 139 0 l 139 139 l 0 139 l 0 556 l 139 556 l 139 278 l 278 278 l 278 139 l 556 139 m 278 417 l 417 417 l 417 278 l 278 278 l 278 417 z "},"õ":{"ha":833,"x_min":0,"x_max":694,"o":"m 139 694 l 556 694 l 556 556 l 139 556 l 139 694 m 0 139 l 0 556 l 139 556 l 139 139 l 0 139 m 694 556 l 694 139 l 556 139 l 556 556 l 694 556 m 556 0 l 139 0 l 139 139 l 556 139 l 556 0 m 139 1111 l 347 1111 l 347 972 l 139 972 l 139 1111 m 556 1111 l 694 1111 l 694 972 l 556 972 l 556 1111 m 0 972 l 139 972 l 139 833 l 0 833 l 0 972 m 347 972 l 556 972 l 556 833 l 347 833 l 347 972 z "},"œ":{"ha":833,"x_min":0,"x_max":694,"o":"m 278 556 l 139 556 l 139 694 l 278 694 l 278 556 m 556 556 l 417 556 l 417 694 l 556 694 l 556 556 m 0 139 l 0 556 l 139 556 l 139 139 l 0 139 m 694 556 l 694 278 l 417 278 l 417 139 l 278 139 l 278 556 l 417 556 l 417 417 l 556 417 l 556 556 l 694 556 m 139 139 l 278 139 l 278 0 l 139 0 l 139 139 m 417 139 l 694 139 l 694 0 l 417 0 l 417 139 z "},"p":{"ha":833,"x_min":0,"x_max":694,"o":"m 556 0 l 139 0 l 139 -278 l 0 -278 l 0 694 l 556 694 l 556 556 l 139 556 l 139 139 l 556 139 l 556 0 m 694 556 l 694 139 l 556 139 l 556 556 l 694 556 z "},"þ":{"ha":833,"x_min":0,"x_max":694,"o":"m 556 0 l 139 0 l 139 -278 l 0 -278 l 0 972 l 139 972 l 139 694 l 556 694 l 556 556 l 139 556 l 139 139 l 556 139 l 556 0 m 694 556 l 694 139 l 556 139 l 556 556 l 694 556 z "},"q":{"ha":833,"x_min":0,"x_max":694,"o":"m 694 -278 l 556 -278 l 556 0 l 139 0 l 139 139 l 556 139 l 556 556 l 139 556 l 139 694 l 694 694 l 694 -278 m 0 139 l 0 556 l 139 556 l 139 139 l 0 139 z "},"r":{"ha":833,"x_min":0,"x_max":694,"o":"m 139 556 l 278 556 l 278 417 l 139 417 l 139 0 l 0 0 l 0 694 l 139 694 l 139 556 m 556 556 l 278 556 l 278 694 l 556 694 l 556 556 m 694 556 l 694 417 l 556 417 l 556 556 l 694 556 z "},"ŕ":{"ha":833,"x_min":0,"x_max":694,"o":"m 139 556 l 278 556 l 278 417 l 139 417 l 139 0 l 0 0 l 0 694 l 139 694 l 139 556 m 556 556 l 278 556 l 278 694 l 556 694 l 556 556 m 694 556 l 694 417 l 556 417 l 556 556 l 694 556 m 417 1111 l 556 1111 l 556 972 l 417 972 l 417 1111 m 278 972 l 417 972 l 417 833 l 278 833 l 278 972 z "},"ř":{"ha":833,"x_min":0,"x_max":694,"o":"m 139 556 l 278 556 l 278 417 l 139 417 l 139 0 l 0 0 l 0 694 l 139 694 l 139 556 m 556 556 l 278 556 l 278 694 l 556 694 l 556 556 m 694 556 l 694 417 l 556 417 l 556 556 l 694 556 m 139 1111 l 278 1111 l 278 972 l 139 972 l 139 1111 m 417 1111 l 556 1111 l 556 972 l 417 972 l 417 1111 m 278 972 l 417 972 l 417 833 l 278 833 l 278 972 z "},"ŗ":{"ha":833,"x_min":0,"x_max":694,"o":"m 139 556 l 278 556 l 278 417 l 139 417 l 139 0 l 0 0 l 0 694 l 139 694 l 139 556 m 556 556 l 278 556 l 278 694 l 556 694 l 556 556 m 694 556 l 694 417 l 556 417 l 556 556 l 694 556 m 139 -139 l 278 -139 l 278 -278 l 139 -278 l 139 -139 m 0 -278 l 139 -278 l 139 -417 l 0 -417 l 0 -278 z "},"s":{"ha":833,"x_min":0,"x_max":694,"o":"m 139 694 l 694 694 l 694 556 l 139 556 l 139 694 m 139 556 l 139 417 l 0 417 l 0 556 l 139 556 m 139 417 l 556 417 l 556 278 l 139 278 l 139 417 m 556 139 l 556 278 l 694 278 l 694 139 l 556 139 m 556 0 l 0 0 l 0 139 l 556 139 l 556 0 z "},"ś":{"ha":833,"x_min":0,"x_max":694,"o":"m 139 694 l 694 694 l 694 556 l 139 556 l 139 694 m 139 556 l 139 417 l 0 417 l 0 556 l 139 556 m 139 417 l 556 417 l 556 278 l 139 278 l 139 417 m 556 139 l 556 278 l 694 278 l 694 139 l 556 139 m 556 0 l 0 0 l 0 139 l 556 139 l 556 0 m 417 1111 l 556 1111 l 556 972 l 417 972 l 417 1111 m 278 972 l 417 972 l 417 833 l 278 833 l 278 972 z "},"š":{"ha":833,"x_min":0,"x_max":694,"o":"m 139 694 l 694 694 l 694 556 l 139 556 l 139 694 m 139 556 l 139 417 l 0 417 l 0 556 l 139 556 m 139 417 l 556 417 l 556 278 l 139 278 l 139 417 m 556 139 l 556 278 l 694 278 l 694 139 l 556 139 m 556 0 l 0 0 l 0 139 l 556 139 l 556 0 m 139 1111 l 278 1111 l 278 972 l 139 972 l 139 1111 m 417 1111 l 556 1111 l 556 972 l 417 972 l 417 1111 m 278 972 l 417 972 l 417 833 l 278 833 l 278 972 z "},"ş":{"ha":833,"x_min":0,"x_max":694,"o":"m 139 694 l 694 694 l 694 556 l 139 556 l 139 694 m 139 556 l 139 417 l 0 417 l 0 556 l 139 556 m 139 417 l 556 417 l 556 278 l 139 278 l 139 417 m 556 139 l 556 278 l 694 278 l 694 139 l 556 139 m 556 -139 l 417 -139 l 417 0 l 0 0 l 0 139 l 556 139 l 556 -139 m 417 -139 l 417 -278 l 139 -278 l 139 -139 l 417 -139 z "},"ș":{"ha":833,"x_min":0,"x_max":694,"o":"m 139 694 l 694 694 l 694 556 l 139 556 l 139 694 m 139 556 l 139 417 l 0 417 l 0 556 l 139 556 m 139 417 l 556 417 l 556 278 l 139 278 l 139 417 m 556 139 l 556 278 l 694 278 l 694 139 l 556 139 m 556 0 l 0 0 l 0 139 l 556 139 l 556 0 m 278 -139 l 417 -139 l 417 -278 l 278 -278 l 278 -139 m 139 -278 l 278 -278 l 278 -417 l 139 -417 l 139 -278 z "},"ß":{"ha":833,"x_min":0,"x_max":694,"o":"m 417 833 l 139 833 l 139 972 l 417 972 l 417 833 m 139 833 l 139 0 l 0 0 l 0 833 l 139 833 m 278 417 l 278 556 l 417 556 l 417 833 l 556 833 l 556 417 l 278 417 m 694 417 l 694 139 l 556 139 l 556 417 l 694 417 m 556 139 l 556 0 l 278 0 l 278 139 l 556 139 z "},"ſ":{"ha":833,"x_min":139,"x_max":694,"o":"m 694 833 l 417 833 l 417 972 l 694 972 l 694 833 m 417 833 l 417 0 l 278 0 l 278 417 l 139 417 l 139 556 l 278 556 l 278 833 l 417 833 z "},"t":{"ha":833,"x_min":0,"x_max":556,"o":"m 139 139 l 139 556 l 0 556 l 0 694 l 139 694 l 139 972 l 278 972 l 278 694 l 556 694 l 556 556 l 278 556 l 278 139 l 139 139 m 278 139 l 556 139 l 556 0 l 278 0 l 278 139 z "},"ŧ":{"ha":833,"x_min":0,"x_max":556,"o":"m 278 556 l 556 556 l 556 417 l 278 417 l 278 139 l 139 139 l 139 417 l 0 417 l 0 556 l 139 556 l 139 694 l 0 694 l 0 833 l 139 833 l 139 972 l 278 972 l 278 833 l 556 833 l 556 694 l 278 694 l 278 556 m 278 139 l 556 139 l 556 0 l 278 0 l 278 139 z "},"ť":{"ha":833,"x_min":0,"x_max":694,"o":"m 694 1111 l 694 833 l 556 833 l 556 1111 l 694 1111 m 556 694 l 556 556 l 278 556 l 278 139 l 139 139 l 139 556 l 0 556 l 0 694 l 139 694 l 139 972 l 278 972 l 278 694 l 556 694 m 278 139 l 556 139 l 556 0 l 278 0 l 278 139 z "},"ţ":{"ha":833,"x_min":0,"x_max":556,"o":"m 139 139 l 139 556 l 0 556 l 0 694 l 139 694 l 139 972 l 278 972 l 278 694 l 556 694 l 556 556 l 278 556 l 278 139 l 139 139 m 278 0 l 278 139 l 556 139 l 556 -139 l 417 -139 l 417 0 l 278 0 m 417 -139 l 417 -278 l 139 -278 l 139 -139 l 417 -139 z "},"ț":{"ha":833,"x_min":0,"x_max":556,"o":"m 139 139 l 139 556 l 0 556 l 0 694 l 139 694 l 139 972 l 278 972 l 278 694 l 556 694 l 556 556 l 278 556 l 278 139 l 139 139 m 278 139 l 556 139 l 556 0 l 278 0 l 278 139 m 278 -139 l 417 -139 l 417 -278 l 278 -278 l 278 -139 m 139 -278 l 278 -278 l 278 -417 l 139 -417 l 139 -278 z "},"u":{"ha":833,"x_min":0,"x_max":694,"o":"m 0 139 l 0 694 l 139 694 l 139 139 l 0 139 m 694 694 l 694 0 l 139 0 l 139 139 l 556 139 l 556 694 l 694 694 z "},"ú":{"ha":833,"x_min":0,"x_max":694,"o":"m 0 139 l 0 694 l 139 694 l 139 139 l 0 139 m 694 694 l 694 0 l 139 0 l 139 139 l 556 139 l 556 694 l 694 694 m 417 1111 l 556 1111 l 556 972 l 417 972 l 417 1111 m 278 972 l 417 972 l 417 833 l 278 833 l 278 972 z "},"û":{"ha":833,"x_min":0,"x_max":694,"o":"m 0 139 l 0 694 l 139 694 l 139 139 l 0 139 m 694 694 l 694 0 l 139 0 l 139 139 l 556 139 l 556 694 l 694 694 m 278 1111 l 417 1111 l 417 972 l 278 972 l 278 1111 m 139 972 l 278 972 l 278 833 l 139 833 l 139 972 m 417 972 l 556 972 l 556 833 l 417 833 l 417 972 z "},"ü":{"ha":833,"x_min":0,"x_max":694,"o":"m 0 139 l 0 694 l 139 694 l 139 139 l 0 139 m 694 694 l 694 0 l 139 0 l 139 139 l 556 139 l 556 694 l 694 694 m 139 972 l 278 972 l 278 833 l 139 833 l 139 972 m 417 972 l 556 972 l 556 833 l 417 833 l 417 972 z "},"ù":{"ha":833,"x_min":0,"x_max":694,"o":"m 0 139 l 0 694 l 139 694 l 139 139 l 0 139 m 694 694 l 694 0 l 139 0 l 139 139 l 556 139 l 556 694 l 694 694 m 139 1111 l 278 1111 l 278 972 l 139 972 l 139 1111 m 278 972 l 417 972 l 417 833 l 278 833 l 278 972 z "},"ű":{"ha":833,"x_min":0,"x_max":694,"o":"m 0 139 l 0 694 l 139 694 l 139 139 l 0 139 m 694 694 l 694 0 l 139 0 l 139 139 l 556 139 l 556 694 l 694 694 m 278 1111 l 417 1111 l 417 972 l 278 972 l 278 1111 m 556 1111 l 694 1111 l 694 972 l 556 972 l 556 1111 m 139 972 l 278 972 l 278 833 l 139 833 l 139 972 m 417 972 l 556 972 l 556 833 l 417 833 l 417 972 z "},"ū":{"ha":833,"x_min":0,"x_max":694,"o":"m 0 139 l 0 694 l 139 694 l 139 139 l 0 139 m 694 694 l 694 0 l 139 0 l 139 139 l 556 139 l 556 694 l 694 694 m 556 833 l 139 833 l 139 972 l 556 972 l 556 833 z "},"ų":{"ha":833,"x_min":0,"x_max":833,"o":"m 0 139 l 0 694 l 139 694 l 139 139 l 0 139 m 556 0 l 556 -139 l 417 -139 l 417 0 l 139 0 l 139 139 l 556 139 l 556 694 l 694 694 l 694 0 l 556 0 m 833 -278 l 556 -278 l 556 -139 l 833 -139 l 833 -278 z "},"ů":{"ha":833,"x_min":0,"x_max":694,"o":"m 0 139 l 0 694 l 139 694 l 139 139 l 0 139 m 694 694 l 694 0 l 139 0 l 139 139 l 556 139 l 556 694 l 694 694 m 278 1250 l 417 1250 l 417 1111 l 278 1111 l 278 1250 m 139 1111 l 278 1111 l 278 972 l 139 972 l 139 1111 m 417 1111 l 556 1111 l 556 972 l 417 972 l 417 1111 m 278 972 l 417 972 l 417 833 l 278 833 l 278 972 z "},"v":{"ha":833,"x_min":0,"x_max":694,"o":"m 139 417 l 0 417 l 0 694 l 139 694 l 139 417 m 694 694 l 694 417 l 556 417 l 556 694 l 694 694 m 278 139 l 139 139 l 139 417 l 278 417 l 278 139 m 556 417 l 556 139 l 417 139 l 417 417 l 556 417 m 278 139 l 417 139 l 417 0 l 278 0 l 278 139 z "},"w":{"ha":833,"x_min":0,"x_max":694,"o":"m 0 139 l 0 694 l 139 694 l 139 139 l 0 139 m 694 694 l 694 139 l 556 139 l 556 694 l 694 694 m 417 139 l 278 139 l 278 417 l 417 417 l 417 139 m 139 139 l 278 139 l 278 0 l 139 0 l 139 139 m 417 139 l 556 139 l 556 0 l 417 0 l 417 139 z "},"ẃ":{"ha":833,"x_min":0,"x_max":694,"o":"m 0 139 l 0 694 l 139 694 l 139 139 l 0 139 m 694 694 l 694 139 l 556 139 l 556 694 l 694 694 m 417 139 l 278 139 l 278 417 l 417 417 l 417 139 m 139 139 l 278 139 l 278 0 l 139 0 l 139 139 m 417 139 l 556 139 l 556 0 l 417 0 l 417 139 m 417 1111 l 556 1111 l 556 972 l 417 972 l 417 1111 m 278 972 l 417 972 l 417 833 l 278 833 l 278 972 z "},"ŵ":{"ha":833,"x_min":0,"x_max":694,"o":"m 0 139 l 0 694 l 139 694 l 139 139 l 0 139 m 694 694 l 694 139 l 556 139 l 556 694 l 694 694 m 417 139 l 278 139 l 278 417 l 417 417 l 417 139 m 139 139 l 278 139 l 278 0 l 139 0 l 139 139 m 417 139 l 556 139 l 556 0 l 417 0 l 417 139 m 278 1111 l 417 1111 l 417 972 l 278 972 l 278 1111 m 139 972 l 278 972 l 278 833 l 139 833 l 139 972 m 417 972 l 556 972 l 556 833 l 417 833 l 417 972 z "},"ẅ":{"ha":833,"x_min":0,"x_max":694,"o":"m 0 139 l 0 694 l 139 694 l 139 139 l 0 139 m 694 694 l 694 139 l 556 139 l 556 694 l 694 694 m 417 139 l 278 139 l 278 417 l 417 417 l 417 139 m 139 139 l 278 139 l 278 0 l 139 0 l 139 139 m 417 139 l 556 139 l 556 0 l 417 0 l 417 139 m 139 972 l 278 972 l 278 833 l 139 833 l 139 972 m 417 972 l 556 972 l 556 833 l 417 833 l 417 972 z "},"ẁ":{"ha":833,"x_min":0,"x_max":694,"o":"m 0 139 l 0 694 l 139 694 l 139 139 l 0 139 m 694 694 l 694 139 l 556 139 l 556 694 l 694 694 m 417 139 l 278 139 l 278 417 l 417 417 l 417 139 m 139 139 l 278 139 l 278 0 l 139 0 l 139 139 m 417 139 l 556 139 l 556 0 l 417 0 l 417 139 m 139 1111 l 278 1111 l 278 972 l 139 972 l 139 1111 m 278 972 l 417 972 l 417 833 l 278 833 l 278 972 z "},"x":{"ha":833,"x_min":0,"x_max":694,"o":"m 0 694 l 139 694 l 139 556 l 0 556 l 0 694 m 556 694 l 694 694 l 694 556 l 556 556 l 556 694 m 139 556 l 278 556 l 278 417 l 139 417 l 139 556 m 417 556 l 556 556 l 556 417 l 417 417 l 417 556 m 278 417 l 417 417 l 417 278 l 278 278 l 278 417 m 139 278 l 278 278 l 278 139 l 139 139 l 139 278 m 417 278 l 556 278 l 556 139 l 417 139 l 417 278 m 0 139 l 139 139 l 139 0 l 0 0 l 0 139 m 556 139 l 694 139 l 694 0 l 556 0 l 556 139 z "},"y":{"ha":833,"x_min":0,"x_max":694,"o":"m 0 139 l 0 694 l 139 694 l 139 139 l 0 139 m 694 694 l 694 -139 l 556 -139 l 556 0 l 139 0 l 139 139 l 556 139 l 556 694 l 694 694 m 556 -278 l 139 -278 l 139 -139 l 556 -139 l 556 -278 z "},"ý":{"ha":833,"x_min":0,"x_max":694,"o":"m 0 139 l 0 694 l 139 694 l 139 139 l 0 139 m 694 694 l 694 -139 l 556 -139 l 556 0 l 139 0 l 139 139 l 556 139 l 556 694 l 694 694 m 556 -278 l 139 -278 l 139 -139 l 556 -139 l 556 -278 m 417 1111 l 556 1111 l 556 972 l 417 972 l 417 1111 m 278 972 l 417 972 l 417 833 l 278 833 l 278 972 z "},"ŷ":{"ha":833,"x_min":0,"x_max":694,"o":"m 0 139 l 0 694 l 139 694 l 139 139 l 0 139 m 694 694 l 694 -139 l 556 -139 l 556 0 l 139 0 l 139 139 l 556 139 l 556 694 l 694 694 m 556 -278 l 139 -278 l 139 -139 l 556 -139 l 556 -278 m 278 1111 l 417 1111 l 417 972 l 278 972 l 278 1111 m 139 972 l 278 972 l 278 833 l 139 833 l 139 972 m 417 972 l 556 972 l 556 833 l 417 833 l 417 972 z "},"ÿ":{"ha":833,"x_min":0,"x_max":694,"o":"m 0 139 l 0 694 l 139 694 l 139 139 l 0 139 m 694 694 l 694 -139 l 556 -139 l 556 0 l 139 0 l 139 139 l 556 139 l 556 694 l 694 694 m 556 -278 l 139 -278 l 139 -139 l 556 -139 l 556 -278 m 139 972 l 278 972 l 278 833 l 139 833 l 139 972 m 417 972 l 556 972 l 556 833 l 417 833 l 417 972 z "},"ỳ":{"ha":833,"x_min":0,"x_max":694,"o":"m 0 139 l 0 694 l 139 694 l 139 139 l 0 139 m 694 694 l 694 -139 l 556 -139 l 556 0 l 139 0 l 139 139 l 556 139 l 556 694 l 694 694 m 556 -278 l 139 -278 l 139 -139 l 556 -139 l 556 -278 m 139 1111 l 278 1111 l 278 972 l 139 972 l 139 1111 m 278 972 l 417 972 l 417 833 l 278 833 l 278 972 z "},"z":{"ha":833,"x_min":0,"x_max":694,"o":"m 556 417 l 417 417 l 417 556 l 0 556 l 0 694 l 694 694 l 694 556 l 556 556 l 556 417 m 417 278 l 278 278 l 278 417 l 417 417 l 417 278 m 278 278 l 278 139 l 694 139 l 694 0 l 0 0 l 0 139 l 139 139 l 139 278 l 278 278 z "},"ź":{"ha":833,"x_min":0,"x_max":694,"o":"m 556 417 l 417 417 l 417 556 l 0 556 l 0 694 l 694 694 l 694 556 l 556 556 l 556 417 m 417 278 l 278 278 l 278 417 l 417 417 l 417 278 m 278 278 l 278 139 l 694 139 l 694 0 l 0 0 l 0 139 l 139 139 l 139 278 l 278 278 m 417 1111 l 556 1111 l 556 972 l 417 972 l 417 1111 m 278 972 l 417 972 l 417 833 l 278 833 l 278 972 z "},"ž":{"ha":833,"x_min":0,"x_max":694,"o":"m 556 417 l 417 417 l 417 556 l 0 556 l 0 694 l 694 694 l 694 556 l 556 556 l 556 417 m 417 278 l 278 278 l 278 417 l 417 417 l 417 278 m 278 278 l 278 139 l 694 139 l 694 0 l 0 0 l 0 139 l 139 139 l 139 278 l 278 278 m 139 1111 l 278 1111 l 278 972 l 139 972 l 139 1111 m 417 1111 l 556 1111 l 556 972 l 417 972 l 417 1111 m 278 972 l 417 972 l 417 833 l 278 833 l 278 972 z "},"ż":{"ha":833,"x_min":0,"x_max":694,"o":"m 556 417 l 417 417 l 417 556 l 0 556 l 0 694 l 694 694 l 694 556 l 556 556 l 556 417 m 417 278 l 278 278 l 278 417 l 417 417 l 417 278 m 278 278 l 278 139 l 694 139 l 694 0 l 0 0 l 0 139 l 139 139 l 139 278 l 278 278 m 278 972 l 417 972 l 417 833 l 278 833 l 278 972 z "},"ﬁ":{"ha":833,"x_min":0,"x_max":694,"o":"m 139 833 l 139 972 l 417 972 l 417 833 l 139 833 m 694 972 l 694 833 l 556 833 l 556 972 l 694 972 m 139 556 l 278 556 l 278 417 l 139 417 l 139 0 l 0 0 l 0 833 l 139 833 l 139 556 m 694 694 l 694 0 l 556 0 l 556 556 l 417 556 l 417 694 l 694 694 z "},"ﬂ":{"ha":833,"x_min":0,"x_max":694,"o":"m 417 139 l 417 833 l 139 833 l 139 972 l 556 972 l 556 139 l 417 139 m 139 833 l 139 556 l 278 556 l 278 417 l 139 417 l 139 0 l 0 0 l 0 833 l 139 833 m 694 139 l 694 0 l 556 0 l 556 139 l 694 139 z "},"ª":{"ha":833,"x_min":0,"x_max":556,"o":"m 556 556 l 139 556 l 139 694 l 417 694 l 417 972 l 139 972 l 139 1111 l 556 1111 l 556 556 m 139 694 l 0 694 l 0 972 l 139 972 l 139 694 z "},"º":{"ha":833,"x_min":0,"x_max":556,"o":"m 139 972 l 139 1111 l 417 1111 l 417 972 l 139 972 m 139 694 l 0 694 l 0 972 l 139 972 l 139 694 m 556 972 l 556 694 l 417 694 l 417 972 l 556 972 m 417 694 l 417 556 l 139 556 l 139 694 l 417 694 z "},"ⁿ":{"ha":833,"x_min":0,"x_max":556,"o":"m 417 972 l 139 972 l 139 556 l 0 556 l 0 1111 l 417 1111 l 417 972 m 556 972 l 556 556 l 417 556 l 417 972 l 556 972 z "},"Δ":{"ha":833,"x_min":0,"x_max":694,"o":"m 278 694 l 278 972 l 417 972 l 417 694 l 278 694 m 139 417 l 139 694 l 278 694 l 278 417 l 139 417 m 417 694 l 556 694 l 556 417 l 417 417 l 417 694 m 694 417 l 694 0 l 0 0 l 0 417 l 139 417 l 139 139 l 556 139 l 556 417 l 694 417 z "},"Ω":{"ha":833,"x_min":0,"x_max":694,"o":"m 556 833 l 139 833 l 139 972 l 556 972 l 556 833 m 139 833 l 139 278 l 0 278 l 0 833 l 139 833 m 694 833 l 694 278 l 556 278 l 556 833 l 694 833 m 139 139 l 139 278 l 278 278 l 278 0 l 0 0 l 0 139 l 139 139 m 556 278 l 556 139 l 694 139 l 694 0 l 417 0 l 417 278 l 556 278 z "},"μ":{"ha":833,"x_min":0,"x_max":694,"o":"m 556 0 l 139 0 l 139 -278 l 0 -278 l 0 694 l 139 694 l 139 139 l 556 139 l 556 0 m 694 694 l 694 139 l 556 139 l 556 694 l 694 694 z "},"π":{"ha":833,"x_min":0,"x_max":694,"o":"m 694 139 l 694 0 l 417 0 l 417 556 l 278 556 l 278 0 l 139 0 l 139 556 l 0 556 l 0 694 l 694 694 l 694 556 l 556 556 l 556 139 l 694 139 z "},"⁰":{"ha":833,"x_min":0,"x_max":556,"o":"m 139 1111 l 139 1250 l 417 1250 l 417 1111 l 139 1111 m 0 694 l 0 1111 l 139 1111 l 139 694 l 0 694 m 556 1111 l 556 694 l 417 694 l 417 1111 l 556 1111 m 417 694 l 417 556 l 139 556 l 139 694 l 417 694 z "},"¹":{"ha":833,"x_min":0,"x_max":417,"o":"m 417 694 l 417 556 l 0 556 l 0 694 l 139 694 l 139 972 l 0 972 l 0 1111 l 139 1111 l 139 1250 l 278 1250 l 278 694 l 417 694 z "},"²":{"ha":833,"x_min":0,"x_max":556,"o":"m 417 1111 l 139 1111 l 139 1250 l 417 1250 l 417 1111 m 0 1111 l 139 1111 l 139 972 l 0 972 l 0 1111 m 556 972 l 417 972 l 417 1111 l 556 1111 l 556 972 m 417 833 l 278 833 l 278 972 l 417 972 l 417 833 m 278 833 l 278 694 l 556 694 l 556 556 l 0 556 l 0 694 l 139 694 l 139 833 l 278 833 z "},"³":{"ha":833,"x_min":0,"x_max":556,"o":"m 417 1111 l 139 1111 l 139 1250 l 417 1250 l 417 1111 m 0 1111 l 139 1111 l 139 972 l 0 972 l 0 1111 m 556 972 l 417 972 l 417 1111 l 556 1111 l 556 972 m 417 972 l 417 833 l 278 833 l 278 972 l 417 972 m 139 833 l 139 694 l 0 694 l 0 833 l 139 833 m 417 694 l 417 833 l 556 833 l 556 694 l 417 694 m 417 694 l 417 556 l 139 556 l 139 694 l 417 694 z "},"⁴":{"ha":833,"x_min":0,"x_max":556,"o":"m 556 833 l 556 694 l 417 694 l 417 556 l 278 556 l 278 694 l 0 694 l 0 972 l 139 972 l 139 833 l 278 833 l 278 972 l 139 972 l 139 1111 l 278 1111 l 278 1250 l 417 1250 l 417 833 l 556 833 z "},"⁵":{"ha":833,"x_min":0,"x_max":556,"o":"m 139 972 l 556 972 l 556 694 l 417 694 l 417 833 l 0 833 l 0 1250 l 556 1250 l 556 1111 l 139 1111 l 139 972 m 417 556 l 0 556 l 0 694 l 417 694 l 417 556 z "},"⁶":{"ha":833,"x_min":0,"x_max":556,"o":"m 139 1111 l 139 1250 l 417 1250 l 417 1111 l 139 1111 m 139 694 l 0 694 l 0 1111 l 139 1111 l 139 972 l 417 972 l 417 833 l 139 833 l 139 694 m 556 833 l 556 694 l 417 694 l 417 833 l 556 833 m 417 694 l 417 556 l 139 556 l 139 694 l 417 694 z "},"⁷":{"ha":833,"x_min":0,"x_max":556,"o":"m 556 972 l 417 972 l 417 1111 l 0 1111 l 0 1250 l 556 1250 l 556 972 m 278 972 l 417 972 l 417 833 l 278 833 l 278 972 m 278 833 l 278 556 l 139 556 l 139 833 l 278 833 z "},"⁸":{"ha":833,"x_min":0,"x_max":556,"o":"m 139 1111 l 139 1250 l 417 1250 l 417 1111 l 139 1111 m 139 1111 l 139 972 l 0 972 l 0 1111 l 139 1111 m 417 972 l 417 1111 l 556 1111 l 556 972 l 417 972 m 417 833 l 139 833 l 139 972 l 417 972 l 417 833 m 139 833 l 139 694 l 0 694 l 0 833 l 139 833 m 417 694 l 417 833 l 556 833 l 556 694 l 417 694 m 417 694 l 417 556 l 139 556 l 139 694 l 417 694 z "},"⁹":{"ha":833,"x_min":0,"x_max":556,"o":"m 139 1111 l 139 1250 l 417 1250 l 417 1111 l 139 1111 m 139 1111 l 139 972 l 0 972 l 0 1111 l 139 1111 m 556 1111 l 556 694 l 417 694 l 417 833 l 139 833 l 139 972 l 417 972 l 417 1111 l 556 1111 m 417 694 l 417 556 l 139 556 l 139 694 l 417 694 z "},"⁄":{"ha":833,"x_min":0,"x_max":694,"o":"m 694 1111 l 694 833 l 556 833 l 556 1111 l 694 1111 m 556 833 l 556 556 l 417 556 l 417 833 l 556 833 m 417 556 l 417 278 l 278 278 l 278 556 l 417 556 m 278 278 l 278 0 l 139 0 l 139 278 l 278 278 m 139 0 l 139 -278 l 0 -278 l 0 0 l 139 0 z "},"½":{"ha":1667,"x_min":0,"x_max":1528,"o":"m 417 417 l 417 278 l 0 278 l 0 417 l 139 417 l 139 694 l 0 694 l 0 833 l 139 833 l 139 972 l 278 972 l 278 417 l 417 417 m 1111 1111 l 1111 833 l 972 833 l 972 1111 l 1111 1111 m 972 833 l 972 556 l 833 556 l 833 833 l 972 833 m 833 556 l 833 278 l 694 278 l 694 556 l 833 556 m 694 278 l 694 0 l 556 0 l 556 278 l 694 278 m 556 0 l 556 -278 l 417 -278 l 417 0 l 556 0 m 1389 417 l 1111 417 l 1111 556 l 1389 556 l 1389 417 m 972 417 l 1111 417 l 1111 278 l 972 278 l 972 417 m 1528 278 l 1389 278 l 1389 417 l 1528 417 l 1528 278 m 1389 139 l 1250 139 l 1250 278 l 1389 278 l 1389 139 m 1250 139 l 1250 0 l 1528 0 l 1528 -139 l 972 -139 l 972 0 l 1111 0 l 1111 139 l 1250 139 z "},"⅓":{"ha":1667,"x_min":0,"x_max":1528,"o":"m 417 417 l 417 278 l 0 278 l 0 417 l 139 417 l 139 694 l 0 694 l 0 833 l 139 833 l 139 972 l 278 972 l 278 417 l 417 417 m 1111 1111 l 1111 833 l 972 833 l 972 1111 l 1111 1111 m 972 833 l 972 556 l 833 556 l 833 833 l 972 833 m 833 556 l 833 278 l 694 278 l 694 556 l 833 556 m 694 278 l 694 0 l 556 0 l 556 278 l 694 278 m 556 0 l 556 -278 l 417 -278 l 417 0 l 556 0 m 1389 278 l 1111 278 l 1111 417 l 1389 417 l 1389 278 m 972 278 l 1111 278 l 1111 139 l 972 139 l 972 278 m 1528 139 l 1389 139 l 1389 278 l 1528 278 l 1528 139 m 1389 139 l 1389 0 l 1250 0 l 1250 139 l 1389 139 m 1111 0 l 1111 -139 l 972 -139 l 972 0 l 1111 0 m 1389 -139 l 1389 0 l 1528 0 l 1528 -139 l 1389 -139 m 1389 -139 l 1389 -278 l 1111 -278 l 1111 -139 l 1389 -139 z "},"⅔":{"ha":1667,"x_min":0,"x_max":1528,"o":"m 972 833 l 972 1111 l 1111 1111 l 1111 833 l 972 833 m 417 833 l 139 833 l 139 972 l 417 972 l 417 833 m 0 833 l 139 833 l 139 694 l 0 694 l 0 833 m 556 694 l 417 694 l 417 833 l 556 833 l 556 694 m 833 556 l 833 833 l 972 833 l 972 556 l 833 556 m 417 556 l 278 556 l 278 694 l 417 694 l 417 556 m 556 278 l 0 278 l 0 417 l 139 417 l 139 556 l 278 556 l 278 417 l 556 417 l 556 278 m 833 556 l 833 278 l 694 278 l 694 556 l 833 556 m 1389 278 l 1111 278 l 1111 417 l 1389 417 l 1389 278 m 694 278 l 694 0 l 556 0 l 556 278 l 694 278 m 972 278 l 1111 278 l 1111 139 l 972 139 l 972 278 m 1528 139 l 1389 139 l 1389 278 l 1528 278 l 1528 139 m 1389 139 l 1389 0 l 1250 0 l 1250 139 l 1389 139 m 556 0 l 556 -278 l 417 -278 l 417 0 l 556 0 m 1111 0 l 1111 -139 l 972 -139 l 972 0 l 1111 0 m 1389 -139 l 1389 0 l 1528 0 l 1528 -139 l 1389 -139 m 1389 -139 l 1389 -278 l 1111 -278 l 1111 -139 l 1389 -139 z "},"¼":{"ha":1667,"x_min":0,"x_max":1528,"o":"m 417 417 l 417 278 l 0 278 l 0 417 l 139 417 l 139 694 l 0 694 l 0 833 l 139 833 l 139 972 l 278 972 l 278 417 l 417 417 m 1111 1111 l 1111 833 l 972 833 l 972 1111 l 1111 1111 m 972 833 l 972 556 l 833 556 l 833 833 l 972 833 m 833 556 l 833 278 l 694 278 l 694 556 l 833 556 m 694 278 l 694 0 l 556 0 l 556 278 l 694 278 m 556 0 l 556 -278 l 417 -278 l 417 0 l 556 0 m 1528 139 l 1528 0 l 1389 0 l 1389 -139 l 1250 -139 l 1250 0 l 972 0 l 972 278 l 1111 278 l 1111 139 l 1250 139 l 1250 278 l 1111 278 l 1111 417 l 1250 417 l 1250 556 l 1389 556 l 1389 139 l 1528 139 z "},"¾":{"ha":1667,"x_min":0,"x_max":1528,"o":"m 1111 1111 l 1111 833 l 972 833 l 972 1111 l 1111 1111 m 972 833 l 972 556 l 833 556 l 833 833 l 972 833 m 833 556 l 833 278 l 694 278 l 694 556 l 833 556 m 694 278 l 694 0 l 556 0 l 556 278 l 694 278 m 556 0 l 556 -278 l 417 -278 l 417 0 l 556 0 m 1528 139 l 1528 0 l 1389 0 l 1389 -139 l 1250 -139 l 1250 0 l 972 0 l 972 278 l 1111 278 l 1111 139 l 1250 139 l 1250 278 l 1111 278 l 1111 417 l 1250 417 l 1250 556 l 1389 556 l 1389 139 l 1528 139 m 417 833 l 139 833 l 139 972 l 417 972 l 417 833 m 0 833 l 139 833 l 139 694 l 0 694 l 0 833 m 556 694 l 417 694 l 417 833 l 556 833 l 556 694 m 417 694 l 417 556 l 278 556 l 278 694 l 417 694 m 139 556 l 139 417 l 0 417 l 0 556 l 139 556 m 417 417 l 417 556 l 556 556 l 556 417 l 417 417 m 417 417 l 417 278 l 139 278 l 139 417 l 417 417 z "},"⅕":{"ha":1667,"x_min":0,"x_max":1528,"o":"m 972 833 l 972 1111 l 1111 1111 l 1111 833 l 972 833 m 417 278 l 0 278 l 0 417 l 139 417 l 139 694 l 0 694 l 0 833 l 139 833 l 139 972 l 278 972 l 278 417 l 417 417 l 417 278 m 972 556 l 833 556 l 833 833 l 972 833 l 972 556 m 833 556 l 833 278 l 694 278 l 694 556 l 833 556 m 1111 278 l 1528 278 l 1528 0 l 1389 0 l 1389 139 l 972 139 l 972 556 l 1528 556 l 1528 417 l 1111 417 l 1111 278 m 694 278 l 694 0 l 556 0 l 556 278 l 694 278 m 556 0 l 556 -278 l 417 -278 l 417 0 l 556 0 m 1389 -139 l 972 -139 l 972 0 l 1389 0 l 1389 -139 z "},"⅖":{"ha":1667,"x_min":0,"x_max":1528,"o":"m 972 833 l 972 1111 l 1111 1111 l 1111 833 l 972 833 m 417 833 l 139 833 l 139 972 l 417 972 l 417 833 m 0 833 l 139 833 l 139 694 l 0 694 l 0 833 m 556 694 l 417 694 l 417 833 l 556 833 l 556 694 m 972 556 l 833 556 l 833 833 l 972 833 l 972 556 m 417 556 l 278 556 l 278 694 l 417 694 l 417 556 m 556 278 l 0 278 l 0 417 l 139 417 l 139 556 l 278 556 l 278 417 l 556 417 l 556 278 m 833 556 l 833 278 l 694 278 l 694 556 l 833 556 m 1111 278 l 1528 278 l 1528 0 l 1389 0 l 1389 139 l 972 139 l 972 556 l 1528 556 l 1528 417 l 1111 417 l 1111 278 m 694 278 l 694 0 l 556 0 l 556 278 l 694 278 m 556 0 l 556 -278 l 417 -278 l 417 0 l 556 0 m 1389 -139 l 972 -139 l 972 0 l 1389 0 l 1389 -139 z "},"⅗":{"ha":1667,"x_min":0,"x_max":1528,"o":"m 972 833 l 972 1111 l 1111 1111 l 1111 833 l 972 833 m 417 833 l 139 833 l 139 972 l 417 972 l 417 833 m 0 833 l 139 833 l 139 694 l 0 694 l 0 833 m 556 694 l 417 694 l 417 833 l 556 833 l 556 694 m 972 556 l 833 556 l 833 833 l 972 833 l 972 556 m 417 694 l 417 556 l 278 556 l 278 694 l 417 694 m 139 556 l 139 417 l 0 417 l 0 556 l 139 556 m 556 417 l 417 417 l 417 556 l 556 556 l 556 417 m 833 556 l 833 278 l 694 278 l 694 556 l 833 556 m 1111 278 l 1528 278 l 1528 0 l 1389 0 l 1389 139 l 972 139 l 972 556 l 1528 556 l 1528 417 l 1111 417 l 1111 278 m 417 278 l 139 278 l 139 417 l 417 417 l 417 278 m 694 278 l 694 0 l 556 0 l 556 278 l 694 278 m 556 0 l 556 -278 l 417 -278 l 417 0 l 556 0 m 1389 -139 l 972 -139 l 972 0 l 1389 0 l 1389 -139 z "},"⅘":{"ha":1667,"x_min":0,"x_max":1528,"o":"m 972 833 l 972 1111 l 1111 1111 l 1111 833 l 972 833 m 278 278 l 278 417 l 0 417 l 0 694 l 139 694 l 139 556 l 278 556 l 278 694 l 139 694 l 139 833 l 278 833 l 278 972 l 417 972 l 417 556 l 556 556 l 556 417 l 417 417 l 417 278 l 278 278 m 972 556 l 833 556 l 833 833 l 972 833 l 972 556 m 833 556 l 833 278 l 694 278 l 694 556 l 833 556 m 1111 278 l 1528 278 l 1528 0 l 1389 0 l 1389 139 l 972 139 l 972 556 l 1528 556 l 1528 417 l 1111 417 l 1111 278 m 694 278 l 694 0 l 556 0 l 556 278 l 694 278 m 556 0 l 556 -278 l 417 -278 l 417 0 l 556 0 m 1389 -139 l 972 -139 l 972 0 l 1389 0 l 1389 -139 z "},"⅙":{"ha":1667,"x_min":0,"x_max":1528,"o":"m 417 417 l 417 278 l 0 278 l 0 417 l 139 417 l 139 694 l 0 694 l 0 833 l 139 833 l 139 972 l 278 972 l 278 417 l 417 417 m 1111 1111 l 1111 833 l 972 833 l 972 1111 l 1111 1111 m 972 833 l 972 556 l 833 556 l 833 833 l 972 833 m 833 556 l 833 278 l 694 278 l 694 556 l 833 556 m 694 278 l 694 0 l 556 0 l 556 278 l 694 278 m 556 0 l 556 -278 l 417 -278 l 417 0 l 556 0 m 1111 417 l 1111 556 l 1389 556 l 1389 417 l 1111 417 m 1111 0 l 972 0 l 972 417 l 1111 417 l 1111 278 l 1389 278 l 1389 139 l 1111 139 l 1111 0 m 1528 139 l 1528 0 l 1389 0 l 1389 139 l 1528 139 m 1389 0 l 1389 -139 l 1111 -139 l 1111 0 l 1389 0 z "},"⅚":{"ha":1667,"x_min":0,"x_max":1528,"o":"m 1111 1111 l 1111 833 l 972 833 l 972 1111 l 1111 1111 m 972 833 l 972 556 l 833 556 l 833 833 l 972 833 m 833 556 l 833 278 l 694 278 l 694 556 l 833 556 m 694 278 l 694 0 l 556 0 l 556 278 l 694 278 m 556 0 l 556 -278 l 417 -278 l 417 0 l 556 0 m 1111 417 l 1111 556 l 1389 556 l 1389 417 l 1111 417 m 1111 0 l 972 0 l 972 417 l 1111 417 l 1111 278 l 1389 278 l 1389 139 l 1111 139 l 1111 0 m 1528 139 l 1528 0 l 1389 0 l 1389 139 l 1528 139 m 1389 0 l 1389 -139 l 1111 -139 l 1111 0 l 1389 0 m 139 694 l 556 694 l 556 417 l 417 417 l 417 556 l 0 556 l 0 972 l 556 972 l 556 833 l 139 833 l 139 694 m 417 278 l 0 278 l 0 417 l 417 417 l 417 278 z "},"⅐":{"ha":1667,"x_min":0,"x_max":1528,"o":"m 972 833 l 972 1111 l 1111 1111 l 1111 833 l 972 833 m 417 278 l 0 278 l 0 417 l 139 417 l 139 694 l 0 694 l 0 833 l 139 833 l 139 972 l 278 972 l 278 417 l 417 417 l 417 278 m 972 556 l 833 556 l 833 833 l 972 833 l 972 556 m 833 556 l 833 278 l 694 278 l 694 556 l 833 556 m 1528 278 l 1389 278 l 1389 417 l 972 417 l 972 556 l 1528 556 l 1528 278 m 694 278 l 694 0 l 556 0 l 556 278 l 694 278 m 1250 278 l 1389 278 l 1389 139 l 1250 139 l 1250 278 m 1250 139 l 1250 -139 l 1111 -139 l 1111 139 l 1250 139 m 556 0 l 556 -278 l 417 -278 l 417 0 l 556 0 z "},"⅛":{"ha":1667,"x_min":0,"x_max":1528,"o":"m 417 417 l 417 278 l 0 278 l 0 417 l 139 417 l 139 694 l 0 694 l 0 833 l 139 833 l 139 972 l 278 972 l 278 417 l 417 417 m 1111 1111 l 1111 833 l 972 833 l 972 1111 l 1111 1111 m 972 833 l 972 556 l 833 556 l 833 833 l 972 833 m 833 556 l 833 278 l 694 278 l 694 556 l 833 556 m 694 278 l 694 0 l 556 0 l 556 278 l 694 278 m 556 0 l 556 -278 l 417 -278 l 417 0 l 556 0 m 1111 417 l 1111 556 l 1389 556 l 1389 417 l 1111 417 m 1111 417 l 1111 278 l 972 278 l 972 417 l 1111 417 m 1389 278 l 1389 417 l 1528 417 l 1528 278 l 1389 278 m 1389 139 l 1111 139 l 1111 278 l 1389 278 l 1389 139 m 1111 139 l 1111 0 l 972 0 l 972 139 l 1111 139 m 1389 0 l 1389 139 l 1528 139 l 1528 0 l 1389 0 m 1389 0 l 1389 -139 l 1111 -139 l 1111 0 l 1389 0 z "},"⅜":{"ha":1667,"x_min":0,"x_max":1528,"o":"m 1111 1111 l 1111 833 l 972 833 l 972 1111 l 1111 1111 m 972 833 l 972 556 l 833 556 l 833 833 l 972 833 m 833 556 l 833 278 l 694 278 l 694 556 l 833 556 m 694 278 l 694 0 l 556 0 l 556 278 l 694 278 m 556 0 l 556 -278 l 417 -278 l 417 0 l 556 0 m 1111 417 l 1111 556 l 1389 556 l 1389 417 l 1111 417 m 1111 417 l 1111 278 l 972 278 l 972 417 l 1111 417 m 1389 278 l 1389 417 l 1528 417 l 1528 278 l 1389 278 m 1389 139 l 1111 139 l 1111 278 l 1389 278 l 1389 139 m 1111 139 l 1111 0 l 972 0 l 972 139 l 1111 139 m 1389 0 l 1389 139 l 1528 139 l 1528 0 l 1389 0 m 1389 0 l 1389 -139 l 1111 -139 l 1111 0 l 1389 0 m 417 833 l 139 833 l 139 972 l 417 972 l 417 833 m 0 833 l 139 833 l 139 694 l 0 694 l 0 833 m 556 694 l 417 694 l 417 833 l 556 833 l 556 694 m 417 694 l 417 556 l 278 556 l 278 694 l 417 694 m 139 556 l 139 417 l 0 417 l 0 556 l 139 556 m 417 417 l 417 556 l 556 556 l 556 417 l 417 417 m 417 417 l 417 278 l 139 278 l 139 417 l 417 417 z "},"⅝":{"ha":1667,"x_min":0,"x_max":1528,"o":"m 1111 1111 l 1111 833 l 972 833 l 972 1111 l 1111 1111 m 972 833 l 972 556 l 833 556 l 833 833 l 972 833 m 833 556 l 833 278 l 694 278 l 694 556 l 833 556 m 694 278 l 694 0 l 556 0 l 556 278 l 694 278 m 556 0 l 556 -278 l 417 -278 l 417 0 l 556 0 m 1111 417 l 1111 556 l 1389 556 l 1389 417 l 1111 417 m 1111 417 l 1111 278 l 972 278 l 972 417 l 1111 417 m 1389 278 l 1389 417 l 1528 417 l 1528 278 l 1389 278 m 1389 139 l 1111 139 l 1111 278 l 1389 278 l 1389 139 m 1111 139 l 1111 0 l 972 0 l 972 139 l 1111 139 m 1389 0 l 1389 139 l 1528 139 l 1528 0 l 1389 0 m 1389 0 l 1389 -139 l 1111 -139 l 1111 0 l 1389 0 m 139 694 l 556 694 l 556 417 l 417 417 l 417 556 l 0 556 l 0 972 l 556 972 l 556 833 l 139 833 l 139 694 m 417 278 l 0 278 l 0 417 l 417 417 l 417 278 z "},"⅞":{"ha":1667,"x_min":0,"x_max":1528,"o":"m 1111 1111 l 1111 833 l 972 833 l 972 1111 l 1111 1111 m 972 833 l 972 556 l 833 556 l 833 833 l 972 833 m 833 556 l 833 278 l 694 278 l 694 556 l 833 556 m 694 278 l 694 0 l 556 0 l 556 278 l 694 278 m 556 0 l 556 -278 l 417 -278 l 417 0 l 556 0 m 1111 417 l 1111 556 l 1389 556 l 1389 417 l 1111 417 m 1111 417 l 1111 278 l 972 278 l 972 417 l 1111 417 m 1389 278 l 1389 417 l 1528 417 l 1528 278 l 1389 278 m 1389 139 l 1111 139 l 1111 278 l 1389 278 l 1389 139 m 1111 139 l 1111 0 l 972 0 l 972 139 l 1111 139 m 1389 0 l 1389 139 l 1528 139 l 1528 0 l 1389 0 m 1389 0 l 1389 -139 l 1111 -139 l 1111 0 l 1389 0 m 556 694 l 417 694 l 417 833 l 0 833 l 0 972 l 556 972 l 556 694 m 278 694 l 417 694 l 417 556 l 278 556 l 278 694 m 278 556 l 278 278 l 139 278 l 139 556 l 278 556 z "},"⅑":{"ha":1667,"x_min":0,"x_max":1528,"o":"m 417 417 l 417 278 l 0 278 l 0 417 l 139 417 l 139 694 l 0 694 l 0 833 l 139 833 l 139 972 l 278 972 l 278 417 l 417 417 m 1111 1111 l 1111 833 l 972 833 l 972 1111 l 1111 1111 m 972 833 l 972 556 l 833 556 l 833 833 l 972 833 m 833 556 l 833 278 l 694 278 l 694 556 l 833 556 m 694 278 l 694 0 l 556 0 l 556 278 l 694 278 m 556 0 l 556 -278 l 417 -278 l 417 0 l 556 0 m 1111 417 l 1111 556 l 1389 556 l 1389 417 l 1111 417 m 1111 417 l 1111 278 l 972 278 l 972 417 l 1111 417 m 1528 417 l 1528 0 l 1389 0 l 1389 139 l 1111 139 l 1111 278 l 1389 278 l 1389 417 l 1528 417 m 1389 0 l 1389 -139 l 1111 -139 l 1111 0 l 1389 0 z "},".":{"ha":833,"x_min":139,"x_max":417,"o":"m 417 0 l 139 0 l 139 278 l 417 278 l 417 0 z "},",":{"ha":833,"x_min":139,"x_max":417,"o":"m 417 -139 l 278 -139 l 278 0 l 139 0 l 139 278 l 417 278 l 417 -139 m 139 -139 l 278 -139 l 278 -278 l 139 -278 l 139 -139 z "},":":{"ha":833,"x_min":139,"x_max":417,"o":"m 417 0 l 139 0 l 139 278 l 417 278 l 417 0 m 417 417 l 139 417 l 139 694 l 417 694 l 417 417 z "},";":{"ha":833,"x_min":139,"x_max":417,"o":"m 417 417 l 139 417 l 139 694 l 417 694 l 417 417 m 417 -139 l 278 -139 l 278 0 l 139 0 l 139 278 l 417 278 l 417 -139 m 139 -139 l 278 -139 l 278 -278 l 139 -278 l 139 -139 z "},"…":{"ha":833,"x_min":0,"x_max":694,"o":"m 0 139 l 139 139 l 139 0 l 0 0 l 0 139 m 278 139 l 417 139 l 417 0 l 278 0 l 278 139 m 556 139 l 694 139 l 694 0 l 556 0 l 556 139 z "},"!":{"ha":833,"x_min":278,"x_max":417,"o":"m 417 972 l 417 278 l 278 278 l 278 972 l 417 972 m 278 139 l 417 139 l 417 0 l 278 0 l 278 139 z "},"¡":{"ha":833,"x_min":278,"x_max":417,"o":"m 417 972 l 417 833 l 278 833 l 278 972 l 417 972 m 417 694 l 417 0 l 278 0 l 278 694 l 417 694 z "},"?":{"ha":833,"x_min":0,"x_max":694,"o":"m 556 833 l 139 833 l 139 972 l 556 972 l 556 833 m 0 833 l 139 833 l 139 694 l 0 694 l 0 833 m 694 833 l 694 556 l 556 556 l 556 833 l 694 833 m 417 556 l 556 556 l 556 417 l 417 417 l 417 556 m 278 417 l 417 417 l 417 278 l 278 278 l 278 417 m 278 139 l 417 139 l 417 0 l 278 0 l 278 139 z "},"¿":{"ha":833,"x_min":0,"x_max":694,"o":"m 417 833 l 278 833 l 278 972 l 417 972 l 417 833 m 417 556 l 278 556 l 278 694 l 417 694 l 417 556 m 278 417 l 139 417 l 139 556 l 278 556 l 278 417 m 139 139 l 0 139 l 0 417 l 139 417 l 139 139 m 694 278 l 694 139 l 556 139 l 556 278 l 694 278 m 556 0 l 139 0 l 139 139 l 556 139 l 556 0 z "},"·":{"ha":833,"x_min":139,"x_max":417,"o":"m 417 417 l 139 417 l 139 694 l 417 694 l 417 417 z "},"•":{"ha":833,"x_min":139,"x_max":417,"o":"m 417 417 l 139 417 l 139 694 l 417 694 l 417 417 z "},"*":{"ha":833,"x_min":0,"x_max":694,"o":"m 556 556 l 556 417 l 417 417 l 417 139 l 278 139 l 278 417 l 139 417 l 139 556 l 278 556 l 278 833 l 417 833 l 417 556 l 556 556 m 139 694 l 139 556 l 0 556 l 0 694 l 139 694 m 694 556 l 556 556 l 556 694 l 694 694 l 694 556 m 0 417 l 139 417 l 139 278 l 0 278 l 0 417 m 556 278 l 556 417 l 694 417 l 694 278 l 556 278 z "},"#":{"ha":833,"x_min":0,"x_max":694,"o":"m 556 556 l 556 417 l 694 417 l 694 278 l 556 278 l 556 139 l 417 139 l 417 278 l 278 278 l 278 139 l 139 139 l 139 278 l 0 278 l 0 417 l 139 417 l 139 556 l 0 556 l 0 694 l 139 694 l 139 833 l 278 833 l 278 694 l 417 694 l 417 833 l 556 833 l 556 694 l 694 694 l 694 556 l 556 556 m 417 556 l 278 556 l 278 417 l 417 417 l 417 556 z "},"/":{"ha":833,"x_min":0,"x_max":694,"o":"m 694 1111 l 694 833 l 556 833 l 556 1111 l 694 1111 m 556 833 l 556 556 l 417 556 l 417 833 l 556 833 m 417 556 l 417 278 l 278 278 l 278 556 l 417 556 m 278 278 l 278 0 l 139 0 l 139 278 l 278 278 m 139 0 l 139 -278 l 0 -278 l 0 0 l 139 0 z "},"\\":{"ha":833,"x_min":0,"x_max":694,"o":"m 139 833 l 0 833 l 0 1111 l 139 1111 l 139 833 m 278 556 l 139 556 l 139 833 l 278 833 l 278 556 m 417 278 l 278 278 l 278 556 l 417 556 l 417 278 m 556 0 l 417 0 l 417 278 l 556 278 l 556 0 m 694 0 l 694 -278 l 556 -278 l 556 0 l 694 0 z "},"(":{"ha":833,"x_min":139,"x_max":556,"o":"m 556 972 l 417 972 l 417 1111 l 556 1111 l 556 972 m 278 694 l 278 972 l 417 972 l 417 694 l 278 694 m 139 278 l 139 694 l 278 694 l 278 278 l 139 278 m 278 278 l 417 278 l 417 0 l 278 0 l 278 278 m 417 -139 l 417 0 l 556 0 l 556 -139 l 417 -139 z "},")":{"ha":833,"x_min":139,"x_max":556,"o":"m 278 1111 l 278 972 l 139 972 l 139 1111 l 278 1111 m 417 694 l 278 694 l 278 972 l 417 972 l 417 694 m 556 694 l 556 278 l 417 278 l 417 694 l 556 694 m 417 278 l 417 0 l 278 0 l 278 278 l 417 278 m 139 0 l 278 0 l 278 -139 l 139 -139 l 139 0 z "},"{":{"ha":833,"x_min":139,"x_max":556,"o":"m 556 972 l 417 972 l 417 1111 l 556 1111 l 556 972 m 278 556 l 278 972 l 417 972 l 417 556 l 278 556 m 278 556 l 278 417 l 139 417 l 139 556 l 278 556 m 417 417 l 417 0 l 278 0 l 278 417 l 417 417 m 417 -139 l 417 0 l 556 0 l 556 -139 l 417 -139 z "},"}":{"ha":833,"x_min":139,"x_max":556,"o":"m 278 1111 l 278 972 l 139 972 l 139 1111 l 278 1111 m 278 556 l 278 972 l 417 972 l 417 556 l 278 556 m 556 556 l 556 417 l 417 417 l 417 556 l 556 556 m 417 417 l 417 0 l 278 0 l 278 417 l 417 417 m 139 0 l 278 0 l 278 -139 l 139 -139 l 139 0 z "},"[":{"ha":833,"x_min":278,"x_max":556,"o":"m 556 0 l 556 -139 l 278 -139 l 278 1111 l 556 1111 l 556 972 l 417 972 l 417 0 l 556 0 z "},"]":{"ha":833,"x_min":139,"x_max":417,"o":"m 417 -139 l 139 -139 l 139 0 l 278 0 l 278 972 l 139 972 l 139 1111 l 417 1111 l 417 -139 z "},"-":{"ha":833,"x_min":139,"x_max":556,"o":"m 556 417 l 139 417 l 139 556 l 556 556 l 556 417 z "},"­":{"ha":833,"x_min":0,"x_max":0,"o":""},"–":{"ha":833,"x_min":0,"x_max":694,"o":"m 694 417 l 0 417 l 0 556 l 694 556 l 694 417 z "},"—":{"ha":833,"x_min":-139,"x_max":833,"o":"m 833 417 l -139 417 l -139 556 l 833 556 l 833 417 z "},"_":{"ha":833,"x_min":0,"x_max":694,"o":"m 694 0 l 0 0 l 0 139 l 694 139 l 694 0 z "},"‚":{"ha":833,"x_min":278,"x_max":556,"o":"m 556 -139 l 417 -139 l 417 0 l 278 0 l 278 278 l 556 278 l 556 -139 m 278 -139 l 417 -139 l 417 -278 l 278 -278 l 278 -139 z "},"„":{"ha":833,"x_min":0,"x_max":694,"o":"m 278 -139 l 139 -139 l 139 0 l 0 0 l 0 278 l 278 278 l 278 -139 m 0 -139 l 139 -139 l 139 -278 l 0 -278 l 0 -139 m 694 -139 l 556 -139 l 556 0 l 417 0 l 417 278 l 694 278 l 694 -139 m 417 -139 l 556 -139 l 556 -278 l 417 -278 l 417 -139 z "},"“":{"ha":833,"x_min":0,"x_max":694,"o":"m 278 972 l 139 972 l 139 1111 l 278 1111 l 278 972 m 139 972 l 139 833 l 278 833 l 278 556 l 0 556 l 0 972 l 139 972 m 694 972 l 556 972 l 556 1111 l 694 1111 l 694 972 m 556 972 l 556 833 l 694 833 l 694 556 l 417 556 l 417 972 l 556 972 z "},"”":{"ha":833,"x_min":0,"x_max":694,"o":"m 278 694 l 139 694 l 139 833 l 0 833 l 0 1111 l 278 1111 l 278 694 m 0 694 l 139 694 l 139 556 l 0 556 l 0 694 m 694 694 l 556 694 l 556 833 l 417 833 l 417 1111 l 694 1111 l 694 694 m 417 694 l 556 694 l 556 556 l 417 556 l 417 694 z "},"‘":{"ha":833,"x_min":278,"x_max":556,"o":"m 556 972 l 417 972 l 417 1111 l 556 1111 l 556 972 m 417 972 l 417 833 l 556 833 l 556 556 l 278 556 l 278 972 l 417 972 z "},"’":{"ha":833,"x_min":139,"x_max":417,"o":"m 417 694 l 278 694 l 278 833 l 139 833 l 139 1111 l 417 1111 l 417 694 m 139 694 l 278 694 l 278 556 l 139 556 l 139 694 z "},"«":{"ha":833,"x_min":0,"x_max":694,"o":"m 278 833 l 417 833 l 417 694 l 278 694 l 278 833 m 556 833 l 694 833 l 694 694 l 556 694 l 556 833 m 139 694 l 278 694 l 278 556 l 139 556 l 139 694 m 417 694 l 556 694 l 556 556 l 417 556 l 417 694 m 0 556 l 139 556 l 139 417 l 0 417 l 0 556 m 278 556 l 417 556 l 417 417 l 278 417 l 278 556 m 139 417 l 278 417 l 278 278 l 139 278 l 139 417 m 417 417 l 556 417 l 556 278 l 417 278 l 417 417 m 278 278 l 417 278 l 417 139 l 278 139 l 278 278 m 556 278 l 694 278 l 694 139 l 556 139 l 556 278 z "},"»":{"ha":833,"x_min":0,"x_max":694,"o":"m 0 833 l 139 833 l 139 694 l 0 694 l 0 833 m 278 833 l 417 833 l 417 694 l 278 694 l 278 833 m 139 694 l 278 694 l 278 556 l 139 556 l 139 694 m 417 694 l 556 694 l 556 556 l 417 556 l 417 694 m 278 556 l 417 556 l 417 417 l 278 417 l 278 556 m 556 556 l 694 556 l 694 417 l 556 417 l 556 556 m 139 417 l 278 417 l 278 278 l 139 278 l 139 417 m 417 417 l 556 417 l 556 278 l 417 278 l 417 417 m 0 278 l 139 278 l 139 139 l 0 139 l 0 278 m 278 278 l 417 278 l 417 139 l 278 139 l 278 278 z "},"‹":{"ha":833,"x_min":139,"x_max":556,"o":"m 417 833 l 556 833 l 556 694 l 417 694 l 417 833 m 278 694 l 417 694 l 417 556 l 278 556 l 278 694 m 139 556 l 278 556 l 278 417 l 139 417 l 139 556 m 278 417 l 417 417 l 417 278 l 278 278 l 278 417 m 417 278 l 556 278 l 556 139 l 417 139 l 417 278 z "},"›":{"ha":833,"x_min":139,"x_max":556,"o":"m 139 833 l 278 833 l 278 694 l 139 694 l 139 833 m 278 694 l 417 694 l 417 556 l 278 556 l 278 694 m 417 556 l 556 556 l 556 417 l 417 417 l 417 556 m 278 417 l 417 417 l 417 278 l 278 278 l 278 417 m 139 278 l 278 278 l 278 139 l 139 139 l 139 278 z "},"\"":{"ha":833,"x_min":139,"x_max":556,"o":"m 278 1111 l 278 694 l 139 694 l 139 1111 l 278 1111 m 556 1111 l 556 694 l 417 694 l 417 1111 l 556 1111 z "},"'":{"ha":833,"x_min":278,"x_max":417,"o":"m 417 1111 l 417 694 l 278 694 l 278 1111 l 417 1111 z "}," ":{"ha":833,"x_min":0,"x_max":0,"o":""},"¢":{"ha":833,"x_min":0,"x_max":694,"o":"m 556 833 l 556 694 l 417 694 l 417 278 l 556 278 l 556 139 l 417 139 l 417 0 l 278 0 l 278 139 l 139 139 l 139 278 l 278 278 l 278 694 l 139 694 l 139 833 l 278 833 l 278 972 l 417 972 l 417 833 l 556 833 m 0 278 l 0 694 l 139 694 l 139 278 l 0 278 m 556 556 l 556 694 l 694 694 l 694 556 l 556 556 m 694 278 l 556 278 l 556 417 l 694 417 l 694 278 z "},"¤":{"ha":833,"x_min":0,"x_max":694,"o":"m 139 833 l 139 694 l 0 694 l 0 833 l 139 833 m 694 694 l 556 694 l 556 833 l 694 833 l 694 694 m 139 278 l 139 694 l 556 694 l 556 278 l 139 278 m 417 417 l 417 556 l 278 556 l 278 417 l 417 417 m 0 278 l 139 278 l 139 139 l 0 139 l 0 278 m 556 139 l 556 278 l 694 278 l 694 139 l 556 139 z "},"$":{"ha":833,"x_min":0,"x_max":694,"o":"m 556 972 l 556 833 l 417 833 l 417 556 l 556 556 l 556 417 l 417 417 l 417 139 l 556 139 l 556 0 l 417 0 l 417 -139 l 278 -139 l 278 0 l 139 0 l 139 139 l 278 139 l 278 417 l 139 417 l 139 556 l 278 556 l 278 833 l 139 833 l 139 972 l 278 972 l 278 1111 l 417 1111 l 417 972 l 556 972 m 139 556 l 0 556 l 0 833 l 139 833 l 139 556 m 556 694 l 556 833 l 694 833 l 694 694 l 556 694 m 556 417 l 694 417 l 694 139 l 556 139 l 556 417 m 139 278 l 139 139 l 0 139 l 0 278 l 139 278 z "},"€":{"ha":833,"x_min":0,"x_max":694,"o":"m 556 833 l 278 833 l 278 972 l 556 972 l 556 833 m 139 833 l 278 833 l 278 694 l 417 694 l 417 556 l 278 556 l 278 417 l 417 417 l 417 278 l 278 278 l 278 139 l 139 139 l 139 278 l 0 278 l 0 417 l 139 417 l 139 556 l 0 556 l 0 694 l 139 694 l 139 833 m 556 694 l 556 833 l 694 833 l 694 694 l 556 694 m 694 139 l 556 139 l 556 278 l 694 278 l 694 139 m 278 139 l 556 139 l 556 0 l 278 0 l 278 139 z "},"ƒ":{"ha":833,"x_min":0,"x_max":694,"o":"m 694 972 l 417 972 l 417 1111 l 694 1111 l 694 972 m 417 972 l 417 556 l 556 556 l 556 417 l 417 417 l 417 -139 l 278 -139 l 278 417 l 139 417 l 139 556 l 278 556 l 278 972 l 417 972 m 278 -139 l 278 -278 l 0 -278 l 0 -139 l 278 -139 z "},"£":{"ha":833,"x_min":0,"x_max":694,"o":"m 556 833 l 278 833 l 278 972 l 556 972 l 556 833 m 278 833 l 278 556 l 556 556 l 556 417 l 278 417 l 278 139 l 694 139 l 694 0 l 0 0 l 0 139 l 139 139 l 139 417 l 0 417 l 0 556 l 139 556 l 139 833 l 278 833 m 556 694 l 556 833 l 694 833 l 694 694 l 556 694 z "},"¥":{"ha":833,"x_min":0,"x_max":694,"o":"m 139 972 l 139 833 l 0 833 l 0 972 l 139 972 m 694 833 l 556 833 l 556 972 l 694 972 l 694 833 m 278 833 l 278 694 l 139 694 l 139 833 l 278 833 m 556 694 l 417 694 l 417 833 l 556 833 l 556 694 m 417 694 l 417 556 l 694 556 l 694 417 l 417 417 l 417 278 l 694 278 l 694 139 l 417 139 l 417 0 l 278 0 l 278 139 l 0 139 l 0 278 l 278 278 l 278 417 l 0 417 l 0 556 l 278 556 l 278 694 l 417 694 z "},"+":{"ha":833,"x_min":0,"x_max":694,"o":"m 694 417 l 417 417 l 417 139 l 278 139 l 278 417 l 0 417 l 0 556 l 278 556 l 278 833 l 417 833 l 417 556 l 694 556 l 694 417 z "},"−":{"ha":833,"x_min":0,"x_max":694,"o":"m 694 417 l 0 417 l 0 556 l 694 556 l 694 417 z "},"×":{"ha":833,"x_min":0,"x_max":694,"o":"m 0 833 l 139 833 l 139 694 l 0 694 l 0 833 m 556 833 l 694 833 l 694 694 l 556 694 l 556 833 m 139 694 l 278 694 l 278 556 l 139 556 l 139 694 m 417 694 l 556 694 l 556 556 l 417 556 l 417 694 m 278 556 l 417 556 l 417 417 l 278 417 l 278 556 m 139 417 l 278 417 l 278 278 l 139 278 l 139 417 m 417 417 l 556 417 l 556 278 l 417 278 l 417 417 m 0 278 l 139 278 l 139 139 l 0 139 l 0 278 m 556 278 l 694 278 l 694 139 l 556 139 l 556 278 z "},"÷":{"ha":833,"x_min":0,"x_max":694,"o":"m 417 694 l 278 694 l 278 833 l 417 833 l 417 694 m 694 417 l 0 417 l 0 556 l 694 556 l 694 417 m 278 278 l 417 278 l 417 139 l 278 139 l 278 278 z "},"=":{"ha":833,"x_min":0,"x_max":694,"o":"m 694 556 l 0 556 l 0 694 l 694 694 l 694 556 m 694 278 l 0 278 l 0 417 l 694 417 l 694 278 z "},"≠":{"ha":833,"x_min":0,"x_max":694,"o":"m 417 417 l 694 417 l 694 278 l 278 278 l 278 139 l 139 139 l 139 278 l 0 278 l 0 417 l 278 417 l 278 556 l 0 556 l 0 694 l 417 694 l 417 833 l 556 833 l 556 694 l 694 694 l 694 556 l 417 556 l 417 417 z "},">":{"ha":833,"x_min":139,"x_max":556,"o":"m 139 833 l 278 833 l 278 694 l 139 694 l 139 833 m 278 694 l 417 694 l 417 556 l 278 556 l 278 694 m 417 556 l 556 556 l 556 417 l 417 417 l 417 556 m 278 417 l 417 417 l 417 278 l 278 278 l 278 417 m 139 278 l 278 278 l 278 139 l 139 139 l 139 278 z "},"<":{"ha":833,"x_min":139,"x_max":556,"o":"m 417 833 l 556 833 l 556 694 l 417 694 l 417 833 m 278 694 l 417 694 l 417 556 l 278 556 l 278 694 m 139 556 l 278 556 l 278 417 l 139 417 l 139 556 m 278 417 l 417 417 l 417 278 l 278 278 l 278 417 m 417 278 l 556 278 l 556 139 l 417 139 l 417 278 z "},"≥":{"ha":833,"x_min":0,"x_max":694,"o":"m 278 972 l 278 833 l 139 833 l 139 972 l 278 972 m 417 833 l 417 694 l 278 694 l 278 833 l 417 833 m 556 556 l 417 556 l 417 694 l 556 694 l 556 556 m 417 417 l 278 417 l 278 556 l 417 556 l 417 417 m 278 278 l 139 278 l 139 417 l 278 417 l 278 278 m 694 0 l 0 0 l 0 139 l 694 139 l 694 0 z "},"≤":{"ha":833,"x_min":0,"x_max":694,"o":"m 556 833 l 417 833 l 417 972 l 556 972 l 556 833 m 417 694 l 278 694 l 278 833 l 417 833 l 417 694 m 278 556 l 139 556 l 139 694 l 278 694 l 278 556 m 278 417 l 278 556 l 417 556 l 417 417 l 278 417 m 417 278 l 417 417 l 556 417 l 556 278 l 417 278 m 694 0 l 0 0 l 0 139 l 694 139 l 694 0 z "},"±":{"ha":833,"x_min":0,"x_max":694,"o":"m 694 556 l 417 556 l 417 278 l 278 278 l 278 556 l 0 556 l 0 694 l 278 694 l 278 972 l 417 972 l 417 694 l 694 694 l 694 556 m 694 0 l 0 0 l 0 139 l 694 139 l 694 0 z "},"≈":{"ha":833,"x_min":0,"x_max":694,"o":"z "},"¬":{"ha":833,"x_min":0,"x_max":694,"o":"m 694 278 l 556 278 l 556 417 l 0 417 l 0 556 l 694 556 l 694 278 z "},"~":{"ha":833,"x_min":0,"x_max":694,"o":"m 139 556 l 347 556 l 347 417 l 139 417 l 139 556 m 556 556 l 694 556 l 694 417 l 556 417 l 556 556 m 0 417 l 139 417 l 139 278 l 0 278 l 0 417 m 347 417 l 556 417 l 556 278 l 347 278 l 347 417 z "},"^":{"ha":833,"x_min":0,"x_max":694,"o":"m 278 1111 l 417 1111 l 417 972 l 278 972 l 278 1111 m 139 972 l 278 972 l 278 833 l 139 833 l 139 972 m 417 972 l 556 972 l 556 833 l 417 833 l 417 972 m 0 833 l 139 833 l 139 694 l 0 694 l 0 833 m 556 833 l 694 833 l 694 694 l 556 694 l 556 833 z "},"∞":{"ha":833,"x_min":-139,"x_max":833,"o":"m 0 694 l 0 833 l 278 833 l 278 694 l 0 694 m 417 694 l 417 833 l 694 833 l 694 694 l 417 694 m 0 417 l -139 417 l -139 694 l 0 694 l 0 417 m 417 417 l 278 417 l 278 694 l 417 694 l 417 417 m 833 694 l 833 417 l 694 417 l 694 694 l 833 694 m 278 417 l 278 278 l 0 278 l 0 417 l 278 417 m 694 417 l 694 278 l 417 278 l 417 417 l 694 417 z "},"∫":{"ha":833,"x_min":0,"x_max":694,"o":"m 694 972 l 417 972 l 417 1111 l 694 1111 l 694 972 m 417 972 l 417 -139 l 278 -139 l 278 972 l 417 972 m 278 -139 l 278 -278 l 0 -278 l 0 -139 l 278 -139 z "},"∏":{"ha":833,"x_min":0,"x_max":694,"o":"m 694 972 l 556 972 l 556 -139 l 417 -139 l 417 972 l 278 972 l 278 -139 l 139 -139 l 139 972 l 0 972 l 0 1111 l 694 1111 l 694 972 z "},"∑":{"ha":833,"x_min":0,"x_max":694,"o":"m 139 833 l 0 833 l 0 1111 l 694 1111 l 694 972 l 139 972 l 139 833 m 139 694 l 139 833 l 278 833 l 278 694 l 139 694 m 278 556 l 278 694 l 417 694 l 417 556 l 278 556 m 417 417 l 417 556 l 556 556 l 556 417 l 417 417 m 278 417 l 417 417 l 417 278 l 278 278 l 278 417 m 139 278 l 278 278 l 278 139 l 139 139 l 139 278 m 139 139 l 139 0 l 694 0 l 694 -139 l 0 -139 l 0 139 l 139 139 z "},"√":{"ha":833,"x_min":0,"x_max":694,"o":"m 694 1111 l 694 694 l 556 694 l 556 1111 l 694 1111 m 556 694 l 556 278 l 417 278 l 417 694 l 556 694 m 417 278 l 417 -139 l 278 -139 l 278 278 l 417 278 m 139 0 l 139 -139 l 0 -139 l 0 0 l 139 0 m 139 -139 l 278 -139 l 278 -278 l 139 -278 l 139 -139 z "},"µ":{"ha":833,"x_min":0,"x_max":694,"o":"m 556 0 l 139 0 l 139 -278 l 0 -278 l 0 694 l 139 694 l 139 139 l 556 139 l 556 0 m 694 694 l 694 139 l 556 139 l 556 694 l 694 694 z "},"∂":{"ha":833,"x_min":0,"x_max":694,"o":"m 556 972 l 556 833 l 417 833 l 417 972 l 556 972 m 694 833 l 694 139 l 556 139 l 556 417 l 139 417 l 139 556 l 556 556 l 556 833 l 694 833 m 139 139 l 0 139 l 0 417 l 139 417 l 139 139 m 556 0 l 139 0 l 139 139 l 556 139 l 556 0 z "},"%":{"ha":833,"x_min":0,"x_max":694,"o":"m 278 833 l 139 833 l 139 972 l 417 972 l 417 694 l 278 694 l 278 833 m 694 972 l 694 694 l 556 694 l 556 972 l 694 972 m 278 694 l 278 556 l 0 556 l 0 833 l 139 833 l 139 694 l 278 694 m 417 694 l 556 694 l 556 556 l 417 556 l 417 694 m 278 556 l 417 556 l 417 417 l 278 417 l 278 556 m 278 417 l 278 278 l 139 278 l 139 417 l 278 417 m 417 278 l 417 417 l 694 417 l 694 139 l 556 139 l 556 278 l 417 278 m 139 278 l 139 0 l 0 0 l 0 278 l 139 278 m 417 139 l 556 139 l 556 0 l 278 0 l 278 278 l 417 278 l 417 139 z "},"‰":{"ha":833,"x_min":0,"x_max":1111,"o":"m 278 833 l 139 833 l 139 972 l 417 972 l 417 694 l 278 694 l 278 833 m 556 694 l 556 972 l 694 972 l 694 694 l 556 694 m 278 694 l 278 556 l 0 556 l 0 833 l 139 833 l 139 694 l 278 694 m 417 556 l 417 694 l 556 694 l 556 556 l 417 556 m 417 417 l 278 417 l 278 556 l 417 556 l 417 417 m 278 417 l 278 278 l 139 278 l 139 417 l 278 417 m 833 139 l 972 139 l 972 0 l 694 0 l 694 139 l 556 139 l 556 278 l 417 278 l 417 417 l 694 417 l 694 278 l 833 278 l 833 139 m 1111 139 l 972 139 l 972 278 l 833 278 l 833 417 l 1111 417 l 1111 139 m 139 278 l 139 0 l 0 0 l 0 278 l 139 278 m 417 139 l 556 139 l 556 0 l 278 0 l 278 278 l 417 278 l 417 139 z "},"↑":{"ha":833,"x_min":0,"x_max":694,"o":"m 556 833 l 556 694 l 417 694 l 417 0 l 278 0 l 278 694 l 139 694 l 139 833 l 278 833 l 278 972 l 417 972 l 417 833 l 556 833 m 0 694 l 139 694 l 139 556 l 0 556 l 0 694 m 694 694 l 694 556 l 556 556 l 556 694 l 694 694 z "},"↗":{"ha":833,"x_min":0,"x_max":694,"o":"m 694 278 l 556 278 l 556 556 l 417 556 l 417 694 l 139 694 l 139 833 l 694 833 l 694 278 m 278 556 l 417 556 l 417 417 l 278 417 l 278 556 m 139 417 l 278 417 l 278 278 l 139 278 l 139 417 m 0 278 l 139 278 l 139 139 l 0 139 l 0 278 z "},"→":{"ha":833,"x_min":-139,"x_max":833,"o":"m 556 833 l 556 694 l 417 694 l 417 833 l 556 833 m 833 556 l 833 417 l 694 417 l 694 278 l 556 278 l 556 417 l -139 417 l -139 556 l 556 556 l 556 694 l 694 694 l 694 556 l 833 556 m 417 278 l 556 278 l 556 139 l 417 139 l 417 278 z "},"↘":{"ha":833,"x_min":0,"x_max":694,"o":"m 139 833 l 139 694 l 0 694 l 0 833 l 139 833 m 694 694 l 694 139 l 139 139 l 139 278 l 417 278 l 417 417 l 556 417 l 556 694 l 694 694 m 278 694 l 278 556 l 139 556 l 139 694 l 278 694 m 417 556 l 417 417 l 278 417 l 278 556 l 417 556 z "},"↓":{"ha":833,"x_min":0,"x_max":694,"o":"m 556 278 l 556 139 l 417 139 l 417 0 l 278 0 l 278 139 l 139 139 l 139 278 l 278 278 l 278 972 l 417 972 l 417 278 l 556 278 m 139 417 l 139 278 l 0 278 l 0 417 l 139 417 m 694 417 l 694 278 l 556 278 l 556 417 l 694 417 z "},"↙":{"ha":833,"x_min":0,"x_max":694,"o":"m 694 833 l 694 694 l 556 694 l 556 833 l 694 833 m 278 417 l 278 278 l 556 278 l 556 139 l 0 139 l 0 694 l 139 694 l 139 417 l 278 417 m 417 694 l 556 694 l 556 556 l 417 556 l 417 694 m 278 556 l 417 556 l 417 417 l 278 417 l 278 556 z "},"←":{"ha":833,"x_min":-139,"x_max":833,"o":"m 278 694 l 139 694 l 139 833 l 278 833 l 278 694 m 833 417 l 139 417 l 139 278 l 0 278 l 0 417 l -139 417 l -139 556 l 0 556 l 0 694 l 139 694 l 139 556 l 833 556 l 833 417 m 139 139 l 139 278 l 278 278 l 278 139 l 139 139 z "},"↖":{"ha":833,"x_min":0,"x_max":694,"o":"m 278 556 l 139 556 l 139 278 l 0 278 l 0 833 l 556 833 l 556 694 l 278 694 l 278 556 m 417 556 l 417 417 l 278 417 l 278 556 l 417 556 m 556 417 l 556 278 l 417 278 l 417 417 l 556 417 m 694 278 l 694 139 l 556 139 l 556 278 l 694 278 z "},"↔":{"ha":833,"x_min":-139,"x_max":833,"o":"m 278 694 l 139 694 l 139 833 l 278 833 l 278 694 m 556 833 l 556 694 l 417 694 l 417 833 l 556 833 m 833 556 l 833 417 l 694 417 l 694 278 l 556 278 l 556 417 l 139 417 l 139 278 l 0 278 l 0 417 l -139 417 l -139 556 l 0 556 l 0 694 l 139 694 l 139 556 l 556 556 l 556 694 l 694 694 l 694 556 l 833 556 m 139 139 l 139 278 l 278 278 l 278 139 l 139 139 m 417 278 l 556 278 l 556 139 l 417 139 l 417 278 z "},"↕":{"ha":833,"x_min":0,"x_max":694,"o":"m 556 833 l 556 694 l 417 694 l 417 278 l 556 278 l 556 139 l 417 139 l 417 0 l 278 0 l 278 139 l 139 139 l 139 278 l 278 278 l 278 694 l 139 694 l 139 833 l 278 833 l 278 972 l 417 972 l 417 833 l 556 833 m 0 694 l 139 694 l 139 556 l 0 556 l 0 694 m 556 556 l 556 694 l 694 694 l 694 556 l 556 556 m 139 417 l 139 278 l 0 278 l 0 417 l 139 417 m 694 278 l 556 278 l 556 417 l 694 417 l 694 278 z "},"◊":{"ha":833,"x_min":0,"x_max":694,"o":"m 417 833 l 278 833 l 278 972 l 417 972 l 417 833 m 278 694 l 139 694 l 139 833 l 278 833 l 278 694 m 417 694 l 417 833 l 556 833 l 556 694 l 417 694 m 0 278 l 0 694 l 139 694 l 139 278 l 0 278 m 694 694 l 694 278 l 556 278 l 556 694 l 694 694 m 278 278 l 278 139 l 139 139 l 139 278 l 278 278 m 417 278 l 556 278 l 556 139 l 417 139 l 417 278 m 278 139 l 417 139 l 417 0 l 278 0 l 278 139 z "},"@":{"ha":833,"x_min":0,"x_max":694,"o":"m 556 833 l 139 833 l 139 972 l 556 972 l 556 833 m 139 833 l 139 139 l 0 139 l 0 833 l 139 833 m 694 833 l 694 278 l 278 278 l 278 694 l 556 694 l 556 833 l 694 833 m 556 556 l 417 556 l 417 417 l 556 417 l 556 556 m 139 139 l 694 139 l 694 0 l 139 0 l 139 139 z "},"&":{"ha":833,"x_min":0,"x_max":694,"o":"m 139 833 l 139 972 l 417 972 l 417 833 l 139 833 m 139 556 l 0 556 l 0 833 l 139 833 l 139 556 m 417 694 l 417 833 l 556 833 l 556 694 l 417 694 m 278 694 l 417 694 l 417 556 l 278 556 l 278 694 m 278 417 l 139 417 l 139 556 l 278 556 l 278 417 m 139 139 l 0 139 l 0 417 l 139 417 l 139 139 m 278 278 l 278 417 l 417 417 l 417 278 l 278 278 m 694 278 l 556 278 l 556 417 l 694 417 l 694 278 m 556 278 l 556 139 l 417 139 l 417 278 l 556 278 m 417 139 l 417 0 l 139 0 l 139 139 l 417 139 m 556 0 l 556 139 l 694 139 l 694 0 l 556 0 z "},"¶":{"ha":833,"x_min":0,"x_max":694,"o":"m 694 0 l 556 0 l 556 833 l 417 833 l 417 0 l 278 0 l 278 278 l 139 278 l 139 417 l 0 417 l 0 833 l 139 833 l 139 972 l 694 972 l 694 0 z "},"§":{"ha":833,"x_min":0,"x_max":694,"o":"m 139 972 l 694 972 l 694 833 l 139 833 l 139 972 m 139 833 l 139 694 l 0 694 l 0 833 l 139 833 m 139 694 l 556 694 l 556 556 l 139 556 l 139 694 m 139 556 l 139 417 l 0 417 l 0 556 l 139 556 m 556 417 l 556 556 l 694 556 l 694 417 l 556 417 m 556 278 l 139 278 l 139 417 l 556 417 l 556 278 m 556 139 l 556 278 l 694 278 l 694 139 l 556 139 m 556 0 l 0 0 l 0 139 l 556 139 l 556 0 z "},"©":{"ha":833,"x_min":0,"x_max":833,"o":"m 833 833 l 833 139 l 694 139 l 694 0 l 139 0 l 139 139 l 0 139 l 0 833 l 139 833 l 139 972 l 694 972 l 694 833 l 833 833 m 694 694 l 556 694 l 556 833 l 278 833 l 278 694 l 139 694 l 139 278 l 278 278 l 278 139 l 556 139 l 556 278 l 694 278 l 694 417 l 556 417 l 556 278 l 278 278 l 278 694 l 556 694 l 556 556 l 694 556 l 694 694 z "},"®":{"ha":833,"x_min":0,"x_max":833,"o":"m 833 833 l 833 139 l 694 139 l 694 278 l 556 278 l 556 417 l 694 417 l 694 694 l 556 694 l 556 833 l 139 833 l 139 972 l 694 972 l 694 833 l 833 833 m 0 139 l 0 833 l 139 833 l 139 139 l 0 139 m 556 694 l 556 417 l 278 417 l 278 694 l 556 694 m 556 139 l 694 139 l 694 0 l 139 0 l 139 139 l 278 139 l 278 278 l 556 278 l 556 139 z "},"℗":{"ha":833,"x_min":0,"x_max":833,"o":"m 833 833 l 833 139 l 694 139 l 694 0 l 139 0 l 139 139 l 278 139 l 278 278 l 556 278 l 556 417 l 694 417 l 694 694 l 556 694 l 556 833 l 139 833 l 139 972 l 694 972 l 694 833 l 833 833 m 0 139 l 0 833 l 139 833 l 139 139 l 0 139 m 556 694 l 556 417 l 278 417 l 278 694 l 556 694 z "},"™":{"ha":833,"x_min":0,"x_max":833,"o":"m 833 972 l 833 556 l 694 556 l 694 694 l 556 694 l 556 556 l 417 556 l 417 833 l 278 833 l 278 556 l 139 556 l 139 833 l 0 833 l 0 972 l 556 972 l 556 833 l 694 833 l 694 972 l 833 972 z "},"°":{"ha":833,"x_min":0,"x_max":556,"o":"m 139 972 l 139 1111 l 417 1111 l 417 972 l 139 972 m 139 694 l 0 694 l 0 972 l 139 972 l 139 694 m 556 972 l 556 694 l 417 694 l 417 972 l 556 972 m 417 694 l 417 556 l 139 556 l 139 694 l 417 694 z "},"|":{"ha":833,"x_min":278,"x_max":417,"o":"m 417 1111 l 417 -139 l 278 -139 l 278 1111 l 417 1111 z "},"¦":{"ha":833,"x_min":278,"x_max":417,"o":"m 417 1111 l 417 556 l 278 556 l 278 1111 l 417 1111 m 417 417 l 417 -139 l 278 -139 l 278 417 l 417 417 z "},"†":{"ha":833,"x_min":0,"x_max":694,"o":"m 694 694 l 417 694 l 417 -139 l 278 -139 l 278 694 l 0 694 l 0 833 l 278 833 l 278 1111 l 417 1111 l 417 833 l 694 833 l 694 694 z "},"‡":{"ha":833,"x_min":0,"x_max":694,"o":"m 694 278 l 694 139 l 417 139 l 417 -139 l 278 -139 l 278 139 l 0 139 l 0 278 l 278 278 l 278 694 l 0 694 l 0 833 l 278 833 l 278 1111 l 417 1111 l 417 833 l 694 833 l 694 694 l 417 694 l 417 278 l 694 278 z "},"̈":{"ha":0,"x_min":-694,"x_max":-278,"o":"m -694 972 l -556 972 l -556 833 l -694 833 l -694 972 m -417 972 l -278 972 l -278 833 l -417 833 l -417 972 z "},"̇":{"ha":0,"x_min":-556,"x_max":-417,"o":"m -556 972 l -417 972 l -417 833 l -556 833 l -556 972 z "},"̀":{"ha":0,"x_min":-694,"x_max":-417,"o":"m -694 1111 l -556 1111 l -556 972 l -694 972 l -694 1111 m -556 972 l -417 972 l -417 833 l -556 833 l -556 972 z "},"́":{"ha":0,"x_min":-556,"x_max":-278,"o":"m -417 1111 l -278 1111 l -278 972 l -417 972 l -417 1111 m -556 972 l -417 972 l -417 833 l -556 833 l -556 972 z "},"̋":{"ha":0,"x_min":-694,"x_max":-139,"o":"m -556 1111 l -417 1111 l -417 972 l -556 972 l -556 1111 m -278 1111 l -139 1111 l -139 972 l -278 972 l -278 1111 m -694 972 l -556 972 l -556 833 l -694 833 l -694 972 m -417 972 l -278 972 l -278 833 l -417 833 l -417 972 z "},"̂":{"ha":0,"x_min":-694,"x_max":-278,"o":"m -556 1111 l -417 1111 l -417 972 l -556 972 l -556 1111 m -694 972 l -556 972 l -556 833 l -694 833 l -694 972 m -417 972 l -278 972 l -278 833 l -417 833 l -417 972 z "},"̌":{"ha":0,"x_min":-694,"x_max":-278,"o":"m -694 1111 l -556 1111 l -556 972 l -694 972 l -694 1111 m -417 1111 l -278 1111 l -278 972 l -417 972 l -417 1111 m -556 972 l -417 972 l -417 833 l -556 833 l -556 972 z "},"̆":{"ha":0,"x_min":-694,"x_max":-139,"o":"m -556 1111 l -556 972 l -694 972 l -694 1111 l -556 1111 m -139 1111 l -139 972 l -278 972 l -278 1111 l -139 1111 m -278 972 l -278 833 l -556 833 l -556 972 l -278 972 z "},"̊":{"ha":0,"x_min":-694,"x_max":-278,"o":"m -556 1250 l -417 1250 l -417 1111 l -556 1111 l -556 1250 m -694 1111 l -556 1111 l -556 972 l -694 972 l -694 1111 m -417 1111 l -278 1111 l -278 972 l -417 972 l -417 1111 m -556 972 l -417 972 l -417 833 l -556 833 l -556 972 z "},"̃":{"ha":0,"x_min":-833,"x_max":-139,"o":"m -694 1111 l -486 1111 l -486 972 l -694 972 l -694 1111 m -278 1111 l -139 1111 l -139 972 l -278 972 l -278 1111 m -833 972 l -694 972 l -694 833 l -833 833 l -833 972 m -486 972 l -278 972 l -278 833 l -486 833 l -486 972 z "},"̄":{"ha":0,"x_min":-694,"x_max":-278,"o":"m -278 833 l -694 833 l -694 972 l -278 972 l -278 833 z "},"̒":{"ha":0,"x_min":-556,"x_max":-278,"o":"m -417 1111 l -278 1111 l -278 972 l -417 972 l -417 1111 m -556 972 l -417 972 l -417 833 l -556 833 l -556 972 z "},"̦":{"ha":0,"x_min":-694,"x_max":-417,"o":"m -556 -139 l -417 -139 l -417 -278 l -556 -278 l -556 -139 m -694 -278 l -556 -278 l -556 -417 l -694 -417 l -694 -278 z "},"̧":{"ha":0,"x_min":-694,"x_max":-278,"o":"m -417 139 l -417 0 l -556 0 l -556 139 l -417 139 m -278 0 l -278 -139 l -417 -139 l -417 0 l -278 0 m -417 -139 l -417 -278 l -694 -278 l -694 -139 l -417 -139 z "},"̨":{"ha":0,"x_min":-417,"x_max":0,"o":"m -139 0 l -278 0 l -278 139 l -139 139 l -139 0 m -278 0 l -278 -139 l -417 -139 l -417 0 l -278 0 m 0 -278 l -278 -278 l -278 -139 l 0 -139 l 0 -278 z "},"̵":{"ha":0,"x_min":-556,"x_max":0,"o":"m 0 694 l -556 694 l -556 833 l 0 833 l 0 694 z "},"̶":{"ha":0,"x_min":-972,"x_max":0,"o":"m 0 694 l -972 694 l -972 833 l 0 833 l 0 694 z "},"̷":{"ha":0,"x_min":-833,"x_max":-417,"o":"m -417 417 l -556 417 l -556 278 l -833 278 l -833 417 l -694 417 l -694 556 l -417 556 l -417 417 z "},"̸":{"ha":0,"x_min":-833,"x_max":-139,"o":"m -278 694 l -139 694 l -139 556 l -278 556 l -278 694 m -417 556 l -278 556 l -278 417 l -417 417 l -417 556 m -556 417 l -417 417 l -417 278 l -556 278 l -556 417 m -694 278 l -556 278 l -556 139 l -694 139 l -694 278 m -833 139 l -694 139 l -694 0 l -833 0 l -833 139 z "},"´":{"ha":833,"x_min":139,"x_max":556,"o":"m 417 1111 l 556 1111 l 556 972 l 417 972 l 417 1111 m 278 972 l 417 972 l 417 833 l 278 833 l 278 972 m 139 833 l 278 833 l 278 694 l 139 694 l 139 833 z "},"˘":{"ha":833,"x_min":139,"x_max":694,"o":"m 278 1111 l 278 972 l 139 972 l 139 1111 l 278 1111 m 694 1111 l 694 972 l 556 972 l 556 1111 l 694 1111 m 556 972 l 556 833 l 278 833 l 278 972 l 556 972 z "},"ˇ":{"ha":833,"x_min":139,"x_max":556,"o":"m 139 1111 l 278 1111 l 278 972 l 139 972 l 139 1111 m 417 1111 l 556 1111 l 556 972 l 417 972 l 417 1111 m 278 972 l 417 972 l 417 833 l 278 833 l 278 972 z "},"¸":{"ha":833,"x_min":139,"x_max":556,"o":"m 417 139 l 417 0 l 278 0 l 278 139 l 417 139 m 556 0 l 556 -139 l 417 -139 l 417 0 l 556 0 m 417 -139 l 417 -278 l 139 -278 l 139 -139 l 417 -139 z "},"ˆ":{"ha":833,"x_min":139,"x_max":556,"o":"m 278 1111 l 417 1111 l 417 972 l 278 972 l 278 1111 m 139 972 l 278 972 l 278 833 l 139 833 l 139 972 m 417 972 l 556 972 l 556 833 l 417 833 l 417 972 z "},"¨":{"ha":833,"x_min":139,"x_max":556,"o":"m 139 972 l 278 972 l 278 833 l 139 833 l 139 972 m 417 972 l 556 972 l 556 833 l 417 833 l 417 972 z "},"˙":{"ha":833,"x_min":278,"x_max":417,"o":"m 278 972 l 417 972 l 417 833 l 278 833 l 278 972 z "},"`":{"ha":833,"x_min":139,"x_max":556,"o":"m 139 1111 l 278 1111 l 278 972 l 139 972 l 139 1111 m 278 972 l 417 972 l 417 833 l 278 833 l 278 972 m 417 833 l 556 833 l 556 694 l 417 694 l 417 833 z "},"˝":{"ha":833,"x_min":139,"x_max":694,"o":"m 278 1111 l 417 1111 l 417 972 l 278 972 l 278 1111 m 556 1111 l 694 1111 l 694 972 l 556 972 l 556 1111 m 139 972 l 278 972 l 278 833 l 139 833 l 139 972 m 417 972 l 556 972 l 556 833 l 417 833 l 417 972 z "},"¯":{"ha":833,"x_min":0,"x_max":694,"o":"m 694 833 l 0 833 l 0 972 l 694 972 l 694 833 z "},"˛":{"ha":833,"x_min":417,"x_max":833,"o":"m 694 0 l 556 0 l 556 139 l 694 139 l 694 0 m 556 0 l 556 -139 l 417 -139 l 417 0 l 556 0 m 833 -278 l 556 -278 l 556 -139 l 833 -139 l 833 -278 z "},"˚":{"ha":833,"x_min":139,"x_max":556,"o":"m 278 1250 l 417 1250 l 417 1111 l 278 1111 l 278 1250 m 139 1111 l 278 1111 l 278 972 l 139 972 l 139 1111 m 417 1111 l 556 1111 l 556 972 l 417 972 l 417 1111 m 278 972 l 417 972 l 417 833 l 278 833 l 278 972 z "},"˜":{"ha":833,"x_min":0,"x_max":694,"o":"m 139 1111 l 347 1111 l 347 972 l 139 972 l 139 1111 m 556 1111 l 694 1111 l 694 972 l 556 972 l 556 1111 m 0 972 l 139 972 l 139 833 l 0 833 l 0 972 m 347 972 l 556 972 l 556 833 l 347 833 l 347 972 z "}},"familyName":"undefined medium","ascender":1111,"descender":-278,"underlinePosition":-104,"underlineThickness":69,"boundingBox":{"yMin":-417,"xMin":-972,"yMax":1528,"xMax":1528},"resolution":1000,"original_font_information":{"format":0,"copyright":"Copyright (c) 2018-2019 by Andi Rueckel. All rights reserved.","fontFamily":"undefined medium","fontSubfamily":"Regular","uniqueID":"1.000;UKWN;undefined-medium","fullName":"undefined medium","version":"Version 1.000","postScriptName":"undefined-medium","manufacturer":"Andi Rueckel","designer":"Andi Rueckel","manufacturerURL":"https://andirueckel.com","designerURL":"https://andirueckel.com","licence":"SIL Open Font License v1.1","licenceURL":"https://scripts.sil.org/OFL","preferredFamily":"undefined","preferredSubfamily":"medium"},"cssFontWeight":"normal","cssFontStyle":"normal"};
+var names = [
+    "Alan Bouzek",
+    "Corbin Carter",
+    "Thomas Coladonato",
+    "Matt Helgren",
+    "Vance Henize",
+    "Volodymyr Ilchenko",
+    "Taras Kontsur",
+    "Bohdan Kovalchuk",
+    "Kateryna Kravchyshyn",
+    "Yevgen Kruglyk",
+    "Jonathan Lopez",
+    "Derek Mikish",
+    "Raul Murguia",
+    "Anastasiia Novosad",
+    "Oleksandr Pavlyna",
+    "Roman Petrukhiv",
+    "Roman Kozak",
+    "Petro Rovenskyy",
+    "Andriy Sapryka",
+    "Charles Schad",
+    "Daria Shekhovtsova",
+    "Carl Smoot",
+    "Artur Synhalevych",
+    "Clyde Tarver",
+    "Tetiana Pavlius",
+    "Andriy Tkachuk",
+    "Volodymyr Tsaryk",
+    "Volodymyr Tymoshchuk",
+    "Oleksandr Vol",
+    "Yuriy Voytovych",
+    "John Waycuilis",
+    "Adrian Weisberg",
+    "Damon E. Williams",
+    "John Wisneski",
+    "Zack Yao",
+    "Dave Youmans",
+    "Oleh Zimokha"
+];
+
+// The credits scroller shows every section's header followed by its names, then starts over.
+// ?credits=<url> replaces the sections below with the contents of a file, either JSON
+//   [{ "header": "GREETZ", "names": ["..."] }, ...]   (or { "sections": [...] })
+//   ["...", "..."]                                    (a single section without header)
+// or plain text with one name per line, where a "# Header" line starts a new section.
+var creditSections = [
+    { header: 'GREETZ OUT TO THESE CODERZ', names }
+];
+
+var isString = value => typeof value === 'string';
+
+var parseCreditSections = text => {
+    var json;
+    try {
+        json = JSON.parse(text);
+    } catch (e) {
+        json = undefined;
+    }
+
+    if (json !== undefined) {
+        var jsonSections = Array.isArray(json) ? json : json.sections;
+        if (!Array.isArray(jsonSections)) {
+            throw new Error('expected an array of sections');
+        }
+        if (jsonSections.length > 0 && jsonSections.every(isString)) {
+            return [{ header: undefined, names: jsonSections }];
+        }
+        return jsonSections.map((section, i) => {
+            var sectionNames = section && section.names !== undefined ? section.names : [];
+            if (!section || typeof section !== 'object' || !Array.isArray(sectionNames) || !sectionNames.every(isString)) {
+                throw new Error('section ' + i + ' needs a names array of strings');
+            }
+            return { header: section.header, names: sectionNames };
+        });
+    }
+
+    var sections = [];
+    text.split(/\r?\n/).map(line => line.trim()).filter(line => line !== '').forEach(line => {
+        if (line.charAt(0) === '#') {
+            sections.push({ header: line.slice(1).trim(), names: [] });
+        } else {
+            if (sections.length === 0) {
+                sections.push({ header: undefined, names: [] });
+            }
+            sections[sections.length - 1].names.push(line);
+        }
+    });
+    return sections;
+};
+
+var getCreditLines = (sections = creditSections) => sections.reduce(
+    (lines, section) => lines.concat(section.header ? [section.header] : [], section.names),
+    []
+);
+
+var loadCredits = url => fetch(url)
+    .then(response => {
+        if (!response.ok) {
+            throw new Error(response.status + ' ' + response.statusText);
+        }
+        return response.text();
+    })
+    .then(text => {
+        var sections = parseCreditSections(text);
+        if (getCreditLines(sections).length === 0) {
+            throw new Error('no credits found');
+        }
+        creditSections = sections;
+        creditLineIndex = -1;
+    })
+    .catch(e => console.warn('Could not load credits from ' + url + ', keeping the built-in ones:', e));
+var QUERY = new URLSearchParams(window.location.search);
+
+const INPUT_BINDINGS_STORAGE_KEY = 'cubespheres.inputBindings';
+
+// action -> KeyboardEvent.code values. Codes name physical keys, so WASD stays
+// in the same place on AZERTY and friends; remap with inputBindings.bind().
+// The light rig adds a 'toggle-<name>-light' action per light through inputBindings.define().
+const DEFAULT_INPUT_BINDINGS = {
+    'rotate-left': ['ArrowLeft', 'KeyA'],
+    'twist-in': ['ArrowUp', 'KeyW'],
+    'rotate-right': ['ArrowRight', 'KeyD'],
+    'twist-out': ['ArrowDown', 'KeyS'],
+    'reset-pose': ['Space'],
+    'pause': ['KeyP'],
+    'slower': ['BracketLeft'],
+    'faster': ['BracketRight'],
+    'cycle-stereo': ['KeyV'],
+    'cycle-light-markers': ['KeyM'],
+    'toggle-light-trails': ['KeyT'],
+    'cycle-shadow-quality': ['KeyQ'],
+    'cycle-palette': ['KeyC'],
+    'cycle-cube-shading': ['KeyX'],
+    'cycle-environment': ['KeyE']
+};
+
+var inputBindings = {
+    bindings: {},
+    handlers: {},
+    pressedCodes: {},
+    // the loaded config, for actions that get defined later
+    savedBindings: {},
+
+    // keys not mentioned in config keep their defaults
+    load(config) {
+        if (typeof config === 'string') {
+            config = JSON.parse(config);
+        }
+
+        this.savedBindings = config || {};
+        this.bindings = {};
+        Object.keys(DEFAULT_INPUT_BINDINGS).forEach(action => {
+            this.bindings[action] = DEFAULT_INPUT_BINDINGS[action].slice();
+        });
+        Object.keys(this.savedBindings)
+            .filter(action => DEFAULT_INPUT_BINDINGS.hasOwnProperty(action))
+            .forEach(action => this.bind(action, this.savedBindings[action]));
+    },
+    // adds an action after startup, a saved binding for it wins over codes
+    define(action, codes) {
+        DEFAULT_INPUT_BINDINGS[action] = [].concat(codes);
+        this.bind(action, this.savedBindings.hasOwnProperty(action) ? this.savedBindings[action] : codes);
+    },
+    loadFromStorage() {
+        try {
+            this.load(window.localStorage.getItem(INPUT_BINDINGS_STORAGE_KEY));
+        } catch (e) {
+            console.warn('Ignoring stored key bindings:', e);
+            this.load(null);
+        }
+    },
+    save() {
+        window.localStorage.setItem(INPUT_BINDINGS_STORAGE_KEY, JSON.stringify(this.bindings));
+    },
+    reset() {
+        window.localStorage.removeItem(INPUT_BINDINGS_STORAGE_KEY);
+        this.load(null);
+    },
+    bind(action, codes) {
+        if (!DEFAULT_INPUT_BINDINGS.hasOwnProperty(action)) {
+            console.warn('Unknown input action "' + action + '"');
+            return;
+        }
+        this.bindings[action] = [].concat(codes);
+    },
+    getBindings() {
+        return JSON.parse(JSON.stringify(this.bindings));
+    },
+    actionsFor(code) {
+        return Object.keys(this.bindings).filter(action => this.bindings[action].indexOf(code) !== -1);
+    },
+    // handler runs once per key press of the action
+    onAction(action, handler) {
+        (this.handlers[action] = this.handlers[action] || []).push(handler);
+    },
+    trigger(action) {
+        (this.handlers[action] || []).forEach(handler => handler());
+    },
+    // true while any key bound to the action is held down
+    isActive(action) {
+        return (this.bindings[action] || []).some(code => this.pressedCodes[code]);
+    }
+};
+
+// Polled once per frame from animate(). Sticks give proportional rotation and twist
+// speeds in [-1, 1], buttons fire the same actions as their keyboard counterparts.
+// Call gamepadInput.simulate({ axes: [...], buttons: [{ pressed }, ...] }) to stand in
+// for a real pad, simulate(null) to go back to navigator.getGamepads().
+var gamepadInput = {
+    deadzone: 0.15,
+    // standard mapping: left stick X rotates, right stick Y twists
+    rotationAxis: 0,
+    twistAxis: 3,
+    buttonActions: {
+        0: 'toggle-green-light',
+        1: 'toggle-red-light',
+        2: 'toggle-blue-light',
+        3: 'reset-pose',
+        9: 'pause'
+    },
+    rotation: 0,
+    twist: 0,
+    pressedButtons: {},
+    simulatedPad: null,
+
+    simulate(pad) {
+        this.simulatedPad = pad;
+    },
+    getGamepads() {
+        if (this.simulatedPad) {
+            return [this.simulatedPad];
+        }
+        return navigator.getGamepads ? Array.from(navigator.getGamepads()) : [];
+    },
+    // rescales what's left outside the deadzone back to [0, 1] so small tilts still start slowly
+    applyDeadzone(value) {
+        var magnitude = Math.abs(value);
+        if (magnitude <= this.deadzone) {
+            return 0;
+        }
+        return Math.sign(value) * Math.min(1, (magnitude - this.deadzone) / (1 - this.deadzone));
+    },
+    poll() {
+        this.rotation = 0;
+        this.twist = 0;
+
+        this.getGamepads().forEach((pad, padIndex) => {
+            if (!pad || pad.connected === false) {
+                return;
+            }
+
+            // pushing left rotates left, pushing up twists in
+            this.rotation -= this.applyDeadzone(pad.axes[this.rotationAxis] || 0);
+            this.twist -= this.applyDeadzone(pad.axes[this.twistAxis] || 0);
+
+            Object.keys(this.buttonActions).forEach(buttonIndex => {
+                var button = pad.buttons[buttonIndex];
+                var key = padIndex + ':' + buttonIndex;
+                var pressed = !!button && button.pressed;
+
+                if (pressed && !this.pressedButtons[key]) {
+                    inputBindings.trigger(this.buttonActions[buttonIndex]);
+                }
+                this.pressedButtons[key] = pressed;
+            });
+        });
+
+        this.rotation = Math.max(-1, Math.min(1, this.rotation));
+        this.twist = Math.max(-1, Math.min(1, this.twist));
+    }
+};
+
+{ // Bind key handlers
+    inputBindings.loadFromStorage();
+
+    // leave browser shortcuts and typing in the embedding page's form fields alone
+    var isEditable = target => target && (
+        ['INPUT', 'TEXTAREA', 'SELECT'].indexOf(target.tagName) !== -1 || target.isContentEditable === true
+    );
+
+    document.addEventListener('keydown', function (e) {
+        if (e.ctrlKey || e.metaKey || e.altKey || isEditable(e.target)) {
+            return;
+        }
+
+        var actions = inputBindings.actionsFor(e.code);
+        if (actions.length === 0) {
+            return;
+        }
+
+        e.preventDefault();
+        inputBindings.pressedCodes[e.code] = true;
+
+        if (!e.repeat) {
+            actions.forEach(action => inputBindings.trigger(action));
+        }
+    });
+
+    document.addEventListener('keyup', function (e) {
+        delete inputBindings.pressedCodes[e.code];
+    });
+
+    // keyups never arrive while the page has no focus
+    window.addEventListener('blur', function () {
+        inputBindings.pressedCodes = {};
+    });
+}
+
+var scene = new THREE.Scene();
+
+// the demo fills #cubespheres when the page provides one, the whole window otherwise
+var container = document.getElementById('cubespheres') || document.body;
+
+var getContainerSize = () => container === document.body
+    ? { width: window.innerWidth, height: window.innerHeight }
+    : { width: container.clientWidth, height: container.clientHeight };
+
+var camera = new THREE.PerspectiveCamera(45, getContainerSize().width / getContainerSize().height, 0.1, 1000);
+{ // SETUP CAMERA
+    camera.position.x = 3.9 / 2;
+    camera.position.y = 12 / 2;
+    camera.position.z = 20 / 2;
+    camera.up = new THREE.Vector3(1, 0, 0);
+}
+
+var canvas = document.createElement('canvas');
+
+var renderer = new THREE.WebGLRenderer( {alpha: true, canvas });
+canvas.style.width = '100%';
+canvas.style.height = '100%';
+canvas.style.top = '0';
+canvas.style.left = '0';
+canvas.style.pointerEvents = 'auto';
+canvas.style.touchAction = 'none';
+canvas.style.position = 'absolute';
+renderer.setClearColor(0x000000, 0);
+
+var effect = new THREE.OutlineEffect(renderer, {
+    defaultThickness: 0.0075,
+    defaultColor: [0,0,0],
+    defaultAlpha: 0.8,
+    defaultKeepAlive: true,
+    mode: QUERY.get('outline') === 'edge' ? 'edge' : 'hull'
+});
+
+// ?outlined=text or ?outlined=cubes limits the outlines to the credits or the fractal
+var OUTLINE_FILTERS = {
+    text: object => object.parent === textWrapper,
+    cubes: object => object.FRACTAL_LEVEL !== undefined
+};
+if (OUTLINE_FILTERS[QUERY.get('outlined')]) {
+    effect.outlineFilter = OUTLINE_FILTERS[QUERY.get('outlined')];
+}
+
+// ?stereo=sideBySide|anaglyph|parallaxBarrier for 3D glasses and displays, V cycles through the modes;
+// ?eyesep= sets the eye separation in scene units
+var stereoEffect = new THREE.StereoViewEffect(renderer, {
+    sceneRenderer: effect,
+    mode: QUERY.get('stereo') || 'mono',
+    eyeSeparation: parseFloat(QUERY.get('eyesep')) || 0.3
+});
+inputBindings.onAction('cycle-stereo', () => stereoEffect.nextMode());
+
+// ?passes=outline,bloom,vignette picks the post-processing passes and their order,
+// pipeline.setPassEnabled() and pipeline.setPassOrder() change them while running
+var pipeline = new THREE.EffectPipeline(renderer, {
+    sceneRenderer: stereoEffect,
+    passes: QUERY.get('passes') !== null ? QUERY.get('passes').split(',') : ['outline']
+});
 { // SETUP RENDERER
-    renderer.setSize(window.innerWidth, window.innerHeight);
-    document.body.appendChild(renderer.domElement);
+    if (container !== document.body && window.getComputedStyle(container).position === 'static') {
+        container.style.position = 'relative';
+    }
+    container.appendChild(renderer.domElement);
+
+    { // SETUP RENDERER SHADOW MAPPING (shadowQuality presets take over once the lights are up)
+        renderer.shadowMap.enabled = true;
+        renderer.shadowMap.type = THREE.PCFSoftShadowMap;
+    }
+}
+
+{ // SETUP RESIZE HANDLING
+    const RESIZE_DEBOUNCE_MS = 100;
+
+    // the canvas is stretched by CSS, this keeps its drawing buffer and the projection in step with it
+    var resizeRenderer = () => {
+        var { width, height } = getContainerSize();
+        if (width === 0 || height === 0) {
+            return;
+        }
+
+        camera.aspect = width / height;
+        camera.updateProjectionMatrix();
+
+        pipeline.setPixelRatio(window.devicePixelRatio || 1);
+        pipeline.setSize(width, height, false);
+    };
+
+    var resizeTimeout = null;
+    var scheduleResize = () => {
+        clearTimeout(resizeTimeout);
+        resizeTimeout = setTimeout(resizeRenderer, RESIZE_DEBOUNCE_MS);
+    };
+
+    if (container !== document.body && window.ResizeObserver) {
+        new window.ResizeObserver(scheduleResize).observe(container);
+    }
+    window.addEventListener('resize', scheduleResize);
+    window.addEventListener('orientationchange', scheduleResize);
+
+    resizeRenderer();
+}
+
+var cubeMaterial = new THREE.MeshPhongMaterial({
+    color: 0x888888,
+    shininess: 3,
+    specular: 0xbbbbbb,
+    emissive: 0x080808,
+    opacity: 1,
+    transparent: true
+});
+
+cubeMaterial.userData.outlineParameters = {
+    thickness: 0.0075,
+    color: [ 0, 0, 0 ],
+    alpha: 0.8,
+    visible: true,
+    keepAlive: true,
+    perVertexThickness: true
+};
+
+// cubes share cubeMaterial, their outlines taper with size through this attribute instead
+var outlineThicknessRatioFor = edgeLength => Math.sqrt(edgeLength / CUBE_WIDTH);
+
+var setOutlineThicknessRatio = (geometry, ratio) => {
+    var ratios = new Float32Array(geometry.attributes.position.count).fill(ratio);
+    geometry.addAttribute('outlineThicknessRatio', new THREE.BufferAttribute(ratios, 1));
+    return geometry;
+};
+
+const CUBE_WIDTH = 3;
+
+var rootCube = new THREE.Mesh(
+    setOutlineThicknessRatio(
+        new THREE.BoxBufferGeometry(CUBE_WIDTH, CUBE_WIDTH, CUBE_WIDTH),
+        outlineThicknessRatioFor(CUBE_WIDTH)
+    ),
+    cubeMaterial
+);
+rootCube.FRACTAL_LEVEL = 0;
+rootCube.castShadow = true;
+rootCube.receiveShadow = true;
+
+
+// How many tiers of sub cubes hang off the root cube (1-6). Every tier multiplies
+// the cube count by 6, so dial it down for weaker devices with ?depth=N
+const MIN_FRACTAL_DEPTH = 1;
+const MAX_FRACTAL_DEPTH = 6;
+var FRACTAL_DEPTH = Math.min(
+    MAX_FRACTAL_DEPTH,
+    Math.max(MIN_FRACTAL_DEPTH, parseInt(QUERY.get('depth'), 10) || 3)
+);
+var FRACTAL_SCALE_RATIO = 1 / 3;
+// distance from a parent's center to its child's center along one axis
+var fractalChildOffset = (parentWidth, childWidth) => parentWidth / 2 + 3 * childWidth / 2;
+
+var ALL_SUB_CUBES = [];
+var SUB_CUBE_LEVELS = [];
+{ // SETUP SUB CUBES AND ATTACH TO ROOT CUBE
+    const CHILD_DIRECTIONS = [
+        new THREE.Vector3(1, 0, 0),
+        new THREE.Vector3(-1, 0, 0),
+        new THREE.Vector3(0, 1, 0),
+        new THREE.Vector3(0, -1, 0),
+        new THREE.Vector3(0, 0, 1),
+        new THREE.Vector3(0, 0, -1)
+    ];
+
+    // '+x', '-y', ... for the palettes
+    var axisName = direction => ['x', 'y', 'z']
+        .filter(axis => direction[axis] !== 0)
+        .map(axis => (direction[axis] > 0 ? '+' : '-') + axis)[0];
+
+    // every cube on a level has the same size, so the level's meshes share one geometry
+    var levelGeometries = [];
+    var geometryForLevel = (level, edgeLength) => {
+        if (!levelGeometries[level]) {
+            levelGeometries[level] = setOutlineThicknessRatio(
+                new THREE.BoxBufferGeometry(edgeLength, edgeLength, edgeLength),
+                outlineThicknessRatioFor(edgeLength)
+            );
+        }
+        return levelGeometries[level];
+    };
+
+    var buildSubCube = (attachmentPoint, edgeLength, direction, offset, level) => {
+        var subCube = new THREE.Mesh(geometryForLevel(level, edgeLength), cubeMaterial);
+        subCube.ORIGINAL_OFFSET = offset;
+        subCube.ORIGINAL_POSITION = direction.clone().multiplyScalar(offset);
+        subCube.TWIST_AXIS = direction.clone();
+        subCube.TWIST_ANGLE = 0;
+        subCube.FRACTAL_LEVEL = level;
+        subCube.FRACTAL_AXIS = axisName(direction);
+        subCube.EDGE_LENGTH = edgeLength;
+        subCube.castShadow = true;
+        subCube.receiveShadow = true;
+        subCube.position.copy(subCube.ORIGINAL_POSITION);
+        attachmentPoint.add(subCube);
+        ALL_SUB_CUBES.push(subCube);
+        SUB_CUBE_LEVELS[level - 1].push(subCube);
+        return subCube;
+    };
+
+    var buildFractal = (parent, parentWidth, level, depth, scaleRatio, childOffset) => {
+        if (level > depth) {
+            return;
+        }
+
+        var childWidth = parentWidth * scaleRatio;
+        var offset = childOffset(parentWidth, childWidth);
+
+        CHILD_DIRECTIONS.forEach(direction => {
+            var subCube = buildSubCube(parent, childWidth, direction, offset, level);
+            buildFractal(subCube, childWidth, level + 1, depth, scaleRatio, childOffset);
+        });
+    };
+
+    for (let level = 1; level <= FRACTAL_DEPTH; level++) {
+        SUB_CUBE_LEVELS.push([]);
+    }
+
+    buildFractal(rootCube, CUBE_WIDTH, 1, FRACTAL_DEPTH, FRACTAL_SCALE_RATIO, fractalChildOffset);
+}
+
+// radians per second
+var TWIST_SPEED = .0125 * 60;
+
+// Every sub cube spins about the axis from its parent's center through its own,
+// so the pose is fully described by the accumulated angle and twisting back undoes it exactly.
+const twistSubCubes = angle => {
+    ALL_SUB_CUBES.forEach(subCube => {
+        subCube.TWIST_ANGLE += angle;
+        subCube.quaternion.setFromAxisAngle(subCube.TWIST_AXIS, subCube.TWIST_ANGLE);
+    });
+};
+
+const resetSubCubes = () => {
+    ALL_SUB_CUBES.forEach(subCube => {
+        subCube.TWIST_ANGLE = 0;
+        subCube.position.copy(subCube.ORIGINAL_POSITION);
+        subCube.quaternion.set(0, 0, 0, 1);
+    });
+};
+
+inputBindings.onAction('reset-pose', resetSubCubes);
+
+scene.add(rootCube);
+
+// ?render=instanced draws the sub cubes of every fractal level and direction with a single
+// InstancedBufferGeometry instead of one mesh per sub cube (one group per direction, so palettes
+// can color them apart). The sub cube meshes stay in the hierarchy (hidden)
+// so the twist animation keeps working on them and their world matrices feed the instances.
+var INSTANCED_RENDERING = false;
+var instancedLevels = [];
+{ // SETUP INSTANCED SUB CUBES
+    var instanceMatrixParsChunk = [
+        'attribute vec4 instanceMatrix0;',
+        'attribute vec4 instanceMatrix1;',
+        'attribute vec4 instanceMatrix2;',
+        'attribute vec4 instanceMatrix3;',
+        'mat4 getInstanceMatrix() {',
+        '    return mat4( instanceMatrix0, instanceMatrix1, instanceMatrix2, instanceMatrix3 );',
+        '}'
+    ].join('\n');
+
+    // also used by the outline and shadow materials, so every pass lands on the same vertices
+    var applyInstanceMatrix = shader => {
+        shader.vertexShader = shader.vertexShader
+            .replace('#include <common>', '#include <common>\n' + instanceMatrixParsChunk)
+            .replace(
+                '#include <beginnormal_vertex>',
+                'vec3 objectNormal = mat3( getInstanceMatrix() ) * vec3( normal );'
+            )
+            .replace(
+                '#include <begin_vertex>',
+                'vec3 transformed = ( getInstanceMatrix() * vec4( position, 1.0 ) ).xyz;'
+            );
+    };
+
+    var instancedCubeMaterial = cubeMaterial.clone();
+    instancedCubeMaterial.onBeforeCompile = applyInstanceMatrix;
+
+    var instancedDistanceMaterial = new THREE.MeshDistanceMaterial();
+    instancedDistanceMaterial.onBeforeCompile = applyInstanceMatrix;
+
+    var buildInstancedLevel = subCubes => {
+        var edgeLength = subCubes[0].EDGE_LENGTH;
+        var geometry = new THREE.InstancedBufferGeometry().copy(subCubes[0].geometry);
+        geometry.maxInstancedCount = subCubes.length;
+
+        var columns = [0, 1, 2, 3].map(column => {
+            var attribute = new THREE.InstancedBufferAttribute(new Float32Array(subCubes.length * 4), 4);
+            attribute.setDynamic(true);
+            geometry.addAttribute('instanceMatrix' + column, attribute);
+            return attribute;
+        });
+
+        var mesh = new THREE.Mesh(geometry, instancedCubeMaterial);
+        mesh.FRACTAL_LEVEL = subCubes[0].FRACTAL_LEVEL;
+        mesh.FRACTAL_AXIS = subCubes[0].FRACTAL_AXIS;
+        mesh.customDistanceMaterial = instancedDistanceMaterial;
+        // instances are spread all over the scene, the geometry's bounds say nothing about them
+        mesh.frustumCulled = false;
+        mesh.castShadow = true;
+        mesh.receiveShadow = true;
+        mesh.visible = false;
+        scene.add(mesh);
+
+        return { subCubes, columns, mesh };
+    };
+
+    // instance matrices are the sub cubes' world matrices, so the instanced meshes sit at the scene origin.
+    // Runs every frame for up to tens of thousands of cubes, hence the plain loops.
+    var updateMatrix = object => object.updateMatrix();
+
+    var updateInstanceMatrices = () => {
+        // matrixAutoUpdate is off for the fractal in this mode: its matrices get updated here once,
+        // and the renderer's scene.updateMatrixWorld() finds nothing left to do
+        rootCube.traverse(updateMatrix);
+        rootCube.updateMatrixWorld();
+
+        instancedLevels.forEach(({ subCubes, columns }) => {
+            for (var i = 0; i < subCubes.length; i++) {
+                var elements = subCubes[i].matrixWorld.elements;
+                for (var c = 0; c < 4; c++) {
+                    var array = columns[c].array;
+                    var offset = i * 4;
+                    array[offset] = elements[c * 4];
+                    array[offset + 1] = elements[c * 4 + 1];
+                    array[offset + 2] = elements[c * 4 + 2];
+                    array[offset + 3] = elements[c * 4 + 3];
+                }
+            }
+            columns.forEach(column => column.needsUpdate = true);
+        });
+    };
 
-    { // SETUP RENDERER SHADOW MAPPING
-        renderer.shadowMap.enabled = true;
-        renderer.shadowMap.type = THREE.PCFSoftShadowMap;
+    var setInstancedRendering = enabled => {
+        if (enabled && instancedLevels.length === 0) {
+            instancedLevels = [].concat(...SUB_CUBE_LEVELS.map(subCubes => {
+                var groups = {};
+                subCubes.forEach(subCube => (groups[subCube.FRACTAL_AXIS] = groups[subCube.FRACTAL_AXIS] || []).push(subCube));
+                return Object.keys(groups).map(axis => buildInstancedLevel(groups[axis]));
+            }));
+        }
+
+        INSTANCED_RENDERING = enabled;
+        rootCube.traverse(object => object.matrixAutoUpdate = !enabled);
+        ALL_SUB_CUBES.forEach(subCube => subCube.visible = !enabled);
+        instancedLevels.forEach(({ mesh }) => mesh.visible = enabled);
+    };
+
+    setInstancedRendering(QUERY.get('render') === 'instanced');
+}
+
+// Procedural ShaderMaterials for the cubes. The <beginnormal_vertex> and <begin_vertex> chunks
+// declare objectNormal and transformed, which the OutlineEffect and the instancing patch build on.
+// They are unlit, so they cast shadows but don't receive any.
+var CUBE_SHADER_TIME = { value: 0 };
+
+var cubeShaderVertexShader = [
+    '#include <common>',
+    'varying vec3 vViewNormal;',
+    'varying vec3 vViewPosition;',
+    'varying vec3 vWorldPosition;',
+    'varying vec3 vObjectNormal;',
+    'varying vec3 vUnitPosition;',
+    'varying vec2 vUv;',
+    'void main() {',
+    '    #include <beginnormal_vertex>',
+    '    #include <begin_vertex>',
+    '    vUv = uv;',
+    '    vObjectNormal = normal;',
+    // box corners sit at +-edge / 2 on every axis, so this scales every cube to [-1, 1]
+    '    vUnitPosition = position / max( abs( position.x ), max( abs( position.y ), abs( position.z ) ) );',
+    '    vViewNormal = normalize( normalMatrix * objectNormal );',
+    '    vWorldPosition = ( modelMatrix * vec4( transformed, 1.0 ) ).xyz;',
+    '    vec4 mvPosition = modelViewMatrix * vec4( transformed, 1.0 );',
+    '    vViewPosition = - mvPosition.xyz;',
+    '    gl_Position = projectionMatrix * mvPosition;',
+    '}'
+].join('\n');
+
+var cubeShaderFragmentPars = [
+    '#include <common>',
+    'uniform vec3 color;',
+    'uniform float time;',
+    'varying vec3 vViewNormal;',
+    'varying vec3 vViewPosition;',
+    'varying vec3 vWorldPosition;',
+    'varying vec3 vObjectNormal;',
+    'varying vec3 vUnitPosition;',
+    'varying vec2 vUv;',
+    // a fixed light from the top right, in view space
+    'float fakeLight( vec3 normal ) {',
+    '    return 0.35 + 0.65 * max( dot( normal, normalize( vec3( 0.3, 0.8, 0.5 ) ) ), 0.0 );',
+    '}'
+].join('\n');
+
+// name -> extra uniforms and the body of the fragment shader's main(), `color` comes from the palette
+var CUBE_SHADERS = {
+    iridescent: {
+        uniforms: {
+            filmThickness: { value: 1.5 }
+        },
+        fragmentShader: [
+            'uniform float filmThickness;',
+            'void main() {',
+            '    vec3 normal = normalize( vViewNormal );',
+            '    float facing = clamp( dot( normal, normalize( vViewPosition ) ), 0.0, 1.0 );',
+            // thin film interference, the hue shifts with the viewing angle
+            '    vec3 film = 0.5 + 0.5 * cos( PI2 * ( filmThickness * ( 1.0 - facing ) + vec3( 0.0, 0.33, 0.67 ) + time * 0.05 ) );',
+            '    vec3 base = color * fakeLight( normal );',
+            '    gl_FragColor = vec4( mix( base, film, 0.6 + 0.4 * ( 1.0 - facing ) ), 1.0 );',
+            '}'
+        ]
+    },
+    wireframeGlow: {
+        uniforms: {
+            lineWidth: { value: 0.06 }
+        },
+        fragmentShader: [
+            'uniform float lineWidth;',
+            'void main() {',
+            // every box face has its own 0..1 uvs, so the edges are where they run out
+            '    float edge = min( min( vUv.x, 1.0 - vUv.x ), min( vUv.y, 1.0 - vUv.y ) );',
+            '    float line = 1.0 - smoothstep( 0.0, lineWidth, edge );',
+            '    float pulse = 0.75 + 0.25 * sin( time * 3.0 );',
+            '    vec3 base = color * 0.15 * fakeLight( normalize( vViewNormal ) );',
+            '    gl_FragColor = vec4( base + color * line * pulse * 1.5, 1.0 );',
+            '}'
+        ]
+    },
+    triplanarChecker: {
+        uniforms: {
+            squares: { value: 4.0 }
+        },
+        fragmentShader: [
+            'uniform float squares;',
+            'float checker( vec2 p ) {',
+            '    vec2 cell = floor( ( p + 1.0 ) * squares * 0.5 );',
+            '    return mod( cell.x + cell.y, 2.0 );',
+            '}',
+            'void main() {',
+            '    vec3 weights = pow( abs( normalize( vObjectNormal ) ), vec3( 4.0 ) );',
+            '    weights /= weights.x + weights.y + weights.z;',
+            '    float pattern = checker( vUnitPosition.yz ) * weights.x +',
+            '        checker( vUnitPosition.xz ) * weights.y +',
+            '        checker( vUnitPosition.xy ) * weights.z;',
+            '    vec3 albedo = mix( color, color * 0.35, pattern );',
+            '    gl_FragColor = vec4( albedo * fakeLight( normalize( vViewNormal ) ), 1.0 );',
+            '}'
+        ]
+    },
+    hologram: {
+        uniforms: {
+            lineDensity: { value: 12.0 }
+        },
+        fragmentShader: [
+            'uniform float lineDensity;',
+            'void main() {',
+            '    vec3 normal = normalize( vViewNormal );',
+            '    float rim = pow( 1.0 - clamp( dot( normal, normalize( vViewPosition ) ), 0.0, 1.0 ), 2.0 );',
+            // world space lines, so they run straight through the whole fractal while it twists
+            '    float scan = 0.6 + 0.4 * step( 0.5, fract( vWorldPosition.y * lineDensity - time * 0.5 ) );',
+            '    float flicker = 0.9 + 0.1 * sin( time * 37.0 );',
+            '    float alpha = clamp( ( 0.25 + rim ) * scan * flicker, 0.0, 1.0 );',
+            '    gl_FragColor = vec4( mix( color, vec3( 1.0 ), rim * 0.5 ), alpha );',
+            '}'
+        ],
+        transparent: true,
+        depthWrite: false
+    }
+};
+var CUBE_SHADING_NAMES = ['phong'].concat(Object.keys(CUBE_SHADERS));
+
+var createCubeShaderMaterial = (name, color) => {
+    var definition = CUBE_SHADERS[name];
+    var uniforms = THREE.UniformsUtils.merge([{ color: { value: new THREE.Color() } }, definition.uniforms]);
+    uniforms.color.value.copy(color);
+    // shared, animate() advances it once for all of them
+    uniforms.time = CUBE_SHADER_TIME;
+
+    var material = new THREE.ShaderMaterial({
+        uniforms,
+        vertexShader: cubeShaderVertexShader,
+        fragmentShader: cubeShaderFragmentPars + '\n' + definition.fragmentShader.join('\n'),
+        transparent: definition.transparent === true,
+        depthWrite: definition.depthWrite !== false
+    });
+    material.name = name;
+    material.userData = JSON.parse(JSON.stringify(cubeMaterial.userData));
+    return material;
+};
+
+// Palettes give the cubes materials by fractal level (`by: 'depth'`, materials[level] with 0 for the
+// root cube, deeper levels reuse the last entry) or by the direction a sub cube sticks out from its
+// parent (`by: 'axis'`, materials['+x'], ..., materials.root). Entries are MeshPhongMaterial
+// parameters on top of cubeMaterial, so palettes can come from JSON with colors as '#rrggbb'.
+// The procedural shadings only take the entry's color.
+var CUBE_PALETTES = {
+    monochrome: {
+        by: 'depth',
+        materials: [{}]
+    },
+    rainbow: {
+        by: 'depth',
+        materials: [
+            { color: 0xff4040 },
+            { color: 0xff9f40 },
+            { color: 0xffef40 },
+            { color: 0x40ff60 },
+            { color: 0x40a0ff },
+            { color: 0x6040ff },
+            { color: 0xc040ff }
+        ]
+    },
+    rgb: {
+        by: 'axis',
+        materials: {
+            root: {},
+            '+x': { color: 0xff4040 },
+            '-x': { color: 0x992626 },
+            '+y': { color: 0x40ff40 },
+            '-y': { color: 0x269926 },
+            '+z': { color: 0x4040ff },
+            '-z': { color: 0x262699 }
+        }
+    },
+    pastel: {
+        by: 'depth',
+        materials: [
+            { color: 0xffd1dc, specular: 0x666666 },
+            { color: 0xaec6cf, specular: 0x666666 },
+            { color: 0xfdfd96, specular: 0x666666 },
+            { color: 0x77dd77, specular: 0x666666 },
+            { color: 0xb39eb5, specular: 0x666666 },
+            { color: 0xffb347, specular: 0x666666 },
+            { color: 0xcfcfc4, specular: 0x666666 }
+        ]
+    }
+};
+
+// cubePalette.set(name) switches palettes, define(name, palette) adds one (an object or JSON)
+// and load(url) fetches a JSON palette and switches to it. setShading(name) picks between
+// cubeMaterial's phong and the CUBE_SHADERS.
+var cubePalette = {
+    name: null,
+    shading: 'phong',
+    // created for the current palette, disposed when it gets replaced
+    materials: [],
+
+    define(name, palette) {
+        if (typeof palette === 'string') {
+            palette = JSON.parse(palette);
+        }
+        if (palette.by !== 'depth' && palette.by !== 'axis') {
+            throw new Error('Palette "' + name + '" needs by: "depth" or by: "axis"');
+        }
+        if (palette.by === 'depth' && !Array.isArray(palette.materials)) {
+            throw new Error('Palette "' + name + '" needs materials: [...], one per depth');
+        }
+        var isPlainObject = palette.materials !== null && typeof palette.materials === 'object' && !Array.isArray(palette.materials);
+        if (palette.by === 'axis' && !isPlainObject) {
+            throw new Error('Palette "' + name + '" needs materials: { root, "+x", ... }, one per axis');
+        }
+        CUBE_PALETTES[name] = palette;
+    },
+    entryFor(palette, cube) {
+        var entry;
+        if (palette.by === 'depth') {
+            entry = palette.materials[Math.min(cube.FRACTAL_LEVEL, palette.materials.length - 1)];
+        } else {
+            entry = palette.materials[cube.FRACTAL_AXIS || 'root'];
+        }
+        return entry || {};
+    },
+    set(name) {
+        var palette = CUBE_PALETTES[name];
+        if (!palette) {
+            console.warn('Unknown palette "' + name + '"');
+            return;
+        }
+
+        // one material per entry, and one more for the instanced meshes that use it
+        var created = new Map();
+        var materialFor = (entry, instanced) => {
+            if (!created.has(entry)) {
+                created.set(entry, {});
+            }
+            var materials = created.get(entry);
+            var key = instanced ? 'instanced' : 'mesh';
+            if (!materials[key]) {
+                if (this.shading === 'phong') {
+                    materials[key] = (instanced ? instancedCubeMaterial : cubeMaterial).clone();
+                    materials[key].setValues(entry);
+                } else {
+                    var color = entry.color !== undefined ? new THREE.Color(entry.color) : cubeMaterial.color;
+                    materials[key] = createCubeShaderMaterial(this.shading, color);
+                }
+                if (instanced) {
+                    materials[key].onBeforeCompile = applyInstanceMatrix;
+                }
+                // replaced on the next switch, the OutlineEffect may drop their outlines once unused
+                materials[key].userData.outlineParameters.keepAlive = false;
+            }
+            return materials[key];
+        };
+
+        rootCube.material = materialFor(this.entryFor(palette, rootCube), false);
+        ALL_SUB_CUBES.forEach(subCube => subCube.material = materialFor(this.entryFor(palette, subCube), false));
+        instancedLevels.forEach(({ mesh }) => mesh.material = materialFor(this.entryFor(palette, mesh), true));
+
+        this.materials.forEach(material => material.dispose());
+        this.materials = [];
+        created.forEach(materials => Object.keys(materials).forEach(key => this.materials.push(materials[key])));
+        this.name = name;
+    },
+    cycle() {
+        var names = Object.keys(CUBE_PALETTES);
+        this.set(names[(names.indexOf(this.name) + 1) % names.length]);
+    },
+    setShading(name) {
+        if (CUBE_SHADING_NAMES.indexOf(name) === -1) {
+            console.warn('Unknown cube shading "' + name + '"');
+            return;
+        }
+        this.shading = name;
+        this.set(this.name);
+    },
+    cycleShading() {
+        this.setShading(CUBE_SHADING_NAMES[(CUBE_SHADING_NAMES.indexOf(this.shading) + 1) % CUBE_SHADING_NAMES.length]);
+    },
+    load(url) {
+        return fetch(url)
+            .then(response => {
+                if (!response.ok) {
+                    throw new Error(response.status + ' ' + response.statusText);
+                }
+                return response.text();
+            })
+            .then(text => {
+                var palette = JSON.parse(text);
+                var name = palette.name || url;
+                this.define(name, palette);
+                this.set(name);
+            })
+            .catch(e => console.warn('Could not load the palette from ' + url + ':', e));
+    }
+};
+
+{ // SETUP PALETTE
+    // ?shading=phong|iridescent|wireframeGlow|triplanarChecker|hologram
+    if (QUERY.get('shading') !== null) {
+        cubePalette.shading = CUBE_SHADING_NAMES.indexOf(QUERY.get('shading')) !== -1 ? QUERY.get('shading') : 'phong';
+    }
+
+    // ?palette=monochrome|rainbow|rgb|pastel, or the URL of a JSON palette
+    var paletteSetting = QUERY.get('palette') || 'monochrome';
+    if (CUBE_PALETTES.hasOwnProperty(paletteSetting)) {
+        cubePalette.set(paletteSetting);
+    } else {
+        cubePalette.set('monochrome');
+        cubePalette.load(paletteSetting);
     }
+
+    inputBindings.onAction('cycle-palette', () => cubePalette.cycle());
+    inputBindings.onAction('cycle-cube-shading', () => cubePalette.cycleShading());
 }
 
-var cubeMaterial = new THREE.MeshPhongMaterial({
-    color: 0x888888,
-    shininess: 3,
-    specular: 0xbbbbbb,
-    emissive: 0x080808,
-    opacity: 1,
-    transparent: true
-});
+// Drag with one finger or the mouse to spin the root cube like a trackball, it keeps
+// spinning for a bit after letting go. Pinching with two fingers twists the sub cubes.
+var pointerControls = {
+    // radians per pixel of drag, dragging across the whole canvas height is half a turn
+    rotateSpeed: () => Math.PI / (canvas.clientHeight || window.innerHeight),
+    // radians per pixel the fingers move apart
+    pinchTwistSpeed: 0.01,
+    // per second, higher stops the inertia sooner
+    inertiaDamping: 3,
+    // release without moving for this long and the cube stays put
+    inertiaReleaseDelay: 100,
+    pointers: {},
+    angularVelocity: new THREE.Vector3(),
+    lastMoveTime: 0,
+
+    pointerCount() {
+        return Object.keys(this.pointers).length;
+    },
+    pinchDistance() {
+        var [a, b] = Object.keys(this.pointers).map(id => this.pointers[id]);
+        return Math.hypot(a.x - b.x, a.y - b.y);
+    },
+    // rotation is a vector along the world axis with the angle as its length
+    rotateRootCube(rotation) {
+        var angle = rotation.length();
+        if (angle === 0) {
+            return;
+        }
+        rootCube.quaternion.premultiply(
+            new THREE.Quaternion().setFromAxisAngle(rotation.clone().divideScalar(angle), angle)
+        );
+    },
+    onPointerDown(e) {
+        canvas.setPointerCapture(e.pointerId);
+        this.pointers[e.pointerId] = { x: e.clientX, y: e.clientY };
+        this.angularVelocity.set(0, 0, 0);
+        this.lastMoveTime = e.timeStamp;
+    },
+    onPointerMove(e) {
+        var pointer = this.pointers[e.pointerId];
+        if (!pointer) {
+            return;
+        }
 
-cubeMaterial.userData.outlineParameters = {
+        if (this.pointerCount() === 2) {
+            var lastDistance = this.pinchDistance();
+            pointer.x = e.clientX;
+            pointer.y = e.clientY;
+            twistSubCubes((this.pinchDistance() - lastDistance) * this.pinchTwistSpeed);
+            return;
+        }
+
+        var dx = e.clientX - pointer.x;
+        var dy = e.clientY - pointer.y;
+        pointer.x = e.clientX;
+        pointer.y = e.clientY;
+
+        // in camera space the drag runs along (dx, -dy, 0), the axis is perpendicular to it and the view direction
+        var rotation = new THREE.Vector3(dy, dx, 0)
+            .multiplyScalar(this.rotateSpeed())
+            .applyQuaternion(camera.quaternion);
+        this.rotateRootCube(rotation);
+
+        var seconds = Math.max(e.timeStamp - this.lastMoveTime, 1) / 1000;
+        this.angularVelocity.lerp(rotation.divideScalar(seconds), 0.5);
+        this.lastMoveTime = e.timeStamp;
+    },
+    onPointerUp(e) {
+        delete this.pointers[e.pointerId];
+
+        if (this.pointerCount() !== 0 || e.timeStamp - this.lastMoveTime > this.inertiaReleaseDelay) {
+            this.angularVelocity.set(0, 0, 0);
+        }
+    },
+    update(delta) {
+        if (this.pointerCount() !== 0 || delta === 0) {
+            return;
+        }
+        this.rotateRootCube(this.angularVelocity.clone().multiplyScalar(delta));
+        this.angularVelocity.multiplyScalar(Math.exp(-this.inertiaDamping * delta));
+    }
+};
+
+canvas.addEventListener('pointerdown', e => pointerControls.onPointerDown(e));
+canvas.addEventListener('pointermove', e => pointerControls.onPointerMove(e));
+canvas.addEventListener('pointerup', e => pointerControls.onPointerUp(e));
+canvas.addEventListener('pointercancel', e => pointerControls.onPointerUp(e));
+
+// Backdrops for the fractal. Each builder returns { object, update(delta), dispose() } with
+// update and dispose optional; geometries and materials under object get disposed on their own.
+// None of them casts shadows (the lights sit inside some) or gets outlined.
+var HIDDEN_OUTLINE = {
     thickness: 0.00,
     color: [ 0, 0, 0 ],
     alpha: 0.8,
     visible: false,
-    keepAlive: true
+    keepAlive: false // rebuilt on every switch, so stale cache entries can go
 };
 
-const CUBE_WIDTH = 3;
+var withoutOutline = material => {
+    material.userData.outlineParameters = Object.assign({}, HIDDEN_OUTLINE);
+    return material;
+};
 
-var rootCube = new THREE.Mesh(
-    new THREE.BoxGeometry(CUBE_WIDTH, CUBE_WIDTH, CUBE_WIDTH),
-    cubeMaterial
-);
-rootCube.castShadow = true;
-rootCube.receiveShadow = true;
+// camera.up is +x, so "down" on screen is -x and a floor faces +x
+var FLOOR_POSITION = new THREE.Vector3(-8, 0, 0);
+var placeOnFloor = mesh => {
+    mesh.position.copy(FLOOR_POSITION);
+    mesh.setRotationFromAxisAngle(new THREE.Vector3(0, 1, 0), Math.PI / 2);
+    return mesh;
+};
 
+var createShadowCatcher = (width, height) => {
+    var shadowMat = withoutOutline(new THREE.ShadowMaterial());
+    shadowMat.opacity = .3;
+    var plane = new THREE.Mesh(new THREE.PlaneBufferGeometry(width, height, 2, 2), shadowMat);
+    plane.receiveShadow = true;
+    return plane;
+};
 
-var ALL_SUB_CUBES = [];
-{ // SETUP SUB CUBES AND ATTACH TO ROOT CUBE
-    var subCubes = [];
-    var buildSubCube = (attachmentPoint, edgeLength, differential, aggregator, originalOffset) => {
-        var subGeo = new THREE.BoxGeometry(edgeLength, edgeLength, edgeLength);
-        var subCube = new THREE.Mesh(subGeo, cubeMaterial);
-        subCube.ORIGINAL_OFFSET = originalOffset;
-        subCube.castShadow = true;
-        subCube.receiveShadow = true;
-        differential(subCube.position);
-        subCube.ORIGINAL_POSITION = new THREE.Vector3();
-        differential(subCube.ORIGINAL_POSITION);
-        attachmentPoint.add(subCube);
-        ALL_SUB_CUBES.push(subCube);
-        aggregator.push(subCube);
-    };
+var ENVIRONMENTS = {
+    // invisible apart from the shadows falling on it
+    shadowCatcher() {
+        var plane = createShadowCatcher(10000, 10000);
+        plane.position.z = -10;
+        plane.position.y = -15;
+        return { object: plane };
+    },
+
+    // mirrors the scene as seen from the camera, with the shadows on top
+    reflectiveFloor() {
+        var REFLECTION_SCALE = 0.5;
+        var group = new THREE.Group();
+
+        var reflectionTarget = new THREE.WebGLRenderTarget(1, 1, {
+            minFilter: THREE.LinearFilter,
+            magFilter: THREE.LinearFilter,
+            format: THREE.RGBAFormat
+        });
+        var textureMatrix = new THREE.Matrix4();
+
+        var mirror = placeOnFloor(new THREE.Mesh(
+            new THREE.PlaneBufferGeometry(60, 60),
+            withoutOutline(new THREE.ShaderMaterial({
+                uniforms: {
+                    tReflection: { value: reflectionTarget.texture },
+                    textureMatrix: { value: textureMatrix },
+                    color: { value: new THREE.Color(0x223344) },
+                    reflectivity: { value: 0.6 }
+                },
+                vertexShader: [
+                    'uniform mat4 textureMatrix;',
+                    'varying vec4 vReflectionUv;',
+                    'void main() {',
+                    '    vReflectionUv = textureMatrix * vec4( position, 1.0 );',
+                    '    gl_Position = projectionMatrix * modelViewMatrix * vec4( position, 1.0 );',
+                    '}'
+                ].join('\n'),
+                fragmentShader: [
+                    'uniform sampler2D tReflection;',
+                    'uniform vec3 color;',
+                    'uniform float reflectivity;',
+                    'varying vec4 vReflectionUv;',
+                    'void main() {',
+                    '    vec4 reflection = texture2DProj( tReflection, vReflectionUv );',
+                    '    gl_FragColor = vec4( mix( color, reflection.rgb, reflectivity * reflection.a ), 1.0 );',
+                    '}'
+                ].join('\n')
+            }))
+        ));
+        group.add(mirror);
+
+        // slightly above the mirror, so the shadows land on top of the reflection
+        var shadows = placeOnFloor(createShadowCatcher(60, 60));
+        shadows.position.x += 0.01;
+        group.add(shadows);
+
+        var virtualCamera = new THREE.PerspectiveCamera();
+        var mirrorPosition = new THREE.Vector3();
+        var normal = new THREE.Vector3();
+        var cameraPosition = new THREE.Vector3();
+        var rotation = new THREE.Matrix4();
+        var lookAtPosition = new THREE.Vector3();
+        var view = new THREE.Vector3();
+        var target = new THREE.Vector3();
+
+        // the camera mirrored below the floor renders into reflectionTarget, textureMatrix
+        // maps the floor onto that image. Nothing reaches below the floor, so no clip plane.
+        var renderReflection = () => {
+            mirror.updateMatrixWorld();
+            camera.updateMatrixWorld();
+
+            mirrorPosition.setFromMatrixPosition(mirror.matrixWorld);
+            cameraPosition.setFromMatrixPosition(camera.matrixWorld);
+            rotation.extractRotation(mirror.matrixWorld);
+            normal.set(0, 0, 1).applyMatrix4(rotation);
+
+            view.subVectors(mirrorPosition, cameraPosition);
+            if (view.dot(normal) > 0) {
+                return;
+            }
+            view.reflect(normal).negate().add(mirrorPosition);
+
+            rotation.extractRotation(camera.matrixWorld);
+            lookAtPosition.set(0, 0, -1).applyMatrix4(rotation).add(cameraPosition);
+            target.subVectors(mirrorPosition, lookAtPosition).reflect(normal).negate().add(mirrorPosition);
+
+            virtualCamera.position.copy(view);
+            virtualCamera.up.set(0, 1, 0).applyMatrix4(rotation).reflect(normal);
+            virtualCamera.lookAt(target);
+            virtualCamera.far = camera.far;
+            virtualCamera.updateMatrixWorld();
+            virtualCamera.projectionMatrix.copy(camera.projectionMatrix);
+
+            textureMatrix.set(
+                0.5, 0.0, 0.0, 0.5,
+                0.0, 0.5, 0.0, 0.5,
+                0.0, 0.0, 0.5, 0.5,
+                0.0, 0.0, 0.0, 1.0
+            );
+            textureMatrix.multiply(virtualCamera.projectionMatrix);
+            textureMatrix.multiply(virtualCamera.matrixWorldInverse);
+            textureMatrix.multiply(mirror.matrixWorld);
+
+            var size = renderer.getDrawingBufferSize();
+            var width = Math.max(1, Math.floor(size.width * REFLECTION_SCALE));
+            var height = Math.max(1, Math.floor(size.height * REFLECTION_SCALE));
+            if (reflectionTarget.width !== width || reflectionTarget.height !== height) {
+                reflectionTarget.setSize(width, height);
+            }
+
+            var currentRenderTarget = renderer.getRenderTarget();
+            var currentShadowAutoUpdate = renderer.shadowMap.autoUpdate;
+
+            // the shadow maps from the last frame are good enough for a reflection
+            group.visible = false;
+            renderer.shadowMap.autoUpdate = false;
+            renderer.setRenderTarget(reflectionTarget);
+            renderer.clear();
+            renderer.render(scene, virtualCamera);
+
+            renderer.setRenderTarget(currentRenderTarget);
+            renderer.shadowMap.autoUpdate = currentShadowAutoUpdate;
+            group.visible = true;
+        };
+
+        return {
+            object: group,
+            update: renderReflection,
+            dispose: () => reflectionTarget.dispose()
+        };
+    },
+
+    // a sphere around everything, seen from the inside
+    firmament() {
+        var galacticFirmamentMat = withoutOutline(new THREE.MeshPhongMaterial(
+            { color: 0xaaaaff, shininess: 20 }
+        ));
+        galacticFirmamentMat.side = THREE.BackSide;
+        var firmament = new THREE.Mesh(new THREE.SphereBufferGeometry(20, 80, 80), galacticFirmamentMat);
+
+        // the lights orbit inside it, casting would put everything in its shadow
+        firmament.castShadow = false;
+        firmament.receiveShadow = true;
+        return { object: firmament };
+    },
+
+    // far away points drifting about the screen's vertical
+    starfield() {
+        var STAR_COUNT = 2000;
+        var positions = new Float32Array(STAR_COUNT * 3);
+        var star = new THREE.Vector3();
+        for (var i = 0; i < STAR_COUNT; i++) {
+            star.set(Math.random() - 0.5, Math.random() - 0.5, Math.random() - 0.5)
+                .normalize()
+                .multiplyScalar(200 + Math.random() * 200)
+                .toArray(positions, i * 3);
+        }
 
-    let subCubeWidth = CUBE_WIDTH / 3;
-    let subCubeOffset = CUBE_WIDTH / 2 + 3 * subCubeWidth / 2;
+        var geometry = new THREE.BufferGeometry();
+        geometry.addAttribute('position', new THREE.BufferAttribute(positions, 3));
+        var stars = new THREE.Points(geometry, withoutOutline(new THREE.PointsMaterial({
+            color: 0xffffff,
+            size: 2,
+            sizeAttenuation: false
+        })));
+
+        // radians per second
+        var STARFIELD_SPEED = 0.01;
+        return {
+            object: stars,
+            update: delta => stars.rotation.x += STARFIELD_SPEED * delta
+        };
+    },
+
+    // sky colors fading from the top of the screen to the bottom, with shadows on the floor
+    gradientSky() {
+        var group = new THREE.Group();
+
+        var sky = new THREE.Mesh(
+            new THREE.SphereBufferGeometry(500, 32, 16),
+            withoutOutline(new THREE.ShaderMaterial({
+                uniforms: {
+                    topColor: { value: new THREE.Color(0x0077ff) },
+                    bottomColor: { value: new THREE.Color(0xffffff) },
+                    upDirection: { value: camera.up.clone().normalize() },
+                    exponent: { value: 0.6 }
+                },
+                vertexShader: [
+                    'varying vec3 vWorldDirection;',
+                    'void main() {',
+                    '    vWorldDirection = ( modelMatrix * vec4( position, 0.0 ) ).xyz;',
+                    '    gl_Position = projectionMatrix * modelViewMatrix * vec4( position, 1.0 );',
+                    '}'
+                ].join('\n'),
+                fragmentShader: [
+                    'uniform vec3 topColor;',
+                    'uniform vec3 bottomColor;',
+                    'uniform vec3 upDirection;',
+                    'uniform float exponent;',
+                    'varying vec3 vWorldDirection;',
+                    'void main() {',
+                    '    float height = dot( normalize( vWorldDirection ), upDirection ) * 0.5 + 0.5;',
+                    '    gl_FragColor = vec4( mix( bottomColor, topColor, pow( max( height, 0.0 ), exponent ) ), 1.0 );',
+                    '}'
+                ].join('\n'),
+                side: THREE.BackSide,
+                depthWrite: false
+            }))
+        );
+        group.add(sky);
+        group.add(placeOnFloor(createShadowCatcher(10000, 10000)));
 
-    buildSubCube(rootCube, subCubeWidth, sc => sc.x = subCubeOffset, subCubes, subCubeOffset);
-    buildSubCube(rootCube, subCubeWidth, sc => sc.x = -subCubeOffset, subCubes, subCubeOffset);
+        return { object: group };
+    }
+};
 
-    buildSubCube(rootCube, subCubeWidth, sc => sc.y = subCubeOffset, subCubes, subCubeOffset);
-    buildSubCube(rootCube, subCubeWidth, sc => sc.y = -subCubeOffset, subCubes, subCubeOffset);
+// environment.set(name) switches backdrops, cycle() goes to the next one
+var environment = {
+    name: null,
+    current: null,
 
-    buildSubCube(rootCube, subCubeWidth, sc => sc.z = subCubeOffset, subCubes, subCubeOffset);
-    buildSubCube(rootCube, subCubeWidth, sc => sc.z = -subCubeOffset, subCubes, subCubeOffset);
+    set(name) {
+        if (!ENVIRONMENTS.hasOwnProperty(name)) {
+            console.warn('Unknown environment "' + name + '"');
+            return;
+        }
 
-    let lastCubeWidth = subCubeWidth;
-    subCubeWidth = lastCubeWidth / 3;
-    subCubeOffset = lastCubeWidth / 2 + 3 * subCubeWidth / 2;
+        this.clear();
+        this.current = ENVIRONMENTS[name]();
+        this.name = name;
+        scene.add(this.current.object);
+    },
+    clear() {
+        if (!this.current) {
+            return;
+        }
 
-    var subsubCubes = [];
-    subCubes.map(sc => {
-        buildSubCube(sc, subCubeWidth, ssc => ssc.x = subCubeOffset, subsubCubes, subCubeOffset);
-        buildSubCube(sc, subCubeWidth, ssc => ssc.x = -subCubeOffset, subsubCubes, subCubeOffset);
+        scene.remove(this.current.object);
+        this.current.object.traverse(object => {
+            if (object.geometry) {
+                object.geometry.dispose();
+            }
+            if (object.material) {
+                [].concat(object.material).forEach(material => material.dispose());
+            }
+        });
+        if (this.current.dispose) {
+            this.current.dispose();
+        }
+        this.current = null;
+        this.name = null;
+    },
+    cycle() {
+        var names = Object.keys(ENVIRONMENTS);
+        this.set(names[(names.indexOf(this.name) + 1) % names.length]);
+    },
+    // before rendering, after everything else moved
+    update(delta) {
+        if (this.current && this.current.update) {
+            this.current.update(delta);
+        }
+    }
+};
 
-        buildSubCube(sc, subCubeWidth, ssc => ssc.y = subCubeOffset, subsubCubes, subCubeOffset);
-        buildSubCube(sc, subCubeWidth, ssc => ssc.y = -subCubeOffset, subsubCubes, subCubeOffset);
+{ // SETUP ENVIRONMENT
+    // ?environment=shadowCatcher|reflectiveFloor|firmament|starfield|gradientSky
+    var environmentSetting = QUERY.get('environment') || 'shadowCatcher';
+    environment.set(ENVIRONMENTS.hasOwnProperty(environmentSetting) ? environmentSetting : 'shadowCatcher');
 
-        buildSubCube(sc, subCubeWidth, ssc => ssc.z = subCubeOffset, subsubCubes, subCubeOffset);
-        buildSubCube(sc, subCubeWidth, ssc => ssc.z = -subCubeOffset, subsubCubes, subCubeOffset);
-    });
-    lastCubeWidth = subCubeWidth;
-    subCubeWidth = lastCubeWidth / 3;
-    subCubeOffset = lastCubeWidth / 2 + 3 * subCubeWidth / 2;
-    subsubCubes.map(ssc => {
-        buildSubCube(ssc, subCubeWidth, sssc => sssc.x = subCubeOffset, [], subCubeOffset);
-        buildSubCube(ssc, subCubeWidth, sssc => sssc.x = -subCubeOffset, [], subCubeOffset);
-
-        buildSubCube(ssc, subCubeWidth, sssc => sssc.y = subCubeOffset, [], subCubeOffset);
-        buildSubCube(ssc, subCubeWidth, sssc => sssc.y = -subCubeOffset, [], subCubeOffset);
-
-        buildSubCube(ssc, subCubeWidth, sssc => sssc.z = subCubeOffset, [], subCubeOffset);
-        buildSubCube(ssc, subCubeWidth, sssc => sssc.z = -subCubeOffset, [], subCubeOffset);
-    })
+    inputBindings.onAction('cycle-environment', () => environment.cycle());
 }
-scene.add(rootCube);
 
-{// ADD FLOOR (actually a globe heh)
+// Shadow settings by name. castLevels is the deepest fractal level (0 is the root cube)
+// whose cubes cast shadows, every cube receives them while shadows are on. mapSize, near
+// and far apply to every light casting shadows, unless its rig entry sets its own: shadow.mapSize
+// caps the preset's, shadow.near and shadow.far replace the preset's.
+var SHADOW_PRESETS = {
+    off: { enabled: false },
+    low: { enabled: true, mapSize: 256, type: THREE.BasicShadowMap, castLevels: 1, near: 1, far: 30 },
+    medium: { enabled: true, mapSize: 512, type: THREE.PCFShadowMap, castLevels: 2, near: 1, far: 30 },
+    high: { enabled: true, mapSize: 1024, type: THREE.PCFSoftShadowMap, castLevels: Infinity, near: 0.5, far: 500 },
+    ultra: { enabled: true, mapSize: 2048, type: THREE.PCFSoftShadowMap, castLevels: Infinity, near: 0.5, far: 30 }
+};
+var SHADOW_PRESET_NAMES = ['off', 'low', 'medium', 'high', 'ultra'];
+
+// shadowQuality.setPreset(name) switches presets. In auto mode it steps down one preset
+// whenever most frames of a sampling window take longer than frameBudget, preset tells
+// where it ended up.
+var shadowQuality = {
+    preset: null,
+    auto: false,
+    // milliseconds
+    frameBudget: 1000 / 45,
+    sampleFrames: 60,
+    sampledFrames: 0,
+    slowFrames: 0,
+
+    setPreset(name) {
+        if (!SHADOW_PRESETS.hasOwnProperty(name)) {
+            console.warn('Unknown shadow preset "' + name + '"');
+            return;
+        }
 
-    // ADD SHADOW NET
-    var shadowMat = new THREE.ShadowMaterial();
-    shadowMat.userData.outlineParameters = {
-        thickness: 0.00,
-        color: [ 0, 0, 0 ],
-        alpha: 0.8,
-        visible: false,
-        keepAlive: true
-    };
-    shadowMat.opacity = .3;
-    // var shadowMat = new THREE.MeshPhongMaterial();
-    var shadowGeom = new THREE.PlaneBufferGeometry(10000, 10000, 2, 2);
-    var plane = new THREE.Mesh(shadowGeom, shadowMat);
-    plane.position.z = -10;
-    plane.position.y = -15;
-    plane.receiveShadow = true;
-    // plane.lookAt(camera.position);
-    scene.add(plane);
-
-    // var galacticFloorGeom = new THREE.PlaneBufferGeometry(10000, 10000, 2, 2);
-    // var galacticFloorMat = new THREE.MeshPhongMaterial(
-    //     { color: 0xaaaaff, shininess: 20 }
-    // );
-    // var plane = new THREE.Mesh(galacticFloorGeom, galacticFloorMat);
-    // plane.position.x = -8;
-    // plane.setRotationFromAxisAngle(new THREE.Vector3(0, 1, 0), Math.PI / 2);
-    //
-    // plane.receiveShadow = true;
-    // // scene.add(plane);
-    //
-    // var galacticFirmamentGeom = new THREE.SphereBufferGeometry(20, 80, 80);
-    // var galacticFirmamentMat = new THREE.MeshPhongMaterial(
-    //     { color: 0xaaaaff, shininess: 20 }
-    // );
-    // galacticFirmamentMat.side = THREE.BackSide;
-    // var firmament = new THREE.Mesh(galacticFirmamentGeom, galacticFirmamentMat);
-    //
-    // firmament.receiveShadow = true;
-    // // scene.add(firmament);
-}
+        var settings = SHADOW_PRESETS[name];
+        var typeChanged = settings.enabled !== renderer.shadowMap.enabled ||
+            (settings.enabled && settings.type !== renderer.shadowMap.type);
+
+        this.preset = name;
+        renderer.shadowMap.enabled = settings.enabled;
+        if (settings.enabled) {
+            renderer.shadowMap.type = settings.type;
+        }
+
+        scene.traverse(object => {
+            if (object.FRACTAL_LEVEL !== undefined) {
+                object.castShadow = settings.enabled && object.FRACTAL_LEVEL <= settings.castLevels;
+                object.receiveShadow = settings.enabled;
+            }
+        });
+        lightRig.lights.forEach(light => this.applyToLight(light));
+
+        // the shadow map type is compiled into the lit materials
+        if (typeChanged) {
+            scene.traverse(object => {
+                if (object.material) {
+                    [].concat(object.material).forEach(material => material.needsUpdate = true);
+                }
+            });
+        }
+
+        this.sampledFrames = 0;
+        this.slowFrames = 0;
+    },
+    applyToLight(light) {
+        if (this.preset === null) {
+            return;
+        }
+
+        var settings = SHADOW_PRESETS[this.preset];
+        var pointLight = light.children[0];
+
+        pointLight.castShadow = settings.enabled && light.CAST_SHADOW;
+        if (!settings.enabled) {
+            return;
+        }
+
+        var own = light.SHADOW;
+        var mapSize = own.mapSize !== undefined ? Math.min(own.mapSize, settings.mapSize) : settings.mapSize;
+
+        var shadow = pointLight.shadow;
+        if (shadow.mapSize.width !== mapSize && shadow.map) {
+            // recreated at the new size on the next render
+            shadow.map.dispose();
+            shadow.map = null;
+        }
+        shadow.mapSize.set(mapSize, mapSize);
+        shadow.camera.near = own.near !== undefined ? own.near : settings.near;
+        shadow.camera.far = own.far !== undefined ? own.far : settings.far;
+        shadow.camera.updateProjectionMatrix();
+    },
+    // off -> low -> ... -> ultra -> off, leaves auto mode
+    cyclePreset() {
+        this.auto = false;
+        this.setPreset(SHADOW_PRESET_NAMES[(SHADOW_PRESET_NAMES.indexOf(this.preset) + 1) % SHADOW_PRESET_NAMES.length]);
+    },
+    setAuto(enabled) {
+        this.auto = enabled;
+        this.sampledFrames = 0;
+        this.slowFrames = 0;
+    },
+    // frameTime in milliseconds, once per frame
+    update(frameTime) {
+        if (!this.auto) {
+            return;
+        }
+
+        this.sampledFrames++;
+        if (frameTime > this.frameBudget) {
+            this.slowFrames++;
+        }
+        if (this.sampledFrames < this.sampleFrames) {
+            return;
+        }
+
+        // a single hitch (like coming back from another tab) doesn't count, a slow stretch does
+        var tooSlow = this.slowFrames > this.sampleFrames / 2;
+        var index = SHADOW_PRESET_NAMES.indexOf(this.preset);
+        if (tooSlow && index > 0) {
+            this.setPreset(SHADOW_PRESET_NAMES[index - 1]);
+        }
+
+        this.sampledFrames = 0;
+        this.slowFrames = 0;
+    }
+};
+
+var LIGHT_ORBIT_AXIS = new THREE.Vector3(0, 1, 1).normalize();
+// radians per second, the SQRT2 keeps the speed the unnormalized axis used to produce
+var LIGHT_ORBIT_SPEED = Math.SQRT2 * Math.PI / 2400 * 60;
+
+// Path types for LIGHT_RIG entries. Each gets the entry's `path` settings and its start position
+// and returns a function writing the position at a path angle, one loop per 2 PI radians.
+var LIGHT_PATHS = {
+    // circles the start position about `axis` through the origin
+    orbit(path, start) {
+        var axis = Object.assign(new THREE.Vector3(), path.axis || LIGHT_ORBIT_AXIS).normalize();
+        var startPosition = Object.assign(new THREE.Vector3(), start);
+        var quaternion = new THREE.Quaternion();
+        return (angle, target) => target.copy(startPosition).applyQuaternion(quaternion.setFromAxisAngle(axis, angle));
+    },
+    // sine per axis, `frequency` sets how many times each one swings per loop
+    lissajous(path) {
+        var center = Object.assign(new THREE.Vector3(), path.center);
+        var amplitude = Object.assign(new THREE.Vector3(6, 6, 6), path.amplitude);
+        var frequency = Object.assign(new THREE.Vector3(3, 2, 1), path.frequency);
+        return (angle, target) => target.set(
+            amplitude.x * Math.sin(frequency.x * angle + Math.PI / 2),
+            amplitude.y * Math.sin(frequency.y * angle),
+            amplitude.z * Math.sin(frequency.z * angle)
+        ).add(center);
+    },
+    // lemniscate of Gerono in the plane facing `axis`, its two lobes pulled `depth` apart
+    // along the axis so the crossing doesn't run through the center
+    figureEight(path) {
+        var center = Object.assign(new THREE.Vector3(), path.center);
+        var radius = path.radius !== undefined ? path.radius : 6;
+        var depth = path.depth !== undefined ? path.depth : 4;
+        var normal = Object.assign(new THREE.Vector3(0, 0, 1), path.axis).normalize();
+        var orientation = new THREE.Quaternion().setFromUnitVectors(new THREE.Vector3(0, 0, 1), normal);
+        return (angle, target) => target.set(
+            radius * Math.sin(angle),
+            radius * Math.sin(angle) * Math.cos(angle),
+            depth * Math.cos(angle)
+        ).applyQuaternion(orientation).add(center);
+    },
+    // smooth curve through `points`, closed unless `closed: false` (then it jumps back to the start)
+    spline(path) {
+        var points = path.points.map(point => Object.assign(new THREE.Vector3(), point));
+        var curve = new THREE.CatmullRomCurve3(points, path.closed !== false);
+        return (angle, target) => {
+            var u = (angle / (2 * Math.PI)) % 1;
+            return curve.getPointAt(u < 0 ? u + 1 : u, target);
+        };
+    }
+};
+
+// what a LIGHT_RIG entry gets for everything it leaves out
+var LIGHT_DEFAULTS = {
+    color: 0xffffff,
+    position: { x: 5 },
+    path: { type: 'orbit' },
+    // radians along the path at the start, and per second
+    phase: 0,
+    speed: LIGHT_ORBIT_SPEED,
+    intensity: 2,
+    distance: 26,
+    // mapSize, near and far come from the shadow preset unless an entry sets them
+    shadow: {
+        castShadow: true
+    }
+};
+
+// One entry per moving point light, `path` picks one of LIGHT_PATHS with its settings.
+// A light toggles with its `key` (KeyboardEvent.code values) or else with the next free
+// digit key, through the action 'toggle-<name>-light'.
+var LIGHT_RIG = [
+    {
+        name: 'red', color: 0xff0000, surfColor: 0xff4444, key: 'KeyR',
+        position: { x: 5 },
+        path: { type: 'orbit', axis: { x: 0, y: 1, z: 1 } }
+    },
+    {
+        name: 'green', color: 0x00ff00, surfColor: 0x44ff44, key: 'KeyG',
+        path: { type: 'lissajous', amplitude: { x: 6, y: 5, z: 4 }, frequency: { x: 1, y: 2, z: 3 } },
+        speed: LIGHT_ORBIT_SPEED / 2
+    },
+    {
+        name: 'blue', color: 0x0000ff, surfColor: 0x4444ff, key: 'KeyB',
+        path: { type: 'figureEight', axis: { x: 1, y: 0, z: 1 }, radius: 6 },
+        phase: Math.PI / 2
+    }
+];
+
+// Builds the moving lights from a rig config; lightRig.build(config) swaps the whole rig,
+// add(), remove() and setPath() change single lights while running.
+var lightRig = {
+    lights: [],
+    // null, 'sprite' (a halo) or 'sphere' (a glowing ball) in each light's surfColor
+    markerStyle: null,
+    trailsEnabled: false,
+    // a trail keeps trailPoints positions, one every trailInterval seconds
+    trailPoints: 100,
+    trailInterval: 0.1,
+    haloTexture: null,
+
+    build(config) {
+        this.clear();
+        config.forEach(entry => this.add(entry));
+    },
+    add(entry) {
+        var settings = Object.assign({}, LIGHT_DEFAULTS, entry);
+        var shadow = Object.assign({}, LIGHT_DEFAULTS.shadow, entry.shadow);
+        var name = settings.name || 'light' + (this.lights.length + 1);
+
+        if (this.get(name)) {
+            console.warn('Replacing light "' + name + '"');
+            this.remove(name);
+        }
+
+        var particleLight = new THREE.Group();
+
+        var pointLight = new THREE.PointLight(settings.color, settings.intensity, settings.distance);
+        pointLight.castShadow = shadow.castShadow;
+
+        if (shadow.mapSize !== undefined) {
+            pointLight.shadow.mapSize.set(shadow.mapSize, shadow.mapSize);
+        }
+        if (shadow.near !== undefined) {
+            pointLight.shadow.camera.near = shadow.near;
+        }
+        if (shadow.far !== undefined) {
+            pointLight.shadow.camera.far = shadow.far;
+        }
+
+        particleLight.add(pointLight);
+
+        particleLight.LIGHT_NAME = name;
+        particleLight.SURF_COLOR = settings.surfColor !== undefined ? settings.surfColor : settings.color;
+        particleLight.START_POSITION = settings.position;
+        particleLight.CAST_SHADOW = shadow.castShadow;
+        particleLight.SHADOW = shadow;
+        particleLight.PATH_ANGLE = settings.phase;
+        particleLight.PATH_SPEED = settings.speed;
+        this.setPath(particleLight, settings.path);
+
+        scene.add(particleLight);
+        this.lights.push(particleLight);
+        shadowQuality.applyToLight(particleLight);
+
+        this.updateMarker(particleLight);
+        if (this.trailsEnabled) {
+            this.addTrail(particleLight);
+        }
+
+        var action = 'toggle-' + name + '-light';
+        if (!inputBindings.handlers[action]) {
+            inputBindings.define(action, settings.key || this.nextFreeKey());
+            inputBindings.onAction(action, () => {
+                var light = this.get(name);
+                if (light) {
+                    light.visible = !light.visible;
+                }
+            });
+        }
+
+        return particleLight;
+    },
+    get(name) {
+        return this.lights.find(light => light.LIGHT_NAME === name);
+    },
+    // light or light name; the light carries on from its current path angle
+    setPath(light, path) {
+        var name = light;
+        light = typeof light === 'string' ? this.get(light) : light;
+        if (!light) {
+            console.warn('Unknown light "' + name + '"');
+            return;
+        }
+
+        var problem = this.checkPath(path);
+        if (problem) {
+            // a light being added still needs a path, one already moving keeps its own
+            if (light.PATH) {
+                console.warn(problem + ', keeping the current one');
+                return;
+            }
+            console.warn(problem + ', using an orbit');
+            path = { type: 'orbit' };
+        }
+
+        light.PATH = LIGHT_PATHS[path.type](path, light.START_POSITION);
+        light.PATH(light.PATH_ANGLE, light.position);
+    },
+    // what is wrong with a path config, or null
+    checkPath(path) {
+        if (!path || !LIGHT_PATHS.hasOwnProperty(path.type)) {
+            return 'Unknown light path "' + (path && path.type) + '"';
+        }
+        if (path.type === 'spline' && (!Array.isArray(path.points) || path.points.length < 2)) {
+            return 'A spline light path needs at least two points';
+        }
+        return null;
+    },
+    remove(name) {
+        var light = this.get(name);
+        if (!light) {
+            return;
+        }
+
+        scene.remove(light);
+        this.lights.splice(this.lights.indexOf(light), 1);
+        this.removeMarker(light);
+        this.removeTrail(light);
+
+        var pointLight = light.children[0];
+        if (pointLight.shadow.map) {
+            pointLight.shadow.map.dispose();
+        }
+    },
+    clear() {
+        this.lights.slice().forEach(light => this.remove(light.LIGHT_NAME));
+    },
+    // Digit1 to Digit9, whichever is not bound yet
+    nextFreeKey() {
+        for (var i = 1; i <= 9; i++) {
+            if (inputBindings.actionsFor('Digit' + i).length === 0) {
+                return ['Digit' + i];
+            }
+        }
+        return [];
+    },
+    getHaloTexture() {
+        if (!this.haloTexture) {
+            var canvas = document.createElement('canvas');
+            canvas.width = canvas.height = 64;
+            var context = canvas.getContext('2d');
+            var gradient = context.createRadialGradient(32, 32, 0, 32, 32, 32);
+            gradient.addColorStop(0, 'rgba(255, 255, 255, 1)');
+            gradient.addColorStop(0.2, 'rgba(255, 255, 255, 0.7)');
+            gradient.addColorStop(1, 'rgba(255, 255, 255, 0)');
+            context.fillStyle = gradient;
+            context.fillRect(0, 0, 64, 64);
+            this.haloTexture = new THREE.CanvasTexture(canvas);
+        }
+        return this.haloTexture;
+    },
+    setMarkers(style) {
+        if ([null, 'sprite', 'sphere'].indexOf(style) === -1) {
+            console.warn('Unknown light marker "' + style + '"');
+            return;
+        }
+        this.markerStyle = style;
+        this.lights.forEach(light => this.updateMarker(light));
+    },
+    // none -> sprite -> sphere -> none
+    cycleMarkers() {
+        var styles = [null, 'sprite', 'sphere'];
+        this.setMarkers(styles[(styles.indexOf(this.markerStyle) + 1) % styles.length]);
+    },
+    updateMarker(light) {
+        this.removeMarker(light);
+        if (this.markerStyle === null) {
+            return;
+        }
+
+        var marker;
+        if (this.markerStyle === 'sprite') {
+            marker = new THREE.Sprite(new THREE.SpriteMaterial({
+                map: this.getHaloTexture(),
+                color: light.SURF_COLOR,
+                transparent: true,
+                depthWrite: false
+            }));
+            marker.scale.set(1.2, 1.2, 1);
+        } else {
+            marker = new THREE.Mesh(
+                new THREE.SphereBufferGeometry(.15, 12, 12),
+                new THREE.MeshBasicMaterial({ color: light.SURF_COLOR })
+            );
+        }
+
+        // the point light sits inside its marker, which must not shadow it or get outlined
+        marker.castShadow = false;
+        marker.receiveShadow = false;
+        marker.material.userData.outlineParameters = { visible: false, keepAlive: false };
+
+        light.MARKER = marker;
+        light.add(marker);
+    },
+    removeMarker(light) {
+        if (!light.MARKER) {
+            return;
+        }
+
+        light.remove(light.MARKER);
+        // sprites share one geometry
+        if (light.MARKER.isMesh) {
+            light.MARKER.geometry.dispose();
+        }
+        light.MARKER.material.dispose();
+        light.MARKER = null;
+    },
+    setTrails(enabled) {
+        this.trailsEnabled = enabled;
+        this.lights.forEach(light => enabled ? this.addTrail(light) : this.removeTrail(light));
+    },
+    addTrail(light) {
+        if (light.TRAIL) {
+            return;
+        }
+
+        var positions = new Float32Array(this.trailPoints * 3);
+        var alphas = new Float32Array(this.trailPoints);
+        for (var i = 0; i < this.trailPoints; i++) {
+            light.position.toArray(positions, i * 3);
+            alphas[i] = 1 - i / this.trailPoints;
+        }
+
+        var geometry = new THREE.BufferGeometry();
+        geometry.addAttribute('position', new THREE.BufferAttribute(positions, 3).setDynamic(true));
+        geometry.addAttribute('alpha', new THREE.BufferAttribute(alphas, 1));
+
+        // fades out towards the tail, LineBasicMaterial has no per vertex alpha
+        var material = new THREE.ShaderMaterial({
+            uniforms: {
+                color: { value: new THREE.Color(light.SURF_COLOR) }
+            },
+            vertexShader: [
+                'attribute float alpha;',
+                'varying float vAlpha;',
+                'void main() {',
+                '    vAlpha = alpha;',
+                '    gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);',
+                '}'
+            ].join('\n'),
+            fragmentShader: [
+                'uniform vec3 color;',
+                'varying float vAlpha;',
+                'void main() {',
+                '    gl_FragColor = vec4(color, vAlpha);',
+                '}'
+            ].join('\n'),
+            transparent: true,
+            depthWrite: false
+        });
+        material.userData.outlineParameters = { visible: false, keepAlive: false };
+
+        var trail = new THREE.Line(geometry, material);
+        // the points move every frame, the bounding sphere would go stale
+        trail.frustumCulled = false;
+        trail.TRAIL_TIMER = 0;
+
+        light.TRAIL = trail;
+        scene.add(trail);
+    },
+    removeTrail(light) {
+        if (!light.TRAIL) {
+            return;
+        }
+
+        scene.remove(light.TRAIL);
+        light.TRAIL.geometry.dispose();
+        light.TRAIL.material.dispose();
+        light.TRAIL = null;
+    },
+    updateTrail(light, delta) {
+        var trail = light.TRAIL;
+        var positions = trail.geometry.attributes.position;
+
+        trail.visible = light.visible;
+        trail.TRAIL_TIMER += delta;
+        if (trail.TRAIL_TIMER >= this.trailInterval) {
+            trail.TRAIL_TIMER %= this.trailInterval;
+            positions.array.copyWithin(3, 0, positions.array.length - 3);
+        }
+
+        // the head always follows the light, older points move down the line
+        light.position.toArray(positions.array, 0);
+        positions.needsUpdate = true;
+    },
+    update(delta) {
+        this.lights.forEach(light => {
+            light.PATH_ANGLE += light.PATH_SPEED * delta;
+            light.PATH(light.PATH_ANGLE, light.position);
+            if (light.TRAIL) {
+                this.updateTrail(light, delta);
+            }
+        });
+    }
+};
 
-var particleLights = [];
 {// LIGHTING
     scene.add(new THREE.AmbientLight(0x020804));
 
@@ -832,38 +4165,24 @@ var particleLights = [];
     );
     scene.add(hemiLight);
 
-    const genAndAddParticleLight = (color, position, surfColor = color) => {
-        // var particleLight = new THREE.Mesh(
-        //     new THREE.SphereBufferGeometry(.08, 12, 12),
-        //     new THREE.MeshBasicMaterial({ color: surfColor })
-        // );
-        // particleLight.position.z = 3;
-        var particleLight = new THREE.Group();
-
-        var pointLight = new THREE.PointLight(color, 2, 26);
-        pointLight.castShadow = true;
-
-        pointLight.shadow.mapSize.width = 1024;
-        pointLight.shadow.mapSize.height = 1024;
-        pointLight.shadow.camera.near = 0.5;
-        pointLight.shadow.camera.far = 500;
-
-        particleLight.add(pointLight);
+    // ?markers=sprite|sphere shows where the lights are, ?trails=1 the paths they took
+    lightRig.markerStyle = ['sprite', 'sphere'].indexOf(QUERY.get('markers')) !== -1 ? QUERY.get('markers') : null;
+    lightRig.trailsEnabled = QUERY.get('trails') === '1';
+    lightRig.build(LIGHT_RIG);
 
-        Object.assign(particleLight.position, position);
-        scene.add(particleLight);
-        particleLights.push(particleLight);
-        return particleLight;
-    };
+    inputBindings.onAction('cycle-light-markers', () => lightRig.cycleMarkers());
 
-    R = genAndAddParticleLight(0xff0000, { x: 5 }, 0xff4444);
-    G = genAndAddParticleLight(0x00ff00, { y: 5 }, 0x44ff44);
-    // B = genAndAddParticleLight(0x0000ff, { z: 5 }, 0x4444ff);
+    // ?shadows=off|low|medium|high|ultra, or auto to start at high and step down when frames get slow
+    var shadowSetting = QUERY.get('shadows') || 'high';
+    shadowQuality.setPreset(shadowSetting === 'auto' ? 'high' : shadowSetting);
+    if (shadowQuality.preset === null) {
+        shadowQuality.setPreset('high');
+    }
+    shadowQuality.setAuto(shadowSetting === 'auto');
+    inputBindings.onAction('cycle-shadow-quality', () => shadowQuality.cyclePreset());
+    inputBindings.onAction('toggle-light-trails', () => lightRig.setTrails(!lightRig.trailsEnabled));
 }
 
-//sloopy quat
-var lQuat = new THREE.Quaternion();
-lQuat.setFromAxisAngle(new THREE.Vector3(0, 1, 1), Math.PI / 2400).normalize();
 camera.lookAt(rootCube.position);
 rootCube.position.z = -1.5;
 
@@ -874,40 +4193,124 @@ textWrapper.rotation.x = -Math.PI/16;
 textWrapper.up = new THREE.Vector3(0, 1, 0);
 // textWrapper.lookAt(camera.position);
 
-var nameOffset = -2;
+var creditLineIndex = -1;
 var textMaterial = new THREE.MeshToonMaterial( {
 
 });
-const attachText = () => {
-    // TEXT PROTOTYPE
-    // textWrapper.children = [];
-    nameOffset = (nameOffset + 1) % names.length;
-    var textGeo = new THREE.TextGeometry(
-        nameOffset > -1
-            ? names[nameOffset]
-            : 'GREETZ OUT TO THESE CODERZ'
-        ,{
-            font,
-            size: 0.5,
-            curveSegments: 32,
-            height: 0.0725,
-            height: 0.0725,
-            bevelThickness: 0.05,
-            bevelSize: 0,
-            bevelSegments: 1,
-            bevelEnabled: false
+// Text geometries are cached by string so every lap of the credits reuses them, and meshes
+// that scrolled off are pooled. Geometries beyond maxEntries that no mesh shows anymore get
+// disposed, least recently used first. stats() tells whether anything is leaking:
+// geometriesCreated - geometriesDisposed has to match cachedGeometries.
+var textMeshCache = {
+    maxEntries: 64,
+    // text -> { geometry, centerOffset, users }, in least recently used order
+    entries: new Map(),
+    meshPool: [],
+    counters: {
+        hits: 0,
+        misses: 0,
+        geometriesCreated: 0,
+        geometriesDisposed: 0,
+        meshesCreated: 0
+    },
+
+    createEntry(text) {
+        var textGeo = new THREE.TextGeometry(
+            text
+            ,{
+                font,
+                size: 0.5,
+                curveSegments: 32,
+                height: 0.0725,
+                bevelThickness: 0.05,
+                bevelSize: 0,
+                bevelSegments: 1,
+                bevelEnabled: false
+            }
+        );
+        textGeo.computeBoundingBox();
+        textGeo.computeVertexNormals();
+        var centerOffset = -0.5 * (textGeo.boundingBox.max.x - textGeo.boundingBox.min.x);
+        var geometry = new THREE.BufferGeometry().fromGeometry(textGeo);
+        textGeo.dispose();
+
+        this.counters.geometriesCreated++;
+        return { geometry, centerOffset, users: 0 };
+    },
+    getEntry(text) {
+        var entry = this.entries.get(text);
+        if (entry === undefined) {
+            this.counters.misses++;
+            entry = this.createEntry(text);
+        } else {
+            this.counters.hits++;
+            this.entries.delete(text);
         }
-    );
-    textGeo.computeBoundingBox();
-    textGeo.computeVertexNormals();
-    var centerOffset = -0.5 * (textGeo.boundingBox.max.x - textGeo.boundingBox.min.x);
-    textGeo = new THREE.BufferGeometry().fromGeometry(textGeo);
-    var textMesh1 = new THREE.Mesh(textGeo, textMaterial);
+        // (re)inserting keeps the map in least recently used order
+        this.entries.set(text, entry);
+        return entry;
+    },
+    acquire(text) {
+        var entry = this.getEntry(text);
+        entry.users++;
+
+        var mesh = this.meshPool.pop();
+        if (mesh === undefined) {
+            mesh = new THREE.Mesh(undefined, textMaterial);
+            this.counters.meshesCreated++;
+        }
+        mesh.geometry = entry.geometry;
+        mesh.userData.text = text;
+        mesh.userData.centerOffset = entry.centerOffset;
+
+        this.evict();
+        return mesh;
+    },
+    release(mesh) {
+        if (mesh.parent) {
+            mesh.parent.remove(mesh);
+        }
+
+        var entry = this.entries.get(mesh.userData.text);
+        if (entry !== undefined) {
+            entry.users--;
+        }
+        this.meshPool.push(mesh);
+        this.evict();
+    },
+    evict() {
+        for (var [text, entry] of this.entries) {
+            if (this.entries.size <= this.maxEntries) {
+                return;
+            }
+            if (entry.users === 0) {
+                entry.geometry.dispose();
+                this.entries.delete(text);
+                this.counters.geometriesDisposed++;
+            }
+        }
+    },
+    stats() {
+        return Object.assign({
+            cachedGeometries: this.entries.size,
+            liveGeometries: this.counters.geometriesCreated - this.counters.geometriesDisposed,
+            pooledMeshes: this.meshPool.length
+        }, this.counters);
+    }
+};
+
+const attachText = () => {
+    var creditLines = getCreditLines();
+    if (creditLines.length === 0) {
+        return;
+    }
+    creditLineIndex = (creditLineIndex + 1) % creditLines.length;
+    var textMesh1 = textMeshCache.acquire(creditLines[creditLineIndex]);
     textMesh1.rotation.z = -Math.PI/2;
     textMesh1.rotation.y = Math.PI/16;
     // textMesh1.rotation.x = Math.PI/8;
     textMesh1.position.x = 5;
-    textMesh1.position.y = -centerOffset;
+    textMesh1.position.y = -textMesh1.userData.centerOffset;
     textMesh1.position.z = 3;
     textMesh1.castShadow = true;
     textWrapper.add(textMesh1);
@@ -915,24 +4318,79 @@ const attachText = () => {
 
 scene.add(textWrapper);
 
-let frameCounter = -1;
+if (QUERY.get('credits')) {
+    loadCredits(QUERY.get('credits'));
+}
+
+// All motion reads its time from here instead of counting frames, so the demo
+// runs at the same speed on every display. delta is in scaled seconds and is 0 while paused.
+const MAX_FRAME_DELTA = 0.1; // don't jump ahead after the tab was in the background
+const MIN_TIME_SCALE = 1 / 8;
+const MAX_TIME_SCALE = 8;
+var demoClock = {
+    clock: new THREE.Clock(),
+    delta: 0,
+    elapsed: 0,
+    // seconds the last frame really took, unscaled and unclamped
+    frameTime: 0,
+    paused: false,
+    timeScale: 1,
+    setTimeScale(timeScale) {
+        this.timeScale = Math.min(MAX_TIME_SCALE, Math.max(MIN_TIME_SCALE, timeScale));
+    },
+    update() {
+        this.frameTime = this.clock.getDelta();
+        var realDelta = Math.min(this.frameTime, MAX_FRAME_DELTA);
+        this.delta = this.paused ? 0 : realDelta * this.timeScale;
+        this.elapsed += this.delta;
+        return this.delta;
+    }
+};
+
+// units per second
+var TEXT_SCROLL_SPEED = 0.0125 * 60;
+// seconds between two names
+var TEXT_SPAWN_INTERVAL = 80 / 60;
+var textSpawnTimer = TEXT_SPAWN_INTERVAL;
+
+// the credits outline flashes whenever a new name comes in and slowly cycles through the hues
+textMaterial.userData.outlineParameters = {
+    thickness: new THREE.NumberKeyframeTrack(
+        '.thickness',
+        [0, 0.15, 0.6, TEXT_SPAWN_INTERVAL],
+        [0.02, 0.0075, 0.0075, 0.0075]
+    ),
+    color: time => new THREE.Color().setHSL((time / 20) % 1, 1, 0.25).toArray(),
+    alpha: 0.8
+};
+
+inputBindings.onAction('pause', () => demoClock.paused = !demoClock.paused);
+inputBindings.onAction('slower', () => demoClock.setTimeScale(demoClock.timeScale / 2));
+inputBindings.onAction('faster', () => demoClock.setTimeScale(demoClock.timeScale * 2));
+
+// radians per second
+var ROTATION_SPEED = Math.SQRT2 * .00625 * 60;
+var ROTATION_AXIS = new THREE.Vector3(1, -1, 0).normalize();
+
 function animate() {
     requestAnimationFrame(animate);
-    frameCounter += 1;
+    var delta = demoClock.update();
 
-    canvas.style.width = '100vw';
-    canvas.style.height = '100vh';
-
-    textWrapper.children.forEach(child => {
-        child.position.x -= 0.0125;
+    textWrapper.children.slice().forEach(child => {
+        child.position.x -= TEXT_SCROLL_SPEED * delta;
+        if (child.position.x <= -7) {
+            textMeshCache.release(child);
+        }
     });
-    textWrapper.children = textWrapper.children.filter(child => child.position.x > -7);
 
-    if(frameCounter % 80 == 0) {
+    textSpawnTimer += delta;
+    while (textSpawnTimer >= TEXT_SPAWN_INTERVAL) {
+        textSpawnTimer -= TEXT_SPAWN_INTERVAL;
         attachText();
-    };
+    }
 
-    particleLights.map((pl) => pl.position.applyQuaternion(lQuat));
+    lightRig.update(delta);
+    shadowQuality.update(demoClock.frameTime * 1000);
 
     // var cQuat = new THREE.Quaternion();
     // cQuat.setFromAxisAngle(new THREE.Vector3(1, 0, 0), Math.PI / 300);
@@ -940,50 +4398,36 @@ function animate() {
     // camera.position.applyQuaternion(cQuat);
     // camera.lookAt(rootCube.position);
 
-    if(LEFT ^ RIGHT) {
+    gamepadInput.poll();
+    pointerControls.update(delta);
 
-        const sign = LEFT ? 1 : -1;
+    var LEFT = inputBindings.isActive('rotate-left');
+    var RIGHT = inputBindings.isActive('rotate-right');
+    var UP = inputBindings.isActive('twist-in');
+    var DOWN = inputBindings.isActive('twist-out');
 
-        // var dynamicQuaternion = new THREE.Quaternion();
-        // dynamicQuaternion.setFromAxisAngle(particleLights[0].position.clone().sub(rootCube.position), sign * Math.PI / 1024).normalize();
+    // keys count as a fully deflected stick
+    var rotation = Math.max(-1, Math.min(1, (LEFT - RIGHT) + gamepadInput.rotation));
+    var twist = Math.max(-1, Math.min(1, (UP - DOWN) + gamepadInput.twist));
 
+    if(rotation !== 0) {
         var quaternion = new THREE.Quaternion();
-        quaternion.setFromAxisAngle(new THREE.Vector3(1, -1, 0), sign * .00625).normalize();
-        // rootCube.applyQuaternion(dynamicQuaternion);
+        quaternion.setFromAxisAngle(ROTATION_AXIS, rotation * ROTATION_SPEED * delta);
         rootCube.applyQuaternion(quaternion);
-        // rootCube.applyQuaternion(lQuat);
-    }
-
-    if(UP ^ DOWN) {
-        // var scalarScalor = 1 + ((UP * .0001) - (DOWN * .0001));
-        //
-        // console.log(scalarScalor);
-        //
-        // var scaleFactor = new THREE.Vector3(scalarScalor, scalarScalor, scalarScalor);
-
-        ALL_SUB_CUBES.forEach(
-            subCube => {
-                // TODO this doesn't really "reverse" properly
-                subCube.applyMatrix(
-                    new THREE.Matrix4().compose(
-                        new THREE.Vector3(0, 0, 0), // position
-                        new THREE.Quaternion().setFromAxisAngle(
-                            (
-                                UP
-                                    ? subCube.ORIGINAL_POSITION.clone()
-                                    : subCube.ORIGINAL_POSITION.clone().negate()
-                            ).normalize()
-                            ,
-                            .0125
-                        ),
-                        // scaleFactor
-                        new THREE.Vector3(1, 1, 1)
-                    )
-                );
-            }
-        );
     }
 
-    effect.render(scene, camera);
+    if(twist !== 0) {
+        twistSubCubes(twist * TWIST_SPEED * delta);
+    }
+
+    if (INSTANCED_RENDERING) {
+        updateInstanceMatrices();
+    }
+
+    effect.time = demoClock.elapsed;
+    CUBE_SHADER_TIME.value = demoClock.elapsed;
+    environment.update(delta);
+    pipeline.time = demoClock.elapsed;
+    pipeline.render(scene, camera);
 }
 animate();
\ No newline at end of file